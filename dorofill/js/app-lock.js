@@ -0,0 +1,1012 @@
+/**
+ * DoroFill - App Lock
+ * PIN(비밀번호) 앱 잠금 + 저장 데이터 암호화
+ *
+ * 잠금을 켜면 운전자 개인정보가 담긴 저장 데이터를 AES-GCM으로 암호화합니다.
+ * - localStorage: 작성 중 자동 저장, 이전 버전 공유 데이터, Gemini API 키, 가명 키 비밀값 (LOCK_CONFIG.protectedKeys)
+ * - IndexedDB: 사건 대장, 증거 사진 (DB_CONFIG.stores에서 encrypted: true인 저장소)
+ *
+ * 키 구조:
+ * - 데이터 키: 잠금을 켤 때 만드는 AES-GCM 256비트 키 (모든 데이터를 이 키로 암호화)
+ * - PIN 키: PIN + 솔트로 PBKDF2(SHA-256) 유도, 데이터 키를 감싸(wrap) localStorage에 보관
+ *   → PIN을 바꿔도 데이터를 다시 암호화하지 않음
+ *
+ * 데이터 키는 메모리에서 추출할 수 없는(extractable: false) CryptoKey로만 다룹니다.
+ * 같은 탭에서 화면을 옮겨도 다시 묻지 않도록 잠금을 풀 때 탭마다 새 비밀값을 만들어 sessionStorage에 두고,
+ * 데이터 키는 그 비밀값으로 감싼 값만 IndexedDB(lock 저장소)에 둡니다.
+ * → 기기에 남는 것은 감싼 키뿐이고, 탭을 닫아 비밀값이 사라지면 풀 수 없음 (CryptoKey 자체는 저장하지 않음)
+ * 마지막 조작 후 자동 잠금 시간이 지나거나 지금 잠그면 감싼 키를 지우고 화면을 새로고침해 잠급니다.
+ * db.js가 없는 화면에서는 키를 메모리에만 둡니다 (화면을 옮기면 PIN을 다시 물음).
+ *
+ * 감싼 데이터 키와 솔트는 평문 localStorage에 있어 기기를 가진 사람은 PIN을 화면 밖에서 대입해 볼 수 있습니다.
+ * 그래서 PIN은 숫자만이 아닌 8자 이상의 비밀번호로 정하게 합니다. (이전 기준의 짧은 PIN은 설정에서 변경 안내)
+ *
+ * PIN 실패 횟수와 대기 시각은 잠금 설정(localStorage)과 lock 저장소 양쪽에 기록하고
+ * 둘 중 엄격한 값을 적용합니다 (한쪽 값만 지워서는 대기가 풀리지 않음).
+ *
+ * localStorage는 동기 API라서 잠금을 풀 때 보호 키를 한 번에 복호화해 메모리에 두고,
+ * 쓰기는 메모리에 바로 반영한 뒤 순서대로 암호화해 저장합니다.
+ *
+ * 의존성:
+ * - app.js (generateId, bytesToBase64, base64ToBytes, saveFormData, getCurrentFormType)
+ * - db.js (선택 - 있으면 사건 대장·증거 사진 암호화, 세션 키·실패 횟수 보관)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const LOCK_CONFIG = {
+    storageKey: 'dorofill_lock',
+    sessionKey: 'dorofill_lock_session',
+    // IndexedDB 저장소 (db.js) - 세션 레코드 { id, iv, wrappedKey, lastActivity }와 실패 횟수 레코드
+    dbStoreName: 'lock',
+    attemptsRecordId: 'attempts',
+
+    // 암호화할 localStorage 키 (개인정보 또는 API 키)
+    protectedKeys: [
+        'dorofill_report_autosave',
+        'dorofill_statement_autosave',
+        'dorofill_shared_report',
+        'dorofill_report_draft',
+        'dorofill_gemini_api_key',
+        'dorofill_match_secret'
+    ],
+    // 잠금을 끌 때 평문으로 되돌리지 않고 지울 키 (잠금 없이는 보관하지 않는 값 - 가명 키 HMAC 비밀값)
+    lockOnlyKeys: ['dorofill_match_secret'],
+    encryptedPrefix: 'dorofill-enc:v1:',
+
+    pbkdf2Iterations: 310000,
+    // 숫자만으로 된 PIN은 경우의 수가 적어 기기 밖에서 금방 풀리므로 문자를 섞은 비밀번호로
+    pinMinLength: 8,
+    pinPolicyVersion: 2,
+    tabSecretBytes: 32,
+
+    // 자동 잠금 (분)
+    autoLockMinutes: 5,
+    autoLockOptions: [1, 3, 5, 10, 30],
+    checkInterval: 15000,
+    activityEvents: ['pointerdown', 'keydown', 'input', 'scroll'],
+    // 조작 시각 기록 간격 (sessionStorage·IndexedDB 쓰기 줄이기)
+    activityThrottle: 5000,
+
+    // 연속으로 틀리면 잠시 대기
+    maxAttempts: 5,
+    retryDelaySeconds: 30,
+
+    overlayId: 'app-lock-overlay'
+};
+
+/** 잠금 상태 (페이지마다 새로 시작) */
+const lockState = {
+    enabled: false,             // 잠금 켜짐 = 보호 데이터를 암호화해 저장
+    key: null,                  // 데이터 키 (잠금 해제 중에만, 추출 불가)
+    session: null,              // 이 탭의 세션 레코드 (감싼 데이터 키)
+    cache: new Map(),           // 보호 키의 복호화된 값
+    writes: Promise.resolve(),  // 암호화 저장 대기열
+    lastActivity: 0,
+    watchId: null
+};
+
+let resolveUnlocked = null;
+const unlockedPromise = new Promise(resolve => { resolveUnlocked = resolve; });
+
+// ==========================================================================
+// 저장 형식 변환
+// ==========================================================================
+
+/**
+ * 잠금 설정 읽기
+ * @returns {Object|null} { version, salt, iv, wrappedKey, iterations, pinPolicy, autoLockMinutes, failedAttempts, retryAfter }
+ */
+function readLockMeta() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_CONFIG.storageKey)) || null;
+    } catch (error) {
+        console.warn('[앱 잠금] 잠금 설정을 읽을 수 없습니다:', error);
+        return null;
+    }
+}
+
+function writeLockMeta(meta) {
+    localStorage.setItem(LOCK_CONFIG.storageKey, JSON.stringify(meta));
+}
+
+/**
+ * 이 탭의 잠금 해제 세션 (sessionStorage)
+ * @returns {Object|null} { id, secret, lastActivity }
+ */
+function readLockSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(LOCK_CONFIG.sessionKey)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function hasLockStore() {
+    return typeof DB_CONFIG !== 'undefined' && !!DB_CONFIG.stores[LOCK_CONFIG.dbStoreName];
+}
+
+/**
+ * 세션 레코드 저장
+ * @param {Object} record - { id, iv, wrappedKey, lastActivity }
+ * @returns {Promise<boolean>} 저장 여부 (저장하지 못하면 이 화면의 메모리에만 둠)
+ */
+async function saveSessionRecord(record) {
+    if (!hasLockStore()) return false;
+    try {
+        await dbPut(LOCK_CONFIG.dbStoreName, record);
+        return true;
+    } catch (error) {
+        console.warn('[앱 잠금] 세션 키를 저장하지 못했습니다 - 화면을 옮기면 다시 잠깁니다:', error);
+        return false;
+    }
+}
+
+/**
+ * 세션 레코드 삭제
+ * @param {Function} [filter] - (record) => boolean, 없으면 모든 세션 키
+ */
+async function deleteSessionKeys(filter = () => true) {
+    if (!hasLockStore()) return;
+    try {
+        const records = await dbGetAll(LOCK_CONFIG.dbStoreName);
+        const targets = records.filter(record => record.id !== LOCK_CONFIG.attemptsRecordId && filter(record));
+        await Promise.all(targets.map(record => dbDelete(LOCK_CONFIG.dbStoreName, record.id)));
+    } catch (error) {
+        console.error('[앱 잠금] 세션 키 삭제 실패:', error);
+    }
+}
+
+/**
+ * 이 탭의 잠금 해제 세션 끝내기 (sessionStorage와 세션 레코드 삭제)
+ * @returns {Promise<void>}
+ */
+function clearLockSession() {
+    const session = readLockSession();
+    sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+    if (!session || !session.id) return Promise.resolve();
+    return deleteSessionKeys(record => record.id === session.id);
+}
+
+/**
+ * lock 저장소 비우기 (잠금을 끄거나 초기화할 때 - 세션 키와 실패 횟수)
+ * @returns {Promise<void>}
+ */
+async function clearLockStore() {
+    if (!hasLockStore()) return;
+    try {
+        await dbClear(LOCK_CONFIG.dbStoreName);
+    } catch (error) {
+        console.error('[앱 잠금] lock 저장소 삭제 실패:', error);
+    }
+}
+
+/**
+ * PIN 실패 횟수와 대기 시각 (잠금 설정과 lock 저장소 중 엄격한 값)
+ * @param {Object} meta - 잠금 설정
+ * @returns {Promise<Object>} { failedAttempts, retryAfter }
+ */
+async function readFailedAttempts(meta) {
+    let stored = null;
+    if (hasLockStore()) {
+        try {
+            stored = await dbGet(LOCK_CONFIG.dbStoreName, LOCK_CONFIG.attemptsRecordId);
+        } catch (error) {
+            console.warn('[앱 잠금] 실패 횟수를 읽을 수 없습니다:', error);
+        }
+    }
+    return {
+        failedAttempts: Math.max(meta.failedAttempts || 0, (stored && stored.failedAttempts) || 0),
+        retryAfter: Math.max(meta.retryAfter || 0, (stored && stored.retryAfter) || 0)
+    };
+}
+
+/**
+ * PIN 실패 횟수와 대기 시각을 양쪽에 기록
+ * @param {Object} meta - 잠금 설정
+ * @param {Object} attempts - { failedAttempts, retryAfter }
+ */
+async function writeFailedAttempts(meta, attempts) {
+    writeLockMeta({ ...meta, ...attempts });
+    if (!hasLockStore()) return;
+    try {
+        await dbPut(LOCK_CONFIG.dbStoreName, { id: LOCK_CONFIG.attemptsRecordId, ...attempts });
+    } catch (error) {
+        console.warn('[앱 잠금] 실패 횟수를 저장하지 못했습니다:', error);
+    }
+}
+
+// ==========================================================================
+// 암호화
+// ==========================================================================
+
+function getSubtleCrypto() {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('이 브라우저에서는 암호화를 사용할 수 없습니다. (https 주소로 열어주세요)');
+    }
+    return window.crypto.subtle;
+}
+
+/**
+ * PIN 형식 확인
+ * @param {string} pin - PIN 또는 비밀번호
+ * @throws {Error} 너무 짧거나 숫자만으로 된 경우
+ */
+function validatePin(pin) {
+    const value = String(pin || '');
+    if (value.length < LOCK_CONFIG.pinMinLength || /^\d+$/.test(value)) {
+        throw new Error(`PIN은 숫자만이 아닌 ${LOCK_CONFIG.pinMinLength}자 이상의 비밀번호로 정하세요 (문자 포함)`);
+    }
+}
+
+/**
+ * PIN으로 데이터 키를 감싸는 키 유도 (PBKDF2-SHA256)
+ * @param {string} pin - PIN 또는 비밀번호
+ * @param {Uint8Array} salt - 솔트
+ * @param {number} iterations - 반복 횟수
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePinKey(pin, salt, iterations) {
+    const subtle = getSubtleCrypto();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+/**
+ * 데이터 키를 새 PIN으로 감싸기 (솔트는 매번 새로)
+ * @param {CryptoKey} dataKey - 데이터 키
+ * @param {string} pin - 새 PIN
+ * @returns {Promise<Object>} 잠금 설정에 넣을 { salt, iv, wrappedKey, iterations }
+ */
+async function wrapDataKey(dataKey, pin) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const pinKey = await derivePinKey(pin, salt, LOCK_CONFIG.pbkdf2Iterations);
+    const wrapped = await getSubtleCrypto().wrapKey('raw', dataKey, pinKey, { name: 'AES-GCM', iv });
+
+    return {
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        wrappedKey: bytesToBase64(wrapped),
+        iterations: LOCK_CONFIG.pbkdf2Iterations,
+        pinPolicy: LOCK_CONFIG.pinPolicyVersion
+    };
+}
+
+/**
+ * PIN으로 데이터 키 꺼내기
+ * @param {string} pin - PIN
+ * @param {Object} meta - 잠금 설정
+ * @param {boolean} [extractable=false] - 다시 감쌀 때만 true (새 PIN, 탭 비밀값 - 그 키는 보관하지 않음)
+ * @returns {Promise<CryptoKey|null>} PIN이 틀리면 null (AES-GCM 인증 실패)
+ */
+async function unwrapDataKey(pin, meta, extractable = false) {
+    const pinKey = await derivePinKey(pin, base64ToBytes(meta.salt), meta.iterations);
+    try {
+        return await getSubtleCrypto().unwrapKey(
+            'raw',
+            base64ToBytes(meta.wrappedKey),
+            pinKey,
+            { name: 'AES-GCM', iv: base64ToBytes(meta.iv) },
+            { name: 'AES-GCM' },
+            extractable,
+            ['encrypt', 'decrypt']
+        );
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 탭 비밀값을 세션 키를 감싸는 키로 가져오기
+ * @param {Uint8Array} secret - 탭 비밀값
+ * @returns {Promise<CryptoKey>}
+ */
+function importTabKey(secret) {
+    return getSubtleCrypto().importKey('raw', secret, { name: 'AES-GCM' }, false, ['wrapKey', 'unwrapKey']);
+}
+
+/**
+ * 세션 레코드에서 데이터 키 꺼내기 (추출 불가)
+ * @param {Object} record - { iv, wrappedKey }
+ * @param {CryptoKey} tabKey - 탭 비밀값 키
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} 비밀값이 맞지 않는 경우
+ */
+function unwrapSessionKey(record, tabKey) {
+    return getSubtleCrypto().unwrapKey(
+        'raw',
+        base64ToBytes(record.wrappedKey),
+        tabKey,
+        { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptBytes(bytes) {
+    if (!lockState.key) throw new Error('앱이 잠겨 있습니다.');
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await getSubtleCrypto().encrypt({ name: 'AES-GCM', iv }, lockState.key, bytes);
+    return { iv, data };
+}
+
+async function decryptBytes({ iv, data }) {
+    if (!lockState.key) throw new Error('앱이 잠겨 있습니다.');
+    return getSubtleCrypto().decrypt({ name: 'AES-GCM', iv }, lockState.key, data);
+}
+
+function isEncryptedText(value) {
+    return typeof value === 'string' && value.startsWith(LOCK_CONFIG.encryptedPrefix);
+}
+
+/**
+ * 문자열 암호화 (localStorage용)
+ * @param {string} text - 평문
+ * @returns {Promise<string>} "dorofill-enc:v1:<iv>.<암호문>" (base64)
+ */
+async function encryptText(text) {
+    const { iv, data } = await encryptBytes(new TextEncoder().encode(text));
+    return `${LOCK_CONFIG.encryptedPrefix}${bytesToBase64(iv)}.${bytesToBase64(data)}`;
+}
+
+async function decryptText(value) {
+    const [iv, data] = value.slice(LOCK_CONFIG.encryptedPrefix.length).split('.');
+    const plain = await decryptBytes({ iv: base64ToBytes(iv), data: base64ToBytes(data) });
+    return new TextDecoder().decode(plain);
+}
+
+// ==========================================================================
+// IndexedDB 레코드 암호화 (db.js 훅)
+// ==========================================================================
+
+/**
+ * 레코드 암호화
+ * 기본 키와 인덱스 필드는 조회에 필요하므로 평문으로 두고,
+ * 나머지는 JSON으로, ArrayBuffer 필드(사진)는 따로 암호화합니다.
+ *
+ * @param {Object} value - 레코드
+ * @param {Array<string>} clearFields - 평문으로 둘 필드
+ * @returns {Promise<Object>} { ...평문 필드, _enc: { iv, data, binary: { 필드: { iv, data } } } }
+ */
+async function encodeLockedRecord(value, clearFields) {
+    if (!lockState.enabled) return value;
+    await unlockedPromise;
+
+    const sealed = {};
+    const secret = {};
+    const binary = {};
+    Object.entries(value).forEach(([field, fieldValue]) => {
+        if (clearFields.includes(field)) {
+            sealed[field] = fieldValue;
+        } else if (fieldValue instanceof ArrayBuffer) {
+            binary[field] = fieldValue;
+        } else {
+            secret[field] = fieldValue;
+        }
+    });
+
+    sealed._enc = {
+        ...(await encryptBytes(new TextEncoder().encode(JSON.stringify(secret)))),
+        binary: {}
+    };
+    for (const [field, buffer] of Object.entries(binary)) {
+        sealed._enc.binary[field] = await encryptBytes(buffer);
+    }
+
+    return sealed;
+}
+
+/**
+ * 레코드 복호화 (암호화하지 않은 레코드는 그대로)
+ * @param {Object} value - 저장된 레코드
+ * @returns {Promise<Object>}
+ */
+async function decodeLockedRecord(value) {
+    if (!value || !value._enc) return value;
+    await unlockedPromise;
+
+    const { _enc, ...record } = value;
+    Object.assign(record, JSON.parse(new TextDecoder().decode(await decryptBytes(_enc))));
+    for (const [field, part] of Object.entries(_enc.binary || {})) {
+        record[field] = await decryptBytes(part);
+    }
+
+    return record;
+}
+
+/** 암호화 대상 IndexedDB 저장소 이름 */
+function getEncryptedStoreNames() {
+    if (typeof DB_CONFIG === 'undefined') return [];
+    return Object.keys(DB_CONFIG.stores).filter(name => DB_CONFIG.stores[name].encrypted);
+}
+
+/**
+ * 암호화 대상 저장소를 현재 잠금 상태로 다시 저장
+ * (잠금을 켜면 암호화, 끄면 평문으로)
+ * @returns {Promise<number>} 다시 저장한 레코드 수
+ */
+async function rewriteEncryptedStores() {
+    let count = 0;
+    for (const storeName of getEncryptedStoreNames()) {
+        const records = await dbGetAll(storeName);
+        for (const record of records) {
+            await dbPut(storeName, record);
+            count++;
+        }
+    }
+    return count;
+}
+
+// ==========================================================================
+// 보호 localStorage 값
+// ==========================================================================
+
+/**
+ * 암호화 저장 예약 (순서 보장, value가 null이면 삭제)
+ * @param {string} key - localStorage 키
+ * @param {string|null} value - 평문 값
+ */
+function queueProtectedWrite(key, value) {
+    lockState.writes = lockState.writes
+        .then(async () => {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, await encryptText(value));
+            }
+        })
+        .catch(error => console.error('[앱 잠금] 암호화 저장 실패:', key, error));
+}
+
+/**
+ * 보호 키를 복호화해 메모리에 올림 (잠금 전에 저장된 평문은 암호화해 다시 저장)
+ */
+async function loadProtectedItems() {
+    lockState.cache.clear();
+
+    for (const key of LOCK_CONFIG.protectedKeys) {
+        const stored = localStorage.getItem(key);
+        if (stored === null) continue;
+
+        if (!isEncryptedText(stored)) {
+            lockState.cache.set(key, stored);
+            queueProtectedWrite(key, stored);
+            continue;
+        }
+
+        try {
+            lockState.cache.set(key, await decryptText(stored));
+        } catch (error) {
+            console.error('[앱 잠금] 복호화 실패:', key, error);
+        }
+    }
+}
+
+function isProtectedKey(key) {
+    return lockState.enabled && LOCK_CONFIG.protectedKeys.includes(key);
+}
+
+/**
+ * localStorage 값 읽기 (보호 키는 복호화된 값, 잠겨 있으면 null)
+ * @param {string} key - localStorage 키
+ * @returns {string|null}
+ */
+function getProtectedItem(key) {
+    if (!isProtectedKey(key)) return localStorage.getItem(key);
+    return lockState.cache.has(key) ? lockState.cache.get(key) : null;
+}
+
+/**
+ * localStorage 값 저장 (보호 키는 암호화)
+ * @param {string} key - localStorage 키
+ * @param {string} value - 저장할 값
+ * @returns {boolean} 저장 여부 (잠겨 있으면 false)
+ */
+function setProtectedItem(key, value) {
+    if (!isProtectedKey(key)) {
+        localStorage.setItem(key, value);
+        return true;
+    }
+
+    if (!lockState.key) {
+        console.warn('[앱 잠금] 잠겨 있어 저장하지 않았습니다:', key);
+        return false;
+    }
+
+    lockState.cache.set(key, String(value));
+    queueProtectedWrite(key, String(value));
+    return true;
+}
+
+/**
+ * localStorage 값 삭제
+ * @param {string} key - localStorage 키
+ */
+function removeProtectedItem(key) {
+    if (!isProtectedKey(key)) {
+        localStorage.removeItem(key);
+        return;
+    }
+
+    lockState.cache.delete(key);
+    queueProtectedWrite(key, null);
+}
+
+// ==========================================================================
+// 잠금 해제 / 잠금
+// ==========================================================================
+
+function getAutoLockMinutes() {
+    const meta = readLockMeta();
+    return (meta && meta.autoLockMinutes) || LOCK_CONFIG.autoLockMinutes;
+}
+
+function isSessionExpired(session) {
+    return Date.now() - session.lastActivity > getAutoLockMinutes() * 60 * 1000;
+}
+
+/**
+ * 새 잠금 해제 세션 만들기
+ * 이 탭의 비밀값으로 데이터 키를 감싸 lock 저장소에 두고 비밀값은 sessionStorage에만 둡니다.
+ * 사용할 키는 감싼 값에서 추출 불가로 다시 꺼내고, 받은 추출 가능한 키는 버립니다.
+ * @param {CryptoKey} exportableKey - 데이터 키 (감쌀 수 있도록 추출 가능)
+ * @returns {Promise<CryptoKey>} 추출 불가 데이터 키
+ */
+async function createLockSession(exportableKey) {
+    const secret = window.crypto.getRandomValues(new Uint8Array(LOCK_CONFIG.tabSecretBytes));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const tabKey = await importTabKey(secret);
+    const wrapped = await getSubtleCrypto().wrapKey('raw', exportableKey, tabKey, { name: 'AES-GCM', iv });
+
+    const record = {
+        id: `session-${generateId()}`,
+        iv: bytesToBase64(iv),
+        wrappedKey: bytesToBase64(wrapped),
+        lastActivity: Date.now()
+    };
+    lockState.session = record;
+    if (await saveSessionRecord(record)) {
+        sessionStorage.setItem(LOCK_CONFIG.sessionKey, JSON.stringify({
+            id: record.id,
+            secret: bytesToBase64(secret),
+            lastActivity: record.lastActivity
+        }));
+    }
+
+    return unwrapSessionKey(record, tabKey);
+}
+
+/**
+ * 데이터 키로 잠금 해제 상태 시작
+ * @param {CryptoKey} key - 데이터 키 (추출 불가)
+ */
+async function startUnlockedSession(key) {
+    lockState.key = key;
+
+    await loadProtectedItems();
+    startAutoLockWatch();
+    resolveUnlocked();
+
+    const overlay = document.getElementById(LOCK_CONFIG.overlayId);
+    if (overlay) overlay.remove();
+}
+
+/**
+ * 같은 탭에서 이전 화면의 잠금 해제 상태 이어받기
+ * @param {Object} session - sessionStorage 값
+ * @throws {Error} 세션 레코드나 탭 비밀값이 없는 경우 (지금 잠금, 이전 버전 세션 등)
+ */
+async function resumeLockSession(session) {
+    const record = session.id && session.secret && hasLockStore()
+        ? await dbGet(LOCK_CONFIG.dbStoreName, session.id)
+        : null;
+    if (!record || !record.wrappedKey) {
+        throw new Error('세션 키가 없습니다');
+    }
+
+    const key = await unwrapSessionKey(record, await importTabKey(base64ToBytes(session.secret)));
+    lockState.session = { ...record, lastActivity: Date.now() };
+    recordSessionActivity(lockState.session.lastActivity);
+    await startUnlockedSession(key);
+}
+
+/**
+ * PIN으로 잠금 해제
+ * @param {string} pin - PIN
+ * @returns {Promise<void>}
+ * @throws {Error} PIN이 틀렸거나 대기 시간 중인 경우
+ */
+async function unlockApp(pin) {
+    const meta = readLockMeta();
+    if (!meta) return;
+
+    const attempts = await readFailedAttempts(meta);
+    const waitSeconds = Math.ceil((attempts.retryAfter - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+        throw new Error(`${waitSeconds}초 후에 다시 시도하세요`);
+    }
+
+    // 탭 비밀값으로 감싸야 하므로 추출 가능하게 꺼내고, 사용할 키는 createLockSession이 추출 불가로 다시 꺼냄
+    const key = await unwrapDataKey(pin, meta, true);
+    if (!key) {
+        attempts.failedAttempts++;
+        if (attempts.failedAttempts >= LOCK_CONFIG.maxAttempts) {
+            attempts.failedAttempts = 0;
+            attempts.retryAfter = Date.now() + LOCK_CONFIG.retryDelaySeconds * 1000;
+        }
+        await writeFailedAttempts(meta, attempts);
+        throw new Error('PIN이 맞지 않습니다');
+    }
+
+    await writeFailedAttempts(meta, { failedAttempts: 0, retryAfter: 0 });
+
+    await startUnlockedSession(await createLockSession(key));
+    console.log('[앱 잠금] 잠금 해제');
+}
+
+/**
+ * 지금 잠그기
+ * 작성 중인 내용을 저장(암호화)한 뒤 키를 지우고 새로고침합니다.
+ * 직접 잠그면 다른 탭의 세션 레코드도 지워 그 탭도 화면을 옮기면 PIN을 묻습니다.
+ * 다시 열면 PIN 입력 후 자동 저장 복원으로 이어서 작성할 수 있습니다.
+ * @param {Object} [options]
+ * @param {boolean} [options.allTabs=true] - false면 이 탭의 세션 레코드만 지움 (자동 잠금)
+ */
+async function lockAppNow(options = {}) {
+    const { allTabs = true } = options;
+    if (!lockState.enabled) return;
+
+    const formType = getCurrentFormType();
+    if (formType && lockState.key) saveFormData(formType);
+    await lockState.writes;
+
+    if (allTabs) {
+        sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+        await deleteSessionKeys();
+    } else {
+        await clearLockSession();
+    }
+    lockState.key = null;
+    lockState.session = null;
+    lockState.cache.clear();
+    console.log('[앱 잠금] 잠금');
+    window.location.reload();
+}
+
+/**
+ * 세션의 마지막 조작 시각 기록 (sessionStorage와 세션 레코드)
+ * @param {number} now - 조작 시각
+ */
+function recordSessionActivity(now) {
+    if (!lockState.session) return;
+    lockState.session.lastActivity = now;
+
+    const session = readLockSession();
+    if (!session || session.id !== lockState.session.id) return;
+    session.lastActivity = now;
+    sessionStorage.setItem(LOCK_CONFIG.sessionKey, JSON.stringify(session));
+    saveSessionRecord(lockState.session);
+}
+
+function recordActivity() {
+    const now = Date.now();
+    if (now - lockState.lastActivity < LOCK_CONFIG.activityThrottle) return;
+    lockState.lastActivity = now;
+
+    if (!lockState.key) return;
+    recordSessionActivity(now);
+}
+
+function checkAutoLock() {
+    if (!lockState.enabled || !lockState.key) return;
+
+    if (!lockState.session || isSessionExpired(lockState.session)) {
+        lockAppNow({ allTabs: false });
+    }
+}
+
+/**
+ * 조작 감지 + 자동 잠금 확인 시작 (화면이 다시 보일 때도 확인)
+ */
+function startAutoLockWatch() {
+    if (lockState.watchId) return;
+
+    LOCK_CONFIG.activityEvents.forEach(type => {
+        document.addEventListener(type, recordActivity, { capture: true, passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkAutoLock();
+    });
+    lockState.watchId = setInterval(checkAutoLock, LOCK_CONFIG.checkInterval);
+}
+
+// ==========================================================================
+// 잠금 화면
+// ==========================================================================
+
+/**
+ * 잠금 화면 표시 (페이지 내용을 가리고 PIN 입력)
+ */
+function showLockScreen() {
+    if (document.getElementById(LOCK_CONFIG.overlayId)) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = LOCK_CONFIG.overlayId;
+    overlay.innerHTML = `
+        <div class="fixed inset-0 bg-slate-900 z-[300] flex items-center justify-center p-4">
+            <form class="bg-slate-800 border border-slate-700 rounded-2xl p-6 max-w-sm w-full animate-fade-in" novalidate>
+                <p class="text-4xl text-center mb-2">🔒</p>
+                <h2 class="text-white text-lg font-bold text-center">DoroFill 잠김</h2>
+                <p class="text-slate-400 text-sm text-center mt-1 mb-4">PIN 또는 비밀번호를 입력하세요</p>
+                <input type="password" name="pin" autocomplete="current-password" aria-label="PIN"
+                    class="w-full px-4 py-3 rounded-xl bg-slate-900 border border-slate-600 text-white text-center text-lg tracking-widest">
+                <p data-role="error" class="text-red-400 text-sm text-center mt-2" hidden></p>
+                <button type="submit" class="w-full mt-4 py-3 bg-primary-500 hover:bg-primary-600 text-white font-medium rounded-xl transition-colors">
+                    잠금 해제
+                </button>
+                <button type="button" data-action="wipe" class="w-full mt-4 text-xs text-slate-400 underline">
+                    PIN을 잊었나요? 개인정보를 지우고 초기화
+                </button>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const input = form.elements.pin;
+    const errorText = overlay.querySelector('[data-role="error"]');
+    const submitButton = form.querySelector('button[type="submit"]');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!input.value) return;
+
+        submitButton.disabled = true;
+        errorText.hidden = true;
+        try {
+            await unlockApp(input.value);
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.hidden = false;
+            input.value = '';
+            input.focus();
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    overlay.querySelector('[data-action="wipe"]').addEventListener('click', () => {
+        if (!confirm('PIN 없이는 암호화된 데이터를 열 수 없습니다.\n\n사건 대장, 증거 사진, 작성 중인 문서, API 키를 모두 지우고 잠금을 끄시겠습니까?')) return;
+        wipeLockedData();
+    });
+
+    input.focus();
+}
+
+/**
+ * PIN을 잊었을 때: 암호화된 데이터와 잠금 설정을 지우고 새로 시작
+ */
+async function wipeLockedData() {
+    LOCK_CONFIG.protectedKeys.forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(LOCK_CONFIG.storageKey);
+    sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+    await clearLockStore();
+
+    try {
+        for (const storeName of getEncryptedStoreNames()) {
+            await dbClear(storeName);
+        }
+    } catch (error) {
+        console.error('[앱 잠금] 데이터 삭제 실패:', error);
+    }
+
+    window.location.reload();
+}
+
+// ==========================================================================
+// 설정 (켜기 / 끄기 / PIN 변경)
+// ==========================================================================
+
+/**
+ * 앱 잠금 켜기 - 데이터 키를 만들고 기존 데이터를 모두 암호화
+ * @param {string} pin - 새 PIN
+ * @param {number} [autoLockMinutes] - 자동 잠금 시간 (분)
+ * @returns {Promise<number>} 암호화한 사건·사진 레코드 수
+ */
+async function enableAppLock(pin, autoLockMinutes = LOCK_CONFIG.autoLockMinutes) {
+    validatePin(pin);
+    if (lockState.enabled) {
+        throw new Error('이미 앱 잠금이 켜져 있습니다');
+    }
+
+    // 감싸려면 추출 가능해야 하므로 새 키는 감싸는 데만 쓰고, 사용할 키는 createLockSession이 추출 불가로 다시 꺼냄
+    const dataKey = await getSubtleCrypto().generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const meta = {
+        version: 1,
+        ...(await wrapDataKey(dataKey, pin)),
+        autoLockMinutes: Number(autoLockMinutes) || LOCK_CONFIG.autoLockMinutes,
+        failedAttempts: 0,
+        createdAt: new Date().toISOString()
+    };
+    writeLockMeta(meta);
+    await clearLockStore();
+
+    lockState.enabled = true;
+    await startUnlockedSession(await createLockSession(dataKey));
+
+    const count = await rewriteEncryptedStores();
+    await lockState.writes;
+    console.log(`[앱 잠금] 켜짐 - 레코드 ${count}건 암호화`);
+    return count;
+}
+
+/**
+ * 앱 잠금 끄기 - 모든 데이터를 평문으로 되돌림
+ * @param {string} pin - 현재 PIN
+ * @returns {Promise<number>} 복호화한 사건·사진 레코드 수
+ * @throws {Error} PIN이 틀린 경우
+ */
+async function disableAppLock(pin) {
+    const meta = readLockMeta();
+    if (!meta || !lockState.key) return 0;
+
+    if (!(await unwrapDataKey(pin, meta))) {
+        throw new Error('PIN이 맞지 않습니다');
+    }
+
+    await lockState.writes;
+
+    // 이후 쓰기는 평문 (복호화에는 아직 메모리의 키 사용)
+    lockState.enabled = false;
+    const count = await rewriteEncryptedStores();
+    lockState.cache.forEach((value, key) => {
+        if (LOCK_CONFIG.lockOnlyKeys.includes(key)) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+    });
+
+    localStorage.removeItem(LOCK_CONFIG.storageKey);
+    sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+    await clearLockStore();
+    lockState.key = null;
+    lockState.session = null;
+    lockState.cache.clear();
+
+    console.log(`[앱 잠금] 꺼짐 - 레코드 ${count}건 복호화`);
+    return count;
+}
+
+/**
+ * PIN 변경 (데이터는 다시 암호화하지 않음)
+ * @param {string} currentPin - 현재 PIN
+ * @param {string} newPin - 새 PIN
+ * @throws {Error} 현재 PIN이 틀리거나 새 PIN이 짧은 경우
+ */
+async function changeAppLockPin(currentPin, newPin) {
+    validatePin(newPin);
+    const meta = readLockMeta();
+    if (!meta) {
+        throw new Error('앱 잠금이 꺼져 있습니다');
+    }
+
+    const key = await unwrapDataKey(currentPin, meta, true);
+    if (!key) {
+        throw new Error('현재 PIN이 맞지 않습니다');
+    }
+
+    writeLockMeta({ ...meta, ...(await wrapDataKey(key, newPin)), failedAttempts: 0 });
+    console.log('[앱 잠금] PIN 변경');
+}
+
+/**
+ * 자동 잠금 시간 변경
+ * @param {number} minutes - 분
+ */
+function setAutoLockMinutes(minutes) {
+    const meta = readLockMeta();
+    if (!meta) return;
+    meta.autoLockMinutes = Number(minutes) || LOCK_CONFIG.autoLockMinutes;
+    writeLockMeta(meta);
+}
+
+/**
+ * 잠금 상태
+ * @returns {Object} { enabled, unlocked, autoLockMinutes, weakPin }
+ */
+function getAppLockStatus() {
+    const meta = readLockMeta();
+    return {
+        enabled: lockState.enabled,
+        unlocked: !lockState.enabled || !!lockState.key,
+        autoLockMinutes: getAutoLockMinutes(),
+        // 이전 기준(숫자 4자리 등)으로 정한 PIN - 변경 안내
+        weakPin: lockState.enabled && !!meta && meta.pinPolicy !== LOCK_CONFIG.pinPolicyVersion
+    };
+}
+
+/**
+ * 잠금 설정만 지우기 (설정 화면의 전체 초기화에서 데이터와 함께 호출)
+ */
+function resetAppLock() {
+    localStorage.removeItem(LOCK_CONFIG.storageKey);
+    sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+    clearLockStore();
+    lockState.enabled = false;
+    lockState.key = null;
+    lockState.session = null;
+    lockState.cache.clear();
+}
+
+// ==========================================================================
+// 초기화
+// ==========================================================================
+
+function initializeAppLock() {
+    if (typeof setDbCodec === 'function') {
+        setDbCodec({ encode: encodeLockedRecord, decode: decodeLockedRecord });
+    }
+
+    if (!readLockMeta()) {
+        // 실패 횟수는 남겨 둠 (잠금 설정을 지웠다 되살려 대기를 풀 수 없도록)
+        sessionStorage.removeItem(LOCK_CONFIG.sessionKey);
+        deleteSessionKeys();
+        resolveUnlocked();
+        return;
+    }
+
+    lockState.enabled = true;
+
+    // 탭을 닫아 주인이 없어진 세션 레코드도 자동 잠금 시간이 지나면 지움
+    // (이전 버전이 CryptoKey를 그대로 넣어 둔 레코드는 바로 지움)
+    deleteSessionKeys(record => !record.wrappedKey || isSessionExpired(record));
+
+    const session = readLockSession();
+    if (session && !isSessionExpired(session)) {
+        resumeLockSession(session).catch(error => {
+            console.warn('[앱 잠금] 이전 화면의 잠금 해제 상태를 이어받지 못했습니다:', error);
+            clearLockSession();
+            showLockScreen();
+        });
+    } else {
+        clearLockSession();
+        showLockScreen();
+    }
+}
+
+initializeAppLock();
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.AppLock = {
+    // 잠금
+    unlock: unlockApp,
+    lock: lockAppNow,
+    whenUnlocked: () => unlockedPromise,
+    getStatus: getAppLockStatus,
+
+    // 보호 localStorage 값
+    getItem: getProtectedItem,
+    setItem: setProtectedItem,
+    removeItem: removeProtectedItem,
+
+    // 설정
+    enable: enableAppLock,
+    disable: disableAppLock,
+    changePin: changeAppLockPin,
+    setAutoLockMinutes,
+    reset: resetAppLock,
+    config: LOCK_CONFIG
+};
+
+console.log('app-lock.js 로드 완료');
@@ -8,7 +8,8 @@
 // ==========================================================================
 const APP_CONFIG = {
     appName: 'DoroFill',
-    version: '1.0.0',
+    // 배포 파일을 바꾸면 올리기 - 서비스 워커 캐시 이름이 이 버전을 따름 (sw.js 참고)
+    version: '1.1.15',
     storagePrefix: 'dorofill_',
 };
 
@@ -24,6 +25,48 @@ function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Escape HTML special characters (for displaying user input)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 바이트 배열을 Base64 문자열로 (암호문, 사진을 JSON에 넣을 때)
+ * @param {ArrayBuffer|Uint8Array} bytes - 바이트
+ * @returns {string} Base64 문자열
+ */
+function bytesToBase64(bytes) {
+    const array = new Uint8Array(bytes);
+    let binary = '';
+    // 큰 배열에서 인자 개수 초과 방지
+    for (let i = 0; i < array.length; i += 0x8000) {
+        binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Base64 문자열을 바이트 배열로
+ * @param {string} text - Base64 문자열
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
 /**
  * Format date to Korean format
  * @param {Date} date - Date object
@@ -168,7 +211,7 @@ function clearOldStorageData() {
             if (!key.startsWith(APP_CONFIG.storagePrefix)) continue;
 
             try {
-                const data = JSON.parse(localStorage.getItem(key));
+                const data = JSON.parse(getSecureItem(key));
                 // _savedAt 필드가 있고 1주일이 지난 경우 삭제 대상
                 if (data && data._savedAt && new Date(data._savedAt).getTime() < oneWeekAgo) {
                     keysToRemove.push(key);
@@ -179,7 +222,7 @@ function clearOldStorageData() {
             }
         }
 
-        keysToRemove.forEach(key => localStorage.removeItem(key));
+        keysToRemove.forEach(key => removeSecureItem(key));
 
         if (keysToRemove.length > 0) {
             console.log(`[스토리지] ${keysToRemove.length}개 오래된 데이터 삭제됨`);
@@ -205,8 +248,7 @@ function saveToStorage(key, data) {
         }
 
         const jsonData = JSON.stringify(data);
-        localStorage.setItem(fullKey, jsonData);
-        return true;
+        return setSecureItem(fullKey, jsonData);
 
     } catch (error) {
         // 용량 초과 에러 처리
@@ -221,8 +263,7 @@ function saveToStorage(key, data) {
             // 재시도
             try {
                 const fullKey = APP_CONFIG.storagePrefix + key;
-                localStorage.setItem(fullKey, JSON.stringify(data));
-                return true;
+                return setSecureItem(fullKey, JSON.stringify(data));
             } catch (retryError) {
                 console.error('[스토리지] 재시도 실패:', retryError);
                 if (typeof showToast === 'function') {
@@ -246,7 +287,7 @@ function saveToStorage(key, data) {
 function loadFromStorage(key, defaultValue = null) {
     try {
         const fullKey = APP_CONFIG.storagePrefix + key;
-        const data = localStorage.getItem(fullKey);
+        const data = getSecureItem(fullKey);
         return data ? JSON.parse(data) : defaultValue;
     } catch (error) {
         console.error('Failed to load from storage:', error);
@@ -261,7 +302,7 @@ function loadFromStorage(key, defaultValue = null) {
 function removeFromStorage(key) {
     try {
         const fullKey = APP_CONFIG.storagePrefix + key;
-        localStorage.removeItem(fullKey);
+        removeSecureItem(fullKey);
     } catch (error) {
         console.error('Failed to remove from storage:', error);
     }
@@ -280,6 +321,70 @@ function clearAllStorage() {
     }
 }
 
+// ==========================================================================
+// 개인정보 저장 (앱 잠금 시 암호화)
+// ==========================================================================
+
+/**
+ * 개인정보가 담긴 localStorage 값 읽기
+ * 앱 잠금(app-lock.js)이 켜져 있으면 복호화된 값을 돌려줍니다. (잠겨 있으면 null)
+ * @param {string} key - localStorage 키
+ * @returns {string|null}
+ */
+function getSecureItem(key) {
+    if (typeof AppLock !== 'undefined') return AppLock.getItem(key);
+    return localStorage.getItem(key);
+}
+
+/**
+ * 개인정보가 담긴 localStorage 값 저장 (앱 잠금 시 암호화)
+ * @param {string} key - localStorage 키
+ * @param {string} value - 저장할 값
+ * @returns {boolean} 저장 여부 (잠겨 있으면 false)
+ */
+function setSecureItem(key, value) {
+    if (typeof AppLock !== 'undefined') return AppLock.setItem(key, value);
+    localStorage.setItem(key, value);
+    return true;
+}
+
+/**
+ * 개인정보가 담긴 localStorage 값 삭제
+ * @param {string} key - localStorage 키
+ */
+function removeSecureItem(key) {
+    if (typeof AppLock !== 'undefined') {
+        AppLock.removeItem(key);
+    } else {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * 개인정보를 읽을 수 있을 때까지 대기 (앱 잠금이 켜져 있으면 PIN 입력 후)
+ * @returns {Promise<void>}
+ */
+function whenStorageUnlocked() {
+    if (typeof AppLock !== 'undefined') return AppLock.whenUnlocked();
+    return Promise.resolve();
+}
+
+/**
+ * Blob을 파일로 내려받기 (JSON, CSV 등 PDF 이외 파일)
+ * @param {Blob} blob - 파일 내용
+ * @param {string} filename - 파일명 (확장자 포함)
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ==========================================================================
 // Toast Notification
 // ==========================================================================
@@ -884,7 +989,7 @@ function saveFormData(formType) {
         // 타임스탬프 추가
         data._savedAt = new Date().toISOString();
 
-        localStorage.setItem(key, JSON.stringify(data));
+        if (!setSecureItem(key, JSON.stringify(data))) return false;
         console.log(`[자동 저장] ${new Date().toLocaleTimeString()}`);
         return true;
     } catch (error) {
@@ -939,7 +1044,7 @@ function getSavedFormData(formType) {
 
     try {
         const key = getAutoSaveKey(formType);
-        const savedData = localStorage.getItem(key);
+        const savedData = getSecureItem(key);
 
         if (!savedData) return null;
 
@@ -1056,7 +1161,7 @@ function clearSavedFormData(formType) {
 
     try {
         const key = getAutoSaveKey(formType);
-        localStorage.removeItem(key);
+        removeSecureItem(key);
         console.log('[자동 저장] 데이터 삭제됨');
     } catch (error) {
         console.error('[자동 저장] 삭제 실패:', error);
@@ -1132,7 +1237,10 @@ const SHARED_DATA_KEY = 'dorofill_shared_report';
  */
 const SHARED_FIELDS = {
     // 기본 정보
-    basic: ['reportDatetime', 'reportLocation', 'vehicleType', 'plateNumber'],
+    basic: ['reportDatetime', 'reportLocation', 'checkpointName', 'vehicleType', 'plateNumber'],
+
+    // 적발 지점 GPS 좌표 (checkpoint-locations.js)
+    coordinates: ['reportLatitude', 'reportLongitude', 'reportLocationAccuracy'],
 
     // 차량규격
     dimensions: [
@@ -1151,7 +1259,13 @@ const SHARED_FIELDS = {
     },
 
     // 총중량
-    totalWeight: ['totalWeightMeasured', 'totalWeightViolation']
+    totalWeight: ['totalWeightMeasured', 'totalWeightViolation'],
+
+    // 위반내역 수정 기록 (violation-rules.js)
+    overrides: ['violationOverrides'],
+
+    // 차량 구성 (연축) / 운행허가 (violation-rules.js)
+    getVehicleConfigFields: () => typeof ViolationRules !== 'undefined' ? ViolationRules.configFields : []
 };
 
 /**
@@ -1161,54 +1275,48 @@ const SHARED_FIELDS = {
 function getAllSharedFields() {
     return [
         ...SHARED_FIELDS.basic,
+        ...SHARED_FIELDS.coordinates,
         ...SHARED_FIELDS.dimensions,
         ...SHARED_FIELDS.getAxleFields(),
-        ...SHARED_FIELDS.totalWeight
+        ...SHARED_FIELDS.totalWeight,
+        ...SHARED_FIELDS.overrides,
+        ...SHARED_FIELDS.getVehicleConfigFields()
     ];
 }
 
 /**
- * 적발 보고서 데이터를 진술서에서 사용할 수 있도록 저장
- * PDF 생성 성공 시 호출됨
+ * 적발 보고서 폼 데이터를 HTML 요소 ID 기준 키로 정규화
+ * collectFormData('report')는 datetime/location 키를 사용하므로 변환
  * @param {Object} formData - 적발 보고서 폼 데이터
+ * @returns {Object} 정규화된 폼 데이터
  */
-function saveReportForSharing(formData) {
-    try {
-        const sharedData = {
-            // 기본 정보
-            datetime: formData.datetime || formData.reportDatetime,
-            location: formData.location || formData.reportLocation,
-            vehicleType: formData.vehicleType,
-            plateNumber: formData.plateNumber,
-
-            // 차량규격
-            widthMeasured: formData.widthMeasured,
-            heightMeasured: formData.heightMeasured,
-            lengthMeasured: formData.lengthMeasured,
-            widthViolation: formData.widthViolation,
-            heightViolation: formData.heightViolation,
-            lengthViolation: formData.lengthViolation,
-            widthAllowed: formData.widthAllowed,
-            heightAllowed: formData.heightAllowed,
-            lengthAllowed: formData.lengthAllowed,
-
-            // 메타데이터
-            _sharedAt: new Date().toISOString(),
-            _source: 'report'
-        };
-
-        // 축하중 복사
-        for (let i = 1; i <= 8; i++) {
-            sharedData[`axle${i}Measured`] = formData[`axle${i}Measured`];
-            sharedData[`axle${i}Violation`] = formData[`axle${i}Violation`];
-        }
+function normalizeReportFormData(formData) {
+    const { datetime, location, ...rest } = formData;
+    return {
+        ...rest,
+        reportDatetime: formData.reportDatetime || datetime || '',
+        reportLocation: formData.reportLocation || location || ''
+    };
+}
 
-        // 총중량
-        sharedData.totalWeightMeasured = formData.totalWeightMeasured;
-        sharedData.totalWeightViolation = formData.totalWeightViolation;
+/**
+ * 적발 보고서 데이터를 진술서에서 사용할 수 있도록 저장
+ * PDF 생성 성공 시 호출됨 - 현재 사건을 'PDF 생성됨' 상태로 사건 대장에 기록
+ * @param {Object} formData - 적발 보고서 폼 데이터
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function saveReportForSharing(formData) {
+    if (typeof CaseStore === 'undefined') {
+        console.warn('[데이터 공유] case-store.js가 로드되지 않았습니다.');
+        return false;
+    }
 
-        localStorage.setItem(SHARED_DATA_KEY, JSON.stringify(sharedData));
-        console.log('[데이터 공유] 적발 보고서 데이터 저장됨');
+    try {
+        const record = await CaseStore.saveForm(normalizeReportFormData(formData), undefined, {
+            status: CaseStore.STATUS.GENERATED,
+            force: true
+        });
+        console.log('[데이터 공유] 적발 보고서 데이터 저장됨:', record.id);
 
         return true;
     } catch (error) {
@@ -1218,12 +1326,12 @@ function saveReportForSharing(formData) {
 }
 
 /**
- * 공유된 적발 보고서 데이터 가져오기
+ * 이전 버전의 단일 슬롯 공유 데이터 가져오기 (사건 대장 이관용)
  * @returns {Object|null} 공유된 데이터 또는 null
  */
 function getSharedReportData() {
     try {
-        const savedData = localStorage.getItem(SHARED_DATA_KEY);
+        const savedData = getSecureItem(SHARED_DATA_KEY);
         if (!savedData) return null;
         return JSON.parse(savedData);
     } catch (error) {
@@ -1233,54 +1341,45 @@ function getSharedReportData() {
 }
 
 /**
- * 공유된 적발 보고서 데이터 존재 여부 확인
- * @returns {boolean} 데이터 존재 여부
+ * 불러올 수 있는 적발 건 존재 여부 확인
+ * @returns {Promise<boolean>} 데이터 존재 여부
  */
-function hasSharedReportData() {
-    return getSharedReportData() !== null;
+async function hasSharedReportData() {
+    if (typeof CaseStore === 'undefined') return false;
+    const records = await CaseStore.list();
+    return records.length > 0;
 }
 
 /**
- * 공유된 적발 보고서 데이터를 진술서 폼에 불러오기
- * statement.html의 [최근 적발 건 불러오기] 버튼에서 호출
- * @returns {boolean} 성공 여부
+ * 사건 대장의 적발 건을 진술서 폼에 불러오기
+ * statement.html의 [적발 건 불러오기] 버튼에서 호출
+ * @param {string} [caseId] - 불러올 사건 ID (생략 시 가장 최근 PDF 생성 건)
+ * @returns {Promise<boolean>} 성공 여부
  */
-function loadSharedReportData() {
-    const savedData = getSharedReportData();
-
-    if (!savedData) {
-        showToast('불러올 적발 보고서 데이터가 없습니다.', 'warning');
+async function loadSharedReportData(caseId = null) {
+    if (typeof CaseStore === 'undefined') {
+        showToast('사건 대장을 사용할 수 없습니다.', 'error');
         return false;
     }
 
     try {
-        let loadedCount = 0;
-
-        // 기본 정보 매핑 (저장된 키 → HTML 요소 ID)
-        const fieldMappings = {
-            'datetime': 'reportDatetime',
-            'location': 'reportLocation',
-            'vehicleType': 'vehicleType',
-            'plateNumber': 'plateNumber'
-        };
+        let record = null;
+        if (caseId) {
+            record = await CaseStore.get(caseId);
+        } else {
+            const generated = await CaseStore.list({ status: CaseStore.STATUS.GENERATED });
+            record = generated[0] || null;
+        }
 
-        // 기본 정보 채우기
-        Object.entries(fieldMappings).forEach(([sourceKey, targetId]) => {
-            const element = document.getElementById(targetId);
-            if (element && savedData[sourceKey]) {
-                element.value = savedData[sourceKey];
-                loadedCount++;
-            }
-        });
+        if (!record) {
+            showToast('불러올 적발 보고서 데이터가 없습니다.', 'warning');
+            return false;
+        }
 
-        // 나머지 공유 필드 채우기
-        getAllSharedFields().forEach(fieldId => {
-            const element = document.getElementById(fieldId);
-            if (element && savedData[fieldId]) {
-                element.value = savedData[fieldId];
-                loadedCount++;
-            }
-        });
+        const loadedCount = CaseStore.fillForm(record, getAllSharedFields());
+
+        // 진술서도 같은 사건에 이어서 저장
+        CaseStore.setCurrentId(record.id);
 
         // 복원 후 계산 트리거
         setTimeout(() => {
@@ -1288,13 +1387,8 @@ function loadSharedReportData() {
         }, 100);
 
         // 저장 시간 정보 표시
-        if (savedData._sharedAt) {
-            const sharedDate = new Date(savedData._sharedAt);
-            const timeStr = sharedDate.toLocaleString('ko-KR');
-            showToast(`${loadedCount}개 필드를 불러왔습니다. (${timeStr})`, 'success');
-        } else {
-            showToast(`적발 보고서 데이터를 불러왔습니다. (${loadedCount}개 필드)`, 'success');
-        }
+        const timeStr = new Date(record._savedAt).toLocaleString('ko-KR');
+        showToast(`${loadedCount}개 필드를 불러왔습니다. (${timeStr})`, 'success');
 
         return true;
 
@@ -1310,7 +1404,7 @@ function loadSharedReportData() {
  */
 function clearSharedReportData() {
     try {
-        localStorage.removeItem(SHARED_DATA_KEY);
+        removeSecureItem(SHARED_DATA_KEY);
         console.log('[데이터 공유] 공유 데이터 삭제됨');
     } catch (error) {
         console.error('[데이터 공유] 삭제 실패:', error);
@@ -1341,27 +1435,84 @@ function getSharedDataInfo() {
 /** 현재 선택된 PDF 템플릿 파일 (전역) */
 let currentPdfTemplate = null;
 
+/** 템플릿 보관함의 기본 템플릿 (파일을 따로 고르지 않았을 때 사용) */
+let defaultPdfTemplate = null;
+
 /** 템플릿 설정 */
 const PDF_TEMPLATE_CONFIG = {
     storageKey: 'dorofill_last_template',
     inputId: 'pdfTemplateFile',
-    statusId: 'templateStatus'
+    statusId: 'templateStatus',
+    // 템플릿이 바뀌면 document에 발생하는 이벤트 (detail: { file })
+    changeEvent: 'dorofill:templatechange'
 };
 
 /**
- * 현재 선택된 PDF 템플릿 가져오기
+ * 현재 사용할 PDF 템플릿 가져오기
+ * 이번에 선택한 파일이 없으면 보관함의 기본 템플릿을 사용
  * @returns {File|null} 템플릿 파일 또는 null
  */
 function getCurrentPdfTemplate() {
-    return currentPdfTemplate;
+    return currentPdfTemplate || defaultPdfTemplate;
 }
 
 /**
- * PDF 템플릿이 선택되었는지 확인
- * @returns {boolean} 선택 여부
+ * 사용할 PDF 템플릿이 있는지 확인
+ * @returns {boolean} 템플릿 여부
  */
 function hasPdfTemplate() {
-    return currentPdfTemplate !== null;
+    return getCurrentPdfTemplate() !== null;
+}
+
+/**
+ * 템플릿 변경 알림 (페이지 스크립트에서 AI 분석 영역 등 갱신용)
+ */
+function notifyPdfTemplateChange() {
+    document.dispatchEvent(new CustomEvent(PDF_TEMPLATE_CONFIG.changeEvent, {
+        detail: { file: getCurrentPdfTemplate() }
+    }));
+}
+
+/**
+ * 보관함에서 문서 종류의 기본 템플릿 불러오기
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @returns {Promise<File|null>} 기본 템플릿 파일
+ */
+async function loadDefaultPdfTemplate(docType) {
+    if (!docType || typeof TemplateStore === 'undefined') return null;
+
+    try {
+        defaultPdfTemplate = await TemplateStore.getDefaultFile(docType);
+    } catch (error) {
+        console.warn('[템플릿] 기본 템플릿 불러오기 실패:', error);
+        defaultPdfTemplate = null;
+    }
+
+    if (defaultPdfTemplate && !currentPdfTemplate) {
+        updateTemplateStatus('selected', `기본 템플릿 사용: ${defaultPdfTemplate.name}`);
+        notifyPdfTemplateChange();
+        console.log('[템플릿] 기본 템플릿:', defaultPdfTemplate.name);
+    }
+
+    return defaultPdfTemplate;
+}
+
+/**
+ * 선택한 PDF 파일을 템플릿 보관함에 저장
+ * 기본 템플릿이 없는 문서 종류는 이 파일이 기본 템플릿이 됩니다.
+ * 저장에 실패해도 이번 PDF 생성에는 지장이 없으므로 경고만 남깁니다.
+ * @param {File} file - PDF 파일
+ * @returns {Promise<Object|null>} 템플릿 레코드
+ */
+async function rememberPdfTemplate(file) {
+    if (!file || typeof TemplateStore === 'undefined') return null;
+
+    try {
+        return await TemplateStore.add(file);
+    } catch (error) {
+        console.warn('[템플릿] 보관함 저장 실패:', error);
+        return null;
+    }
 }
 
 /**
@@ -1448,6 +1599,14 @@ function initializePdfTemplateHandler() {
 
         showToast('PDF 템플릿이 선택되었습니다.', 'success');
         console.log('[템플릿] 선택됨:', file.name, `(${(file.size / 1024).toFixed(1)}KB)`);
+        notifyPdfTemplateChange();
+
+        // 템플릿 보관함에 저장 (다음부터는 선택하지 않아도 기본 템플릿으로 사용)
+        rememberPdfTemplate(file).then(record => {
+            if (record && currentPdfTemplate === file) {
+                updateTemplateStatus('selected', `${file.name} 선택됨 (${record.pageCount}페이지, 보관함에 저장됨)`);
+            }
+        });
     });
 
     // 마지막 사용 템플릿 힌트 표시
@@ -1468,7 +1627,13 @@ function clearPdfTemplate() {
     currentPdfTemplate = null;
     const input = document.getElementById(PDF_TEMPLATE_CONFIG.inputId);
     if (input) input.value = '';
-    updateTemplateStatus('hint', '새 템플릿을 선택해주세요');
+
+    if (defaultPdfTemplate) {
+        updateTemplateStatus('selected', `기본 템플릿 사용: ${defaultPdfTemplate.name}`);
+    } else {
+        updateTemplateStatus('hint', '새 템플릿을 선택해주세요');
+    }
+    notifyPdfTemplateChange();
 }
 
 // ==========================================================================
@@ -1524,7 +1689,7 @@ async function handleReportPdfGeneration(e) {
         }
 
         // 6. 성공 후 처리
-        saveReportForSharing(formData);  // 진술서에서 사용할 수 있도록 저장
+        await saveReportForSharing(formData);  // 사건 대장에 기록 (진술서에서 불러오기용)
         clearSavedFormData('report');     // 자동 저장 데이터 삭제
 
         hideLoading();
@@ -1605,11 +1770,15 @@ async function handleStatementPdfGeneration(e) {
  * PDF 생성 버튼 이벤트 연결 초기화
  */
 function initializePdfGenerationButtons() {
+    // 페이지 스크립트가 직접 처리하는 버튼(data-pdf-handler="page")은 건너뜀
+    // (같은 클릭에 PDF가 두 번 생성되는 것 방지)
+    const isPageHandled = btn => btn.dataset.pdfHandler === 'page';
+
     // report.html의 PDF 생성 버튼들 (여러 가능한 ID 지원)
     const reportPdfBtnIds = ['btn-generate-pdf', 'generateReportPdfBtn', 'btn-generate-report-pdf'];
     reportPdfBtnIds.forEach(id => {
         const btn = document.getElementById(id);
-        if (btn) {
+        if (btn && !isPageHandled(btn)) {
             btn.addEventListener('click', handleReportPdfGeneration);
             console.log(`[PDF 버튼] ${id} 연결됨 (report)`);
         }
@@ -1623,7 +1792,7 @@ function initializePdfGenerationButtons() {
     if (formType === 'statement') {
         statementPdfBtnIds.forEach(id => {
             const btn = document.getElementById(id);
-            if (btn) {
+            if (btn && !isPageHandled(btn)) {
                 // 기존 핸들러 제거 후 새 핸들러 연결
                 btn.removeEventListener('click', handleReportPdfGeneration);
                 btn.addEventListener('click', handleStatementPdfGeneration);
@@ -1633,6 +1802,75 @@ function initializePdfGenerationButtons() {
     }
 }
 
+// ==========================================================================
+// Service Worker (PWA / 오프라인)
+// ==========================================================================
+
+/** 서비스 워커 설정 */
+const SERVICE_WORKER_CONFIG = {
+    // 버전이 URL에 포함되므로 APP_CONFIG.version을 올리면 새 캐시로 설치됨
+    url: `sw.js?v=${APP_CONFIG.version}`
+};
+
+/**
+ * 서비스 워커 등록 및 업데이트 감지
+ * file:// 로 열었거나 지원하지 않는 브라우저에서는 건너뜀
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+        console.log('[PWA] 서비스 워커를 사용할 수 없는 환경입니다.');
+        return;
+    }
+
+    navigator.serviceWorker.register(SERVICE_WORKER_CONFIG.url).then(registration => {
+        // 이미 대기 중인 새 버전이 있는 경우
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+
+        // 새 버전 설치 감지
+        registration.addEventListener('updatefound', () => {
+            const newWorker = registration.installing;
+            if (!newWorker) return;
+
+            newWorker.addEventListener('statechange', () => {
+                // 기존 워커가 있을 때만 "업데이트" (최초 설치는 알리지 않음)
+                if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(newWorker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error('[PWA] 서비스 워커 등록 실패:', error);
+    });
+
+    // 새 워커가 활성화되면 한 번만 새로고침
+    let refreshing = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (refreshing) return;
+        refreshing = true;
+        window.location.reload();
+    });
+}
+
+/**
+ * 업데이트 확인 모달 표시
+ * @param {ServiceWorker} worker - 대기 중인 새 서비스 워커
+ */
+function showUpdatePrompt(worker) {
+    if (document.getElementById('confirm-dialog')) return;
+
+    showConfirm(
+        '새 버전이 있습니다. 지금 업데이트하시겠습니까? (페이지가 새로고침됩니다)',
+        () => {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        },
+        () => {
+            showToast('다음에 앱을 열 때 업데이트됩니다.', 'info');
+        }
+    );
+}
+
 // ==========================================================================
 // Initialization
 // ==========================================================================
@@ -1640,6 +1878,9 @@ function initializePdfGenerationButtons() {
 document.addEventListener('DOMContentLoaded', () => {
     console.log(`${APP_CONFIG.appName} v${APP_CONFIG.version} initialized`);
 
+    // 서비스 워커 (오프라인 캐시)
+    registerServiceWorker();
+
     // Set current date/time defaults if needed
     const dateInputs = document.querySelectorAll('input[type="date"]');
     const timeInputs = document.querySelectorAll('input[type="time"]');
@@ -1666,9 +1907,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // 자동 저장/복원 초기화 (report 또는 statement 페이지에서만)
     const formType = getCurrentFormType();
     if (formType) {
-        // 약간의 지연 후 초기화 (다른 스크립트 로드 완료 대기)
+        // 템플릿 보관함의 기본 템플릿 (매번 파일을 고르지 않도록)
+        loadDefaultPdfTemplate(formType);
+
+        // 약간의 지연 후 초기화 (다른 스크립트 로드 완료 대기, 앱 잠금이 켜져 있으면 PIN 입력 후)
         setTimeout(() => {
-            initializeAutoSave(formType);
+            whenStorageUnlocked().then(() => initializeAutoSave(formType));
         }, 500);
     }
 });
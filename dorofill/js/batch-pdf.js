@@ -0,0 +1,352 @@
+/**
+ * DoroFill - Batch PDF
+ * 여러 사건의 PDF 일괄 생성 (근무 종료 후 한 번에 출력)
+ *
+ * 선택한 사건마다 보고서/진술서/통합 문서를 파일 다운로드 없이 채운 뒤
+ * - 병합: PDF 한 파일 (맨 앞에 사건 목록과 시작 쪽을 적은 표지)
+ * - ZIP: 사건별 PDF를 "번호_문서_차량번호_적발일.pdf" 이름으로 묶은 파일
+ * 로 내려받습니다.
+ *
+ * 한 건이 실패해도 나머지는 계속 만들고, 실패한 사건과 사유는 결과(오류 보고)로 돌려줍니다.
+ * (병합 파일은 표지에, ZIP은 오류_보고.txt에도 기록)
+ * 파일을 내려받은 뒤 PDF를 만든 작성 중 사건을 'PDF 생성됨'으로 바꿉니다. (종결한 사건은 그대로)
+ * 진술 작성일은 출력하는 날이 아니라 사건에 남은 날짜(처음 PDF를 만든 날, 없으면 적발일)를 씁니다.
+ *
+ * 의존성:
+ * - pdf-lib (lib/)
+ * - pdf-handler.js (buildCasePdf, downloadPdf, addTextToPdf, getPdfWarnings)
+ * - case-store.js, evidence-photos.js, violation-rules.js, template-store.js
+ * - zip-writer.js (ZIP 출력)
+ * - app.js (whenStorageUnlocked, downloadBlob)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const BATCH_PDF_CONFIG = {
+    // 문서 종류별 파일 이름
+    fileLabels: {
+        combined: '적발서류',
+        report: '적발보고서',
+        statement: '위반진술서'
+    },
+    outputs: ['merged', 'zip'],
+    errorReportName: '오류_보고.txt',
+
+    // 표지 (사건 목록)
+    cover: {
+        title: '적발 서류 일괄 출력',
+        rowHeight: 18,
+        rowsFirstPage: 32,  // 제목·요약이 있는 첫 쪽
+        rowsPerPage: 38,
+        // 열 x 위치 (왼쪽 여백 기준 pt)
+        columns: { number: 0, datetime: 28, plate: 128, location: 218, page: 440 }
+    }
+};
+
+/** 일괄 생성 결과 상태 */
+const BATCH_RESULT_STATUS = {
+    OK: 'ok',
+    ERROR: 'error'
+};
+
+// ==========================================================================
+// 사건별 생성
+// ==========================================================================
+
+/**
+ * 사건 한 건의 문서 생성
+ * @param {string} id - 사건 ID
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @param {File} templateFile - PDF 템플릿
+ * @returns {Promise<Object>} { record, pdfDoc }
+ * @throws {Error} 사건이 없거나 위반내역 수정 사유가 없는 경우
+ */
+async function buildBatchCase(id, docType, templateFile) {
+    const record = await CaseStore.get(id);
+    if (!record) {
+        throw new Error('사건을 찾을 수 없습니다.');
+    }
+
+    // 직접 고친 위반내역은 사유가 있어야 출력
+    const missing = ViolationRules.getMissingReasons(record.formData);
+    if (missing.length > 0) {
+        throw new Error(`위반내역 수정 사유가 없습니다 (${missing.join(', ')})`);
+    }
+
+    const photos = docType === 'statement' ? [] : await EvidencePhotos.list(id);
+    const formData = { ...record.formData, statementDate: getBatchStatementDate(record) };
+    const pdfDoc = await buildCasePdf(templateFile, docType, formData, record.witnesses, { photos });
+    return { record, pdfDoc };
+}
+
+/**
+ * 저장된 사건의 진술 작성일 (YYYY-MM-DD)
+ * 처음 PDF를 만든 날, 없으면 적발일 (출력하는 날짜로 바뀌지 않도록)
+ * @param {Object} record - 사건 레코드
+ * @returns {string}
+ */
+function getBatchStatementDate(record) {
+    if (record.formData.statementDate) {
+        return record.formData.statementDate;
+    }
+    if (record.generatedAt) {
+        const generated = new Date(record.generatedAt);
+        return [
+            generated.getFullYear(),
+            String(generated.getMonth() + 1).padStart(2, '0'),
+            String(generated.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+    return (record.formData.reportDatetime || '').slice(0, 10);
+}
+
+/**
+ * 사건별 PDF 파일 이름
+ * @param {number} index - 순번 (0부터)
+ * @param {string} docType - 문서 종류
+ * @param {Object} formData - 폼 데이터
+ * @returns {string}
+ */
+function getBatchFileName(index, docType, formData) {
+    const parts = [
+        String(index + 1).padStart(3, '0'),
+        BATCH_PDF_CONFIG.fileLabels[docType],
+        (formData.plateNumber || '').replace(/\s/g, ''),
+        (formData.reportDatetime || '').slice(0, 10).replace(/-/g, '')
+    ].filter(Boolean);
+    // 파일 이름에 쓸 수 없는 문자 제거
+    return `${parts.join('_').replace(/[\\/:*?"<>|]/g, '')}.pdf`;
+}
+
+// ==========================================================================
+// 표지 (병합 PDF)
+// ==========================================================================
+
+/**
+ * 표지 쪽수
+ * @param {number} rowCount - 사건 수
+ * @returns {number}
+ */
+function getCoverPageCount(rowCount) {
+    const { rowsFirstPage, rowsPerPage } = BATCH_PDF_CONFIG.cover;
+    if (rowCount <= rowsFirstPage) return 1;
+    return 1 + Math.ceil((rowCount - rowsFirstPage) / rowsPerPage);
+}
+
+/**
+ * 병합 PDF 맨 앞에 사건 목록 표지 넣기
+ * @param {PDFLib.PDFDocument} pdfDoc - 병합 문서
+ * @param {Array<Object>} results - 사건별 결과
+ * @param {string} docType - 문서 종류
+ * @returns {Promise<void>}
+ */
+async function insertCoverPages(pdfDoc, results, docType) {
+    const { title, rowHeight, rowsFirstPage, rowsPerPage, columns } = BATCH_PDF_CONFIG.cover;
+    const { margin, fontSize, pageWidth, pageHeight, colors } = PDF_CONFIG;
+    const pageCount = getCoverPageCount(results.length);
+    const failed = results.filter(result => result.status === BATCH_RESULT_STATUS.ERROR).length;
+    const lineColor = PDFLib.rgb(colors.gray.r, colors.gray.g, colors.gray.b);
+    const red = colors.red;
+
+    let index = 0;
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+        const page = pdfDoc.insertPage(pageNo, [pageWidth, pageHeight]);
+        let y = pageHeight - margin.top - fontSize.title;
+
+        if (pageNo === 0) {
+            await addTextToPdf(page, title, margin.left, y, { size: fontSize.title, isBold: true });
+            y -= 24;
+            const summary = [
+                `${BATCH_PDF_CONFIG.fileLabels[docType]} ${results.length}건`,
+                failed > 0 ? `생성 실패 ${failed}건` : '',
+                `출력 ${new Date().toLocaleString('ko-KR')}`
+            ].filter(Boolean).join('   ');
+            await addTextToPdf(page, summary, margin.left, y, { size: fontSize.small });
+            y -= 28;
+        }
+        await addTextToPdf(page, `${pageNo + 1}/${pageCount}`, pageWidth - margin.right - 30, pageHeight - margin.top - fontSize.title, { size: fontSize.small });
+
+        // 머리글
+        const headers = { number: '번호', datetime: '적발 일시', plate: '차량번호', location: '적발 장소', page: '쪽' };
+        for (const [key, text] of Object.entries(headers)) {
+            await addTextToPdf(page, text, margin.left + columns[key], y, { size: fontSize.small, isBold: true });
+        }
+        page.drawLine({
+            start: { x: margin.left, y: y - 5 },
+            end: { x: pageWidth - margin.right, y: y - 5 },
+            thickness: 0.75,
+            color: lineColor
+        });
+        y -= rowHeight;
+
+        const rows = pageNo === 0 ? rowsFirstPage : rowsPerPage;
+        for (let row = 0; row < rows && index < results.length; row++, index++) {
+            const result = results[index];
+            const isError = result.status === BATCH_RESULT_STATUS.ERROR;
+            const text = (key, value, options = {}) => addTextToPdf(page, value, margin.left + columns[key], y, {
+                size: fontSize.small,
+                ...(isError ? { color: red } : {}),
+                ...options
+            });
+
+            await text('number', String(index + 1));
+            await text('datetime', result.datetime || '-');
+            await text('plate', result.plateNumber || '-');
+            await text('location', isError ? `생성 실패: ${result.error}` : (result.location || '-'), {
+                maxWidth: columns.page - columns.location - 8,
+                maxHeight: fontSize.small * TEXT_FIT_CONFIG.lineHeight
+            });
+            if (!isError) {
+                await text('page', `${result.pageStart}~${result.pageStart + result.pageCount - 1}`);
+            }
+            y -= rowHeight;
+        }
+    }
+}
+
+// ==========================================================================
+// 일괄 생성
+// ==========================================================================
+
+/**
+ * 여러 사건의 PDF 일괄 생성
+ *
+ * @param {Array<string>} ids - 사건 ID (이 순서로 생성)
+ * @param {Object} options
+ * @param {string} options.docType - 'report', 'statement', 'combined'
+ * @param {string} options.output - 'merged' (PDF 한 파일) 또는 'zip'
+ * @param {File} options.templateFile - PDF 템플릿
+ * @param {Function} [options.onProgress] - ({ done, total, record }) 한 건 끝날 때마다 호출
+ * @returns {Promise<Object>} { results: [{ id, status, plateNumber, datetime, location, fileName, pageStart, pageCount, warnings, error }], downloaded }
+ * @throws {Error} 템플릿 페이지가 모자라거나 파일을 내려받지 못한 경우 (사건 상태는 바뀌지 않음)
+ */
+async function generateBatchPdf(ids, options) {
+    const { docType, output, templateFile, onProgress } = options;
+    const docDef = TemplateStore.DOC_TYPES[docType];
+    if (!docDef || !BATCH_PDF_CONFIG.outputs.includes(output)) {
+        throw new Error('알 수 없는 문서 종류 또는 출력 형식입니다.');
+    }
+
+    // 템플릿 페이지 수는 한 번만 확인 (모든 사건이 같은 이유로 실패하지 않게)
+    const template = await loadPdfTemplate(templateFile);
+    if (getPageCount(template) < docDef.minPages) {
+        throw new Error(`${docDef.label}에는 ${docDef.minPages}페이지 이상인 템플릿이 필요합니다.`);
+    }
+
+    await whenStorageUnlocked();
+
+    const merged = output === 'merged' ? await PDFLib.PDFDocument.create() : null;
+    const files = [];
+    const results = [];
+    const draftIds = [];  // 내려받은 뒤 'PDF 생성됨'으로 바꿀 사건
+
+    for (const [index, id] of ids.entries()) {
+        const result = { id, status: BATCH_RESULT_STATUS.OK, warnings: [] };
+        try {
+            const { record, pdfDoc } = await buildBatchCase(id, docType, templateFile);
+            const summary = CaseStore.getSummary(record);
+            Object.assign(result, {
+                plateNumber: summary.plateNumber,
+                datetime: summary.datetime,
+                location: summary.location,
+                warnings: getPdfWarnings(pdfDoc),
+                pageCount: getPageCount(pdfDoc)
+            });
+
+            if (merged) {
+                result.pageStart = merged.getPageCount() + 1;
+                const pages = await merged.copyPages(pdfDoc, pdfDoc.getPageIndices());
+                pages.forEach(page => merged.addPage(page));
+            } else {
+                result.fileName = getBatchFileName(index, docType, record.formData);
+                files.push({ name: result.fileName, data: await pdfDoc.save() });
+            }
+
+            if (record.status === CaseStore.STATUS.DRAFT) {
+                draftIds.push(id);
+            }
+        } catch (error) {
+            console.error(`[일괄 PDF] 사건 ${id} 생성 실패:`, error);
+            result.status = BATCH_RESULT_STATUS.ERROR;
+            result.error = error.message;
+
+            // 목록·오류 보고에 쓸 사건 정보
+            const record = await CaseStore.get(id).catch(() => null);
+            if (record) {
+                const summary = CaseStore.getSummary(record);
+                Object.assign(result, { plateNumber: summary.plateNumber, datetime: summary.datetime, location: summary.location });
+            }
+        }
+
+        results.push(result);
+        if (onProgress) onProgress({ done: index + 1, total: ids.length, result });
+    }
+
+    const succeeded = results.filter(result => result.status === BATCH_RESULT_STATUS.OK);
+    if (succeeded.length === 0) {
+        return { results, downloaded: false };
+    }
+
+    const baseName = `${BATCH_PDF_CONFIG.fileLabels[docType]}_일괄`;
+    if (merged) {
+        // 표지 쪽수만큼 시작 쪽을 뒤로
+        const coverPages = getCoverPageCount(results.length);
+        succeeded.forEach(result => { result.pageStart += coverPages; });
+        await insertCoverPages(merged, results, docType);
+        await downloadPdf(merged, baseName);
+    } else {
+        const errorReport = buildBatchErrorReport(results);
+        if (errorReport) {
+            files.push({ name: BATCH_PDF_CONFIG.errorReportName, data: errorReport });
+        }
+        downloadBlob(ZipWriter.create(files), `${baseName}_${getTodayString()}.zip`);
+    }
+
+    // 파일을 내려받은 뒤에만 상태 변경 (병합·ZIP 생성이나 다운로드가 실패하면 작성 중 그대로)
+    for (const id of draftIds) {
+        await CaseStore.setStatus(id, CaseStore.STATUS.GENERATED)
+            .catch(error => console.error(`[일괄 PDF] 사건 ${id} 상태 변경 실패:`, error));
+    }
+
+    console.log(`[일괄 PDF] ${succeeded.length}/${results.length}건 생성 (${output})`);
+    return { results, downloaded: true };
+}
+
+/**
+ * 오류 보고 (텍스트, 실패가 없으면 빈 문자열)
+ * @param {Array<Object>} results - 사건별 결과
+ * @returns {string}
+ */
+function buildBatchErrorReport(results) {
+    const lines = results
+        .map((result, index) => {
+            const name = [result.plateNumber, result.datetime].filter(Boolean).join(' ') || result.id;
+            if (result.status === BATCH_RESULT_STATUS.ERROR) {
+                return `${index + 1}. ${name} - 생성 실패: ${result.error}`;
+            }
+            if (result.warnings.length > 0) {
+                return `${index + 1}. ${name} - 확인 필요: ${result.warnings.join(' / ')}`;
+            }
+            return '';
+        })
+        .filter(Boolean);
+
+    return lines.length > 0 ? lines.join('\r\n') + '\r\n' : '';
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.BatchPdf = {
+    generate: generateBatchPdf,
+    buildErrorReport: buildBatchErrorReport,
+
+    // 설정
+    config: BATCH_PDF_CONFIG,
+    STATUS: BATCH_RESULT_STATUS
+};
+
+console.log('batch-pdf.js 로드 완료');
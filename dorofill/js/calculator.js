@@ -1,31 +1,19 @@
 /**
  * DoroFill - Calculator
  * 자동 계산 로직 (과태료, 날짜 계산 등)
+ *
+ * 과태료 부과기준표와 산정은 penalty-schedule.js에 있습니다.
  */
 
 const CALCULATOR = {
-    // 과태료 기준표 (예시)
-    fineRates: {
-        first: 300000,    // 1차 위반
-        second: 600000,   // 2차 위반
-        third: 1000000    // 3차 이상
-    },
-
     /**
-     * 과태료 계산
-     * @param {number} violationCount - 위반 횟수
-     * @param {number} overweightKg - 초과 중량 (kg)
+     * 과태료 계산 (penalty-schedule.js 기준표 적용)
+     * @param {Object} formData - 폼 데이터 (위반내역, 차량 구성, 측정 불응, 적발 일시)
+     * @param {Object} [options] - PenaltySchedule.calculate 옵션 (priorCount 등)
      * @returns {number} 과태료 금액
      */
-    calculateFine(violationCount, overweightKg = 0) {
-        let baseFine = this.fineRates.first;
-        if (violationCount === 2) baseFine = this.fineRates.second;
-        if (violationCount >= 3) baseFine = this.fineRates.third;
-
-        // 초과 중량에 따른 추가 과태료 (예시)
-        const additionalFine = Math.floor(overweightKg / 1000) * 50000;
-
-        return baseFine + additionalFine;
+    calculateFine(formData, options = {}) {
+        return PenaltySchedule.calculate(formData, options).total;
     },
 
     /**
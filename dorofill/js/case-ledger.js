@@ -0,0 +1,353 @@
+/**
+ * DoroFill - Case Ledger
+ * 적발 대장 내보내기 (CSV / 엑셀)
+ *
+ * 국토관리사무소 월간 보고용으로 사건 대장의 사건을 한 줄씩 표로 만듭니다.
+ * - 적발 일시 기간과 검문소로 거르고, 적발 일시 순으로 정렬
+ * - CSV: UTF-8 BOM을 붙여 엑셀에서 바로 열어도 한글이 깨지지 않음
+ * - XLSX: 브라우저에서 직접 만든 엑셀 파일 (숫자 칸은 숫자로 저장)
+ *
+ * 열 구성은 LEDGER_COLUMNS에서 바꿉니다.
+ * 개인정보를 파기한 사건은 차량번호가 빈 칸으로 나옵니다.
+ *
+ * 의존성:
+ * - case-store.js (사건 목록)
+ * - zip-writer.js (XLSX 묶기)
+ * - app.js (whenStorageUnlocked, downloadBlob, formatDateInput)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const LEDGER_CONFIG = {
+    fileName: 'dorofill-ledger',
+    sheetName: '적발 대장',
+    axleCount: 8,
+    csvMimeType: 'text/csv;charset=utf-8',
+    xlsxMimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * 대장 열 (label: 머리글, field: 폼 데이터 키, type: 'number'면 엑셀에서 숫자 칸)
+ * value 함수가 있으면 field 대신 사용
+ */
+const LEDGER_COLUMNS = [
+    { label: '연번', value: (record, index) => index + 1, type: 'number' },
+    { label: '적발 일시', value: record => (record.formData.reportDatetime || '').replace('T', ' ') },
+    { label: '검문소', field: 'checkpointName' },
+    { label: '적발 위치', field: 'reportLocation' },
+    { label: '차량번호', field: 'plateNumber' },
+    { label: '차종', field: 'vehicleType' },
+    { label: '적재물', field: 'cargo' },
+    { label: '운행경로', field: 'route' },
+    { label: '축수', field: 'axleCount', type: 'number' },
+    ...Array.from({ length: LEDGER_CONFIG.axleCount }, (_, i) => (
+        { label: `${i + 1}축 측정(t)`, field: `axle${i + 1}Measured`, type: 'number' }
+    )),
+    { label: '총중량 측정(t)', value: record => getLedgerGrossMeasured(record.formData), type: 'number' },
+    { label: '너비 측정(m)', field: 'widthMeasured', type: 'number' },
+    { label: '높이 측정(m)', field: 'heightMeasured', type: 'number' },
+    { label: '길이 측정(m)', field: 'lengthMeasured', type: 'number' },
+    ...Array.from({ length: LEDGER_CONFIG.axleCount }, (_, i) => (
+        { label: `${i + 1}축 위반(t)`, field: `axle${i + 1}Violation`, type: 'number' }
+    )),
+    { label: '총중량 위반(t)', field: 'totalWeightViolation', type: 'number' },
+    { label: '너비 위반(m)', field: 'widthViolation', type: 'number' },
+    { label: '높이 위반(m)', field: 'heightViolation', type: 'number' },
+    { label: '길이 위반(m)', field: 'lengthViolation', type: 'number' },
+    { label: '과태료(원)', field: 'fineAmount', type: 'number' },
+    { label: '납부기한', field: 'fineDueDate' },
+    { label: '작성자 소속', field: 'authorOffice' },
+    { label: '작성자', value: record => [record.formData.authorPosition, record.formData.authorName].filter(Boolean).join(' ') },
+    { label: '상태', value: record => (CaseStore.STATUS_LABELS[record.status] || CaseStore.STATUS_LABELS.draft).text }
+];
+
+// ==========================================================================
+// 대장 만들기
+// ==========================================================================
+
+/**
+ * 사건의 적발 날짜 (YYYY-MM-DD, 적발 일시가 없으면 빈 문자열)
+ * @param {Object} record - 사건 레코드
+ * @returns {string}
+ */
+function getLedgerDate(record) {
+    return (record.formData?.reportDatetime || '').slice(0, 10);
+}
+
+/**
+ * 총중량 측정값 (축별 측정값 합계)
+ * 총중량 칸은 화면에서 계산만 하고 사건에 저장하지 않으므로 축별 측정값으로 다시 더합니다.
+ * @param {Object} formData - 폼 데이터
+ * @returns {number|string} 총중량(t), 측정값이 없으면 빈 문자열
+ */
+function getLedgerGrossMeasured(formData) {
+    const values = Array.from({ length: LEDGER_CONFIG.axleCount }, (_, i) => parseFloat(formData[`axle${i + 1}Measured`]))
+        .filter(value => !isNaN(value));
+    if (values.length === 0) return '';
+    return Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+}
+
+/**
+ * 대장에 넣을 사건 (적발 일시 순)
+ * 기간을 정하면 적발 일시가 없는 사건은 뺍니다.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - 시작일 (YYYY-MM-DD, 포함)
+ * @param {string} [filter.to] - 종료일 (YYYY-MM-DD, 포함)
+ * @param {string} [filter.checkpoint] - 검문소 이름 (빈 값이면 전체)
+ * @returns {Promise<Array<Object>>} 사건 레코드
+ */
+async function getLedgerCases(filter = {}) {
+    const { from = '', to = '', checkpoint = '' } = filter;
+    await whenStorageUnlocked();
+
+    const records = await CaseStore.list();
+    return records
+        .filter(record => {
+            const date = getLedgerDate(record);
+            if ((from || to) && !date) return false;
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+            if (checkpoint && (record.formData?.checkpointName || '').trim() !== checkpoint) return false;
+            return true;
+        })
+        .sort((a, b) => (a.formData?.reportDatetime || '').localeCompare(b.formData?.reportDatetime || ''));
+}
+
+/**
+ * 사건에 기록된 검문소 이름 목록 (가나다순, 필터 선택용)
+ * @returns {Promise<Array<string>>}
+ */
+async function listLedgerCheckpoints() {
+    const records = await CaseStore.list();
+    const names = new Set(records.map(record => (record.formData?.checkpointName || '').trim()).filter(Boolean));
+    return [...names].sort((a, b) => a.localeCompare(b, 'ko'));
+}
+
+/**
+ * 사건 레코드를 대장 행으로
+ * @param {Array<Object>} records - 사건 레코드
+ * @returns {Array<Array<string|number>>} 행 배열 (머리글 제외, 숫자 열은 숫자 또는 빈 문자열)
+ */
+function buildLedgerRows(records) {
+    return records.map((record, index) => {
+        const data = record.formData || {};
+        return LEDGER_COLUMNS.map(column => {
+            const value = column.value ? column.value({ ...record, formData: data }, index) : data[column.field];
+            if (value === undefined || value === null || value === '') return '';
+            if (column.type === 'number') {
+                const number = Number(String(value).replace(/,/g, ''));
+                return Number.isFinite(number) ? number : String(value);
+            }
+            return String(value);
+        });
+    });
+}
+
+/**
+ * 파일 이름 (기간 포함)
+ * @param {Object} filter - 기간
+ * @param {string} extension - 확장자
+ * @returns {string}
+ */
+function getLedgerFileName(filter, extension) {
+    const range = [filter.from, filter.to].filter(Boolean).join('_') || formatDateInput(new Date());
+    return `${LEDGER_CONFIG.fileName}-${range}.${extension}`;
+}
+
+// ==========================================================================
+// CSV
+// ==========================================================================
+
+/**
+ * CSV 칸 문자열
+ * =, +, -, @로 시작하는 글자 칸은 엑셀이 수식으로 실행하지 않도록 앞에 '를 붙입니다 (숫자 칸은 그대로).
+ * @param {string|number} value - 칸 값
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 대장 CSV 문자열 (UTF-8 BOM 포함, 줄바꿈 CRLF)
+ * @param {Array<Object>} records - 사건 레코드
+ * @returns {string}
+ */
+function buildLedgerCsv(records) {
+    const lines = [LEDGER_COLUMNS.map(column => column.label), ...buildLedgerRows(records)]
+        .map(row => row.map(escapeCsvCell).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ==========================================================================
+// XLSX
+// ==========================================================================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // XML에 넣을 수 없는 제어 문자 제거
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * 열 번호를 엑셀 열 이름으로 (0 → A, 26 → AA)
+ * @param {number} index - 0부터 시작
+ * @returns {string}
+ */
+function getColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * 워크시트 XML (머리글은 굵게, 첫 행 고정)
+ * @param {Array<Array<string|number>>} rows - 머리글 포함 행
+ * @returns {string}
+ */
+function buildSheetXml(rows) {
+    const rowXml = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value === '') return '';
+            const ref = `${getColumnName(c)}${r + 1}`;
+            const style = r === 0 ? ' s="1"' : '';
+            if (typeof value === 'number') {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        '<sheetFormatPr defaultRowHeight="15"/>' +
+        `<cols><col min="1" max="${rows[0].length}" width="14" customWidth="1"/></cols>` +
+        `<sheetData>${rowXml}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * 대장 XLSX 파일
+ * @param {Array<Object>} records - 사건 레코드
+ * @returns {Blob}
+ */
+function buildLedgerXlsx(records) {
+    const rows = [LEDGER_COLUMNS.map(column => column.label), ...buildLedgerRows(records)];
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(LEDGER_CONFIG.sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            data: xmlHeader +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="맑은 고딕"/></font><font><b/><sz val="11"/><name val="맑은 고딕"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: buildSheetXml(rows) }
+    ];
+
+    return ZipWriter.create(files, { type: LEDGER_CONFIG.xlsxMimeType });
+}
+
+// ==========================================================================
+// 내려받기
+// ==========================================================================
+
+/**
+ * 적발 대장 내려받기
+ * @param {string} format - 'csv' 또는 'xlsx'
+ * @param {Object} [filter] - getLedgerCases 필터 { from, to, checkpoint }
+ * @returns {Promise<number>} 대장에 넣은 사건 수
+ * @throws {Error} 조건에 맞는 사건이 없거나 기간이 잘못된 경우
+ */
+async function exportLedger(format, filter = {}) {
+    if (filter.from && filter.to && filter.from > filter.to) {
+        throw new Error('시작일이 종료일보다 늦습니다.');
+    }
+
+    const records = await getLedgerCases(filter);
+    if (records.length === 0) {
+        throw new Error('조건에 맞는 적발 건이 없습니다.');
+    }
+
+    if (format === 'xlsx') {
+        downloadBlob(buildLedgerXlsx(records), getLedgerFileName(filter, 'xlsx'));
+    } else {
+        const blob = new Blob([buildLedgerCsv(records)], { type: LEDGER_CONFIG.csvMimeType });
+        downloadBlob(blob, getLedgerFileName(filter, 'csv'));
+    }
+
+    console.log(`[적발 대장] ${format.toUpperCase()} 내보내기: ${records.length}건`);
+    return records.length;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.CaseLedger = {
+    // 대장
+    getCases: getLedgerCases,
+    listCheckpoints: listLedgerCheckpoints,
+    buildRows: buildLedgerRows,
+    toCsv: buildLedgerCsv,
+    toXlsx: buildLedgerXlsx,
+    export: exportLedger,
+
+    // 설정
+    config: LEDGER_CONFIG,
+    COLUMNS: LEDGER_COLUMNS
+};
+
+console.log('case-ledger.js 로드 완료');
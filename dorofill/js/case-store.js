@@ -0,0 +1,480 @@
+/**
+ * DoroFill - Case Store
+ * 적발 사건 대장 (IndexedDB)
+ *
+ * 적발 보고서와 위반 진술서는 하나의 사건 레코드를 공유합니다.
+ * 한 근무 중 여러 대를 적발해도 이전 건이 덮어써지지 않습니다.
+ *
+ * 시각 필드:
+ * - _savedAt: 마지막 저장 시각 (상태 변경 포함, 목록 정렬용)
+ * - updatedAt: 마지막 내용(폼 데이터, 진술인) 변경 시각 (기기 간 인계 때 비교용)
+ *
+ * 의존성:
+ * - db.js (IndexedDB 헬퍼)
+ * - app.js (generateId, escapeHtml, showToast, whenStorageUnlocked)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const CASE_STORE_CONFIG = {
+    storeName: 'cases',
+    photoStoreName: 'photos',
+    urlParam: 'case',
+    migratedFlag: 'dorofill_cases_migrated',
+    // 이 필드 중 하나라도 입력되어야 사건으로 저장 (빈 폼 저장 방지)
+    identityFields: ['plateNumber', 'driverName', 'reportLocation'],
+    // 서명 필드 (driverSignature, authorSignature, witness1Signature ... - 복제할 때 뺌)
+    signatureFieldSuffix: 'Signature'
+};
+
+/** 사건 상태 */
+const CASE_STATUS = {
+    DRAFT: 'draft',
+    GENERATED: 'generated',
+    CLOSED: 'closed'
+};
+
+/** 사건 상태 표시 라벨 */
+const CASE_STATUS_LABELS = {
+    draft: { text: '작성 중', className: 'bg-gray-100 text-gray-700' },
+    generated: { text: 'PDF 생성됨', className: 'bg-green-100 text-green-700' },
+    closed: { text: '종결', className: 'bg-slate-200 text-slate-600' }
+};
+
+// ==========================================================================
+// 레코드 생성/저장
+// ==========================================================================
+
+/**
+ * 새 사건 레코드 생성 (저장하지 않음)
+ * @param {Object} formData - 폼 데이터 (HTML 요소 ID 기준 키)
+ * @param {Array<Object>} witnesses - 진술인 배열
+ * @returns {Object} 사건 레코드
+ */
+function createCase(formData = {}, witnesses = []) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId(),
+        status: CASE_STATUS.DRAFT,
+        formData: { ...formData },
+        witnesses: [...witnesses],
+        createdAt: now,
+        generatedAt: null,
+        closedAt: null,
+        updatedAt: now,
+        _savedAt: now
+    };
+}
+
+/**
+ * 사건 레코드 저장
+ * @param {Object} record - 사건 레코드
+ * @returns {Promise<Object>} 저장된 레코드
+ */
+async function saveCase(record) {
+    record._savedAt = new Date().toISOString();
+    await dbPut(CASE_STORE_CONFIG.storeName, record);
+    return record;
+}
+
+/**
+ * 마지막 내용 변경 시각 (updatedAt이 없는 이전 레코드는 마지막 저장 시각)
+ * @param {Object} record - 사건 레코드
+ * @returns {string} ISO 시각
+ */
+function getCaseUpdatedAt(record) {
+    return record.updatedAt || record._savedAt || '';
+}
+
+/**
+ * 사건 조회
+ * @param {string} id - 사건 ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCase(id) {
+    if (!id) return null;
+    return (await dbGet(CASE_STORE_CONFIG.storeName, id)) || null;
+}
+
+/**
+ * 사건 삭제 (사건의 증거 사진도 함께 삭제)
+ * @param {string} id - 사건 ID
+ * @returns {Promise<void>}
+ */
+async function deleteCase(id) {
+    await dbDelete(CASE_STORE_CONFIG.storeName, id);
+
+    const photos = await dbGetAllByIndex(CASE_STORE_CONFIG.photoStoreName, 'caseId', id);
+    await Promise.all(photos.map(photo => dbDelete(CASE_STORE_CONFIG.photoStoreName, photo.id)));
+}
+
+/**
+ * 서명을 뺀 사건 내용 (다른 사건으로 옮길 때 - 서명은 그 사건에서 직접 받은 것만 남도록)
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} witnesses - 진술인 배열
+ * @returns {Object} { formData, witnesses }
+ */
+function stripCaseSignatures(formData = {}, witnesses = []) {
+    return {
+        formData: Object.fromEntries(Object.entries(formData)
+            .filter(([field]) => !field.endsWith(CASE_STORE_CONFIG.signatureFieldSuffix))),
+        witnesses: witnesses.map(({ signature, ...witness }) => witness)
+    };
+}
+
+/**
+ * 사건 복제 (같은 차량 재적발, 동일 조건 다른 차량 등)
+ * 증거 사진은 적발 건마다 다르므로 복제하지 않고,
+ * 서명(운전자·작성자·진술인)은 새 사건에서 다시 받아야 하므로 뺍니다.
+ * @param {string} id - 원본 사건 ID
+ * @returns {Promise<Object>} 새 사건 레코드
+ */
+async function duplicateCase(id) {
+    const source = await getCase(id);
+    if (!source) {
+        throw new Error('복제할 사건을 찾을 수 없습니다.');
+    }
+
+    const { formData, witnesses } = stripCaseSignatures(source.formData, source.witnesses);
+    return saveCase(createCase(formData, witnesses));
+}
+
+/**
+ * 사건 상태 변경
+ * @param {string} id - 사건 ID
+ * @param {string} status - CASE_STATUS 값
+ * @returns {Promise<Object>} 변경된 레코드
+ */
+async function setCaseStatus(id, status) {
+    const record = await getCase(id);
+    if (!record) {
+        throw new Error('사건을 찾을 수 없습니다.');
+    }
+
+    record.status = status;
+    if (status === CASE_STATUS.GENERATED) {
+        record.generatedAt = new Date().toISOString();
+    }
+    record.closedAt = status === CASE_STATUS.CLOSED ? new Date().toISOString() : null;
+
+    return saveCase(record);
+}
+
+// ==========================================================================
+// 조회/검색
+// ==========================================================================
+
+/**
+ * 사건 목록 조회 (최근 저장 순)
+ * @param {Object} options - 검색 옵션
+ * @param {string} [options.query] - 검색어 (차량번호, 운전자, 위치)
+ * @param {string} [options.status] - 상태 필터 (CASE_STATUS 값)
+ * @returns {Promise<Array<Object>>}
+ */
+async function listCases(options = {}) {
+    const { query = '', status = '' } = options;
+
+    const records = status
+        ? await dbGetAllByIndex(CASE_STORE_CONFIG.storeName, 'status', status)
+        : await dbGetAll(CASE_STORE_CONFIG.storeName);
+
+    const keyword = query.replace(/\s/g, '').toLowerCase();
+
+    return records
+        .filter(record => {
+            if (!keyword) return true;
+            const summary = getCaseSummary(record);
+            return [summary.plateNumber, summary.driverName, summary.location]
+                .some(text => text.replace(/\s/g, '').toLowerCase().includes(keyword));
+        })
+        .sort((a, b) => (b._savedAt || '').localeCompare(a._savedAt || ''));
+}
+
+/**
+ * 목록 표시용 사건 요약
+ * @param {Object} record - 사건 레코드
+ * @returns {Object} { plateNumber, driverName, location, datetime }
+ */
+function getCaseSummary(record) {
+    const data = record.formData || {};
+    return {
+        plateNumber: data.plateNumber || '',
+        driverName: data.driverName || '',
+        location: data.reportLocation || '',
+        datetime: data.reportDatetime ? data.reportDatetime.replace('T', ' ') : ''
+    };
+}
+
+/**
+ * 사건으로 저장할 만한 내용이 있는지 확인
+ * @param {Object} formData - 폼 데이터
+ * @returns {boolean}
+ */
+function hasCaseContent(formData) {
+    return CASE_STORE_CONFIG.identityFields.some(field => formData[field] && formData[field].trim() !== '');
+}
+
+// ==========================================================================
+// 현재 작성 중인 사건 (URL ?case=ID)
+// ==========================================================================
+
+/**
+ * 현재 페이지에서 편집 중인 사건 ID
+ * @returns {string|null}
+ */
+function getCurrentCaseId() {
+    return new URLSearchParams(window.location.search).get(CASE_STORE_CONFIG.urlParam);
+}
+
+/**
+ * 현재 사건 ID를 URL에 기록 (새로고침해도 같은 사건 유지)
+ * @param {string} id - 사건 ID
+ */
+function setCurrentCaseId(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(CASE_STORE_CONFIG.urlParam, id);
+    window.history.replaceState(null, '', url.toString());
+}
+
+/** 폼 저장 대기열 (자동 저장과 버튼 저장이 겹쳐 같은 사건이 두 번 생기지 않도록 한 번에 하나씩) */
+let pendingFormSave = Promise.resolve();
+
+/**
+ * 현재 폼 내용을 사건으로 저장 (없으면 새로 생성)
+ * 진술서 페이지처럼 일부 필드만 있는 폼은 기존 값에 병합됩니다.
+ * 저장된 내용과 같으면 다시 저장하지 않습니다. (열어 보기만 한 사건의 저장 시각 유지)
+ *
+ * @param {Object} formData - 폼 데이터 (HTML 요소 ID 기준 키)
+ * @param {Array<Object>} [witnesses] - 진술인 배열 (undefined면 기존 값 유지)
+ * @param {Object} options - 옵션
+ * @param {string} [options.status] - 저장과 함께 변경할 상태
+ * @param {boolean} [options.force=false] - 내용이 없어도 저장
+ * @returns {Promise<Object|null>} 저장된 레코드 (저장하지 않았거나 앱이 잠겨 있으면 null)
+ */
+function saveFormAsCase(formData, witnesses, options = {}) {
+    const run = pendingFormSave.then(() => writeFormAsCase(formData, witnesses, options));
+    // 앞의 저장이 실패해도 다음 저장은 진행
+    pendingFormSave = run.catch(() => {});
+    return run;
+}
+
+async function writeFormAsCase(formData, witnesses, options) {
+    const { status = null, force = false } = options;
+
+    // 잠금 화면 뒤의 빈 폼으로 사건을 덮어쓰지 않도록 잠겨 있으면 저장하지 않음
+    if (typeof AppLock !== 'undefined' && !AppLock.getStatus().unlocked) return null;
+
+    let record = await getCase(getCurrentCaseId());
+    const isNew = !record;
+
+    if (isNew) {
+        if (!force && !hasCaseContent(formData)) return null;
+        record = createCase();
+    }
+
+    const nextFormData = { ...record.formData, ...formData };
+    const nextWitnesses = witnesses !== undefined ? witnesses : record.witnesses;
+    const isContentChanged = isNew ||
+        JSON.stringify(nextFormData) !== JSON.stringify(record.formData) ||
+        JSON.stringify(nextWitnesses) !== JSON.stringify(record.witnesses);
+
+    if (isContentChanged || status) {
+        if (isContentChanged) record.updatedAt = new Date().toISOString();
+        record.formData = nextFormData;
+        record.witnesses = nextWitnesses;
+
+        if (status) {
+            record.status = status;
+            if (status === CASE_STATUS.GENERATED) {
+                record.generatedAt = new Date().toISOString();
+            }
+        }
+
+        await saveCase(record);
+    }
+
+    setCurrentCaseId(record.id);
+    return record;
+}
+
+/**
+ * 사건 데이터를 현재 폼에 채우기
+ * @param {Object} record - 사건 레코드
+ * @param {Array<string>} fields - 채울 필드 ID 목록
+ * @returns {number} 채워진 필드 수
+ */
+function fillFormFromCase(record, fields) {
+    let count = 0;
+    fields.forEach(field => {
+        const el = document.getElementById(field);
+        const value = record.formData?.[field];
+        if (el && value) {
+            el.value = value;
+            count++;
+        }
+    });
+    return count;
+}
+
+// ==========================================================================
+// 이전 단일 슬롯 데이터 이관
+// ==========================================================================
+
+/**
+ * localStorage의 report_draft / shared_report를 사건 대장으로 1회 이관
+ * @returns {Promise<number>} 이관된 건수
+ */
+async function migrateLegacyDrafts() {
+    if (localStorage.getItem(CASE_STORE_CONFIG.migratedFlag)) return 0;
+
+    // 이전 데이터가 암호화되어 있으면 잠금 해제 후에 읽음
+    await whenStorageUnlocked();
+
+    let migrated = 0;
+    const legacyDraft = loadFromStorage('report_draft');
+    const legacyShared = getSharedReportData();
+
+    try {
+        if (legacyDraft && hasCaseContent(legacyDraft)) {
+            const { _savedAt, ...formData } = legacyDraft;
+            await saveCase(createCase(formData));
+            migrated++;
+        }
+
+        // 공유 데이터가 초안과 같은 차량이면 중복 이관하지 않음
+        if (legacyShared && (!legacyDraft || legacyShared.plateNumber !== legacyDraft.plateNumber)) {
+            const { datetime, location, _sharedAt, _source, ...rest } = legacyShared;
+            const record = createCase({ ...rest, reportDatetime: datetime, reportLocation: location });
+            record.status = CASE_STATUS.GENERATED;
+            record.generatedAt = _sharedAt || null;
+            await saveCase(record);
+            migrated++;
+        }
+
+        localStorage.setItem(CASE_STORE_CONFIG.migratedFlag, new Date().toISOString());
+        removeFromStorage('report_draft');
+        clearSharedReportData();
+
+        if (migrated > 0) {
+            console.log(`[사건 대장] 이전 데이터 ${migrated}건 이관됨`);
+        }
+    } catch (error) {
+        console.error('[사건 대장] 이전 데이터 이관 실패:', error);
+    }
+
+    return migrated;
+}
+
+// ==========================================================================
+// 사건 선택 모달
+// ==========================================================================
+
+/**
+ * 저장된 사건 중 하나를 선택하는 모달 표시
+ * @param {Object} options - 옵션
+ * @param {string} [options.title] - 모달 제목
+ * @param {Function} options.onSelect - 선택 콜백 (record)
+ */
+async function showCasePicker(options = {}) {
+    const { title = '적발 건 선택', onSelect } = options;
+
+    let records = [];
+    try {
+        records = await listCases();
+    } catch (error) {
+        console.error('[사건 대장] 목록 조회 실패:', error);
+        showToast('사건 목록을 불러오지 못했습니다.', 'error');
+        return;
+    }
+
+    if (records.length === 0) {
+        showToast('저장된 적발 건이 없습니다.', 'warning');
+        return;
+    }
+
+    const dialog = document.createElement('div');
+    dialog.id = 'case-picker-dialog';
+    dialog.innerHTML = `
+        <div class="fixed inset-0 bg-slate-900/80 backdrop-blur-sm z-[200] flex items-center justify-center p-4">
+            <div class="bg-white rounded-2xl max-w-md w-full max-h-[80vh] flex flex-col animate-fade-in">
+                <div class="flex items-center justify-between p-4 border-b border-gray-100">
+                    <h3 class="font-bold text-gray-900">${title}</h3>
+                    <button type="button" data-action="close" class="text-gray-400 hover:text-gray-600 p-1">✕</button>
+                </div>
+                <ul class="overflow-y-auto divide-y divide-gray-100">
+                    ${records.map(record => {
+                        const summary = getCaseSummary(record);
+                        const status = CASE_STATUS_LABELS[record.status] || CASE_STATUS_LABELS.draft;
+                        return `
+                            <li>
+                                <button type="button" data-case-id="${escapeHtml(record.id)}" class="w-full text-left px-4 py-3 hover:bg-gray-50 min-h-[44px]">
+                                    <div class="flex items-center justify-between gap-2">
+                                        <span class="font-medium text-gray-900">${escapeHtml(summary.plateNumber) || '(차량번호 미입력)'}</span>
+                                        <span class="text-xs px-2 py-0.5 rounded-full ${status.className}">${status.text}</span>
+                                    </div>
+                                    <p class="text-xs text-gray-500 mt-1">${escapeHtml(summary.datetime)} · ${escapeHtml(summary.driverName)}</p>
+                                    <p class="text-xs text-gray-400 truncate">${escapeHtml(summary.location)}</p>
+                                </button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    dialog.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="close"]')) {
+            dialog.remove();
+            return;
+        }
+
+        const item = e.target.closest('[data-case-id]');
+        if (item) {
+            const record = records.find(r => r.id === item.dataset.caseId);
+            dialog.remove();
+            if (record && typeof onSelect === 'function') onSelect(record);
+        }
+    });
+}
+
+// ==========================================================================
+// Export (전역 객체로 노출)
+// ==========================================================================
+
+window.CaseStore = {
+    // 레코드
+    create: createCase,
+    save: saveCase,
+    get: getCase,
+    remove: deleteCase,
+    duplicate: duplicateCase,
+    stripSignatures: stripCaseSignatures,
+    setStatus: setCaseStatus,
+
+    // 조회
+    list: listCases,
+    getSummary: getCaseSummary,
+    getUpdatedAt: getCaseUpdatedAt,
+    hasContent: hasCaseContent,
+
+    // 현재 사건
+    getCurrentId: getCurrentCaseId,
+    setCurrentId: setCurrentCaseId,
+    saveForm: saveFormAsCase,
+    fillForm: fillFormFromCase,
+
+    // 기타
+    migrateLegacy: migrateLegacyDrafts,
+    showPicker: showCasePicker,
+
+    // 설정
+    config: CASE_STORE_CONFIG,
+    STATUS: CASE_STATUS,
+    STATUS_LABELS: CASE_STATUS_LABELS
+};
+
+console.log('case-store.js 로드 완료');
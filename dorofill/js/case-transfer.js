@@ -0,0 +1,341 @@
+/**
+ * DoroFill - Case Transfer
+ * 사건 내보내기/가져오기 (현장 휴대폰 → 사무실 PC 인계)
+ *
+ * 사건 레코드(폼 데이터, 진술인, 서명)와 증거 사진을 JSON 파일 하나로 묶어 내보내고,
+ * 다른 기기에서 그 파일을 가져옵니다. 사진은 Base64로 넣습니다.
+ * 사건 레코드에는 어떤 템플릿으로 출력했는지 남지 않으므로, 내보낸 기기의
+ * 문서 종류별 기본 템플릿 해시와 그 좌표 프로필을 함께 넣어 받는 기기에서 같은 좌표를 쓰게 합니다.
+ *
+ * 파일 형식:
+ * {
+ *   type: 'dorofill-cases',
+ *   schemaVersion,          // CASE_TRANSFER_CONFIG.schemaVersion (형식이 바뀌면 올림)
+ *   appVersion, exportedAt,
+ *   templates: { report: { hash, profile }, statement: {...}, combined: {...} },
+ *   cases: [{ record, photos: [{ ...사진 레코드, data: Base64 }] }],
+ *   checksum: { algorithm: 'SHA-256', value }   // checksum을 뺀 나머지 JSON의 해시
+ * }
+ *
+ * 가져올 때 같은 ID의 사건이 있으면 내용 변경 시각(updatedAt - 상태 변경·열어 보기는 제외)으로 비교합니다.
+ * 사건마다 마지막으로 주고받은 내용의 updatedAt을 baseUpdatedAt에 남겨 두고,
+ * - 한쪽만 그 뒤에 고쳤으면 고친 쪽을 남기고 (파일 쪽이면 증거 사진도 파일의 사진으로 바꿈)
+ * - 양쪽 다 고쳤으면(또는 주고받은 기록이 없는데 내용이 다르면) 충돌로 보고 사용자가 사건마다 고릅니다.
+ *
+ * 앱 잠금을 켠 기기에서도 파일은 평문입니다 - 인계 후 파일을 지우세요.
+ *
+ * 의존성:
+ * - db.js (사건/사진/프로필 저장소)
+ * - case-store.js (사건 목록)
+ * - template-store.js (기본 템플릿, 해시)
+ * - template-profiles.js (좌표 프로필)
+ * - app.js (APP_CONFIG, generateId, bytesToBase64, base64ToBytes, whenStorageUnlocked, downloadBlob, formatDateInput)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const CASE_TRANSFER_CONFIG = {
+    fileType: 'dorofill-cases',
+    schemaVersion: 1,
+    checksumAlgorithm: 'SHA-256',
+    // 사건 ID 형식 (generateId - 영문 소문자·숫자). 체크섬은 누구나 다시 계산할 수 있으므로 ID를 따로 확인
+    idPattern: /^[0-9a-z]{1,32}$/,
+
+    caseStoreName: 'cases',
+    photoStoreName: 'photos',
+    profileStoreName: 'profiles'
+};
+
+/** 가져오기 처리 결과 */
+const IMPORT_ACTIONS = {
+    NEW: 'new',             // 이 기기에 없는 사건
+    UPDATE: 'update',       // 파일 쪽만 고침 - 덮어씀
+    SKIP: 'skip',           // 같은 내용이거나 이 기기 쪽만 고침 - 그대로 둠
+    CONFLICT: 'conflict'    // 양쪽 다 고침 - 사용자가 선택
+};
+
+/** 충돌한 사건의 선택 */
+const CONFLICT_CHOICES = {
+    INCOMING: 'incoming',   // 파일 쪽으로 덮어씀
+    LOCAL: 'local'          // 이 기기 쪽을 남김
+};
+
+// ==========================================================================
+// 체크섬
+// ==========================================================================
+
+/**
+ * 파일 내용 해시 (checksum 항목은 빼고 계산)
+ * @param {Object} bundle - 내보내기 파일 내용
+ * @returns {Promise<string>} SHA-256 (16진수)
+ */
+function computeBundleChecksum(bundle) {
+    const payload = JSON.stringify({ ...bundle, checksum: undefined });
+    return TemplateStore.hash(new TextEncoder().encode(payload));
+}
+
+// ==========================================================================
+// 내보내기
+// ==========================================================================
+
+/**
+ * 내보내기 파일 내용 만들기
+ * @param {Array<string>} ids - 사건 ID
+ * @returns {Promise<Object>} 파일 내용
+ * @throws {Error} 내보낼 사건이 없는 경우
+ */
+async function buildCaseBundle(ids) {
+    await whenStorageUnlocked();
+
+    const cases = [];
+    for (const id of ids) {
+        const record = await CaseStore.get(id);
+        if (!record) continue;
+
+        const photos = await dbGetAllByIndex(CASE_TRANSFER_CONFIG.photoStoreName, 'caseId', id);
+        cases.push({
+            record,
+            photos: photos.map(photo => ({ ...photo, data: bytesToBase64(photo.data) }))
+        });
+    }
+    if (cases.length === 0) {
+        throw new Error('내보낼 사건이 없습니다.');
+    }
+
+    const templates = {};
+    for (const [docType, hash] of Object.entries(TemplateStore.getDefaults())) {
+        if (!hash) continue;
+        templates[docType] = { hash, profile: await TemplateProfiles.get(hash) };
+    }
+
+    const bundle = {
+        type: CASE_TRANSFER_CONFIG.fileType,
+        schemaVersion: CASE_TRANSFER_CONFIG.schemaVersion,
+        appVersion: APP_CONFIG.version,
+        exportedAt: new Date().toISOString(),
+        templates,
+        cases
+    };
+    bundle.checksum = {
+        algorithm: CASE_TRANSFER_CONFIG.checksumAlgorithm,
+        value: await computeBundleChecksum(bundle)
+    };
+    return bundle;
+}
+
+/**
+ * 사건 내보내기 (JSON 파일 내려받기)
+ * @param {Array<string>} ids - 사건 ID
+ * @returns {Promise<number>} 내보낸 사건 수
+ */
+async function exportCases(ids) {
+    const bundle = await buildCaseBundle(ids);
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    downloadBlob(blob, `dorofill-cases-${formatDateInput(new Date())}.json`);
+
+    console.log(`[사건 인계] 내보내기: ${bundle.cases.length}건`);
+    return bundle.cases.length;
+}
+
+// ==========================================================================
+// 가져오기
+// ==========================================================================
+
+/**
+ * 파일의 ID가 이 앱이 만든 형식인지 (generateId)
+ * @param {*} id - 사건 ID
+ * @returns {boolean}
+ */
+function isValidTransferId(id) {
+    return typeof id === 'string' && CASE_TRANSFER_CONFIG.idPattern.test(id);
+}
+
+/**
+ * 내보내기 파일 읽기 + 형식/체크섬 확인
+ * @param {string} text - 파일 내용
+ * @returns {Promise<Object>} 파일 내용
+ * @throws {Error} DoroFill 사건 파일이 아니거나 내용이 바뀐 경우
+ */
+async function parseCaseBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('JSON 파일을 읽을 수 없습니다.');
+    }
+
+    if (!bundle || bundle.type !== CASE_TRANSFER_CONFIG.fileType || !Array.isArray(bundle.cases)) {
+        throw new Error('DoroFill 사건 내보내기 파일이 아닙니다.');
+    }
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion > CASE_TRANSFER_CONFIG.schemaVersion) {
+        throw new Error(`지원하지 않는 파일 형식 버전입니다 (${bundle.schemaVersion}). 앱을 업데이트한 뒤 다시 가져오세요.`);
+    }
+    if (bundle.checksum?.algorithm !== CASE_TRANSFER_CONFIG.checksumAlgorithm ||
+        bundle.checksum.value !== await computeBundleChecksum(bundle)) {
+        throw new Error('파일이 손상되었거나 수정되었습니다 (체크섬 불일치).');
+    }
+    if (bundle.cases.some(item => !isValidTransferId(item?.record?.id))) {
+        throw new Error('사건 ID가 없거나 형식이 올바르지 않은 항목이 있습니다.');
+    }
+
+    return bundle;
+}
+
+/**
+ * 같은 ID의 사건을 어떻게 가져올지
+ * @param {Object} incoming - 파일의 사건 레코드
+ * @param {Object|null} local - 이 기기의 사건 레코드
+ * @returns {string} IMPORT_ACTIONS 값
+ */
+function decideImportAction(incoming, local) {
+    if (!local) return IMPORT_ACTIONS.NEW;
+
+    const incomingAt = CaseStore.getUpdatedAt(incoming);
+    const localAt = CaseStore.getUpdatedAt(local);
+    if (incomingAt === localAt) return IMPORT_ACTIONS.SKIP;
+
+    // 마지막으로 주고받은 내용 (양쪽 중 늦은 쪽)
+    const base = [incoming.baseUpdatedAt, local.baseUpdatedAt].filter(Boolean).sort().pop();
+    const incomingEdited = !base || incomingAt > base;
+    const localEdited = !base || localAt > base;
+
+    if (incomingEdited && localEdited) return IMPORT_ACTIONS.CONFLICT;
+    return incomingEdited ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.SKIP;
+}
+
+/**
+ * 파일의 사진을 이 기기에 저장할 레코드로
+ * ID는 새로 붙입니다 (파일의 ID가 이 기기의 다른 사건 사진과 겹쳐 덮어쓰지 않도록).
+ * @param {Object} photo - 파일의 사진 ({ ...사진 레코드, data: Base64 })
+ * @param {string} caseId - 사건 ID
+ * @returns {Object} 사진 레코드 (data: ArrayBuffer)
+ * @throws {Error} 사진 데이터를 읽을 수 없는 경우
+ */
+function decodeTransferPhoto(photo, caseId) {
+    let bytes = null;
+    try {
+        bytes = typeof photo?.data === 'string' ? base64ToBytes(photo.data) : null;
+    } catch (error) {
+        bytes = null;
+    }
+    if (!bytes || bytes.byteLength === 0) {
+        throw new Error(`사건 ${caseId}의 증거 사진을 읽을 수 없습니다 (파일 손상).`);
+    }
+
+    return {
+        ...photo,
+        id: generateId(),
+        caseId,
+        data: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+    };
+}
+
+/**
+ * 가져오기 미리보기 (사건마다 새로 추가 / 덮어쓰기 / 건너뛰기 / 충돌)
+ * @param {Object} bundle - parseCaseBundle 결과
+ * @returns {Promise<Array<Object>>} [{ id, action, summary, incomingUpdatedAt, localUpdatedAt }]
+ */
+async function previewCaseImport(bundle) {
+    await whenStorageUnlocked();
+
+    const plan = [];
+    for (const { record } of bundle.cases) {
+        const local = await CaseStore.get(record.id);
+        plan.push({
+            id: record.id,
+            action: decideImportAction(record, local),
+            summary: CaseStore.getSummary(local || record),
+            incomingUpdatedAt: CaseStore.getUpdatedAt(record),
+            localUpdatedAt: local ? CaseStore.getUpdatedAt(local) : null
+        });
+    }
+    return plan;
+}
+
+/**
+ * 사건 가져오기
+ * 사건 레코드는 updatedAt, _savedAt을 그대로 두고 저장합니다 (다음 인계 때도 비교할 수 있게).
+ * 가져온 사건과 이 기기 쪽을 남긴 충돌 사건은 baseUpdatedAt을 파일 쪽 updatedAt으로 맞춥니다
+ * (같은 파일을 다시 가져와도 다시 묻지 않음).
+ * 좌표 프로필은 이 기기에 없을 때만 추가합니다.
+ * 사진을 모두 읽어 확인한 뒤 한 트랜잭션으로 저장합니다 (중간에 실패하면 아무것도 바꾸지 않음).
+ *
+ * @param {Object} bundle - parseCaseBundle 결과
+ * @param {Object} [options]
+ * @param {Object} [options.resolutions] - 충돌 사건 ID → CONFLICT_CHOICES 값 (없으면 이 기기 쪽을 남김)
+ * @returns {Promise<Object>} { added, updated, skipped, photos, profiles, missingTemplates: [{ docType, hash }] }
+ */
+async function importCaseBundle(bundle, options = {}) {
+    const { resolutions = {} } = options;
+    const plan = await previewCaseImport(bundle);
+    const result = { added: 0, updated: 0, skipped: 0, photos: 0, profiles: 0, missingTemplates: [] };
+    const writes = [];
+    const put = (storeName, value) => writes.push({ type: 'put', storeName, value });
+
+    for (const [index, { record, photos }] of bundle.cases.entries()) {
+        const { action } = plan[index];
+        const incomingAt = CaseStore.getUpdatedAt(record);
+
+        if (action === IMPORT_ACTIONS.CONFLICT && resolutions[record.id] !== CONFLICT_CHOICES.INCOMING) {
+            const local = await CaseStore.get(record.id);
+            put(CASE_TRANSFER_CONFIG.caseStoreName, { ...local, baseUpdatedAt: incomingAt });
+            result.skipped++;
+            continue;
+        }
+        if (action === IMPORT_ACTIONS.SKIP) {
+            result.skipped++;
+            continue;
+        }
+
+        // 이 기기의 사진을 파일의 사진으로 교체
+        const existing = await dbGetAllByIndex(CASE_TRANSFER_CONFIG.photoStoreName, 'caseId', record.id);
+        existing.forEach(photo => writes.push({ type: 'delete', storeName: CASE_TRANSFER_CONFIG.photoStoreName, key: photo.id }));
+        for (const photo of photos || []) {
+            put(CASE_TRANSFER_CONFIG.photoStoreName, decodeTransferPhoto(photo, record.id));
+            result.photos++;
+        }
+
+        put(CASE_TRANSFER_CONFIG.caseStoreName, { ...record, baseUpdatedAt: incomingAt });
+        if (action === IMPORT_ACTIONS.NEW) result.added++;
+        else result.updated++;
+    }
+
+    for (const [docType, { hash, profile }] of Object.entries(bundle.templates || {})) {
+        if (profile && !(await TemplateProfiles.get(hash))) {
+            put(CASE_TRANSFER_CONFIG.profileStoreName, profile);
+            result.profiles++;
+        }
+        if (!(await TemplateStore.get(hash))) {
+            result.missingTemplates.push({ docType, hash });
+        }
+    }
+
+    await dbWriteBatch(writes);
+
+    console.log(`[사건 인계] 가져오기: 추가 ${result.added}건, 덮어씀 ${result.updated}건, 건너뜀 ${result.skipped}건`);
+    return result;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.CaseTransfer = {
+    // 내보내기
+    build: buildCaseBundle,
+    export: exportCases,
+
+    // 가져오기
+    parse: parseCaseBundle,
+    preview: previewCaseImport,
+    import: importCaseBundle,
+
+    // 설정
+    config: CASE_TRANSFER_CONFIG,
+    ACTIONS: IMPORT_ACTIONS,
+    CHOICES: CONFLICT_CHOICES
+};
+
+console.log('case-transfer.js 로드 완료');
@@ -0,0 +1,428 @@
+/**
+ * DoroFill - Checkpoint Locations
+ * 현재 위치(GPS)로 적발 위치 입력 + 검문소 위치표
+ *
+ * [현재 위치] 버튼으로 Geolocation API 좌표를 받아 사건에 위도·경도를 저장하고,
+ * 설정에서 관리하는 검문소 위치표(검문소 / 국도 노선 / 이정 / 주소 / 좌표)에서
+ * 가장 가까운 검문소를 찾아 적발 위치 문구와 검문소명을 채웁니다.
+ * 통신 없이 동작하도록 주소 변환 서비스 대신 위치표만 사용하며,
+ * 같은 검문소는 항상 같은 문구가 되어 보고서마다 위치 표기가 같아집니다.
+ * 적발 위치 아래 검문소 버튼을 누르면 GPS 없이도 같은 내용을 채웁니다.
+ *
+ * 위치표 형식 (localStorage, 설정에서 JSON으로 내보내기/불러오기):
+ * [{ id, name, route, kilopost, address, lat, lon, radius }]
+ * - lat, lon: 없으면(null) 버튼 선택에만 쓰고 현재 위치 찾기에서는 제외
+ * - radius: 이 거리(m) 안이면 그 검문소로 봄 (없으면 defaultRadius)
+ *
+ * 의존성:
+ * - app.js (generateId, escapeHtml, showToast)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const CHECKPOINT_CONFIG = {
+    storageKey: 'dorofill_checkpoints',
+    exportType: 'dorofill-checkpoints',
+    defaultRadius: 1000,    // m
+    geolocation: { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 },
+
+    // 적발 보고서·진술서 입력칸
+    buttonId: 'btn-current-location',
+    presetsId: 'checkpointPresets',
+    locationFieldId: 'reportLocation',
+    nameFieldId: 'checkpointName',
+    latFieldId: 'reportLatitude',
+    lonFieldId: 'reportLongitude',
+    accuracyFieldId: 'reportLocationAccuracy',
+    statusId: 'currentLocationStatus'
+};
+
+/** Geolocation 오류 코드별 안내 */
+const GEOLOCATION_ERROR_MESSAGES = {
+    1: '위치 권한이 거부되었습니다. 브라우저 설정에서 위치 권한을 허용하세요',
+    2: '현재 위치를 찾을 수 없습니다. GPS가 켜져 있는지 확인하세요',
+    3: '위치 확인 시간이 초과되었습니다. 다시 시도하세요'
+};
+
+// ==========================================================================
+// 검문소 위치표
+// ==========================================================================
+
+/**
+ * 검문소 위치표 (저장된 순서)
+ * @returns {Array<Object>}
+ */
+function getCheckpoints() {
+    const stored = localStorage.getItem(CHECKPOINT_CONFIG.storageKey);
+    if (!stored) return [];
+
+    try {
+        const checkpoints = JSON.parse(stored);
+        return Array.isArray(checkpoints) ? checkpoints : [];
+    } catch (error) {
+        console.warn('[검문소] 저장된 위치표를 읽을 수 없습니다:', error);
+        return [];
+    }
+}
+
+function storeCheckpoints(checkpoints) {
+    localStorage.setItem(CHECKPOINT_CONFIG.storageKey, JSON.stringify(checkpoints));
+}
+
+/**
+ * 검문소 항목 검증 + 정리 (숫자 변환, 빈 칸 정리)
+ * @param {Object} checkpoint - 검문소 항목
+ * @returns {Object} 정리한 항목
+ * @throws {Error} 이름·주소가 모두 없거나 좌표가 잘못된 경우 (좌표는 둘 다 비워 둘 수 있음)
+ */
+function normalizeCheckpoint(checkpoint) {
+    const text = value => String(value ?? '').trim();
+    const result = {
+        id: text(checkpoint.id) || generateId(),
+        name: text(checkpoint.name),
+        route: text(checkpoint.route),
+        kilopost: text(checkpoint.kilopost),
+        address: text(checkpoint.address),
+        lat: text(checkpoint.lat) === '' ? null : parseFloat(checkpoint.lat),
+        lon: text(checkpoint.lon) === '' ? null : parseFloat(checkpoint.lon),
+        radius: parseFloat(checkpoint.radius) || CHECKPOINT_CONFIG.defaultRadius
+    };
+
+    const label = result.name || result.address || '(이름 없음)';
+    if (!result.name && !result.address) {
+        throw new Error('검문소 이름이나 주소를 입력하세요');
+    }
+    if ((result.lat === null) !== (result.lon === null)) {
+        throw new Error(`${label}: 위도와 경도를 함께 입력하거나 둘 다 비워 두세요`);
+    }
+    if (result.lat !== null && (!(Math.abs(result.lat) <= 90) || !(Math.abs(result.lon) <= 180))) {
+        throw new Error(`${label}: 위도(-90~90)·경도(-180~180)가 올바르지 않습니다`);
+    }
+    if (result.radius <= 0) {
+        throw new Error(`${label}: 인정 거리는 0보다 커야 합니다`);
+    }
+
+    return result;
+}
+
+/**
+ * 검문소 추가 또는 수정 (같은 id가 있으면 바꿈)
+ * @param {Object} checkpoint - 검문소 항목
+ * @returns {Object} 저장한 항목
+ * @throws {Error} 검증 오류
+ */
+function saveCheckpoint(checkpoint) {
+    const saved = normalizeCheckpoint(checkpoint);
+    const checkpoints = getCheckpoints();
+    const index = checkpoints.findIndex(item => item.id === saved.id);
+
+    if (index === -1) {
+        checkpoints.push(saved);
+    } else {
+        checkpoints[index] = saved;
+    }
+
+    storeCheckpoints(checkpoints);
+    return saved;
+}
+
+/**
+ * 검문소 삭제
+ * @param {string} id - 검문소 ID
+ */
+function deleteCheckpoint(id) {
+    storeCheckpoints(getCheckpoints().filter(item => item.id !== id));
+}
+
+/**
+ * 위치표 불러오기 (같은 id는 바꾸고 나머지는 추가)
+ * @param {string} json - exportCheckpoints 형식 또는 항목 배열 JSON
+ * @returns {number} 불러온 항목 수
+ * @throws {Error} JSON 또는 형식 오류 (하나라도 잘못되면 저장하지 않음)
+ */
+function importCheckpoints(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error('JSON 형식이 아닙니다: ' + error.message);
+    }
+
+    const items = Array.isArray(data) ? data : data && data.checkpoints;
+    if (!Array.isArray(items)) {
+        throw new Error('검문소 위치표 파일이 아닙니다');
+    }
+
+    const imported = items.map(normalizeCheckpoint);
+    const checkpoints = getCheckpoints();
+    imported.forEach(item => {
+        const index = checkpoints.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+            checkpoints.push(item);
+        } else {
+            checkpoints[index] = item;
+        }
+    });
+
+    storeCheckpoints(checkpoints);
+    console.log(`[검문소] 위치표 ${imported.length}곳 불러옴`);
+    return imported.length;
+}
+
+/**
+ * 위치표 내보내기 (다른 기기에서 불러올 JSON)
+ * @returns {string}
+ */
+function exportCheckpoints() {
+    return JSON.stringify({
+        type: CHECKPOINT_CONFIG.exportType,
+        exportedAt: new Date().toISOString(),
+        checkpoints: getCheckpoints()
+    }, null, 2);
+}
+
+/**
+ * 적발 위치 문구 (노선 · 이정 · 주소 · 검문소)
+ * 예: "국도 17호선 (이정 123.4km) 충북 청주시 서원구 현도면 죽암리 (죽암검문소)"
+ * @param {Object} checkpoint - 검문소 항목
+ * @returns {string}
+ */
+function formatCheckpointLocation(checkpoint) {
+    return [
+        checkpoint.route,
+        checkpoint.kilopost && `(이정 ${checkpoint.kilopost})`,
+        checkpoint.address,
+        checkpoint.name && `(${checkpoint.name})`
+    ].filter(Boolean).join(' ');
+}
+
+// ==========================================================================
+// 거리 계산
+// ==========================================================================
+
+/**
+ * 두 좌표 사이 거리 (하버사인 공식)
+ * @returns {number} 거리 (m)
+ */
+function getDistanceMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * 가장 가까운 검문소 (좌표가 있는 검문소만)
+ * @param {number} lat - 위도
+ * @param {number} lon - 경도
+ * @returns {Object|null} { checkpoint, distance, inRange } (좌표가 있는 검문소가 없으면 null)
+ */
+function findNearestCheckpoint(lat, lon) {
+    let nearest = null;
+
+    getCheckpoints().forEach(checkpoint => {
+        if (typeof checkpoint.lat !== 'number' || typeof checkpoint.lon !== 'number') return;
+        const distance = getDistanceMeters(lat, lon, checkpoint.lat, checkpoint.lon);
+        if (!nearest || distance < nearest.distance) {
+            nearest = { checkpoint, distance };
+        }
+    });
+
+    if (nearest) {
+        nearest.inRange = nearest.distance <= (nearest.checkpoint.radius || CHECKPOINT_CONFIG.defaultRadius);
+    }
+    return nearest;
+}
+
+/**
+ * 거리 표시 (1km 미만은 m)
+ * @param {number} meters - 거리
+ * @returns {string}
+ */
+function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+}
+
+// ==========================================================================
+// 현재 위치
+// ==========================================================================
+
+/**
+ * 현재 위치 (Geolocation API)
+ * @returns {Promise<{lat: number, lon: number, accuracy: number}>}
+ * @throws {Error} 지원하지 않거나 권한 거부·시간 초과
+ */
+function getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('이 브라우저는 위치 확인을 지원하지 않습니다'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({
+                lat: position.coords.latitude,
+                lon: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            error => reject(new Error(GEOLOCATION_ERROR_MESSAGES[error.code] || error.message)),
+            CHECKPOINT_CONFIG.geolocation
+        );
+    });
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 적발 위치에 [현재 위치] 버튼과 검문소 선택 버튼 연결
+ * 위치 문구를 직접 고쳐도 저장한 좌표(실제 적발 지점)는 그대로 둡니다.
+ * 사건을 불러온 뒤에는 renderLocationStatus()를 직접 호출하세요.
+ */
+function bindLocationForm() {
+    const button = document.getElementById(CHECKPOINT_CONFIG.buttonId);
+    if (button) button.addEventListener('click', fillCurrentLocation);
+
+    const presets = document.getElementById(CHECKPOINT_CONFIG.presetsId);
+    if (presets) {
+        const checkpoints = getCheckpoints();
+        presets.innerHTML = checkpoints.map(checkpoint => `
+            <button type="button" data-checkpoint-id="${escapeHtml(checkpoint.id)}"
+                class="preset-chip">${escapeHtml(checkpoint.name || checkpoint.address)}</button>
+        `).join('');
+        presets.hidden = checkpoints.length === 0;
+
+        presets.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-checkpoint-id]');
+            const checkpoint = chip && getCheckpoints().find(item => item.id === chip.dataset.checkpointId);
+            if (checkpoint) applyCheckpoint(checkpoint);
+        });
+    }
+
+    renderLocationStatus();
+}
+
+/**
+ * 검문소명과 적발 위치 문구 입력 (다른 위치 문구가 있으면 확인 후 바꿈)
+ * @param {Object} checkpoint - 검문소 항목
+ */
+function applyCheckpoint(checkpoint) {
+    setLocationFieldValue(CHECKPOINT_CONFIG.nameFieldId, checkpoint.name);
+
+    const location = formatCheckpointLocation(checkpoint);
+    const current = getLocationFieldValue(CHECKPOINT_CONFIG.locationFieldId).trim();
+    if (current !== location && (!current || confirm(`적발 위치를 바꾸시겠습니까?\n\n${current}\n→ ${location}`))) {
+        setLocationFieldValue(CHECKPOINT_CONFIG.locationFieldId, location);
+    }
+}
+
+/**
+ * 현재 위치를 받아 좌표를 저장하고 가까운 검문소 문구로 적발 위치 채우기
+ * @returns {Promise<Object|null>} findNearestCheckpoint 결과 (위치 확인 실패 시 null)
+ */
+async function fillCurrentLocation() {
+    const button = document.getElementById(CHECKPOINT_CONFIG.buttonId);
+    if (button) button.disabled = true;
+
+    let position;
+    try {
+        position = await getCurrentPosition();
+    } catch (error) {
+        console.error('[검문소] 위치 확인 실패:', error);
+        showToast(error.message, 'error', 5000);
+        return null;
+    } finally {
+        if (button) button.disabled = false;
+    }
+
+    setLocationFieldValue(CHECKPOINT_CONFIG.latFieldId, position.lat.toFixed(6));
+    setLocationFieldValue(CHECKPOINT_CONFIG.lonFieldId, position.lon.toFixed(6));
+    setLocationFieldValue(CHECKPOINT_CONFIG.accuracyFieldId, String(Math.round(position.accuracy)));
+
+    const nearest = findNearestCheckpoint(position.lat, position.lon);
+    if (!nearest) {
+        showToast('좌표를 저장했습니다. 설정의 검문소 위치표에 좌표를 등록하면 위치 문구를 채웁니다', 'info', 5000);
+    } else if (!nearest.inRange) {
+        showToast(`좌표를 저장했습니다. 가까운 등록 검문소가 없습니다 (가장 가까운 ${nearest.checkpoint.name || nearest.checkpoint.address}: ${formatDistance(nearest.distance)})`, 'warning', 5000);
+    } else {
+        applyCheckpoint(nearest.checkpoint);
+        showToast(`${nearest.checkpoint.name || formatCheckpointLocation(nearest.checkpoint)} (${formatDistance(nearest.distance)})`, 'success');
+    }
+
+    renderLocationStatus();
+    return nearest;
+}
+
+/**
+ * 저장된 좌표와 가까운 검문소 표시
+ */
+function renderLocationStatus() {
+    const status = document.getElementById(CHECKPOINT_CONFIG.statusId);
+    if (!status) return;
+
+    const lat = parseFloat(getLocationFieldValue(CHECKPOINT_CONFIG.latFieldId));
+    const lon = parseFloat(getLocationFieldValue(CHECKPOINT_CONFIG.lonFieldId));
+    if (isNaN(lat) || isNaN(lon)) {
+        status.hidden = true;
+        return;
+    }
+
+    const accuracy = getLocationFieldValue(CHECKPOINT_CONFIG.accuracyFieldId);
+    const nearest = findNearestCheckpoint(lat, lon);
+    const parts = [`📍 ${lat.toFixed(5)}, ${lon.toFixed(5)}${accuracy ? ` (±${accuracy}m)` : ''}`];
+    if (nearest && nearest.inRange) {
+        parts.push(`${nearest.checkpoint.name || nearest.checkpoint.address} ${formatDistance(nearest.distance)}`);
+    }
+
+    status.textContent = parts.join(' · ');
+    status.hidden = false;
+}
+
+function getLocationFieldValue(id) {
+    const el = document.getElementById(id);
+    return el ? el.value : '';
+}
+
+/** 값을 넣고 input 이벤트 발생 (자동 저장·미리보기 갱신) */
+function setLocationFieldValue(id, value) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.CheckpointLocations = {
+    // 위치표
+    list: getCheckpoints,
+    save: saveCheckpoint,
+    remove: deleteCheckpoint,
+    import: importCheckpoints,
+    export: exportCheckpoints,
+    format: formatCheckpointLocation,
+
+    // 위치
+    getCurrentPosition,
+    findNearest: findNearestCheckpoint,
+    getDistance: getDistanceMeters,
+    formatDistance,
+
+    // 폼 연동
+    bindForm: bindLocationForm,
+    apply: applyCheckpoint,
+    fillCurrent: fillCurrentLocation,
+    refreshStatus: renderLocationStatus,
+
+    // 설정
+    config: CHECKPOINT_CONFIG
+};
+
+console.log('checkpoint-locations.js 로드 완료');
@@ -0,0 +1,313 @@
+/**
+ * DoroFill - IndexedDB Helper
+ * 앱 공용 IndexedDB 연결 및 기본 CRUD 함수
+ *
+ * localStorage는 5MB 제한이 있고 단일 키에 덮어쓰는 구조라
+ * 여러 건의 사건 기록처럼 누적되는 데이터는 IndexedDB에 저장합니다.
+ *
+ * 저장소(object store)를 추가할 때는 DB_CONFIG.stores에 정의하고
+ * DB_CONFIG.version을 1 올리면 onupgradeneeded에서 자동 생성됩니다.
+ *
+ * encrypted: true인 저장소는 앱 잠금(app-lock.js)이 켜져 있으면
+ * 기본 키·인덱스 필드만 평문으로 두고 나머지를 암호화해 저장합니다.
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const DB_CONFIG = {
+    name: 'dorofill',
+    version: 5,
+    stores: {
+        // 적발 사건 대장
+        cases: {
+            keyPath: 'id',
+            encrypted: true,
+            indexes: [
+                { name: 'savedAt', keyPath: '_savedAt' },
+                { name: 'status', keyPath: 'status' }
+            ]
+        },
+        // PDF 템플릿 보관함 (파일 내용 해시가 키)
+        templates: {
+            keyPath: 'hash',
+            indexes: [
+                { name: 'savedAt', keyPath: '_savedAt' }
+            ]
+        },
+        // 템플릿별 좌표 프로필 (템플릿 해시가 키)
+        profiles: {
+            keyPath: 'hash',
+            indexes: [
+                { name: 'savedAt', keyPath: '_savedAt' }
+            ]
+        },
+        // 사건별 증거 사진 (사건 레코드와 분리해 목록 조회를 가볍게 유지)
+        photos: {
+            keyPath: 'id',
+            encrypted: true,
+            indexes: [
+                { name: 'caseId', keyPath: 'caseId' },
+                { name: 'savedAt', keyPath: '_savedAt' }
+            ]
+        },
+        // 앱 잠금 - 탭 비밀값으로 감싼 잠금 해제 세션의 데이터 키, PIN 실패 횟수 (app-lock.js)
+        lock: {
+            keyPath: 'id'
+        }
+    }
+};
+
+/** 열린 DB 연결 (Promise 캐시) */
+let dbPromise = null;
+
+/** 레코드 암호화 { encode(value, clearFields), decode(value) } - app-lock.js가 등록 */
+let dbCodec = null;
+
+// ==========================================================================
+// 연결
+// ==========================================================================
+
+/**
+ * IndexedDB 지원 여부 확인
+ * @returns {boolean}
+ */
+function isIndexedDbSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * 데이터베이스 열기 (최초 1회 생성/업그레이드)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (!isIndexedDbSupported()) {
+        return Promise.reject(new Error('이 브라우저는 IndexedDB를 지원하지 않습니다.'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_CONFIG.name, DB_CONFIG.version);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const transaction = event.target.transaction;
+
+            Object.entries(DB_CONFIG.stores).forEach(([storeName, storeDef]) => {
+                const store = db.objectStoreNames.contains(storeName)
+                    ? transaction.objectStore(storeName)
+                    : db.createObjectStore(storeName, { keyPath: storeDef.keyPath });
+
+                (storeDef.indexes || []).forEach(index => {
+                    if (!store.indexNames.contains(index.name)) {
+                        store.createIndex(index.name, index.keyPath, { unique: !!index.unique });
+                    }
+                });
+            });
+
+            console.log(`[DB] 스키마 업그레이드: v${event.oldVersion} → v${DB_CONFIG.version}`);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // 다른 탭에서 버전이 올라가면 연결을 닫아 업그레이드를 막지 않음
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+
+        request.onblocked = () => {
+            console.warn('[DB] 다른 탭이 이전 버전 DB를 사용 중입니다. 다른 탭을 닫아주세요.');
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * IDBRequest를 Promise로 변환
+ * @param {IDBRequest} request - IndexedDB 요청
+ * @returns {Promise<any>} 요청 결과
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 저장소 하나에 대한 트랜잭션 실행
+ * @param {string} storeName - 저장소 이름
+ * @param {string} mode - 'readonly' 또는 'readwrite'
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise<any>} 요청 결과
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const result = await promisifyRequest(callback(transaction.objectStore(storeName)));
+
+    // 쓰기 트랜잭션은 커밋 완료까지 대기
+    if (mode === 'readwrite') {
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    return result;
+}
+
+/**
+ * 레코드 암호화 훅 등록
+ * @param {Object} codec - { encode(value, clearFields): Promise<Object>, decode(value): Promise<Object> }
+ */
+function setDbCodec(codec) {
+    dbCodec = codec;
+}
+
+/**
+ * 저장 전 레코드 변환 (encrypted 저장소만, 기본 키·인덱스 필드는 평문 유지)
+ * @param {string} storeName - 저장소 이름
+ * @param {Object} value - 레코드
+ * @returns {Promise<Object>}
+ */
+async function encodeStoreRecord(storeName, value) {
+    const storeDef = DB_CONFIG.stores[storeName];
+    if (!dbCodec || !storeDef || !storeDef.encrypted) return value;
+
+    const clearFields = [storeDef.keyPath, ...(storeDef.indexes || []).map(index => index.keyPath)];
+    return dbCodec.encode(value, clearFields);
+}
+
+/**
+ * 읽은 레코드 변환 (encrypted 저장소만)
+ * @param {string} storeName - 저장소 이름
+ * @param {Object|undefined} value - 저장된 레코드
+ * @returns {Promise<Object|undefined>}
+ */
+async function decodeStoreRecord(storeName, value) {
+    const storeDef = DB_CONFIG.stores[storeName];
+    if (!dbCodec || !storeDef || !storeDef.encrypted || !value) return value;
+    return dbCodec.decode(value);
+}
+
+// ==========================================================================
+// 기본 CRUD
+// ==========================================================================
+
+/**
+ * 키로 레코드 조회
+ * @param {string} storeName - 저장소 이름
+ * @param {any} key - 기본 키
+ * @returns {Promise<Object|undefined>}
+ */
+async function dbGet(storeName, key) {
+    const record = await withStore(storeName, 'readonly', store => store.get(key));
+    return decodeStoreRecord(storeName, record);
+}
+
+/**
+ * 저장소의 모든 레코드 조회
+ * @param {string} storeName - 저장소 이름
+ * @returns {Promise<Array<Object>>}
+ */
+async function dbGetAll(storeName) {
+    const records = await withStore(storeName, 'readonly', store => store.getAll());
+    return Promise.all(records.map(record => decodeStoreRecord(storeName, record)));
+}
+
+/**
+ * 인덱스로 레코드 조회
+ * @param {string} storeName - 저장소 이름
+ * @param {string} indexName - 인덱스 이름
+ * @param {any} query - 키 또는 IDBKeyRange
+ * @returns {Promise<Array<Object>>}
+ */
+async function dbGetAllByIndex(storeName, indexName, query) {
+    const records = await withStore(storeName, 'readonly', store => store.index(indexName).getAll(query));
+    return Promise.all(records.map(record => decodeStoreRecord(storeName, record)));
+}
+
+/**
+ * 레코드 저장 (추가 또는 덮어쓰기)
+ * @param {string} storeName - 저장소 이름
+ * @param {Object} value - 저장할 레코드
+ * @returns {Promise<any>} 저장된 레코드의 키
+ */
+async function dbPut(storeName, value) {
+    // 암호화는 트랜잭션 밖에서 (await 중에 트랜잭션이 자동 커밋되지 않도록)
+    const record = await encodeStoreRecord(storeName, value);
+    return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * 레코드 삭제
+ * @param {string} storeName - 저장소 이름
+ * @param {any} key - 기본 키
+ * @returns {Promise<void>}
+ */
+function dbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * 저장소 비우기
+ * @param {string} storeName - 저장소 이름
+ * @returns {Promise<void>}
+ */
+function dbClear(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * 여러 저장소에 한 트랜잭션으로 쓰기 (하나라도 실패하면 모두 취소)
+ * @param {Array<Object>} operations - { type: 'put', storeName, value } 또는 { type: 'delete', storeName, key }
+ * @returns {Promise<void>}
+ */
+async function dbWriteBatch(operations) {
+    if (operations.length === 0) return;
+
+    // 암호화는 트랜잭션 밖에서 (dbPut과 같은 이유)
+    const encoded = [];
+    for (const operation of operations) {
+        encoded.push(operation.type === 'put'
+            ? { ...operation, value: await encodeStoreRecord(operation.storeName, operation.value) }
+            : operation);
+    }
+
+    const db = await openDatabase();
+    const transaction = db.transaction([...new Set(encoded.map(operation => operation.storeName))], 'readwrite');
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('저장이 취소되었습니다.'));
+    });
+
+    try {
+        encoded.forEach(operation => {
+            const store = transaction.objectStore(operation.storeName);
+            if (operation.type === 'put') store.put(operation.value);
+            else store.delete(operation.key);
+        });
+    } catch (error) {
+        completed.catch(() => {});
+        transaction.abort();
+        throw error;
+    }
+
+    await completed;
+}
+
+console.log('db.js 로드 완료');
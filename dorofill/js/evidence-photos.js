@@ -0,0 +1,343 @@
+/**
+ * DoroFill - Evidence Photos
+ * 적발 현장 증거 사진 (계근 표시, 번호판, 적재 상태)
+ *
+ * 카메라 촬영 또는 파일 선택으로 받은 사진을 긴 변 기준으로 줄여 JPEG로 다시 저장하고,
+ * 사건 ID와 함께 IndexedDB photos 저장소에 보관합니다. 사건 레코드와 분리되어 있어
+ * 사건 목록 조회(이전 위반 조회 등)가 사진 때문에 무거워지지 않습니다.
+ * 적발 보고서 PDF를 만들 때 사진과 설명(촬영 일시, 장소, 내용)이 증거 사진 페이지로 붙습니다.
+ *
+ * 의존성:
+ * - db.js (photos 저장소)
+ * - app.js (generateId, escapeHtml, showToast, formatDateInput, formatTimeInput)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const EVIDENCE_CONFIG = {
+    storeName: 'photos',
+    // 사건당 최대 장수
+    maxPhotos: 12,
+    // 긴 변 최대 픽셀 (A4 절반 폭에 충분한 해상도)
+    maxDimension: 1600,
+    jpegQuality: 0.8,
+    listId: 'evidencePhotoList',
+    countId: 'evidencePhotoCount',
+    inputIds: ['evidenceCameraInput', 'evidenceFileInput']
+};
+
+let evidenceFormOptions = null;     // bindEvidenceForm 옵션
+let evidenceObjectUrls = [];        // 미리보기 이미지 URL (다시 그릴 때 해제)
+
+// ==========================================================================
+// 이미지 줄이기
+// ==========================================================================
+
+/**
+ * 이미지 파일을 그릴 수 있는 형태로 읽기 (촬영 방향 반영)
+ * @param {File} file - 이미지 파일
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function loadImageSource(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            console.warn('[증거 사진] createImageBitmap 실패, <img>로 다시 시도:', error);
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * 사진을 긴 변 maxDimension 이하의 JPEG로 줄이기
+ * @param {File} file - 이미지 파일
+ * @returns {Promise<Object>} { data: ArrayBuffer, type, width, height }
+ * @throws {Error} 이미지로 읽을 수 없는 파일
+ */
+async function downscaleImage(file) {
+    let source;
+    try {
+        source = await loadImageSource(file);
+    } catch (error) {
+        throw new Error(`${file.name}: 이미지로 읽을 수 없는 파일입니다.`);
+    }
+
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.min(1, EVIDENCE_CONFIG.maxDimension / Math.max(sourceWidth, sourceHeight));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+
+    const ctx = canvas.getContext('2d');
+    // JPEG는 투명도가 없으므로 흰 배경 (투명 PNG 캡처 대비)
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (typeof source.close === 'function') source.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', EVIDENCE_CONFIG.jpegQuality));
+    if (!blob) throw new Error(`${file.name}: 사진을 줄이지 못했습니다.`);
+
+    return {
+        data: await blob.arrayBuffer(),
+        type: 'image/jpeg',
+        width: canvas.width,
+        height: canvas.height
+    };
+}
+
+// ==========================================================================
+// 저장/조회
+// ==========================================================================
+
+/**
+ * 사건의 증거 사진 목록 (추가한 순서)
+ * @param {string} caseId - 사건 ID
+ * @returns {Promise<Array<Object>>} 사진 레코드 { id, caseId, data, type, width, height, takenAt, location, description, createdAt }
+ */
+async function listEvidencePhotos(caseId) {
+    if (!caseId) return [];
+    const photos = await dbGetAllByIndex(EVIDENCE_CONFIG.storeName, 'caseId', caseId);
+    return photos.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * 사건에 사진 추가 (줄여서 저장)
+ * 촬영 일시는 파일 수정 시각(카메라 촬영은 촬영 시각)을 씁니다.
+ *
+ * @param {string} caseId - 사건 ID
+ * @param {Array<File>} files - 이미지 파일
+ * @param {Object} [defaults={}] - 설명 기본값
+ * @param {string} [defaults.location] - 촬영 장소 (기본: 적발 장소)
+ * @returns {Promise<Object>} { added: 추가한 레코드 배열, errors: 실패 메시지 배열 }
+ */
+async function addEvidencePhotos(caseId, files, defaults = {}) {
+    const existing = await listEvidencePhotos(caseId);
+    const room = EVIDENCE_CONFIG.maxPhotos - existing.length;
+    const result = { added: [], errors: [] };
+
+    if (files.length > room) {
+        result.errors.push(`사진은 사건당 최대 ${EVIDENCE_CONFIG.maxPhotos}장까지 저장됩니다 (${files.length - Math.max(room, 0)}장 제외)`);
+    }
+
+    for (const file of files.slice(0, Math.max(room, 0))) {
+        try {
+            const image = await downscaleImage(file);
+            const now = new Date().toISOString();
+            const record = {
+                id: generateId(),
+                caseId,
+                ...image,
+                fileName: file.name,
+                takenAt: new Date(file.lastModified || Date.now()).toISOString(),
+                location: defaults.location || '',
+                description: '',
+                createdAt: now,
+                _savedAt: now
+            };
+            await dbPut(EVIDENCE_CONFIG.storeName, record);
+            result.added.push(record);
+        } catch (error) {
+            console.error('[증거 사진] 저장 실패:', error);
+            result.errors.push(error.message);
+        }
+    }
+
+    console.log(`[증거 사진] ${result.added.length}장 추가 (사건 ${caseId})`);
+    return result;
+}
+
+/**
+ * 사진 설명 수정
+ * @param {string} id - 사진 ID
+ * @param {Object} changes - { location, description }
+ * @returns {Promise<Object>} 수정된 레코드
+ */
+async function updateEvidencePhoto(id, changes) {
+    const record = await dbGet(EVIDENCE_CONFIG.storeName, id);
+    if (!record) {
+        throw new Error('사진을 찾을 수 없습니다.');
+    }
+
+    ['location', 'description'].forEach(key => {
+        if (changes[key] !== undefined) record[key] = changes[key];
+    });
+    record._savedAt = new Date().toISOString();
+
+    await dbPut(EVIDENCE_CONFIG.storeName, record);
+    return record;
+}
+
+/**
+ * 사진 삭제
+ * @param {string} id - 사진 ID
+ * @returns {Promise<void>}
+ */
+function deleteEvidencePhoto(id) {
+    return dbDelete(EVIDENCE_CONFIG.storeName, id);
+}
+
+/**
+ * PDF 설명에 쓰는 촬영 일시 (YYYY-MM-DD HH:MM)
+ * @param {Object} photo - 사진 레코드
+ * @returns {string}
+ */
+function formatPhotoTakenAt(photo) {
+    const date = new Date(photo.takenAt);
+    return isNaN(date) ? '' : `${formatDateInput(date)} ${formatTimeInput(date)}`;
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 적발 보고서에 증거 사진 입력 연결
+ * 사건을 불러온 뒤에는 refreshEvidencePhotoList()를 직접 호출하세요.
+ *
+ * @param {Object} options - 옵션
+ * @param {Function} options.ensureCase - 사진을 붙일 사건 ID 반환 (없으면 저장해서 만듦) () => Promise<string>
+ * @param {Function} [options.getDefaults] - 새 사진 설명 기본값 () => ({ location })
+ */
+function bindEvidenceForm(options) {
+    evidenceFormOptions = options;
+
+    EVIDENCE_CONFIG.inputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+
+        input.addEventListener('change', async () => {
+            const files = Array.from(input.files || []);
+            input.value = '';   // 같은 파일 다시 선택 가능
+            if (files.length > 0) await addEvidenceFromInput(files);
+        });
+    });
+
+    const list = document.getElementById(EVIDENCE_CONFIG.listId);
+    if (list) {
+        // 설명 수정 (입력을 마치면 저장)
+        list.addEventListener('change', async (e) => {
+            const field = e.target.closest('[data-photo-field]');
+            if (!field) return;
+            try {
+                await updateEvidencePhoto(field.dataset.photoId, { [field.dataset.photoField]: field.value });
+            } catch (error) {
+                console.error('[증거 사진] 설명 저장 실패:', error);
+                showToast('사진 설명을 저장하지 못했습니다', 'error');
+            }
+        });
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-photo-delete]');
+            if (!button || !confirm('이 사진을 삭제하시겠습니까?')) return;
+            await deleteEvidencePhoto(button.dataset.photoDelete);
+            await refreshEvidencePhotoList();
+        });
+    }
+
+    refreshEvidencePhotoList();
+}
+
+/**
+ * 선택한 파일을 현재 사건에 추가
+ * @param {Array<File>} files - 이미지 파일
+ */
+async function addEvidenceFromInput(files) {
+    showLoading('사진 저장 중...');
+    try {
+        const caseId = await evidenceFormOptions.ensureCase();
+        const defaults = evidenceFormOptions.getDefaults ? evidenceFormOptions.getDefaults() : {};
+        const result = await addEvidencePhotos(caseId, files, defaults);
+
+        if (result.errors.length > 0) {
+            showToast(result.errors.join(' / '), 'warning', 6000);
+        } else {
+            showToast(`사진 ${result.added.length}장을 저장했습니다`, 'success');
+        }
+    } catch (error) {
+        console.error('[증거 사진] 추가 실패:', error);
+        showToast('사진을 저장하지 못했습니다: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+    await refreshEvidencePhotoList();
+}
+
+/**
+ * 현재 사건의 사진 목록 다시 그리기
+ * @returns {Promise<Array<Object>>} 사진 레코드 목록
+ */
+async function refreshEvidencePhotoList() {
+    const list = document.getElementById(EVIDENCE_CONFIG.listId);
+    if (!list) return [];
+
+    let photos = [];
+    try {
+        photos = await listEvidencePhotos(CaseStore.getCurrentId());
+    } catch (error) {
+        console.error('[증거 사진] 목록 조회 실패:', error);
+    }
+
+    evidenceObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    evidenceObjectUrls = photos.map(photo => URL.createObjectURL(new Blob([photo.data], { type: photo.type })));
+
+    list.innerHTML = photos.map((photo, index) => `
+        <div class="evidence-photo">
+            <div class="evidence-photo-image">
+                <img src="${evidenceObjectUrls[index]}" alt="증거 사진 ${index + 1}">
+                <button type="button" data-photo-delete="${escapeHtml(photo.id)}" class="evidence-photo-delete" aria-label="사진 삭제">✕</button>
+            </div>
+            <p class="text-xs text-gray-500 mt-1">사진 ${index + 1} · ${escapeHtml(formatPhotoTakenAt(photo))}</p>
+            <input type="text" class="form-input w-full text-xs mt-1" placeholder="촬영 장소"
+                data-photo-id="${escapeHtml(photo.id)}" data-photo-field="location" value="${escapeHtml(photo.location)}">
+            <input type="text" class="form-input w-full text-xs mt-1" placeholder="내용 (예: 계근 표시, 번호판)"
+                data-photo-id="${escapeHtml(photo.id)}" data-photo-field="description" value="${escapeHtml(photo.description)}">
+        </div>
+    `).join('');
+
+    const count = document.getElementById(EVIDENCE_CONFIG.countId);
+    if (count) count.textContent = `${photos.length}장`;
+
+    EVIDENCE_CONFIG.inputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = photos.length >= EVIDENCE_CONFIG.maxPhotos;
+    });
+
+    return photos;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.EvidencePhotos = {
+    // 저장/조회
+    list: listEvidencePhotos,
+    add: addEvidencePhotos,
+    update: updateEvidencePhoto,
+    remove: deleteEvidencePhoto,
+    formatTakenAt: formatPhotoTakenAt,
+
+    // 폼 연동
+    bindForm: bindEvidenceForm,
+    refresh: refreshEvidencePhotoList,
+
+    // 설정
+    config: EVIDENCE_CONFIG
+};
+
+console.log('evidence-photos.js 로드 완료');
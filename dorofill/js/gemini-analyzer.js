@@ -5,8 +5,9 @@
  * 각 필드의 정확한 좌표를 자동으로 추출합니다.
  * 
  * 의존성:
- * - PDF.js (CDN): PDF → 이미지 변환
- * - Gemini API Key (localStorage에 저장됨)
+ * - PDF.js (lib/pdf.min.js): PDF → 이미지 변환
+ * - template-profiles.js: 분석 결과를 템플릿 프로필로 저장
+ * - app.js (getSecureItem): Gemini API Key (localStorage, 앱 잠금 시 암호화)
  */
 
 // ==========================================================================
@@ -15,7 +16,6 @@
 
 const GEMINI_CONFIG = {
     apiKeyStorage: 'dorofill_gemini_api_key',
-    coordinatesStorage: 'dorofill_ai_coordinates',
     model: 'gemini-2.0-flash',
     apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models'
 };
@@ -32,9 +32,11 @@ const PDF_FIELDS = {
 
         // 적발 장소
         location: { label: '적발 위치/장소', type: 'text', example: '국도 17호선 청주시' },
+        checkpoint: { label: '검문소명', type: 'text', example: '죽암검문소' },
 
         // 운전자 정보
         driverName: { label: '운전자 성명', type: 'text', example: '홍길동' },
+        driverSignature: { label: '운전자 서명', type: 'signature', example: '' },
         driverAddress: { label: '운전자 주소', type: 'text', example: '서울시 강남구' },
         phoneFixed: { label: '일반전화번호', type: 'tel', example: '02-123-4567' },
         phoneMobile: { label: '휴대전화번호', type: 'tel', example: '010-1234-5678' },
@@ -77,25 +79,89 @@ const PDF_FIELDS = {
         totalWeightMeasured: { label: '총중량 측정결과', type: 'number', example: '42.00' },
         totalWeightViolation: { label: '총중량 위반내역', type: 'number', example: '0.00' },
 
+        // 차량 구성 / 운행허가 (중량 표 아래 비고란)
+        vehicleConfig: { label: '차량 구성 (연축)', type: 'text', example: '축 구성 1-2-3: 1축, 2~3축 탠덤, 4~6축 트리덤' },
+        permitInfo: { label: '운행허가', type: 'text', example: '운행허가 2026-0123 - 허가 축하중 12.0톤' },
+
         // 작성자 정보
         authorYear: { label: '작성일 - 년도', type: 'number', example: '2026' },
         authorMonth: { label: '작성일 - 월', type: 'number', example: '01' },
         authorDay: { label: '작성일 - 일', type: 'number', example: '14' },
         authorOffice: { label: '작성자 소속', type: 'text', example: '한국도로공사' },
         authorPosition: { label: '작성자 직급', type: 'text', example: '주임' },
-        authorName: { label: '작성자 성명', type: 'text', example: '김단속' }
+        authorName: { label: '작성자 성명', type: 'text', example: '김단속' },
+        authorSignature: { label: '작성자 서명', type: 'signature', example: '' }
     },
     page2: {
-        // 위반 진술서 필드
+        // 적발 일시
+        dateYear: { label: '적발 일시 - 년도', type: 'number', example: '2026' },
+        dateMonth: { label: '적발 일시 - 월', type: 'number', example: '01' },
+        dateDay: { label: '적발 일시 - 일', type: 'number', example: '14' },
+        dateHour: { label: '적발 일시 - 시', type: 'number', example: '23' },
+        dateMinute: { label: '적발 일시 - 분', type: 'number', example: '30' },
+
+        // 적발 장소
+        location: { label: '적발 위치/장소', type: 'text', example: '국도 17호선 청주시' },
+        checkpoint: { label: '검문소명', type: 'text', example: '죽암검문소' },
+
+        // 차량 정보
+        vehicleType: { label: '차종', type: 'text', example: '5톤 카고' },
+        plateNumber: { label: '차량 등록번호', type: 'text', example: '12가1234' },
+
+        // 차량규격 (측정결과/위반내역)
+        widthMeasured: { label: '너비 측정결과', type: 'number', example: '2.50' },
+        heightMeasured: { label: '높이 측정결과', type: 'number', example: '4.00' },
+        lengthMeasured: { label: '길이 측정결과', type: 'number', example: '16.70' },
+        widthViolation: { label: '너비 위반내역', type: 'number', example: '0.00' },
+        heightViolation: { label: '높이 위반내역', type: 'number', example: '0.00' },
+        lengthViolation: { label: '길이 위반내역', type: 'number', example: '0.00' },
+
+        // 축하중 측정결과
+        axle1Measured: { label: '1축 측정결과', type: 'number', example: '10.50' },
+        axle2Measured: { label: '2축 측정결과', type: 'number', example: '10.50' },
+        axle3Measured: { label: '3축 측정결과', type: 'number', example: '10.50' },
+        axle4Measured: { label: '4축 측정결과', type: 'number', example: '10.50' },
+        axle5Measured: { label: '5축 측정결과', type: 'number', example: '' },
+        axle6Measured: { label: '6축 측정결과', type: 'number', example: '' },
+        axle7Measured: { label: '7축 측정결과', type: 'number', example: '' },
+        axle8Measured: { label: '8축 측정결과', type: 'number', example: '' },
+
+        // 축하중 위반내역
+        axle1Violation: { label: '1축 위반내역', type: 'number', example: '0.00' },
+        axle2Violation: { label: '2축 위반내역', type: 'number', example: '0.00' },
+        axle3Violation: { label: '3축 위반내역', type: 'number', example: '0.00' },
+        axle4Violation: { label: '4축 위반내역', type: 'number', example: '0.00' },
+        axle5Violation: { label: '5축 위반내역', type: 'number', example: '' },
+        axle6Violation: { label: '6축 위반내역', type: 'number', example: '' },
+        axle7Violation: { label: '7축 위반내역', type: 'number', example: '' },
+        axle8Violation: { label: '8축 위반내역', type: 'number', example: '' },
+
+        // 총중량
+        totalWeightMeasured: { label: '총중량 측정결과', type: 'number', example: '42.00' },
+        totalWeightViolation: { label: '총중량 위반내역', type: 'number', example: '0.00' },
+
+        // 진술 내용 (여러 줄 영역)
+        statementBody: { label: '진술 내용 (여러 줄 영역)', type: 'text', example: '' },
+
+        // 진술 작성일
+        statementYear: { label: '진술일 - 년도', type: 'number', example: '2026' },
+        statementMonth: { label: '진술일 - 월', type: 'number', example: '01' },
+        statementDay: { label: '진술일 - 일', type: 'number', example: '14' },
+
+        // 진술인 정보
         witness1Office: { label: '진술인1 소속', type: 'text', example: '한국도로공사' },
         witness1Position: { label: '진술인1 직급', type: 'text', example: '주임' },
         witness1Name: { label: '진술인1 성명', type: 'text', example: '박진술' },
+        witness1Signature: { label: '진술인1 서명', type: 'signature', example: '' },
         witness2Office: { label: '진술인2 소속', type: 'text', example: '' },
         witness2Position: { label: '진술인2 직급', type: 'text', example: '' },
         witness2Name: { label: '진술인2 성명', type: 'text', example: '' },
+        witness2Signature: { label: '진술인2 서명', type: 'signature', example: '' },
         witness3Office: { label: '진술인3 소속', type: 'text', example: '' },
         witness3Position: { label: '진술인3 직급', type: 'text', example: '' },
-        witness3Name: { label: '진술인3 성명', type: 'text', example: '' }
+        witness3Name: { label: '진술인3 성명', type: 'text', example: '' },
+        witness3Signature: { label: '진술인3 서명', type: 'signature', example: '' },
+        witnessContinuation: { label: '진술인 별지 안내 (외 N명)', type: 'text', example: '' }
     }
 };
 
@@ -108,7 +174,7 @@ const PDF_FIELDS = {
  * @returns {string|null} API 키 또는 null
  */
 function getGeminiApiKey() {
-    return localStorage.getItem(GEMINI_CONFIG.apiKeyStorage);
+    return getSecureItem(GEMINI_CONFIG.apiKeyStorage);
 }
 
 /**
@@ -326,8 +392,11 @@ async function analyzePdfTemplate(pdfFile, onProgress = null) {
             result.page2 = await analyzeImageWithGemini(image2.base64, PDF_FIELDS.page2, 2);
         }
 
-        // 결과 저장
-        saveCoordinates(result);
+        // 결과 저장 (이 템플릿의 좌표 프로필)
+        await TemplateProfiles.saveForFile(pdfFile, {
+            source: TemplateProfiles.SOURCES.AI,
+            pages: { page1: result.page1, page2: result.page2 }
+        });
 
         if (onProgress) onProgress('분석 완료!');
 
@@ -340,79 +409,6 @@ async function analyzePdfTemplate(pdfFile, onProgress = null) {
     }
 }
 
-// ==========================================================================
-// 좌표 저장/불러오기
-// ==========================================================================
-
-/**
- * 분석된 좌표를 localStorage에 저장
- * @param {Object} coordinates - 좌표 데이터
- */
-function saveCoordinates(coordinates) {
-    try {
-        localStorage.setItem(GEMINI_CONFIG.coordinatesStorage, JSON.stringify(coordinates));
-        console.log('[좌표] 저장 완료');
-    } catch (e) {
-        console.error('[좌표] 저장 실패:', e);
-    }
-}
-
-/**
- * 저장된 좌표 불러오기
- * @returns {Object|null} 좌표 데이터 또는 null
- */
-function loadCoordinates() {
-    try {
-        const saved = localStorage.getItem(GEMINI_CONFIG.coordinatesStorage);
-        return saved ? JSON.parse(saved) : null;
-    } catch (e) {
-        console.error('[좌표] 불러오기 실패:', e);
-        return null;
-    }
-}
-
-/**
- * AI 분석 좌표가 저장되어 있는지 확인
- * @returns {boolean}
- */
-function hasAiCoordinates() {
-    return loadCoordinates() !== null;
-}
-
-/**
- * 특정 필드의 좌표 가져오기 (AI 좌표 우선, 수동 좌표 폴백)
- * @param {string} fieldName - 필드 이름
- * @param {number} pageNum - 페이지 번호 (1 또는 2)
- * @returns {Object|null} { x, y, size } 또는 null
- */
-function getFieldCoordinate(fieldName, pageNum = 1) {
-    // AI 분석 좌표 먼저 확인
-    const aiCoords = loadCoordinates();
-    const pageKey = `page${pageNum}`;
-
-    if (aiCoords && aiCoords[pageKey] && aiCoords[pageKey][fieldName]) {
-        return aiCoords[pageKey][fieldName];
-    }
-
-    // 수동 좌표 폴백 (PDF_COORDINATES가 정의되어 있다면)
-    if (typeof PDF_COORDINATES !== 'undefined') {
-        const manualCoords = PDF_COORDINATES[pageKey];
-        if (manualCoords && manualCoords[fieldName]) {
-            return manualCoords[fieldName];
-        }
-    }
-
-    return null;
-}
-
-/**
- * 저장된 좌표 삭제
- */
-function clearCoordinates() {
-    localStorage.removeItem(GEMINI_CONFIG.coordinatesStorage);
-    console.log('[좌표] 삭제 완료');
-}
-
 // ==========================================================================
 // Export (전역 객체로 노출)
 // ==========================================================================
@@ -426,13 +422,6 @@ window.GeminiAnalyzer = {
     analyzePdf: analyzePdfTemplate,
     pdfToImage: pdfToImage,
 
-    // 좌표 관리
-    loadCoordinates,
-    saveCoordinates,
-    clearCoordinates,
-    hasCoordinates: hasAiCoordinates,
-    getFieldCoordinate,
-
     // 설정
     config: GEMINI_CONFIG,
     fields: PDF_FIELDS
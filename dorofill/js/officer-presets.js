@@ -0,0 +1,224 @@
+/**
+ * DoroFill - Officer Presets
+ * 단속원 목록 + 근무조로 작성자·진술인 입력
+ *
+ * 설정에서 단속원(소속 / 직급 / 성명)을 등록하고 오늘 근무하는 사람을 근무조로 표시하면
+ * - 적발 보고서: 작성자 칸 위 단속원 버튼을 눌러 작성자 정보를 한 번에 입력
+ *   (새 보고서는 근무조 첫 번째 단속원을 작성자로 미리 입력)
+ * - 위반 진술서: 진술인이 비어 있는 사건은 근무조로 진술인 카드를 채움
+ *
+ * 목록 형식 (localStorage): [{ id, office, position, name, onDuty }]
+ *
+ * 의존성:
+ * - app.js (generateId, escapeHtml)
+ * - signature-pad.js (작성자가 바뀌면 서명 칸 다시 그리기)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const OFFICER_CONFIG = {
+    storageKey: 'dorofill_officers',
+
+    // 적발 보고서 작성자 입력칸
+    authorPresetsId: 'authorPresets',
+    authorFields: {
+        office: 'authorOffice',
+        position: 'authorPosition',
+        name: 'authorName'
+    },
+    authorSignatureId: 'authorSignature'
+};
+
+// ==========================================================================
+// 단속원 목록
+// ==========================================================================
+
+/**
+ * 단속원 목록 (저장된 순서)
+ * @returns {Array<Object>}
+ */
+function getOfficers() {
+    const stored = localStorage.getItem(OFFICER_CONFIG.storageKey);
+    if (!stored) return [];
+
+    try {
+        const officers = JSON.parse(stored);
+        return Array.isArray(officers) ? officers : [];
+    } catch (error) {
+        console.warn('[단속원] 저장된 목록을 읽을 수 없습니다:', error);
+        return [];
+    }
+}
+
+function storeOfficers(officers) {
+    localStorage.setItem(OFFICER_CONFIG.storageKey, JSON.stringify(officers));
+}
+
+/**
+ * 단속원 추가 또는 수정 (같은 id가 있으면 바꿈, 근무조 표시는 유지)
+ * @param {Object} officer - { id?, office, position, name }
+ * @returns {Object} 저장한 항목
+ * @throws {Error} 성명이 없는 경우
+ */
+function saveOfficer(officer) {
+    const text = value => String(value ?? '').trim();
+    const officers = getOfficers();
+    const id = text(officer.id) || generateId();
+    const index = officers.findIndex(item => item.id === id);
+
+    const saved = {
+        id,
+        office: text(officer.office),
+        position: text(officer.position),
+        name: text(officer.name),
+        onDuty: officer.onDuty !== undefined ? !!officer.onDuty : index !== -1 && !!officers[index].onDuty
+    };
+    if (!saved.name) {
+        throw new Error('단속원 성명을 입력하세요');
+    }
+
+    if (index === -1) {
+        officers.push(saved);
+    } else {
+        officers[index] = saved;
+    }
+
+    storeOfficers(officers);
+    return saved;
+}
+
+/**
+ * 단속원 삭제
+ * @param {string} id - 단속원 ID
+ */
+function deleteOfficer(id) {
+    storeOfficers(getOfficers().filter(item => item.id !== id));
+}
+
+/**
+ * 근무조 표시 변경
+ * @param {string} id - 단속원 ID
+ * @param {boolean} onDuty - 근무 중 여부
+ */
+function setOfficerOnDuty(id, onDuty) {
+    storeOfficers(getOfficers().map(item => item.id === id ? { ...item, onDuty: !!onDuty } : item));
+}
+
+/**
+ * 근무조 (근무 중인 단속원, 목록 순서)
+ * @returns {Array<Object>}
+ */
+function getOnDutyTeam() {
+    return getOfficers().filter(item => item.onDuty);
+}
+
+/**
+ * 근무조를 진술인 목록으로 (서명은 비워 둠)
+ * @returns {Array<Object>} [{ office, position, name, signature }]
+ */
+function getTeamWitnesses() {
+    return getOnDutyTeam().map(item => ({
+        office: item.office,
+        position: item.position,
+        name: item.name,
+        signature: ''
+    }));
+}
+
+/**
+ * 단속원 표시 이름 (직급 + 성명)
+ * @param {Object} officer - 단속원
+ * @returns {string}
+ */
+function formatOfficerName(officer) {
+    return [officer.position, officer.name].filter(Boolean).join(' ');
+}
+
+// ==========================================================================
+// 폼 연동 (적발 보고서 작성자)
+// ==========================================================================
+
+/**
+ * 작성자 칸 위에 단속원 선택 버튼 표시 (근무조 먼저)
+ */
+function bindAuthorPresets() {
+    const container = document.getElementById(OFFICER_CONFIG.authorPresetsId);
+    if (!container) return;
+
+    const officers = getOfficers().sort((a, b) => Number(!!b.onDuty) - Number(!!a.onDuty));
+    container.innerHTML = officers.map(officer => `
+        <button type="button" data-officer-id="${escapeHtml(officer.id)}"
+            class="preset-chip ${officer.onDuty ? 'is-on-duty' : ''}">${escapeHtml(formatOfficerName(officer))}</button>
+    `).join('');
+    container.hidden = officers.length === 0;
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-officer-id]');
+        if (!button) return;
+        const officer = getOfficers().find(item => item.id === button.dataset.officerId);
+        if (officer) applyAuthor(officer);
+    });
+}
+
+/**
+ * 작성자 정보 입력
+ * 다른 사람으로 바꾸면 이전 작성자의 서명은 지웁니다.
+ * @param {Object} officer - 단속원
+ */
+function applyAuthor(officer) {
+    const fields = OFFICER_CONFIG.authorFields;
+    const nameInput = document.getElementById(fields.name);
+    const signatureInput = document.getElementById(OFFICER_CONFIG.authorSignatureId);
+
+    if (signatureInput && signatureInput.value && nameInput && nameInput.value !== officer.name) {
+        signatureInput.value = '';
+        if (typeof SignaturePad !== 'undefined') SignaturePad.refreshFields();
+    }
+
+    Object.entries(fields).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = officer[key] || '';
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+}
+
+/**
+ * 새 보고서의 작성자 칸이 비어 있으면 근무조 첫 번째 단속원으로 채움
+ * @returns {boolean} 채웠는지 여부
+ */
+function prefillAuthorFromTeam() {
+    const nameInput = document.getElementById(OFFICER_CONFIG.authorFields.name);
+    const [leader] = getOnDutyTeam();
+    if (!leader || !nameInput || nameInput.value.trim()) return false;
+
+    applyAuthor(leader);
+    return true;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.OfficerPresets = {
+    // 단속원 목록
+    list: getOfficers,
+    save: saveOfficer,
+    remove: deleteOfficer,
+    setOnDuty: setOfficerOnDuty,
+    getTeam: getOnDutyTeam,
+    getTeamWitnesses,
+    formatName: formatOfficerName,
+
+    // 폼 연동
+    bindAuthorForm: bindAuthorPresets,
+    applyAuthor,
+    prefillAuthor: prefillAuthorFromTeam,
+
+    // 설정
+    config: OFFICER_CONFIG
+};
+
+console.log('officer-presets.js 로드 완료');
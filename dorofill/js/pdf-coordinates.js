@@ -9,6 +9,11 @@
  * - 단위: 포인트 (pt), 1pt = 1/72 인치
  * - A4 크기: 595 x 841 pt
  * 
+ * 칸 크기 (선택):
+ * - width: 칸 너비 (pt). 있으면 글자를 재서 넘치지 않게 줄임 → 줄바꿈 → 말줄임
+ * - height: 칸 높이 (pt, 글자 윗선부터 아래로). 있어야 여러 줄로 나눔
+ * - minSize: 줄일 수 있는 최소 글자 크기 (기본 7pt)
+ * 
  * 주의: 이 좌표는 예상값이며, 실제 PDF와 맞지 않으면 조정이 필요합니다.
  */
 
@@ -33,20 +38,21 @@ const PDF_COORDINATES = {
         dateMinute: { x: 435, y: 755, size: 11 },    // 30
 
         // --- 적발 장소 ---
-        location: { x: 145, y: 728, size: 10 },      // 적발위치 (주소)
-        checkpoint: { x: 145, y: 710, size: 10 },    // 검문소명
+        location: { x: 145, y: 728, size: 10, width: 400, height: 17 },      // 적발위치 (주소)
+        checkpoint: { x: 145, y: 710, size: 10, width: 400 },    // 검문소명
 
         // --- 운전자 정보 ---
-        driverName: { x: 145, y: 680, size: 11 },       // 성명
-        driverAddress: { x: 145, y: 662, size: 10 },    // 주소  
-        phoneFixed: { x: 145, y: 644, size: 10 },       // 일반전화번호
-        phoneMobile: { x: 350, y: 644, size: 10 },      // 휴대전화번호
+        driverName: { x: 145, y: 680, size: 11, width: 200 },       // 성명
+        driverSignature: { x: 350, y: 680, size: 11, width: 90, height: 18 },   // 서명 (이미지)
+        driverAddress: { x: 145, y: 662, size: 10, width: 400, height: 17 },    // 주소
+        phoneFixed: { x: 145, y: 644, size: 10, width: 195 },       // 일반전화번호
+        phoneMobile: { x: 350, y: 644, size: 10, width: 195 },      // 휴대전화번호
 
         // --- 차량 정보 ---
-        vehicleType: { x: 145, y: 612, size: 11 },      // 차종
-        vehicleRoute: { x: 300, y: 612, size: 10 },     // 운행경로
-        plateNumber: { x: 145, y: 594, size: 11 },      // (차량) 등록번호
-        cargo: { x: 350, y: 594, size: 10 },            // 적재물
+        vehicleType: { x: 145, y: 612, size: 11, width: 150 },      // 차종
+        vehicleRoute: { x: 300, y: 612, size: 10, width: 245, height: 17 },     // 운행경로
+        plateNumber: { x: 145, y: 594, size: 11, width: 200 },      // (차량) 등록번호
+        cargo: { x: 350, y: 594, size: 10, width: 195, height: 17 },            // 적재물
 
         // --- 차량규격 (너비, 높이, 길이) ---
         // 측정결과
@@ -60,34 +66,39 @@ const PDF_COORDINATES = {
 
         // --- 차량중량 (1축 ~ 8축, 총중량) ---
         // 측정결과 행
-        axle1Measured: { x: 170, y: 488, size: 9 },
-        axle2Measured: { x: 210, y: 488, size: 9 },
-        axle3Measured: { x: 250, y: 488, size: 9 },
-        axle4Measured: { x: 290, y: 488, size: 9 },
-        axle5Measured: { x: 330, y: 488, size: 9 },
-        axle6Measured: { x: 370, y: 488, size: 9 },
-        axle7Measured: { x: 410, y: 488, size: 9 },
-        axle8Measured: { x: 450, y: 488, size: 9 },
-        totalWeightMeasured: { x: 515, y: 488, size: 9 },
+        axle1Measured: { x: 170, y: 488, size: 9, width: 38 },
+        axle2Measured: { x: 210, y: 488, size: 9, width: 38 },
+        axle3Measured: { x: 250, y: 488, size: 9, width: 38 },
+        axle4Measured: { x: 290, y: 488, size: 9, width: 38 },
+        axle5Measured: { x: 330, y: 488, size: 9, width: 38 },
+        axle6Measured: { x: 370, y: 488, size: 9, width: 38 },
+        axle7Measured: { x: 410, y: 488, size: 9, width: 38 },
+        axle8Measured: { x: 450, y: 488, size: 9, width: 38 },
+        totalWeightMeasured: { x: 515, y: 488, size: 9, width: 50 },
 
         // 위반내역 행
-        axle1Violation: { x: 170, y: 470, size: 9 },
-        axle2Violation: { x: 210, y: 470, size: 9 },
-        axle3Violation: { x: 250, y: 470, size: 9 },
-        axle4Violation: { x: 290, y: 470, size: 9 },
-        axle5Violation: { x: 330, y: 470, size: 9 },
-        axle6Violation: { x: 370, y: 470, size: 9 },
-        axle7Violation: { x: 410, y: 470, size: 9 },
-        axle8Violation: { x: 450, y: 470, size: 9 },
-        totalWeightViolation: { x: 515, y: 470, size: 9 },
+        axle1Violation: { x: 170, y: 470, size: 9, width: 38 },
+        axle2Violation: { x: 210, y: 470, size: 9, width: 38 },
+        axle3Violation: { x: 250, y: 470, size: 9, width: 38 },
+        axle4Violation: { x: 290, y: 470, size: 9, width: 38 },
+        axle5Violation: { x: 330, y: 470, size: 9, width: 38 },
+        axle6Violation: { x: 370, y: 470, size: 9, width: 38 },
+        axle7Violation: { x: 410, y: 470, size: 9, width: 38 },
+        axle8Violation: { x: 450, y: 470, size: 9, width: 38 },
+        totalWeightViolation: { x: 515, y: 470, size: 9, width: 50 },
+
+        // --- 차량 구성 / 운행허가 (연축·허가 차량만) ---
+        vehicleConfig: { x: 100, y: 455, size: 8, width: 460 },
+        permitInfo: { x: 100, y: 443, size: 8, width: 460 },
 
         // --- 하단 작성자 정보 ---
         authorYear: { x: 450, y: 155, size: 10 },
         authorMonth: { x: 480, y: 155, size: 10 },
         authorDay: { x: 510, y: 155, size: 10 },
-        authorOffice: { x: 190, y: 135, size: 10 },
+        authorOffice: { x: 190, y: 135, size: 10, width: 250 },
         authorPosition: { x: 190, y: 118, size: 10 },
         authorName: { x: 190, y: 100, size: 11 },
+        authorSignature: { x: 260, y: 100, size: 11, width: 90, height: 18 },  // 서명 (이미지)
     },
 
     // =========================================================================
@@ -102,12 +113,12 @@ const PDF_COORDINATES = {
         dateMinute: { x: 435, y: 755, size: 11 },
 
         // --- 적발 장소 ---
-        location: { x: 145, y: 728, size: 10 },
-        checkpoint: { x: 145, y: 710, size: 10 },
+        location: { x: 145, y: 728, size: 10, width: 400, height: 17 },
+        checkpoint: { x: 145, y: 710, size: 10, width: 400 },
 
         // --- 차량 정보 (진술서는 간략) ---
-        vehicleType: { x: 145, y: 680, size: 11 },
-        plateNumber: { x: 280, y: 680, size: 11 },
+        vehicleType: { x: 145, y: 680, size: 11, width: 130 },
+        plateNumber: { x: 280, y: 680, size: 11, width: 200 },
 
         // --- 차량규격 ---
         widthMeasured: { x: 195, y: 598, size: 10 },
@@ -118,45 +129,54 @@ const PDF_COORDINATES = {
         lengthViolation: { x: 355, y: 580, size: 10 },
 
         // --- 차량중량 ---
-        axle1Measured: { x: 170, y: 538, size: 9 },
-        axle2Measured: { x: 210, y: 538, size: 9 },
-        axle3Measured: { x: 250, y: 538, size: 9 },
-        axle4Measured: { x: 290, y: 538, size: 9 },
-        axle5Measured: { x: 330, y: 538, size: 9 },
-        axle6Measured: { x: 370, y: 538, size: 9 },
-        axle7Measured: { x: 410, y: 538, size: 9 },
-        axle8Measured: { x: 450, y: 538, size: 9 },
-        totalWeightMeasured: { x: 515, y: 538, size: 9 },
-
-        axle1Violation: { x: 170, y: 520, size: 9 },
-        axle2Violation: { x: 210, y: 520, size: 9 },
-        axle3Violation: { x: 250, y: 520, size: 9 },
-        axle4Violation: { x: 290, y: 520, size: 9 },
-        axle5Violation: { x: 330, y: 520, size: 9 },
-        axle6Violation: { x: 370, y: 520, size: 9 },
-        axle7Violation: { x: 410, y: 520, size: 9 },
-        axle8Violation: { x: 450, y: 520, size: 9 },
-        totalWeightViolation: { x: 515, y: 520, size: 9 },
-
-        // --- 진술인 정보 (최대 3명) ---
+        axle1Measured: { x: 170, y: 538, size: 9, width: 38 },
+        axle2Measured: { x: 210, y: 538, size: 9, width: 38 },
+        axle3Measured: { x: 250, y: 538, size: 9, width: 38 },
+        axle4Measured: { x: 290, y: 538, size: 9, width: 38 },
+        axle5Measured: { x: 330, y: 538, size: 9, width: 38 },
+        axle6Measured: { x: 370, y: 538, size: 9, width: 38 },
+        axle7Measured: { x: 410, y: 538, size: 9, width: 38 },
+        axle8Measured: { x: 450, y: 538, size: 9, width: 38 },
+        totalWeightMeasured: { x: 515, y: 538, size: 9, width: 50 },
+
+        axle1Violation: { x: 170, y: 520, size: 9, width: 38 },
+        axle2Violation: { x: 210, y: 520, size: 9, width: 38 },
+        axle3Violation: { x: 250, y: 520, size: 9, width: 38 },
+        axle4Violation: { x: 290, y: 520, size: 9, width: 38 },
+        axle5Violation: { x: 330, y: 520, size: 9, width: 38 },
+        axle6Violation: { x: 370, y: 520, size: 9, width: 38 },
+        axle7Violation: { x: 410, y: 520, size: 9, width: 38 },
+        axle8Violation: { x: 450, y: 520, size: 9, width: 38 },
+        totalWeightViolation: { x: 515, y: 520, size: 9, width: 50 },
+
+        // --- 진술 내용 (칸을 넘으면 별지에 이어 씀) ---
+        statementBody: { x: 70, y: 480, size: 10, width: 460, height: 180 },
+
+        // --- 진술인 정보 (칸이 있는 3명, 나머지는 별지) ---
         statementYear: { x: 450, y: 275, size: 10 },
         statementMonth: { x: 480, y: 275, size: 10 },
         statementDay: { x: 510, y: 275, size: 10 },
 
         // 진술인 1
-        witness1Office: { x: 190, y: 255, size: 10 },
+        witness1Office: { x: 190, y: 255, size: 10, width: 250 },
         witness1Position: { x: 190, y: 238, size: 10 },
         witness1Name: { x: 280, y: 238, size: 11 },
+        witness1Signature: { x: 340, y: 238, size: 11, width: 90, height: 18 },
 
         // 진술인 2
-        witness2Office: { x: 190, y: 218, size: 10 },
+        witness2Office: { x: 190, y: 218, size: 10, width: 250 },
         witness2Position: { x: 190, y: 201, size: 10 },
         witness2Name: { x: 280, y: 201, size: 11 },
+        witness2Signature: { x: 340, y: 201, size: 11, width: 90, height: 18 },
 
         // 진술인 3
-        witness3Office: { x: 190, y: 181, size: 10 },
+        witness3Office: { x: 190, y: 181, size: 10, width: 250 },
         witness3Position: { x: 190, y: 164, size: 10 },
         witness3Name: { x: 280, y: 164, size: 11 },
+        witness3Signature: { x: 340, y: 164, size: 11, width: 90, height: 18 },
+
+        // 진술인 칸을 넘으면 "외 N명 (별지 참조)"
+        witnessContinuation: { x: 190, y: 147, size: 9, width: 250 },
     }
 };
 
@@ -2,7 +2,11 @@
  * DoroFill - PDF Handler
  * PDF 생성 및 처리 로직 (pdf-lib 사용)
  * 
- * 의존성: pdf-lib (CDN: https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js)
+ * 의존성: pdf-lib (lib/pdf-lib.min.js, 1.17.1)
+ *         fontkit (한글 폰트 임베딩), assets/fonts/ (내장 한글 폰트)
+ *         violation-rules.js (위반 판정 - 측정값 강조, 차량 구성·운행허가 문구)
+ *         signature-pad.js (서명 PNG 변환, 없으면 서명 생략)
+ *         evidence-photos.js (증거 사진 촬영 일시 표시, 없으면 일시 생략)
  * 
  * 주요 기능:
  * - PDF 템플릿 로드 (사용자 업로드 파일)
@@ -39,6 +43,12 @@ const PDF_CONFIG = {
         small: 9        // 작은 글씨
     },
 
+    // 서명 칸 기본 크기 (좌표에 width/height가 없을 때)
+    signature: {
+        width: 80,
+        height: 20
+    },
+
     // 기본 색상 (RGB 0-1 범위)
     colors: {
         black: { r: 0, g: 0, b: 0 },
@@ -74,30 +84,78 @@ function getTodayString() {
     return `${year}${month}${day}`;
 }
 
+/** 문서별 템플릿 프로필 - PDFDocument → 프로필 레코드 (프로필이 없으면 null) */
+const templateProfilesByDoc = new WeakMap();
+
+/**
+ * 채우려는 템플릿의 좌표 프로필을 문서에 연결
+ * 템플릿 파일 해시로 프로필을 찾으므로 양식 버전이 바뀌면 다른 좌표를 사용합니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - 템플릿에서 로드한 PDF 문서
+ * @param {File} templateFile - 템플릿 파일
+ * @returns {Promise<Object|null>} 프로필 레코드
+ */
+async function attachTemplateProfile(pdfDoc, templateFile) {
+    let profile = null;
+
+    if (typeof TemplateProfiles !== 'undefined') {
+        try {
+            profile = await TemplateProfiles.getForFile(templateFile);
+        } catch (error) {
+            console.warn('[좌표] 템플릿 프로필 조회 실패, 기본 좌표 사용:', error);
+        }
+    }
+
+    templateProfilesByDoc.set(pdfDoc, profile);
+    return profile;
+}
+
 /**
- * 페이지별 좌표 가져오기 (AI 좌표 우선, 수동 좌표 폴백)
+ * 페이지별 좌표 가져오기 (템플릿 프로필 우선, 기본 좌표 폴백)
  * @param {number} pageNum - 페이지 번호 (1 또는 2)
+ * @param {PDFLib.PDFDocument} pdfDoc - 채우는 PDF 문서 (프로필 조회용)
  * @returns {Object} 좌표 객체
  */
-function getPageCoordinates(pageNum) {
+function getPageCoordinates(pageNum, pdfDoc) {
     const pageKey = `page${pageNum}`;
+    const profile = pdfDoc ? templateProfilesByDoc.get(pdfDoc) : null;
 
-    // AI 분석 좌표 우선 확인
-    if (typeof GeminiAnalyzer !== 'undefined' && GeminiAnalyzer.hasCoordinates()) {
-        const aiCoords = GeminiAnalyzer.loadCoordinates();
-        if (aiCoords && aiCoords[pageKey]) {
-            console.log(`[좌표] 페이지 ${pageNum}: AI 분석 좌표 사용`);
-            // AI 좌표와 수동 좌표를 병합 (AI 우선, 누락된 필드는 수동 좌표 사용)
-            const manualCoords = PDF_COORDINATES?.[pageKey] || {};
-            return { ...manualCoords, ...aiCoords[pageKey] };
-        }
+    // 이 템플릿에 맞춘 프로필 좌표 (누락된 필드는 기본 좌표 사용)
+    if (profile && Object.keys(profile.pages?.[pageKey] || {}).length > 0) {
+        const sourceLabel = TemplateProfiles.SOURCE_LABELS[profile.source] || profile.source;
+        console.log(`[좌표] 페이지 ${pageNum}: 프로필 "${profile.name}" (${sourceLabel}) 사용`);
+        return TemplateProfiles.resolvePage(profile, pageKey);
     }
 
-    // 수동 좌표 사용
-    console.log(`[좌표] 페이지 ${pageNum}: 수동 좌표 사용`);
+    // 기본 좌표 사용
+    console.log(`[좌표] 페이지 ${pageNum}: 기본 좌표 사용`);
     return PDF_COORDINATES?.[pageKey] || {};
 }
 
+/** 문서별 생성 경고 - PDFDocument → 메시지 배열 (생성 완료 시 한 번에 안내) */
+const pdfWarningsByDoc = new WeakMap();
+
+/**
+ * 생성은 계속하되 사용자에게 알려야 할 문제 기록
+ * @param {PDFLib.PDFDocument} pdfDoc - 채우는 PDF 문서
+ * @param {string} message - 경고 메시지
+ */
+function addPdfWarning(pdfDoc, message) {
+    console.warn('[PDF 경고]', message);
+    const warnings = pdfWarningsByDoc.get(pdfDoc) || [];
+    warnings.push(message);
+    pdfWarningsByDoc.set(pdfDoc, warnings);
+}
+
+/**
+ * 문서에 기록된 생성 경고 목록
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @returns {string[]}
+ */
+function getPdfWarnings(pdfDoc) {
+    return pdfWarningsByDoc.get(pdfDoc) || [];
+}
+
 
 // ==========================================================================
 // 기능 1: PDF 템플릿 로드
@@ -201,10 +259,252 @@ function getPageCount(pdfDoc) {
     return pdfDoc.getPageCount();
 }
 
+// ==========================================================================
+// 기능 3-0: 한글 폰트 (앱 내장)
+// ==========================================================================
+
+/**
+ * 내장 한글 폰트 설정
+ * 현장에서 통신이 안 되어도 PDF를 만들 수 있도록 폰트를 앱과 함께 배포합니다.
+ * (Pretendard, SIL OFL 1.1 - 한글 완성형 11,172자 + 영문/기호로 서브셋)
+ * @constant {Object}
+ */
+const KOREAN_FONT_CONFIG = {
+    regular: 'assets/fonts/Pretendard-Regular.subset.woff',
+    bold: 'assets/fonts/Pretendard-Bold.subset.woff',
+    // 내장 폰트로 그려야 하는 문자 (Helvetica로 표현할 수 없는 ASCII 외 문자)
+    pattern: /[^\x20-\x7E]/
+};
+
+/** 폰트 파일 캐시 (앱 전체 재사용) - { regular: {bytes, fkFont}, bold: {...} } */
+const koreanFontSources = {};
+
+/** 문서별 임베드 폰트 캐시 - PDFDocument → { regular, bold } */
+const embeddedKoreanFonts = new WeakMap();
+
+/**
+ * 내장 한글 폰트 파일 로드 (최초 1회)
+ *
+ * @param {string} weight - 'regular' 또는 'bold'
+ * @returns {Promise<Object>} { bytes, fkFont }
+ * @throws {Error} 폰트 파일을 불러올 수 없는 경우
+ */
+async function loadKoreanFontSource(weight) {
+    if (koreanFontSources[weight]) return koreanFontSources[weight];
+
+    if (typeof fontkit === 'undefined') {
+        throw new Error('fontkit 라이브러리가 로드되지 않았습니다. 한글을 PDF에 쓸 수 없습니다.');
+    }
+
+    const url = KOREAN_FONT_CONFIG[weight];
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`한글 폰트 파일을 불러올 수 없습니다 (${url}, HTTP ${response.status})`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    koreanFontSources[weight] = { bytes, fkFont: fontkit.create(bytes) };
+
+    console.log(`[폰트] 내장 한글 폰트 로드 완료: ${weight} (${(bytes.length / 1024).toFixed(0)} KB)`);
+    return koreanFontSources[weight];
+}
+
+/**
+ * 내장 한글 폰트 미리 로드 (PDF 생성 전 호출하면 첫 생성이 빨라짐)
+ * @returns {Promise<void>}
+ */
+async function preloadKoreanFonts() {
+    await Promise.all([loadKoreanFontSource('regular'), loadKoreanFontSource('bold')]);
+}
+
+/**
+ * 폰트에 없는 문자 찾기
+ *
+ * @param {Object} fkFont - fontkit 폰트 객체
+ * @param {string} text - 검사할 텍스트
+ * @returns {Array<string>} 폰트에 없는 문자 목록 (중복 제거)
+ */
+function findMissingGlyphs(fkFont, text) {
+    const missing = new Set();
+    for (const char of text) {
+        if (/\s/.test(char)) continue;
+        if (!fkFont.hasGlyphForCodePoint(char.codePointAt(0))) {
+            missing.add(char);
+        }
+    }
+    return [...missing];
+}
+
+/**
+ * 문서에 임베드된 한글 폰트 가져오기
+ * 문서마다 따로 임베드하고, 실제 사용한 글자만 서브셋으로 포함됩니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @param {boolean} isBold - 볼드체 여부
+ * @returns {Promise<PDFLib.PDFFont>}
+ */
+async function getKoreanFont(pdfDoc, isBold) {
+    const weight = isBold ? 'bold' : 'regular';
+
+    let fonts = embeddedKoreanFonts.get(pdfDoc);
+    if (!fonts) {
+        pdfDoc.registerFontkit(fontkit);
+        fonts = {};
+        embeddedKoreanFonts.set(pdfDoc, fonts);
+    }
+
+    if (!fonts[weight]) {
+        const source = await loadKoreanFontSource(weight);
+        fonts[weight] = await pdfDoc.embedFont(source.bytes, { subset: true });
+    }
+
+    return fonts[weight];
+}
+
+/**
+ * 내장 한글 폰트로 텍스트를 표현할 수 있는지 확인
+ * 표현할 수 없는 문자가 있으면 '?'로 바꾸지 않고 오류를 발생시킵니다.
+ *
+ * @param {string} text - 검사할 텍스트
+ * @param {boolean} isBold - 볼드체 여부
+ * @returns {Promise<void>}
+ * @throws {Error} 폰트에 없는 문자가 포함된 경우
+ */
+async function assertKoreanFontCoverage(text, isBold = false) {
+    const source = await loadKoreanFontSource(isBold ? 'bold' : 'regular');
+    const missing = findMissingGlyphs(source.fkFont, text);
+
+    if (missing.length > 0) {
+        throw new Error(`PDF 폰트로 표시할 수 없는 문자가 있습니다: "${missing.join('')}" (입력값: ${text})`);
+    }
+}
+
 // ==========================================================================
 // 기능 3: 텍스트 삽입
 // ==========================================================================
 
+/**
+ * 칸 맞춤 설정 (좌표에 width/height가 있는 필드)
+ * @constant {Object}
+ */
+const TEXT_FIT_CONFIG = {
+    minSize: 7,         // 이보다 작게 줄이지 않음 (pt)
+    sizeStep: 0.5,      // 글자 크기를 줄이는 단위 (pt)
+    lineHeight: 1.2,    // 줄 간격 (글자 크기 배수)
+    ascent: 0.8,        // 칸 위쪽에서 첫 줄 기준선까지 (글자 크기 배수)
+    ellipsis: '...'
+};
+
+/**
+ * 글자 크기를 sizeStep 단위로 내림
+ * @param {number} size - 글자 크기
+ * @returns {number}
+ */
+function floorFontSize(size) {
+    return Math.floor(size / TEXT_FIT_CONFIG.sizeStep) * TEXT_FIT_CONFIG.sizeStep;
+}
+
+/**
+ * 칸 너비에 맞춰 줄바꿈 (띄어쓰기 단위, 한 단어가 너비보다 길면 글자 단위)
+ *
+ * @param {PDFLib.PDFFont} font - 측정할 폰트
+ * @param {string} text - 텍스트
+ * @param {number} size - 글자 크기
+ * @param {number} maxWidth - 칸 너비 (pt)
+ * @returns {string[]} 줄 목록
+ */
+function wrapTextLines(font, text, size, maxWidth) {
+    const fits = (line) => font.widthOfTextAtSize(line, size) <= maxWidth;
+    const lines = [];
+    let current = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (fits(candidate)) {
+            current = candidate;
+            continue;
+        }
+
+        if (current) lines.push(current);
+        current = '';
+
+        // 단어 하나가 칸보다 길면 글자 단위로 나눔
+        for (const char of word) {
+            if (current && !fits(current + char)) {
+                lines.push(current);
+                current = '';
+            }
+            current += char;
+        }
+    }
+
+    if (current) lines.push(current);
+    return lines;
+}
+
+/**
+ * 말줄임표를 붙여 칸 너비에 맞춤
+ * @param {PDFLib.PDFFont} font - 측정할 폰트
+ * @param {string} text - 텍스트
+ * @param {number} size - 글자 크기
+ * @param {number} maxWidth - 칸 너비 (pt)
+ * @returns {string}
+ */
+function ellipsizeLine(font, text, size, maxWidth) {
+    const chars = [...text.trimEnd()];
+    while (chars.length > 0 && font.widthOfTextAtSize(chars.join('') + TEXT_FIT_CONFIG.ellipsis, size) > maxWidth) {
+        chars.pop();
+    }
+    return chars.join('').trimEnd() + TEXT_FIT_CONFIG.ellipsis;
+}
+
+/**
+ * 텍스트를 칸에 맞추기
+ * 1) 한 줄 그대로 → 2) 최소 크기까지 줄이기 → 3) 줄바꿈 (칸 높이가 있을 때, 큰 글자부터)
+ * → 4) 최소 크기로 들어가는 줄까지만 쓰고 말줄임
+ *
+ * @param {PDFLib.PDFFont} font - 측정할 폰트
+ * @param {string} text - 텍스트
+ * @param {Object} box - { size, maxWidth, maxHeight, minSize }
+ * @returns {{size: number, lines: string[], truncated: boolean}}
+ */
+function fitTextToBox(font, text, box) {
+    const { size, maxWidth, maxHeight } = box;
+    const minSize = Math.min(box.minSize || TEXT_FIT_CONFIG.minSize, size);
+    const fullWidth = font.widthOfTextAtSize(text, size);
+
+    if (fullWidth <= maxWidth) {
+        return { size, lines: [text], truncated: false };
+    }
+
+    // 글자 폭은 크기에 비례하므로 한 번에 계산
+    const shrunk = floorFontSize(size * maxWidth / fullWidth);
+    if (shrunk >= minSize) {
+        return { size: shrunk, lines: [text], truncated: false };
+    }
+
+    const lineCapacity = (fontSize) => maxHeight
+        ? Math.max(1, Math.floor(maxHeight / (fontSize * TEXT_FIT_CONFIG.lineHeight)))
+        : 1;
+
+    if (maxHeight) {
+        for (let fontSize = size; fontSize >= minSize; fontSize -= TEXT_FIT_CONFIG.sizeStep) {
+            const lines = wrapTextLines(font, text, fontSize, maxWidth);
+            if (lines.length <= lineCapacity(fontSize)) {
+                return { size: fontSize, lines, truncated: false };
+            }
+        }
+    }
+
+    // 최소 크기로도 다 들어가지 않음: 들어가는 줄까지만 쓰고 마지막 줄 말줄임
+    const lines = wrapTextLines(font, text, minSize, maxWidth);
+    const capacity = lineCapacity(minSize);
+    const kept = lines.slice(0, capacity);
+    kept[kept.length - 1] = ellipsizeLine(font, lines.slice(capacity - 1).join(' '), minSize, maxWidth);
+
+    return { size: minSize, lines: kept, truncated: true };
+}
+
 /**
  * PDF 페이지에 텍스트를 삽입 (한글 지원)
  * 
@@ -216,7 +516,12 @@ function getPageCount(pdfDoc) {
  * @param {number} [options.size=11] - 폰트 크기
  * @param {Object} [options.color={r:0,g:0,b:0}] - RGB 색상 (0-1 범위)
  * @param {boolean} [options.isBold=false] - 볼드체 여부
+ * @param {number} [options.maxWidth] - 칸 너비 (pt, 있으면 칸에 맞춤 - fitTextToBox 참고)
+ * @param {number} [options.maxHeight] - 칸 높이 (pt, y + size에서 아래로, 있으면 줄바꿈 허용)
+ * @param {number} [options.minSize=7] - 칸에 맞출 때 최소 글자 크기
+ * @param {string} [options.label] - 칸에 다 들어가지 않을 때 경고에 쓸 필드 이름
  * @returns {Promise<void>}
+ * @throws {Error} 한글 폰트를 불러올 수 없거나 폰트에 없는 문자가 포함된 경우
  * 
  * @example
  * // 기본 텍스트
@@ -229,11 +534,6 @@ function getPageCount(pdfDoc) {
  *     color: { r: 1, g: 0, b: 0 } 
  * });
  */
-
-// 캐시된 폰트 (한번 로드 후 재사용)
-let cachedKoreanFont = null;
-let cachedKoreanFontBold = null;
-
 async function addTextToPdf(page, text, x, y, options = {}) {
     try {
         // pdf-lib 로드 확인
@@ -254,63 +554,14 @@ async function addTextToPdf(page, text, x, y, options = {}) {
         // PDF 문서 가져오기 (페이지에서 역참조)
         const pdfDoc = page.doc;
 
-        // 한글 포함 여부 확인
-        const hasKorean = /[가-힣ㄱ-ㅎㅏ-ㅣ]/.test(text);
-
         let font;
 
-        if (hasKorean) {
+        if (KOREAN_FONT_CONFIG.pattern.test(text)) {
             // ============================================================
-            // 한글 폰트 로드 (Noto Sans KR)
+            // 한글/기호 포함: 앱 내장 한글 폰트 (오프라인)
             // ============================================================
-
-            // fontkit 등록 (한번만)
-            if (typeof fontkit !== 'undefined' && !pdfDoc.fonts) {
-                pdfDoc.registerFontkit(fontkit);
-            }
-
-            // 캐시된 폰트 사용 또는 새로 로드
-            const cacheKey = isBold ? 'bold' : 'regular';
-
-            if (!cachedKoreanFont && !isBold) {
-                // Noto Sans KR Regular 로드
-                const fontUrl = 'https://cdn.jsdelivr.net/gh/nickshanks/Allsorts@master/user/test-fonts/NotoSansKR-Regular.otf';
-                try {
-                    const fontBytes = await fetch(fontUrl).then(res => res.arrayBuffer());
-                    cachedKoreanFont = await pdfDoc.embedFont(fontBytes);
-                } catch (e) {
-                    console.warn('[폰트] Noto Sans KR 로드 실패, Helvetica 대체 사용');
-                    // 한글 제거 후 영문만 출력
-                    const asciiOnly = text.replace(/[가-힣ㄱ-ㅎㅏ-ㅣ]/g, '?');
-                    font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
-                    page.drawText(asciiOnly, { x, y, size, font, color: PDFLib.rgb(color.r, color.g, color.b) });
-                    return;
-                }
-            }
-
-            if (!cachedKoreanFontBold && isBold) {
-                // Noto Sans KR Bold 로드
-                const fontUrl = 'https://cdn.jsdelivr.net/gh/nickshanks/Allsorts@master/user/test-fonts/NotoSansKR-Bold.otf';
-                try {
-                    const fontBytes = await fetch(fontUrl).then(res => res.arrayBuffer());
-                    cachedKoreanFontBold = await pdfDoc.embedFont(fontBytes);
-                } catch (e) {
-                    console.warn('[폰트] Noto Sans KR Bold 로드 실패, Regular 사용');
-                    cachedKoreanFontBold = cachedKoreanFont;
-                }
-            }
-
-            font = isBold ? (cachedKoreanFontBold || cachedKoreanFont) : cachedKoreanFont;
-
-            // 폰트 로드 실패 시 fallback
-            if (!font) {
-                console.warn('[폰트] 한글 폰트 없음, 영문만 출력');
-                const asciiOnly = text.replace(/[가-힣ㄱ-ㅎㅏ-ㅣ]/g, '?');
-                font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
-                page.drawText(asciiOnly, { x, y, size, font, color: PDFLib.rgb(color.r, color.g, color.b) });
-                return;
-            }
-
+            await assertKoreanFontCoverage(text, isBold);
+            font = await getKoreanFont(pdfDoc, isBold);
         } else {
             // ============================================================
             // 영문/숫자만: 기본 Helvetica 사용 (가벼움)
@@ -321,13 +572,44 @@ async function addTextToPdf(page, text, x, y, options = {}) {
             font = await pdfDoc.embedFont(fontName);
         }
 
-        // 텍스트 그리기
-        page.drawText(text, {
-            x: x,
-            y: y,
-            size: size,
-            font: font,
-            color: PDFLib.rgb(color.r, color.g, color.b)
+        // 칸 크기가 없으면 그대로 한 줄
+        if (!options.maxWidth) {
+            page.drawText(text, {
+                x: x,
+                y: y,
+                size: size,
+                font: font,
+                color: PDFLib.rgb(color.r, color.g, color.b)
+            });
+            return;
+        }
+
+        // 칸에 맞춰 줄이기/줄바꿈/말줄임
+        const fitted = fitTextToBox(font, text, {
+            size,
+            maxWidth: options.maxWidth,
+            maxHeight: options.maxHeight,
+            minSize: options.minSize
+        });
+
+        if (fitted.truncated) {
+            addPdfWarning(pdfDoc, `${options.label || text}: 칸에 다 들어가지 않아 뒷부분이 잘렸습니다`);
+        } else if (fitted.size !== size || fitted.lines.length > 1) {
+            console.log(`[칸 맞춤] ${options.label || text}: ${size}pt → ${fitted.size}pt, ${fitted.lines.length}줄`);
+        }
+
+        // 한 줄이면 원래 기준선, 여러 줄이면 칸 위쪽부터 채움
+        const boxTop = y + size * TEXT_FIT_CONFIG.ascent;
+        const firstBaseline = fitted.lines.length > 1 ? boxTop - fitted.size * TEXT_FIT_CONFIG.ascent : y;
+
+        fitted.lines.forEach((line, index) => {
+            page.drawText(line, {
+                x: x,
+                y: firstBaseline - index * fitted.size * TEXT_FIT_CONFIG.lineHeight,
+                size: fitted.size,
+                font: font,
+                color: PDFLib.rgb(color.r, color.g, color.b)
+            });
         });
 
     } catch (error) {
@@ -359,6 +641,205 @@ async function addMultilineText(page, lines, x, y, options = {}) {
     return currentY;
 }
 
+// ==========================================================================
+// 기능 3-1: AcroForm 양식 필드 채우기
+// ==========================================================================
+
+/** 문서별 AcroForm 텍스트 필드 목록 캐시 */
+const acroFormFieldsByDoc = new WeakMap();
+
+/** 양식 필드를 채운 문서 (완료 시 평탄화 대상) */
+const acroFormFilledDocs = new WeakSet();
+
+/**
+ * 템플릿의 AcroForm 텍스트 필드 목록
+ * 체크박스 등 텍스트가 아닌 필드는 채우지 않으므로 제외합니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @returns {Array<{name: string, pageIndex: number, rect: Object}>} 필드 이름, 페이지 번호(0부터), 위젯 영역(pt)
+ */
+function readAcroFormFields(pdfDoc) {
+    if (acroFormFieldsByDoc.has(pdfDoc)) return acroFormFieldsByDoc.get(pdfDoc);
+
+    let fields = [];
+    try {
+        const pages = pdfDoc.getPages();
+
+        fields = pdfDoc.getForm().getFields()
+            .filter(field => field instanceof PDFLib.PDFTextField)
+            .map(field => {
+                const widget = field.acroField.getWidgets()[0];
+                const pageRef = widget && widget.P();
+                let pageIndex = pageRef ? pages.findIndex(page => page.ref === pageRef) : -1;
+
+                // 위젯에 페이지 참조(/P)가 없으면 페이지 주석 목록에서 찾기
+                if (widget && pageIndex === -1) {
+                    pageIndex = pages.findIndex(page => {
+                        const annots = page.node.Annots();
+                        return annots && annots.asArray().some(ref => pdfDoc.context.lookup(ref) === widget.dict);
+                    });
+                }
+
+                return {
+                    name: field.getName(),
+                    pageIndex,
+                    rect: widget ? widget.getRectangle() : null
+                };
+            });
+    } catch (error) {
+        console.warn('[양식 필드] 필드 읽기 실패, 좌표 방식 사용:', error);
+        fields = [];
+    }
+
+    acroFormFieldsByDoc.set(pdfDoc, fields);
+    return fields;
+}
+
+/**
+ * 템플릿에 채울 수 있는 양식 필드가 있는지 여부
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @returns {boolean}
+ */
+function hasAcroFormFields(pdfDoc) {
+    return readAcroFormFields(pdfDoc).length > 0;
+}
+
+/**
+ * 이름이 같은 양식 필드를 자동으로 연결 (대소문자, 공백, 밑줄 무시)
+ * 같은 이름이 여러 페이지에 있으면 해당 페이지의 필드를 우선합니다.
+ *
+ * @param {Array<Object>} acroFields - readAcroFormFields 결과
+ * @param {string} pageKey - 'page1' 또는 'page2'
+ * @param {string[]} fieldKeys - DoroFill 필드 키 목록
+ * @returns {Object} { fieldKey: AcroForm 필드 이름 }
+ */
+function suggestAcroFieldMap(acroFields, pageKey, fieldKeys) {
+    const normalize = (name) => name.toLowerCase().replace(/[\s_\-.]/g, '');
+    const pageIndex = parseInt(pageKey.replace('page', ''), 10) - 1;
+    const suggested = {};
+
+    fieldKeys.forEach(fieldKey => {
+        const matches = acroFields.filter(f => normalize(f.name) === normalize(fieldKey));
+        const match = matches.find(f => f.pageIndex === pageIndex) || matches[0];
+        if (match) suggested[fieldKey] = match.name;
+    });
+
+    return suggested;
+}
+
+/**
+ * 페이지의 필드 연결표 (템플릿 프로필에 저장된 연결 우선, 없으면 자동 연결)
+ * 프로필에 빈 문자열로 저장된 필드는 '연결 안 함'입니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - 채우는 PDF 문서
+ * @param {string} pageKey - 'page1' 또는 'page2'
+ * @param {string[]} fieldKeys - 채울 DoroFill 필드 키 목록
+ * @returns {Object} { fieldKey: AcroForm 필드 이름 }
+ */
+function resolveAcroFieldMap(pdfDoc, pageKey, fieldKeys) {
+    const profile = templateProfilesByDoc.get(pdfDoc);
+    const saved = (profile && profile.fieldMap && profile.fieldMap[pageKey]) || {};
+    const suggested = suggestAcroFieldMap(readAcroFormFields(pdfDoc), pageKey, fieldKeys);
+
+    const fieldMap = {};
+    fieldKeys.forEach(fieldKey => {
+        const name = saved[fieldKey] !== undefined ? saved[fieldKey] : suggested[fieldKey];
+        if (name) fieldMap[fieldKey] = name;
+    });
+    return fieldMap;
+}
+
+/**
+ * 필드별 값을 연결된 AcroForm 필드에 입력 (내장 한글 폰트로 모양 생성)
+ * 연결되지 않은 필드는 빠지므로 생성 경고로 알립니다.
+ *
+ * @param {PDFLib.PDFPage} page - 채우는 페이지
+ * @param {number} pageNum - 페이지 번호 (1 또는 2)
+ * @param {Object} values - { fieldKey: 텍스트 }
+ * @returns {Promise<void>}
+ * @throws {Error} 폰트에 없는 문자가 포함된 경우
+ */
+async function fillAcroFormPage(page, pageNum, values) {
+    const pdfDoc = page.doc;
+    const pageKey = `page${pageNum}`;
+    const form = pdfDoc.getForm();
+    const filledKeys = Object.keys(values).filter(fieldKey => values[fieldKey]);
+    const fieldMap = resolveAcroFieldMap(pdfDoc, pageKey, filledKeys);
+    const unmapped = [];
+
+    console.log(`[양식 필드] 페이지 ${pageNum}: ${Object.keys(fieldMap).length}/${filledKeys.length}개 필드 연결`);
+
+    for (const fieldKey of filledKeys) {
+        const text = String(values[fieldKey]);
+        const fieldName = fieldMap[fieldKey];
+
+        if (!fieldName) {
+            unmapped.push(fieldKey);
+            continue;
+        }
+
+        let font;
+        if (KOREAN_FONT_CONFIG.pattern.test(text)) {
+            await assertKoreanFontCoverage(text);
+            font = await getKoreanFont(pdfDoc, false);
+        } else {
+            font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+        }
+
+        try {
+            const field = form.getTextField(fieldName);
+            field.setText(text);
+            field.updateAppearances(font);
+        } catch (error) {
+            addPdfWarning(pdfDoc, `양식 필드 "${fieldName}"에 ${getPdfFieldLabel(pageKey, fieldKey)} 값을 넣지 못했습니다: ${error.message}`);
+        }
+    }
+
+    if (unmapped.length > 0) {
+        const labels = unmapped.map(fieldKey => getPdfFieldLabel(pageKey, fieldKey)).join(', ');
+        addPdfWarning(pdfDoc, `양식 필드에 연결되지 않아 빠진 항목: ${labels}`);
+    }
+
+    acroFormFilledDocs.add(pdfDoc);
+}
+
+/**
+ * 양식 필드를 채운 문서 마무리 (프로필 설정에 따라 평탄화)
+ * 평탄화하면 받은 사람이 값을 고칠 수 없는 일반 PDF가 됩니다.
+ * 평탄화에 실패해도 입력된 양식 그대로 저장합니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ */
+function finalizeAcroForm(pdfDoc) {
+    if (!acroFormFilledDocs.has(pdfDoc)) return;
+
+    const profile = templateProfilesByDoc.get(pdfDoc);
+    if (profile && profile.flattenForm === false) return;
+
+    try {
+        // 채운 필드는 한글 폰트로 모양을 만들어 두었으므로 모양이 없는 빈 필드만 새로 만들어짐
+        pdfDoc.getForm().flatten();
+    } catch (error) {
+        addPdfWarning(pdfDoc, `양식 평탄화에 실패해 입력 가능한 양식으로 저장합니다: ${error.message}`);
+    }
+}
+
+/**
+ * 필드 표시 이름 (PDF_FIELDS 라벨, 없으면 키)
+ * @param {string|null} pageKey - 'page1' 또는 'page2' (null이면 두 페이지에서 찾기)
+ * @param {string} fieldKey - 필드 키
+ * @returns {string}
+ */
+function getPdfFieldLabel(pageKey, fieldKey) {
+    if (typeof PDF_FIELDS === 'undefined') return fieldKey;
+
+    // 페이지를 모르면 어느 페이지든 같은 키의 라벨 사용
+    const field = pageKey
+        ? PDF_FIELDS[pageKey] && PDF_FIELDS[pageKey][fieldKey]
+        : (PDF_FIELDS.page1 && PDF_FIELDS.page1[fieldKey]) || (PDF_FIELDS.page2 && PDF_FIELDS.page2[fieldKey]);
+    return field ? field.label : fieldKey;
+}
+
 // ==========================================================================
 // 기능 4: PDF 다운로드
 // ==========================================================================
@@ -539,18 +1020,9 @@ function addPage(pdfDoc, width = PDF_CONFIG.pageWidth, height = PDF_CONFIG.pageH
 // 공통 헬퍼 함수: PDF 생성 로직 재사용
 // ==========================================================================
 
-/**
- * 위반 기준 상수
- * @constant {Object}
- */
-const VIOLATION_LIMITS = {
-    AXLE: 11.00,   // 축하중 제한 (톤) - 이 값 초과 시 위반
-    TOTAL: 44.00   // 총중량 제한 (톤) - 이 값 초과 시 위반
-};
-
 /**
  * PDF 생성 시작 처리
- * 로딩 인디케이터 표시 및 템플릿 로드
+ * 로딩 인디케이터 표시, 템플릿 로드 및 템플릿 좌표 프로필 연결
  * 
  * @param {File} templateFile - 업로드된 PDF 템플릿
  * @param {string} loadingMessage - 로딩 메시지
@@ -560,25 +1032,33 @@ async function startPdfGeneration(templateFile, loadingMessage) {
     if (typeof showLoading === 'function') {
         showLoading(loadingMessage);
     }
-    return await loadPdfTemplate(templateFile);
+    const pdfDoc = await loadPdfTemplate(templateFile);
+    await attachTemplateProfile(pdfDoc, templateFile);
+    return pdfDoc;
 }
 
 /**
  * PDF 생성 완료 처리
- * 다운로드 및 성공 메시지 표시
+ * 양식 필드 마무리, 다운로드 및 성공 메시지 표시 (생성 경고가 있으면 함께 안내)
  * 
  * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
  * @param {string} filename - 파일명 (확장자 제외)
  * @param {string} successMessage - 성공 메시지
  */
 async function completePdfGeneration(pdfDoc, filename, successMessage) {
+    finalizeAcroForm(pdfDoc);
     await downloadPdf(pdfDoc, filename);
 
     if (typeof hideLoading === 'function') {
         hideLoading();
     }
     if (typeof showToast === 'function') {
-        showToast(successMessage, 'success');
+        const warnings = getPdfWarnings(pdfDoc);
+        if (warnings.length > 0) {
+            showToast(`${successMessage} (확인 필요: ${warnings.join(' / ')})`, 'warning', 8000);
+        } else {
+            showToast(successMessage, 'success');
+        }
     }
 }
 
@@ -599,6 +1079,32 @@ function handlePdfError(error, context) {
     }
 }
 
+/**
+ * 좌표 설정의 필드 하나에 텍스트 삽입
+ * 좌표에 칸 크기(width/height)가 있으면 칸에 맞춰 줄이거나 줄바꿈합니다.
+ * 좌표가 없는 필드나 빈 값은 건너뜁니다.
+ *
+ * @param {PDFLib.PDFPage} page - PDF 페이지
+ * @param {Object} coords - 좌표 설정 객체
+ * @param {string} fieldKey - 필드 키
+ * @param {string} text - 삽입할 텍스트
+ * @param {Object} [options={}] - addTextToPdf 추가 옵션 (isBold, color)
+ * @returns {Promise<void>}
+ */
+async function insertField(page, coords, fieldKey, text, options = {}) {
+    const coord = coords[fieldKey];
+    if (!coord || !text) return;
+
+    await addTextToPdf(page, text, coord.x, coord.y, {
+        size: coord.size,
+        maxWidth: coord.width,
+        maxHeight: coord.height,
+        minSize: coord.minSize,
+        label: getPdfFieldLabel(null, fieldKey),
+        ...options
+    });
+}
+
 /**
  * 적발 일시 삽입 (년, 월, 일, 시, 분)
  * 
@@ -607,11 +1113,11 @@ function handlePdfError(error, context) {
  * @param {Object} coords - 좌표 설정 객체
  */
 async function insertDatetimeFields(page, datetime, coords) {
-    await addTextToPdf(page, datetime.year, coords.dateYear.x, coords.dateYear.y, { size: coords.dateYear.size });
-    await addTextToPdf(page, datetime.month, coords.dateMonth.x, coords.dateMonth.y, { size: coords.dateMonth.size });
-    await addTextToPdf(page, datetime.day, coords.dateDay.x, coords.dateDay.y, { size: coords.dateDay.size });
-    await addTextToPdf(page, datetime.hour, coords.dateHour.x, coords.dateHour.y, { size: coords.dateHour.size });
-    await addTextToPdf(page, datetime.minute, coords.dateMinute.x, coords.dateMinute.y, { size: coords.dateMinute.size });
+    await insertField(page, coords, 'dateYear', datetime.year);
+    await insertField(page, coords, 'dateMonth', datetime.month);
+    await insertField(page, coords, 'dateDay', datetime.day);
+    await insertField(page, coords, 'dateHour', datetime.hour);
+    await insertField(page, coords, 'dateMinute', datetime.minute);
 }
 
 /**
@@ -626,17 +1132,9 @@ async function insertVehicleSpecs(page, formData, coords) {
         'widthViolation', 'heightViolation', 'lengthViolation'];
 
     for (const field of specFields) {
-        if (formData[field] && coords[field]) {
-            const value = parseFloat(formData[field]);
-            if (!isNaN(value)) {
-                await addTextToPdf(
-                    page,
-                    value.toFixed(2),
-                    coords[field].x,
-                    coords[field].y,
-                    { size: coords[field].size }
-                );
-            }
+        const value = parseFloat(formData[field]);
+        if (!isNaN(value)) {
+            await insertField(page, coords, field, value.toFixed(2));
         }
     }
 }
@@ -651,6 +1149,8 @@ async function insertVehicleSpecs(page, formData, coords) {
  */
 async function insertAxleMeasurements(page, formData, coords) {
     let totalMeasured = 0;
+    // 연축·운행허가를 반영한 축군 단위 판정
+    const violations = evaluateViolations(formData);
 
     for (let i = 1; i <= 8; i++) {
         const fieldName = `axle${i}Measured`;
@@ -658,19 +1158,12 @@ async function insertAxleMeasurements(page, formData, coords) {
 
         if (!isNaN(axleValue) && axleValue > 0 && coords[fieldName]) {
             totalMeasured += axleValue;
-            const isViolation = axleValue > VIOLATION_LIMITS.AXLE;
-
-            await addTextToPdf(
-                page,
-                axleValue.toFixed(2),
-                coords[fieldName].x,
-                coords[fieldName].y,
-                {
-                    size: coords[fieldName].size,
-                    isBold: isViolation,
-                    color: isViolation ? PDF_CONFIG.colors.red : PDF_CONFIG.colors.black
-                }
-            );
+            const isViolation = violations[`axle${i}Violation`].violated;
+
+            await insertField(page, coords, fieldName, axleValue.toFixed(2), {
+                isBold: isViolation,
+                color: isViolation ? PDF_CONFIG.colors.red : PDF_CONFIG.colors.black
+            });
         }
     }
 
@@ -694,13 +1187,7 @@ async function insertAxleViolations(page, formData, coords) {
 
         if (!isNaN(axleValue) && axleValue > 0 && coords[fieldName]) {
             totalViolation += axleValue;
-            await addTextToPdf(
-                page,
-                axleValue.toFixed(2),
-                coords[fieldName].x,
-                coords[fieldName].y,
-                { size: coords[fieldName].size }
-            );
+            await insertField(page, coords, fieldName, axleValue.toFixed(2));
         }
     }
 
@@ -714,37 +1201,39 @@ async function insertAxleViolations(page, formData, coords) {
  * @param {number} totalMeasured - 총 측정중량
  * @param {number} totalViolation - 총 위반중량
  * @param {Object} coords - 좌표 설정 객체
+ * @param {Object} [permit] - 운행허가 허가값 (getVehicleConfig)
  */
-async function insertTotalWeights(page, totalMeasured, totalViolation, coords) {
+async function insertTotalWeights(page, totalMeasured, totalViolation, coords, permit = {}) {
     // 총중량 측정결과
     if (totalMeasured > 0 && coords.totalWeightMeasured) {
-        const isTotalViolation = totalMeasured > VIOLATION_LIMITS.TOTAL;
-
-        await addTextToPdf(
-            page,
-            totalMeasured.toFixed(2),
-            coords.totalWeightMeasured.x,
-            coords.totalWeightMeasured.y,
-            {
-                size: coords.totalWeightMeasured.size,
-                isBold: isTotalViolation,
-                color: isTotalViolation ? PDF_CONFIG.colors.red : PDF_CONFIG.colors.black
-            }
-        );
+        const isTotalViolation = totalMeasured > getViolationThreshold('gross', permit);
+
+        await insertField(page, coords, 'totalWeightMeasured', totalMeasured.toFixed(2), {
+            isBold: isTotalViolation,
+            color: isTotalViolation ? PDF_CONFIG.colors.red : PDF_CONFIG.colors.black
+        });
     }
 
     // 총중량 위반내역
     if (totalViolation > 0 && coords.totalWeightViolation) {
-        await addTextToPdf(
-            page,
-            totalViolation.toFixed(2),
-            coords.totalWeightViolation.x,
-            coords.totalWeightViolation.y,
-            { size: coords.totalWeightViolation.size }
-        );
+        await insertField(page, coords, 'totalWeightViolation', totalViolation.toFixed(2));
     }
 }
 
+/**
+ * 총중량 위반내역
+ * 폼의 총중량 위반내역(측정 총중량 - 기준)을 사용하고,
+ * 자동 계산 이전에 저장된 사건처럼 값이 없으면 축별 위반내역 합계를 사용합니다.
+ * 
+ * @param {Object} formData - 폼 데이터
+ * @param {number} axleViolationSum - 축별 위반내역 합계
+ * @returns {number} 총중량 위반내역
+ */
+function getGrossViolation(formData, axleViolationSum) {
+    if (formData.totalWeightViolation === undefined) return axleViolationSum;
+    return parseFloat(formData.totalWeightViolation) || 0;
+}
+
 /**
  * 차량중량 전체 삽입 (측정결과 + 위반내역 + 총중량, 조건부 굵기 적용)
  * 
@@ -757,70 +1246,920 @@ async function insertAxleWeights(page, formData, coords) {
     const totalMeasured = await insertAxleMeasurements(page, formData, coords);
 
     // 축하중 위반내역 삽입 및 총합 계산
-    const totalViolation = await insertAxleViolations(page, formData, coords);
+    const axleViolationSum = await insertAxleViolations(page, formData, coords);
 
     // 총중량 삽입
-    await insertTotalWeights(page, totalMeasured, totalViolation, coords);
+    await insertTotalWeights(page, totalMeasured, getGrossViolation(formData, axleViolationSum), coords,
+        getVehicleConfig(formData).permit);
 }
 
 /**
- * 진술인 정보 삽입 (동적 개수, 최대 3명)
- * 
- * @param {PDFLib.PDFPage} page - PDF 페이지
- * @param {Array<Object>} witnesses - 진술인 배열 [{office, position, name}, ...]
- * @param {Object} coords - 좌표 설정 객체
+ * 서명을 넣을 상자 (pt, 좌하단 기준)
+ * 양식 필드 템플릿은 같은 키로 연결된 필드 영역을 쓰고, 좌표 방식은 *Signature 좌표를
+ * 텍스트 칸과 같은 기준(y = 첫 줄 기준선, 칸 위쪽 = y + size × ascent)으로 읽습니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @param {string} pageKey - 'page1' 또는 'page2'
+ * @param {Object|null} coords - 좌표 설정 객체 (양식 필드 템플릿은 null)
+ * @param {string} fieldKey - 서명 필드 키 (예: 'driverSignature')
+ * @returns {Object|null} { x, y, width, height } (위치가 없으면 null)
  */
-async function insertWitnesses(page, witnesses, coords) {
-    if (!witnesses || witnesses.length === 0) return;
+function getSignatureBox(pdfDoc, pageKey, coords, fieldKey) {
+    if (!coords) {
+        const fieldName = resolveAcroFieldMap(pdfDoc, pageKey, [fieldKey])[fieldKey];
+        const field = fieldName && readAcroFormFields(pdfDoc).find(f => f.name === fieldName);
+        return field && field.rect ? field.rect : null;
+    }
 
-    const maxWitnesses = Math.min(witnesses.length, 3);
+    const coord = coords[fieldKey];
+    if (!coord) return null;
 
-    for (let i = 0; i < maxWitnesses; i++) {
-        const w = witnesses[i];
-        const witnessNum = i + 1;
+    const width = coord.width || PDF_CONFIG.signature.width;
+    const height = coord.height || PDF_CONFIG.signature.height;
+    const top = coord.y + (coord.size || PDF_CONFIG.fontSize.body) * TEXT_FIT_CONFIG.ascent;
+    return { x: coord.x, y: top - height, width, height };
+}
 
-        // 소속
-        if (w.office && coords[`witness${witnessNum}Office`]) {
-            await addTextToPdf(
-                page,
-                w.office,
-                coords[`witness${witnessNum}Office`].x,
-                coords[`witness${witnessNum}Office`].y,
-                { size: coords[`witness${witnessNum}Office`].size }
-            );
-        }
+/**
+ * 서명 이미지를 상자에 맞춰 그리기 (비율 유지, 왼쪽 정렬, 세로 가운데)
+ *
+ * @param {PDFLib.PDFPage} page - PDF 페이지
+ * @param {string} value - 서명 값 (signature-pad.js 저장 형식)
+ * @param {Object} box - { x, y, width, height }
+ * @returns {Promise<void>}
+ */
+async function drawSignatureImage(page, value, box) {
+    const png = await SignaturePad.toPng(value);
+    if (!png) return;
+
+    const image = await page.doc.embedPng(png);
+    const scale = Math.min(box.width / image.width, box.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    page.drawImage(image, {
+        x: box.x,
+        y: box.y + (box.height - height) / 2,
+        width,
+        height
+    });
+}
 
-        // 직급
-        if (w.position && coords[`witness${witnessNum}Position`]) {
-            await addTextToPdf(
-                page,
-                w.position,
-                coords[`witness${witnessNum}Position`].x,
-                coords[`witness${witnessNum}Position`].y,
-                { size: coords[`witness${witnessNum}Position`].size }
-            );
-        }
+/**
+ * 서명 삽입 (서명이 없으면 건너뜀, 위치가 없으면 생성 경고)
+ *
+ * @param {PDFLib.PDFPage} page - PDF 페이지
+ * @param {string} pageKey - 'page1' 또는 'page2'
+ * @param {Object|null} coords - 좌표 설정 객체 (양식 필드 템플릿은 null)
+ * @param {string} fieldKey - 서명 필드 키
+ * @param {string} value - 서명 값
+ * @returns {Promise<void>}
+ */
+async function insertSignature(page, pageKey, coords, fieldKey, value) {
+    if (typeof SignaturePad === 'undefined' || !SignaturePad.has(value)) return;
 
-        // 성명
-        if (w.name && coords[`witness${witnessNum}Name`]) {
-            await addTextToPdf(
-                page,
-                w.name,
-                coords[`witness${witnessNum}Name`].x,
-                coords[`witness${witnessNum}Name`].y,
-                { size: coords[`witness${witnessNum}Name`].size }
-            );
-        }
+    const box = getSignatureBox(page.doc, pageKey, coords, fieldKey);
+    if (!box) {
+        addPdfWarning(page.doc, `${getPdfFieldLabel(pageKey, fieldKey)}: 서명 위치가 없어 넣지 못했습니다`);
+        return;
     }
+
+    await drawSignatureImage(page, value, box);
 }
 
-// ==========================================================================
-// 기능 5: 적발 보고서 PDF 생성 (메인 함수)
-// ==========================================================================
+/**
+ * 별지·증거 사진 페이지의 테두리 선 옵션
+ * @returns {Object} drawRectangle 옵션
+ */
+function getAppendixBorder() {
+    const { black } = PDF_CONFIG.colors;
+    return { borderColor: PDFLib.rgb(black.r, black.g, black.b), borderWidth: 0.75 };
+}
 
 /**
- * 적발 보고서 PDF 생성 메인 함수
- * 
+ * 앱이 만든 덧붙임 페이지(진술인 별지, 증거 사진) 머리글
+ * 제목, 오른쪽 위 쪽 번호, 사건 정보(적발 일시·등록번호·장소)를 적습니다.
+ *
+ * @param {PDFLib.PDFPage} page - 새로 만든 페이지
+ * @param {string} title - 제목
+ * @param {string} pageLabel - 쪽 번호 (예: '별지 1/2')
+ * @param {Object} formData - 폼 데이터
+ * @returns {Promise<number>} 본문을 시작할 y 좌표 (머리글 아래 여백 포함)
+ */
+async function drawAppendixHeader(page, title, pageLabel, formData) {
+    const { margin, fontSize } = PDF_CONFIG;
+    const datetime = parseDatetimeForPdf(formData.reportDatetime);
+    let y = PDF_CONFIG.pageHeight - margin.top - fontSize.title;
+
+    await addTextToPdf(page, title, margin.left, y, { size: fontSize.title, isBold: true });
+    await addTextToPdf(page, pageLabel, PDF_CONFIG.pageWidth - margin.right - 60, y, { size: fontSize.small });
+
+    y -= 28;
+    const caseInfo = [
+        datetime.year && `적발 일시: ${datetime.year}. ${datetime.month}. ${datetime.day}. ${datetime.hour}:${datetime.minute}`,
+        formData.plateNumber && `등록번호: ${formData.plateNumber}`
+    ].filter(Boolean).join('   ');
+    await addTextToPdf(page, caseInfo, margin.left, y, { size: fontSize.small });
+
+    if (formData.reportLocation) {
+        y -= 14;
+        await addTextToPdf(page, `적발 장소: ${formData.reportLocation}`, margin.left, y, {
+            size: fontSize.small,
+            maxWidth: PDF_CONFIG.pageWidth - margin.left - margin.right
+        });
+    }
+
+    return getAppendixContentTop(formData);
+}
+
+/**
+ * 덧붙임 페이지 본문을 시작할 y 좌표 (drawAppendixHeader 머리글 아래)
+ * 머리글을 그리기 전에 한 쪽에 들어갈 분량을 계산할 때 씁니다.
+ *
+ * @param {Object} formData - 폼 데이터
+ * @returns {number}
+ */
+function getAppendixContentTop(formData) {
+    const { margin, fontSize } = PDF_CONFIG;
+    const headerHeight = fontSize.title + 28 + (formData.reportLocation ? 14 : 0) + 16;
+    return PDF_CONFIG.pageHeight - margin.top - headerHeight;
+}
+
+/**
+ * 진술인 별지 설정
+ * 진술서 양식의 진술인 칸보다 많은 진술인은 진술서 바로 뒤에 만든 별지에 표로 적습니다.
+ */
+const WITNESS_SHEET_CONFIG = {
+    rowsPerPage: 20,
+    rowHeight: 26,
+    headerHeight: 22,
+    // 표 열 (너비 합 = A4 너비 - 좌우 여백)
+    columns: [
+        { key: 'number', label: '번호', width: 45 },
+        { key: 'office', label: '소속', width: 190 },
+        { key: 'position', label: '직급', width: 90 },
+        { key: 'name', label: '성명', width: 90 },
+        { key: 'signature', label: '서명', width: 80 }
+    ]
+};
+
+/**
+ * 진술서 양식의 진술인 칸 수
+ * 양식 필드 템플릿은 연결된 witness{n}Name 필드, 좌표 방식은 좌표가 있는 witness{n}Name을
+ * 1번부터 이어지는 만큼 셉니다.
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @param {number} witnessCount - 진술인 수 (이만큼까지만 확인)
+ * @returns {number}
+ */
+function getWitnessSlotCount(pdfDoc, witnessCount) {
+    const nameKeys = Array.from({ length: witnessCount }, (_, i) => `witness${i + 1}Name`);
+    const available = hasAcroFormFields(pdfDoc)
+        ? resolveAcroFieldMap(pdfDoc, 'page2', nameKeys)
+        : getPageCoordinates(2, pdfDoc);
+
+    const missing = nameKeys.findIndex(key => !available[key]);
+    return missing === -1 ? witnessCount : missing;
+}
+
+/**
+ * 진술인 정보 삽입 (양식의 진술인 칸 수만큼)
+ * 
+ * @param {PDFLib.PDFPage} page - PDF 페이지
+ * @param {Array<Object>} witnesses - 진술인 배열 [{office, position, name, signature}, ...]
+ * @param {Object} coords - 좌표 설정 객체
+ */
+async function insertWitnesses(page, witnesses, coords) {
+    if (!witnesses || witnesses.length === 0) return;
+
+    for (let i = 0; i < witnesses.length; i++) {
+        const w = witnesses[i];
+        const witnessNum = i + 1;
+
+        await insertField(page, coords, `witness${witnessNum}Office`, w.office);      // 소속
+        await insertField(page, coords, `witness${witnessNum}Position`, w.position);  // 직급
+        await insertField(page, coords, `witness${witnessNum}Name`, w.name);          // 성명
+        await insertSignature(page, 'page2', coords, `witness${witnessNum}Signature`, w.signature);  // 서명
+    }
+}
+
+/**
+ * 진술서 본문에 적는 별지 안내 문구
+ * @param {number} extraCount - 별지에 적은 진술인 수
+ * @returns {string}
+ */
+function getWitnessContinuationNote(extraCount) {
+    return `외 ${extraCount}명 (별지 참조)`;
+}
+
+/**
+ * 양식 칸을 넘는 진술인을 별지 페이지에 표로 작성
+ * 별지는 진술서 페이지 바로 뒤에 넣고 "별지 1/2"처럼 번호를 붙입니다.
+ * 진술인 번호는 진술서 본문에 이어서 매깁니다.
+ *
+ * @param {PDFLib.PDFPage} statementPage - 위반 진술서 페이지
+ * @param {Object} formData - 폼 데이터 (별지 머리글의 적발 일시·장소·차량)
+ * @param {Array<Object>} witnesses - 별지에 적을 진술인 배열
+ * @param {number} firstNumber - 첫 진술인 번호
+ * @returns {Promise<number>} 추가한 별지 수
+ */
+async function addWitnessContinuationPages(statementPage, formData, witnesses, firstNumber) {
+    if (!witnesses || witnesses.length === 0) return 0;
+
+    const pdfDoc = statementPage.doc;
+    const { rowsPerPage, rowHeight, headerHeight, columns } = WITNESS_SHEET_CONFIG;
+    const { margin, fontSize } = PDF_CONFIG;
+    const pageCount = Math.ceil(witnesses.length / rowsPerPage);
+    const insertAt = pdfDoc.getPages().indexOf(statementPage) + 1;
+    const border = getAppendixBorder();
+
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+        const page = pdfDoc.insertPage(insertAt + pageNo, [PDF_CONFIG.pageWidth, PDF_CONFIG.pageHeight]);
+        const rows = witnesses.slice(pageNo * rowsPerPage, (pageNo + 1) * rowsPerPage);
+        let y = await drawAppendixHeader(page, '위반 진술서 별지 - 진술인', `별지 ${pageNo + 1}/${pageCount}`, formData);
+
+        // 표 머리행
+        y -= headerHeight;
+        let x = margin.left;
+        for (const column of columns) {
+            page.drawRectangle({ x, y, width: column.width, height: headerHeight, ...border });
+            await addTextToPdf(page, column.label, x + 6, y + 7, { size: fontSize.small, isBold: true });
+            x += column.width;
+        }
+
+        // 진술인 행 (서명하지 않은 진술인은 서명 칸을 비워 둠)
+        for (let i = 0; i < rows.length; i++) {
+            const w = rows[i];
+            const number = firstNumber + pageNo * rowsPerPage + i;
+            const cells = { number: String(number), office: w.office, position: w.position, name: w.name, signature: '' };
+
+            y -= rowHeight;
+            x = margin.left;
+            for (const column of columns) {
+                page.drawRectangle({ x, y, width: column.width, height: rowHeight, ...border });
+                if (column.key === 'signature' && typeof SignaturePad !== 'undefined' && SignaturePad.has(w.signature)) {
+                    await drawSignatureImage(page, w.signature, { x: x + 4, y: y + 3, width: column.width - 8, height: rowHeight - 6 });
+                }
+                await addTextToPdf(page, cells[column.key] || '', x + 6, y + 9, {
+                    size: fontSize.body - 1,
+                    maxWidth: column.width - 12,
+                    label: `진술인${number} ${column.label}`
+                });
+                x += column.width;
+            }
+        }
+    }
+
+    console.log(`[진술인 별지] ${witnesses.length}명, 별지 ${pageCount}쪽 추가`);
+    return pageCount;
+}
+
+/**
+ * 진술 내용 설정
+ * 진술서의 진술 내용 칸(statementBody)에 줄바꿈해 적고, 넘치면 진술서 뒤 별지에 이어 씁니다.
+ */
+const STATEMENT_BODY_CONFIG = {
+    qaIndent: 24,                   // 문답 형식에서 '문:'/'답:' 뒤 본문 들여쓰기 (pt)
+    sheetSize: 11,                  // 별지 글자 크기 (pt)
+    continuedNote: '(별지에 계속)'  // 칸이 넘칠 때 마지막 줄
+};
+
+/** 문답 형식의 줄 머리 ("문:", "답.", "문)", "답 " 등) */
+const STATEMENT_QA_PATTERN = /^\s*(문|답)\s*(?:[:.)：]\s*|\s+|$)/;
+
+/**
+ * 진술 내용을 문/답 항목으로 나누기
+ * 줄 앞에 문/답 표시가 있으면 새 항목을 시작하고, 표시가 없는 줄은 앞 항목에 이어 붙입니다.
+ *
+ * @param {string} text - 진술 내용
+ * @returns {Array<{label: string, text: string}>} label: '문' | '답' | '' (표시 없이 시작한 앞부분)
+ */
+function parseStatementQa(text) {
+    const entries = [];
+
+    text.split('\n').forEach(line => {
+        const match = line.match(STATEMENT_QA_PATTERN);
+        if (match) {
+            entries.push({ label: match[1], text: line.slice(match[0].length) });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].text += `\n${line}`;
+        } else {
+            entries.push({ label: '', text: line });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * 진술 내용을 너비에 맞춰 줄 단위로 배치
+ * 자유 서술은 입력한 줄바꿈(빈 줄 포함)을 유지하고, 문답은 문/답 표시 뒤로 들여 씁니다.
+ *
+ * @param {PDFLib.PDFFont} font - 측정할 폰트
+ * @param {string} text - 진술 내용
+ * @param {string} format - 'qa'(문답) 또는 그 밖(자유 서술)
+ * @param {number} size - 글자 크기
+ * @param {number} width - 줄 너비 (pt)
+ * @returns {Array<{label: string, text: string, indent: number}>} 줄 목록 (label은 항목 첫 줄에만)
+ */
+function layoutStatementBody(font, text, format, size, width) {
+    const wrapParagraphs = (value, maxWidth) => value.split('\n').flatMap(paragraph => {
+        const wrapped = wrapTextLines(font, paragraph, size, maxWidth);
+        return wrapped.length > 0 ? wrapped : [''];
+    });
+
+    if (format !== 'qa') {
+        return wrapParagraphs(text, width).map(line => ({ label: '', text: line, indent: 0 }));
+    }
+
+    const { qaIndent } = STATEMENT_BODY_CONFIG;
+    return parseStatementQa(text).flatMap(entry => {
+        const indent = entry.label ? qaIndent : 0;
+        return wrapParagraphs(entry.text.trim(), width - indent).map((line, index) => ({
+            label: index === 0 ? entry.label : '',
+            text: line,
+            indent
+        }));
+    });
+}
+
+/**
+ * 배치한 진술 내용 줄을 그리기 (문/답 표시는 굵게)
+ *
+ * @param {PDFLib.PDFPage} page - PDF 페이지
+ * @param {Array<Object>} lines - layoutStatementBody 결과
+ * @param {number} x - 왼쪽 x 좌표
+ * @param {number} y - 첫 줄 기준선 y 좌표
+ * @param {number} size - 글자 크기
+ * @returns {Promise<void>}
+ */
+async function drawStatementBodyLines(page, lines, x, y, size) {
+    const { black } = PDF_CONFIG.colors;
+    const color = PDFLib.rgb(black.r, black.g, black.b);
+    const font = await getKoreanFont(page.doc, false);
+    const boldFont = await getKoreanFont(page.doc, true);
+
+    lines.forEach((line, index) => {
+        const lineY = y - index * size * TEXT_FIT_CONFIG.lineHeight;
+        if (line.label) {
+            page.drawText(`${line.label}:`, { x, y: lineY, size, font: boldFont, color });
+        }
+        if (line.text) {
+            page.drawText(line.text, { x: x + line.indent, y: lineY, size, font, color });
+        }
+    });
+}
+
+/**
+ * 진술서의 진술 내용 칸
+ * 양식 필드 템플릿은 연결된 필드 영역, 좌표 방식은 statementBody 좌표(width·height 필수)를 씁니다.
+ *
+ * @param {PDFLib.PDFPage} page - 위반 진술서 페이지
+ * @param {Object|null} coords - 페이지 좌표 (양식 필드 템플릿이면 null)
+ * @returns {Object|null} { x, y(첫 줄 기준선), width, height, size } 또는 칸이 없으면 null
+ */
+function getStatementBodyBox(page, coords) {
+    if (!coords) {
+        const fieldName = resolveAcroFieldMap(page.doc, 'page2', ['statementBody']).statementBody;
+        const field = fieldName && readAcroFormFields(page.doc).find(f => f.name === fieldName);
+        if (!field || !field.rect) return null;
+
+        const size = PDF_CONFIG.fontSize.body - 1;
+        const padding = 2;
+        return {
+            x: field.rect.x + padding,
+            y: field.rect.y + field.rect.height - padding - size * TEXT_FIT_CONFIG.ascent,
+            width: field.rect.width - padding * 2,
+            height: field.rect.height - padding * 2,
+            size
+        };
+    }
+
+    const coord = coords.statementBody;
+    if (!coord || !coord.width || !coord.height) return null;
+    return { x: coord.x, y: coord.y, width: coord.width, height: coord.height, size: coord.size || PDF_CONFIG.fontSize.body };
+}
+
+/**
+ * 진술 내용 삽입
+ * 칸에 다 들어가지 않으면 마지막 줄에 "(별지에 계속)"을 적고 나머지를 별지에 이어 씁니다.
+ * 양식에 진술 내용 칸이 없으면 전부 별지에 적습니다.
+ *
+ * @param {PDFLib.PDFPage} page - 위반 진술서 페이지
+ * @param {Object} formData - 폼 데이터 (statementBody, statementFormat)
+ * @param {Object|null} coords - 페이지 좌표 (양식 필드 템플릿이면 null)
+ * @returns {Promise<number>} 추가한 별지 수
+ */
+async function insertStatementBody(page, formData, coords) {
+    const text = (formData.statementBody || '').replace(/\r\n?/g, '\n').trim();
+    if (!text) return 0;
+
+    await assertKoreanFontCoverage(text, false);
+    const font = await getKoreanFont(page.doc, false);
+    const box = getStatementBodyBox(page, coords);
+
+    if (!box) {
+        addPdfWarning(page.doc, '진술 내용: 양식에 진술 내용 칸이 없어 별지에 적었습니다');
+        const { margin } = PDF_CONFIG;
+        const size = STATEMENT_BODY_CONFIG.sheetSize;
+        const width = PDF_CONFIG.pageWidth - margin.left - margin.right;
+        return addStatementBodyPages(page, formData, layoutStatementBody(font, text, formData.statementFormat, size, width), size);
+    }
+
+    const lines = layoutStatementBody(font, text, formData.statementFormat, box.size, box.width);
+    const capacity = Math.max(1, Math.floor(box.height / (box.size * TEXT_FIT_CONFIG.lineHeight)));
+
+    if (lines.length <= capacity) {
+        await drawStatementBodyLines(page, lines, box.x, box.y, box.size);
+        return 0;
+    }
+
+    // 칸에는 들어가는 만큼 쓰고 마지막 줄은 별지 안내, 나머지 줄은 같은 배치 그대로 별지에
+    const kept = lines.slice(0, capacity - 1);
+    kept.push({ label: '', text: STATEMENT_BODY_CONFIG.continuedNote, indent: 0 });
+    await drawStatementBodyLines(page, kept, box.x, box.y, box.size);
+
+    return addStatementBodyPages(page, formData, lines.slice(capacity - 1), box.size);
+}
+
+/**
+ * 진술 내용 별지 (진술서 바로 뒤, "진술 내용 1/2"처럼 번호)
+ *
+ * @param {PDFLib.PDFPage} statementPage - 위반 진술서 페이지
+ * @param {Object} formData - 폼 데이터 (별지 머리글의 사건 정보)
+ * @param {Array<Object>} lines - 별지에 적을 줄 (layoutStatementBody 결과)
+ * @param {number} size - 글자 크기
+ * @returns {Promise<number>} 추가한 별지 수
+ */
+async function addStatementBodyPages(statementPage, formData, lines, size) {
+    if (lines.length === 0) return 0;
+
+    const pdfDoc = statementPage.doc;
+    const { margin } = PDF_CONFIG;
+    const lineHeight = size * TEXT_FIT_CONFIG.lineHeight;
+    const firstBaseline = getAppendixContentTop(formData) - size * TEXT_FIT_CONFIG.ascent;
+    const linesPerPage = Math.max(1, Math.floor((firstBaseline - margin.bottom) / lineHeight) + 1);
+    const pageCount = Math.ceil(lines.length / linesPerPage);
+    const insertAt = pdfDoc.getPages().indexOf(statementPage) + 1;
+
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+        const page = pdfDoc.insertPage(insertAt + pageNo, [PDF_CONFIG.pageWidth, PDF_CONFIG.pageHeight]);
+        await drawAppendixHeader(page, '위반 진술서 별지 - 진술 내용', `진술 내용 ${pageNo + 1}/${pageCount}`, formData);
+        await drawStatementBodyLines(page, lines.slice(pageNo * linesPerPage, (pageNo + 1) * linesPerPage), margin.left, firstBaseline, size);
+    }
+
+    console.log(`[진술 내용 별지] ${lines.length}줄, 별지 ${pageCount}쪽 추가`);
+    return pageCount;
+}
+
+/**
+ * 증거 사진 페이지 설정 (A4 한 쪽에 열 × 행 격자)
+ */
+const EVIDENCE_PAGE_CONFIG = {
+    columns: 2,
+    rows: 3,
+    gap: 14,            // 칸 사이 간격 (pt)
+    captionHeight: 36   // 사진 아래 설명 영역 (첫 줄: 번호·일시·장소, 나머지: 내용)
+};
+
+/**
+ * 증거 사진 페이지를 문서 끝에 추가 (격자 배치 + 사진별 설명)
+ * 설명: "사진 n · 촬영 일시 · 장소" 한 줄과 내용(최대 2줄)
+ *
+ * @param {PDFLib.PDFDocument} pdfDoc - PDF 문서
+ * @param {Array<Object>} photos - 사진 레코드 (evidence-photos.js) [{ data, type, takenAt, location, description }]
+ * @param {Object} formData - 폼 데이터 (머리글의 사건 정보)
+ * @returns {Promise<number>} 추가한 페이지 수
+ */
+async function addEvidencePages(pdfDoc, photos, formData) {
+    if (!photos || photos.length === 0) return 0;
+
+    const { columns, rows, gap, captionHeight } = EVIDENCE_PAGE_CONFIG;
+    const { margin, fontSize } = PDF_CONFIG;
+    const perPage = columns * rows;
+    const pageCount = Math.ceil(photos.length / perPage);
+    const border = getAppendixBorder();
+    const cellWidth = (PDF_CONFIG.pageWidth - margin.left - margin.right - gap * (columns - 1)) / columns;
+
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+        const page = addPage(pdfDoc);
+        const gridTop = await drawAppendixHeader(page, '증거 사진', `${pageNo + 1}/${pageCount}`, formData);
+        const cellHeight = (gridTop - margin.bottom - gap * (rows - 1)) / rows;
+        const imageHeight = cellHeight - captionHeight;
+
+        const pagePhotos = photos.slice(pageNo * perPage, (pageNo + 1) * perPage);
+        for (let i = 0; i < pagePhotos.length; i++) {
+            const photo = pagePhotos[i];
+            const number = pageNo * perPage + i + 1;
+            const x = margin.left + (i % columns) * (cellWidth + gap);
+            const top = gridTop - Math.floor(i / columns) * (cellHeight + gap);
+
+            // 사진 (비율 유지, 칸 가운데)
+            try {
+                const image = photo.type === 'image/png'
+                    ? await pdfDoc.embedPng(photo.data)
+                    : await pdfDoc.embedJpg(photo.data);
+                const scale = Math.min(cellWidth / image.width, imageHeight / image.height);
+                const width = image.width * scale;
+                const height = image.height * scale;
+                const imageBox = { x: x + (cellWidth - width) / 2, y: top - imageHeight + (imageHeight - height) / 2, width, height };
+                page.drawImage(image, imageBox);
+                page.drawRectangle({ ...imageBox, ...border });
+            } catch (error) {
+                console.error(`[증거 사진] 사진 ${number} 삽입 실패:`, error);
+                addPdfWarning(pdfDoc, `증거 사진 ${number}: 이미지를 넣지 못했습니다`);
+            }
+
+            // 설명
+            const captionTop = top - imageHeight - 4;
+            const takenAt = typeof EvidencePhotos !== 'undefined' ? EvidencePhotos.formatTakenAt(photo) : '';
+            const heading = [`사진 ${number}`, takenAt, photo.location].filter(Boolean).join(' · ');
+            await addTextToPdf(page, heading, x, captionTop - fontSize.small, {
+                size: fontSize.small,
+                isBold: true,
+                maxWidth: cellWidth,
+                maxHeight: fontSize.small * TEXT_FIT_CONFIG.lineHeight,
+                label: `증거 사진 ${number} 설명`
+            });
+            await addTextToPdf(page, photo.description || '', x, captionTop - fontSize.small * 2 - 4, {
+                size: fontSize.small,
+                maxWidth: cellWidth,
+                maxHeight: fontSize.small * TEXT_FIT_CONFIG.lineHeight * 2,
+                label: `증거 사진 ${number} 내용`
+            });
+        }
+    }
+
+    console.log(`[증거 사진] ${photos.length}장, ${pageCount}쪽 추가`);
+    return pageCount;
+}
+
+// ==========================================================================
+// 페이지 채우기 (보고서/진술서/통합 생성에서 공통 사용)
+// ==========================================================================
+
+/**
+ * 진술 작성일
+ * 저장된 사건을 다시 출력할 때는 formData.statementDate(YYYY-MM-DD)를 쓰고,
+ * 없으면 (화면에서 바로 만드는 경우) 오늘 날짜
+ * @param {Object} [formData] - 폼 데이터
+ * @returns {Object} { year, month, day }
+ */
+function getStatementDate(formData = {}) {
+    if (formData.statementDate) {
+        return parseDateForPdf(formData.statementDate);
+    }
+
+    const today = new Date();
+    return {
+        year: today.getFullYear().toString(),
+        month: String(today.getMonth() + 1).padStart(2, '0'),
+        day: String(today.getDate()).padStart(2, '0')
+    };
+}
+
+/**
+ * 차량규격/중량 필드 값 (좌표 방식과 같은 형식: 소수 둘째 자리, 0은 비움)
+ * @param {Object} formData - 폼 데이터
+ * @returns {Object} { fieldKey: 텍스트 }
+ */
+function buildMeasurementFieldValues(formData) {
+    const values = {};
+
+    ['widthMeasured', 'heightMeasured', 'lengthMeasured',
+        'widthViolation', 'heightViolation', 'lengthViolation'].forEach(field => {
+        const value = parseFloat(formData[field]);
+        if (!isNaN(value)) values[field] = value.toFixed(2);
+    });
+
+    let totalMeasured = 0;
+    let totalViolation = 0;
+    for (let i = 1; i <= 8; i++) {
+        const measured = parseFloat(formData[`axle${i}Measured`]);
+        const violation = parseFloat(formData[`axle${i}Violation`]);
+
+        if (!isNaN(measured) && measured > 0) {
+            values[`axle${i}Measured`] = measured.toFixed(2);
+            totalMeasured += measured;
+        }
+        if (!isNaN(violation) && violation > 0) {
+            values[`axle${i}Violation`] = violation.toFixed(2);
+            totalViolation += violation;
+        }
+    }
+
+    const grossViolation = getGrossViolation(formData, totalViolation);
+    if (totalMeasured > 0) values.totalWeightMeasured = totalMeasured.toFixed(2);
+    if (grossViolation > 0) values.totalWeightViolation = grossViolation.toFixed(2);
+
+    return values;
+}
+
+/**
+ * 적발 보고서(page1) 필드 값 - 양식 필드 채우기용
+ * @param {Object} formData - 폼 데이터
+ * @returns {Object} { fieldKey: 텍스트 }
+ */
+function buildReportFieldValues(formData) {
+    const datetime = parseDatetimeForPdf(formData.reportDatetime);
+    const authorDate = parseDateForPdf(formData.authorDate);
+
+    return {
+        dateYear: datetime.year,
+        dateMonth: datetime.month,
+        dateDay: datetime.day,
+        dateHour: datetime.hour,
+        dateMinute: datetime.minute,
+        location: formData.reportLocation,
+        checkpoint: formData.checkpointName,
+        driverName: formData.driverName,
+        driverAddress: formData.driverAddress,
+        phoneFixed: formData.phoneFixed,
+        phoneMobile: formData.phoneMobile,
+        vehicleType: formData.vehicleType,
+        plateNumber: formData.plateNumber,
+        vehicleRoute: formData.route,
+        cargo: formData.cargo,
+        ...buildMeasurementFieldValues(formData),
+        authorYear: authorDate.year,
+        authorMonth: authorDate.month,
+        authorDay: authorDate.day,
+        authorOffice: formData.authorOffice,
+        authorPosition: formData.authorPosition,
+        authorName: formData.authorName,
+        vehicleConfig: describeVehicleConfig(formData),
+        permitInfo: describePermit(formData)
+    };
+}
+
+/**
+ * 위반 진술서(page2) 필드 값 - 양식 필드 채우기용
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} witnesses - 진술서 본문 칸에 넣을 진술인 배열
+ * @returns {Object} { fieldKey: 텍스트 }
+ */
+function buildStatementFieldValues(formData, witnesses = []) {
+    const datetime = parseDatetimeForPdf(formData.reportDatetime);
+    const statementDate = getStatementDate(formData);
+
+    const values = {
+        dateYear: datetime.year,
+        dateMonth: datetime.month,
+        dateDay: datetime.day,
+        dateHour: datetime.hour,
+        dateMinute: datetime.minute,
+        location: formData.reportLocation,
+        checkpoint: formData.checkpointName,
+        vehicleType: formData.vehicleType,
+        plateNumber: formData.plateNumber,
+        ...buildMeasurementFieldValues(formData),
+        statementYear: statementDate.year,
+        statementMonth: statementDate.month,
+        statementDay: statementDate.day
+    };
+
+    witnesses.forEach((w, i) => {
+        values[`witness${i + 1}Office`] = w.office;
+        values[`witness${i + 1}Position`] = w.position;
+        values[`witness${i + 1}Name`] = w.name;
+    });
+
+    return values;
+}
+
+/**
+ * 적발 보고서 페이지(page1)에 폼 데이터 삽입
+ *
+ * @param {PDFLib.PDFPage} page - 적발 보고서 페이지
+ * @param {Object} formData - 폼 데이터 (필드 목록은 generateReportPdf 참고)
+ * @returns {Promise<void>}
+ */
+async function fillReportPage(page, formData) {
+    // 양식 필드가 있는 템플릿은 필드에 입력
+    if (hasAcroFormFields(page.doc)) {
+        await fillAcroFormPage(page, 1, buildReportFieldValues(formData));
+        await insertSignature(page, 'page1', null, 'driverSignature', formData.driverSignature);
+        await insertSignature(page, 'page1', null, 'authorSignature', formData.authorSignature);
+        return;
+    }
+
+    const coords = getPageCoordinates(1, page.doc);  // 템플릿 프로필 우선, 기본 좌표 폴백
+
+    // =====================================================================
+    // Step 1: 일시 데이터 파싱
+    // =====================================================================
+    const datetime = parseDatetimeForPdf(formData.reportDatetime);
+    const authorDate = parseDateForPdf(formData.authorDate);
+
+    // =====================================================================
+    // Step 2: 기본 정보 삽입 (적발 일시 + 장소)
+    // =====================================================================
+    console.log('[fillReportPage] 기본 정보 삽입 중');
+    await insertDatetimeFields(page, datetime, coords);
+
+    await insertField(page, coords, 'location', formData.reportLocation);
+    await insertField(page, coords, 'checkpoint', formData.checkpointName);
+
+    // =====================================================================
+    // Step 3: 운전자 정보 삽입
+    // =====================================================================
+    console.log('[fillReportPage] 운전자 정보 삽입 중');
+
+    await insertField(page, coords, 'driverName', formData.driverName);
+    await insertSignature(page, 'page1', coords, 'driverSignature', formData.driverSignature);
+    await insertField(page, coords, 'driverAddress', formData.driverAddress);
+    await insertField(page, coords, 'phoneFixed', formData.phoneFixed);
+    await insertField(page, coords, 'phoneMobile', formData.phoneMobile);
+
+    // =====================================================================
+    // Step 4: 차량 정보 삽입
+    // =====================================================================
+    console.log('[fillReportPage] 차량 정보 삽입 중');
+
+    await insertField(page, coords, 'vehicleType', formData.vehicleType);
+    await insertField(page, coords, 'plateNumber', formData.plateNumber);
+    await insertField(page, coords, 'vehicleRoute', formData.route);
+    await insertField(page, coords, 'cargo', formData.cargo);
+
+    // =====================================================================
+    // Step 5: 차량규격 삽입 (너비, 높이, 길이) - 공통 헬퍼 사용
+    // =====================================================================
+    console.log('[fillReportPage] 차량규격 삽입 중');
+    await insertVehicleSpecs(page, formData, coords);
+
+    // =====================================================================
+    // Step 6: 차량중량 삽입 (측정결과 + 위반내역 + 총중량) - 공통 헬퍼 사용
+    // =====================================================================
+    console.log('[fillReportPage] 차량중량 삽입 중');
+    await insertAxleWeights(page, formData, coords);
+
+    // 연축 구성과 운행허가 (해당 차량만)
+    await insertField(page, coords, 'vehicleConfig', describeVehicleConfig(formData));
+    await insertField(page, coords, 'permitInfo', describePermit(formData));
+
+    // =====================================================================
+    // Step 7: 작성자 정보 삽입
+    // =====================================================================
+    console.log('[fillReportPage] 작성자 정보 삽입 중');
+
+    // 작성 년월일
+    await insertField(page, coords, 'authorYear', authorDate.year);
+    await insertField(page, coords, 'authorMonth', authorDate.month);
+    await insertField(page, coords, 'authorDay', authorDate.day);
+
+    // 소속, 직급, 성명
+    await insertField(page, coords, 'authorOffice', formData.authorOffice);
+    await insertField(page, coords, 'authorPosition', formData.authorPosition);
+    await insertField(page, coords, 'authorName', formData.authorName);
+    await insertSignature(page, 'page1', coords, 'authorSignature', formData.authorSignature);
+}
+
+/**
+ * 위반 진술서 페이지(page2)에 폼 데이터, 진술인, 진술 내용 삽입
+ * 양식의 진술인 칸보다 진술인이 많으면 본문에 "외 N명" 안내를 적고
+ * 나머지는 진술서 뒤에 별지로 추가합니다. 진술 내용이 칸을 넘쳐도 별지에 이어 씁니다.
+ *
+ * @param {PDFLib.PDFPage} page - 위반 진술서 페이지
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} witnesses - 진술인 배열 [{office, position, name}, ...]
+ * @returns {Promise<number>} 추가한 별지 수
+ */
+async function fillStatementPage(page, formData, witnesses = []) {
+    // 빈 진술인 카드는 제외
+    const filledWitnesses = witnesses.filter(w => w && (w.office || w.position || w.name || w.signature));
+    const slotCount = getWitnessSlotCount(page.doc, filledWitnesses.length);
+    const slotWitnesses = filledWitnesses.slice(0, slotCount);
+    const extraWitnesses = filledWitnesses.slice(slotCount);
+    const continuationNote = extraWitnesses.length > 0 ? getWitnessContinuationNote(extraWitnesses.length) : '';
+
+    // 양식 필드가 있는 템플릿은 필드에 입력
+    if (hasAcroFormFields(page.doc)) {
+        const values = buildStatementFieldValues(formData, slotWitnesses);
+        // 안내 문구는 연결된 필드가 있을 때만 (없어도 별지는 추가되므로 경고하지 않음)
+        if (continuationNote && resolveAcroFieldMap(page.doc, 'page2', ['witnessContinuation']).witnessContinuation) {
+            values.witnessContinuation = continuationNote;
+        }
+        await fillAcroFormPage(page, 2, values);
+        for (let i = 0; i < slotWitnesses.length; i++) {
+            await insertSignature(page, 'page2', null, `witness${i + 1}Signature`, slotWitnesses[i].signature);
+        }
+        const witnessSheets = await addWitnessContinuationPages(page, formData, extraWitnesses, slotCount + 1);
+        return witnessSheets + await insertStatementBody(page, formData, null);
+    }
+
+    const coords = getPageCoordinates(2, page.doc);  // 템플릿 프로필 우선, 기본 좌표 폴백
+
+    // =====================================================================
+    // Step 1: 일시 데이터 파싱
+    // =====================================================================
+    const datetime = parseDatetimeForPdf(formData.reportDatetime);
+    const statementDate = getStatementDate(formData);  // 진술 작성일 (저장된 날짜 또는 오늘)
+
+    // =====================================================================
+    // Step 2: 기본 정보 삽입 (적발 일시 + 장소)
+    // =====================================================================
+    console.log('[fillStatementPage] 기본 정보 삽입 중');
+    await insertDatetimeFields(page, datetime, coords);
+
+    await insertField(page, coords, 'location', formData.reportLocation);
+    await insertField(page, coords, 'checkpoint', formData.checkpointName);
+
+    // =====================================================================
+    // Step 3: 차량 정보 삽입
+    // =====================================================================
+    console.log('[fillStatementPage] 차량 정보 삽입 중');
+
+    await insertField(page, coords, 'vehicleType', formData.vehicleType);
+    await insertField(page, coords, 'plateNumber', formData.plateNumber);
+
+    // =====================================================================
+    // Step 4: 차량규격 삽입 (너비, 높이, 길이) - 공통 헬퍼 사용
+    // =====================================================================
+    console.log('[fillStatementPage] 차량규격 삽입 중');
+    await insertVehicleSpecs(page, formData, coords);
+
+    // =====================================================================
+    // Step 5: 차량중량 삽입 (측정결과 + 위반내역 + 총중량) - 공통 헬퍼 사용
+    // =====================================================================
+    console.log('[fillStatementPage] 차량중량 삽입 중');
+    await insertAxleWeights(page, formData, coords);
+
+    // =====================================================================
+    // Step 6: 진술 작성일 삽입 (오늘 날짜)
+    // =====================================================================
+    console.log('[fillStatementPage] 진술 작성일 삽입 중');
+    await insertField(page, coords, 'statementYear', statementDate.year);
+    await insertField(page, coords, 'statementMonth', statementDate.month);
+    await insertField(page, coords, 'statementDay', statementDate.day);
+
+    // =====================================================================
+    // Step 7: 진술인 정보 삽입 (양식 칸 수만큼, 나머지는 별지) - 공통 헬퍼 사용
+    // =====================================================================
+    console.log('[fillStatementPage] 진술인 정보 삽입 중');
+    await insertWitnesses(page, slotWitnesses, coords);
+    await insertField(page, coords, 'witnessContinuation', continuationNote);
+    const witnessSheets = await addWitnessContinuationPages(page, formData, extraWitnesses, slotCount + 1);
+
+    // =====================================================================
+    // Step 8: 진술 내용 삽입 (넘치면 진술서 바로 뒤 별지에 이어 씀)
+    // =====================================================================
+    console.log('[fillStatementPage] 진술 내용 삽입 중');
+    return witnessSheets + await insertStatementBody(page, formData, coords);
+}
+
+// ==========================================================================
+// 문서 채우기 (다운로드용 생성과 일괄 생성에서 공통 사용)
+// ==========================================================================
+
+/**
+ * 적발 보고서 문서 채우기 (1페이지 + 증거 사진 페이지)
+ * @param {PDFLib.PDFDocument} pdfDoc - 템플릿에서 로드한 PDF 문서
+ * @param {Object} formData - 폼 데이터
+ * @param {Object} [options={}] - { photos }
+ * @returns {Promise<void>}
+ */
+async function fillReportDocument(pdfDoc, formData, options = {}) {
+    await fillReportPage(getPdfPage(pdfDoc, 0), formData);  // 첫 번째 페이지 (적발 보고서)
+    await addEvidencePages(pdfDoc, options.photos, formData);
+}
+
+/**
+ * 위반 진술서 문서 채우기 (2페이지 + 진술인 별지)
+ * @param {PDFLib.PDFDocument} pdfDoc - 템플릿에서 로드한 PDF 문서
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} [witnesses=[]] - 진술인 정보 배열
+ * @returns {Promise<void>}
+ */
+async function fillStatementDocument(pdfDoc, formData, witnesses = []) {
+    await fillStatementPage(getPdfPage(pdfDoc, 1), formData, witnesses);  // 두 번째 페이지 (진술서)
+}
+
+/**
+ * 보고서 + 진술서 통합 문서 채우기
+ * @param {PDFLib.PDFDocument} pdfDoc - 템플릿에서 로드한 PDF 문서 (2페이지 이상)
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} [witnesses=[]] - 진술인 정보 배열
+ * @param {Object} [options={}] - { photos }
+ * @returns {Promise<void>}
+ * @throws {Error} 템플릿이 2페이지보다 적은 경우
+ */
+async function fillCombinedDocument(pdfDoc, formData, witnesses = [], options = {}) {
+    if (getPageCount(pdfDoc) < 2) {
+        throw new Error('통합 생성에는 보고서와 진술서 2페이지가 있는 템플릿이 필요합니다.');
+    }
+
+    await fillReportPage(getPdfPage(pdfDoc, 0), formData);
+    await fillStatementPage(getPdfPage(pdfDoc, 1), formData, witnesses);
+    await addEvidencePages(pdfDoc, options.photos, formData);
+}
+
+// ==========================================================================
+// 기능 5: 적발 보고서 PDF 생성 (메인 함수)
+// ==========================================================================
+
+/**
+ * 적발 보고서 PDF 생성 메인 함수
+ * 
  * 이 함수는 사용자가 입력한 폼 데이터를 PDF 템플릿에 채워넣고 다운로드합니다.
  * 위반 기준(축하중 > 11.00톤, 총중량 > 44.00톤)을 초과한 값은 굵은 글씨로 표시됩니다.
  * 
@@ -828,6 +2167,7 @@ async function insertWitnesses(page, witnesses, coords) {
  * @param {Object} formData - 폼에서 수집한 데이터 객체
  * @param {string} formData.reportDatetime - 적발 일시 ("2026-01-13T23:30" 형식)
  * @param {string} formData.reportLocation - 적발 위치
+ * @param {string} [formData.checkpointName] - 검문소명
  * @param {string} formData.driverName - 운전자 성명
  * @param {string} formData.driverAddress - 운전자 주소
  * @param {string} formData.phoneFixed - 일반전화번호
@@ -848,6 +2188,10 @@ async function insertWitnesses(page, witnesses, coords) {
  * @param {string} formData.authorOffice - 작성자 소속
  * @param {string} formData.authorPosition - 작성자 직급
  * @param {string} formData.authorName - 작성자 성명
+ * @param {string} [formData.driverSignature] - 운전자 서명 (signature-pad.js 저장 형식)
+ * @param {string} [formData.authorSignature] - 작성자 서명
+ * @param {Object} [options={}] - 추가 옵션
+ * @param {Array<Object>} [options.photos] - 증거 사진 (evidence-photos.js 레코드, 문서 끝에 증거 사진 페이지로 추가)
  * @returns {Promise<void>}
  * 
  * @example
@@ -856,103 +2200,17 @@ async function insertWitnesses(page, witnesses, coords) {
  * const formData = collectFormData(); // 폼 데이터 수집 함수
  * await generateReportPdf(templateFile, formData);
  */
-async function generateReportPdf(templateFile, formData) {
+async function generateReportPdf(templateFile, formData, options = {}) {
     try {
         // =====================================================================
         // Step 1: PDF 생성 시작 (로딩 + 템플릿 로드)
         // =====================================================================
         console.log('[generateReportPdf] PDF 생성 시작');
         const pdfDoc = await startPdfGeneration(templateFile, 'PDF 생성 중...');
-        const page = getPdfPage(pdfDoc, 0);  // 첫 번째 페이지 (적발 보고서)
-        const coords = getPageCoordinates(1);  // AI 좌표 우선, 수동 좌표 폴백
-
-        // =====================================================================
-        // Step 2: 일시 데이터 파싱
-        // =====================================================================
-        const datetime = parseDatetimeForPdf(formData.reportDatetime);
-        const authorDate = parseDateForPdf(formData.authorDate);
+        await fillReportDocument(pdfDoc, formData, options);
 
         // =====================================================================
-        // Step 3: 기본 정보 삽입 (적발 일시 + 장소)
-        // =====================================================================
-        console.log('[generateReportPdf] 기본 정보 삽입 중');
-        await insertDatetimeFields(page, datetime, coords);
-
-        if (formData.reportLocation) {
-            await addTextToPdf(page, formData.reportLocation, coords.location.x, coords.location.y, { size: coords.location.size });
-        }
-
-        // =====================================================================
-        // Step 4: 운전자 정보 삽입
-        // =====================================================================
-        console.log('[generateReportPdf] 운전자 정보 삽입 중');
-
-        if (formData.driverName) {
-            await addTextToPdf(page, formData.driverName, coords.driverName.x, coords.driverName.y, { size: coords.driverName.size });
-        }
-        if (formData.driverAddress) {
-            await addTextToPdf(page, formData.driverAddress, coords.driverAddress.x, coords.driverAddress.y, { size: coords.driverAddress.size });
-        }
-        if (formData.phoneFixed) {
-            await addTextToPdf(page, formData.phoneFixed, coords.phoneFixed.x, coords.phoneFixed.y, { size: coords.phoneFixed.size });
-        }
-        if (formData.phoneMobile) {
-            await addTextToPdf(page, formData.phoneMobile, coords.phoneMobile.x, coords.phoneMobile.y, { size: coords.phoneMobile.size });
-        }
-
-        // =====================================================================
-        // Step 5: 차량 정보 삽입
-        // =====================================================================
-        console.log('[generateReportPdf] 차량 정보 삽입 중');
-
-        if (formData.vehicleType) {
-            await addTextToPdf(page, formData.vehicleType, coords.vehicleType.x, coords.vehicleType.y, { size: coords.vehicleType.size });
-        }
-        if (formData.plateNumber) {
-            await addTextToPdf(page, formData.plateNumber, coords.plateNumber.x, coords.plateNumber.y, { size: coords.plateNumber.size });
-        }
-        if (formData.route) {
-            await addTextToPdf(page, formData.route, coords.vehicleRoute.x, coords.vehicleRoute.y, { size: coords.vehicleRoute.size });
-        }
-        if (formData.cargo) {
-            await addTextToPdf(page, formData.cargo, coords.cargo.x, coords.cargo.y, { size: coords.cargo.size });
-        }
-
-        // =====================================================================
-        // Step 6: 차량규격 삽입 (너비, 높이, 길이) - 공통 헬퍼 사용
-        // =====================================================================
-        console.log('[generateReportPdf] 차량규격 삽입 중');
-        await insertVehicleSpecs(page, formData, coords);
-
-        // =====================================================================
-        // Step 7: 차량중량 삽입 (측정결과 + 위반내역 + 총중량) - 공통 헬퍼 사용
-        // =====================================================================
-        console.log('[generateReportPdf] 차량중량 삽입 중');
-        await insertAxleWeights(page, formData, coords);
-
-        // =====================================================================
-        // Step 8: 작성자 정보 삽입
-        // =====================================================================
-        console.log('[generateReportPdf] 작성자 정보 삽입 중');
-
-        // 작성 년월일
-        await addTextToPdf(page, authorDate.year, coords.authorYear.x, coords.authorYear.y, { size: coords.authorYear.size });
-        await addTextToPdf(page, authorDate.month, coords.authorMonth.x, coords.authorMonth.y, { size: coords.authorMonth.size });
-        await addTextToPdf(page, authorDate.day, coords.authorDay.x, coords.authorDay.y, { size: coords.authorDay.size });
-
-        // 소속, 직급, 성명
-        if (formData.authorOffice) {
-            await addTextToPdf(page, formData.authorOffice, coords.authorOffice.x, coords.authorOffice.y, { size: coords.authorOffice.size });
-        }
-        if (formData.authorPosition) {
-            await addTextToPdf(page, formData.authorPosition, coords.authorPosition.x, coords.authorPosition.y, { size: coords.authorPosition.size });
-        }
-        if (formData.authorName) {
-            await addTextToPdf(page, formData.authorName, coords.authorName.x, coords.authorName.y, { size: coords.authorName.size });
-        }
-
-        // =====================================================================
-        // Step 9: PDF 생성 완료 (다운로드 + 성공 메시지)
+        // Step 2: PDF 생성 완료 (다운로드 + 성공 메시지)
         // =====================================================================
         console.log('[generateReportPdf] PDF 다운로드 시작');
         await completePdfGeneration(pdfDoc, '적발보고서', 'PDF가 생성되었습니다!');
@@ -973,14 +2231,17 @@ async function generateReportPdf(templateFile, formData) {
  * 위반 진술서 PDF 생성 메인 함수
  * 
  * 진술서는 PDF의 두 번째 페이지(page2)에 작성됩니다.
- * 진술인 정보는 최대 3명까지 PDF에 삽입됩니다.
+ * 진술인이 양식의 진술인 칸보다 많으면 진술서 뒤에 별지 페이지가 추가됩니다.
  * 
  * @param {File} templateFile - 사용자가 업로드한 PDF 템플릿 파일
  * @param {Object} formData - 폼에서 수집한 데이터 객체
+ * @param {string} [formData.statementBody] - 진술 내용 (넘치면 별지)
+ * @param {string} [formData.statementFormat] - 'qa'면 문답 형식 ("문:"/"답:"으로 시작하는 줄)
  * @param {Array<Object>} witnesses - 진술인 정보 배열
  * @param {string} witnesses[].office - 진술인 소속
  * @param {string} witnesses[].position - 진술인 직급
  * @param {string} witnesses[].name - 진술인 성명
+ * @param {string} [witnesses[].signature] - 진술인 서명
  * @returns {Promise<void>}
  * 
  * @example
@@ -997,84 +2258,143 @@ async function generateStatementPdf(templateFile, formData, witnesses = []) {
         // =====================================================================
         console.log('[generateStatementPdf] PDF 생성 시작');
         const pdfDoc = await startPdfGeneration(templateFile, '진술서 PDF 생성 중...');
-        const page = getPdfPage(pdfDoc, 1);  // 두 번째 페이지 (진술서)
-        const coords = getPageCoordinates(2);  // AI 좌표 우선, 수동 좌표 폴백
+        await fillStatementDocument(pdfDoc, formData, witnesses);
 
         // =====================================================================
-        // Step 2: 일시 데이터 파싱
+        // Step 2: PDF 생성 완료 (다운로드 + 성공 메시지)
         // =====================================================================
-        const datetime = parseDatetimeForPdf(formData.reportDatetime);
-
-        // 진술 작성일 (오늘 날짜)
-        const today = new Date();
-        const statementDate = {
-            year: today.getFullYear().toString(),
-            month: String(today.getMonth() + 1).padStart(2, '0'),
-            day: String(today.getDate()).padStart(2, '0')
-        };
-
-        // =====================================================================
-        // Step 3: 기본 정보 삽입 (적발 일시 + 장소)
-        // =====================================================================
-        console.log('[generateStatementPdf] 기본 정보 삽입 중');
-        await insertDatetimeFields(page, datetime, coords);
-
-        if (formData.reportLocation) {
-            await addTextToPdf(page, formData.reportLocation, coords.location.x, coords.location.y, { size: coords.location.size });
-        }
-
-        // =====================================================================
-        // Step 4: 차량 정보 삽입
-        // =====================================================================
-        console.log('[generateStatementPdf] 차량 정보 삽입 중');
+        console.log('[generateStatementPdf] PDF 다운로드 시작');
+        await completePdfGeneration(pdfDoc, '위반진술서', '진술서 PDF가 생성되었습니다!');
 
-        if (formData.vehicleType) {
-            await addTextToPdf(page, formData.vehicleType, coords.vehicleType.x, coords.vehicleType.y, { size: coords.vehicleType.size });
-        }
-        if (formData.plateNumber) {
-            await addTextToPdf(page, formData.plateNumber, coords.plateNumber.x, coords.plateNumber.y, { size: coords.plateNumber.size });
-        }
+        console.log('[generateStatementPdf] 진술서 PDF 생성 완료');
 
-        // =====================================================================
-        // Step 5: 차량규격 삽입 (너비, 높이, 길이) - 공통 헬퍼 사용
-        // =====================================================================
-        console.log('[generateStatementPdf] 차량규격 삽입 중');
-        await insertVehicleSpecs(page, formData, coords);
+    } catch (error) {
+        handlePdfError(error, 'generateStatementPdf');
+        throw error;
+    }
+}
 
-        // =====================================================================
-        // Step 6: 차량중량 삽입 (측정결과 + 위반내역 + 총중량) - 공통 헬퍼 사용
-        // =====================================================================
-        console.log('[generateStatementPdf] 차량중량 삽입 중');
-        await insertAxleWeights(page, formData, coords);
+// ==========================================================================
+// 기능 7: 보고서 + 진술서 통합 PDF 생성 (메인 함수)
+// ==========================================================================
 
+/**
+ * 적발 보고서와 위반 진술서를 한 문서로 생성
+ *
+ * 같은 템플릿의 1페이지(보고서)와 2페이지(진술서)를 한 번에 채워
+ * 파일 하나로 다운로드합니다. 사건 1건당 완성된 서류 한 부가 됩니다.
+ *
+ * @param {File} templateFile - 사용자가 업로드한 PDF 템플릿 파일 (2페이지 이상)
+ * @param {Object} formData - 사건 폼 데이터 (보고서 + 진술서 필드)
+ * @param {Array<Object>} witnesses - 진술인 정보 배열
+ * @param {Object} [options={}] - 추가 옵션
+ * @param {Array<Object>} [options.photos] - 증거 사진 (문서 끝에 증거 사진 페이지로 추가)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * const record = await CaseStore.get(caseId);
+ * const photos = await EvidencePhotos.list(caseId);
+ * await generateCombinedPdf(templateFile, record.formData, record.witnesses, { photos });
+ */
+async function generateCombinedPdf(templateFile, formData, witnesses = [], options = {}) {
+    try {
         // =====================================================================
-        // Step 7: 진술 작성일 삽입 (오늘 날짜)
+        // Step 1: PDF 생성 시작 (로딩 + 템플릿 로드)
         // =====================================================================
-        console.log('[generateStatementPdf] 진술 작성일 삽입 중');
-        await addTextToPdf(page, statementDate.year, coords.statementYear.x, coords.statementYear.y, { size: coords.statementYear.size });
-        await addTextToPdf(page, statementDate.month, coords.statementMonth.x, coords.statementMonth.y, { size: coords.statementMonth.size });
-        await addTextToPdf(page, statementDate.day, coords.statementDay.x, coords.statementDay.y, { size: coords.statementDay.size });
+        console.log('[generateCombinedPdf] PDF 생성 시작');
+        const pdfDoc = await startPdfGeneration(templateFile, '통합 PDF 생성 중...');
 
         // =====================================================================
-        // Step 8: 진술인 정보 삽입 (최대 3명) - 공통 헬퍼 사용
+        // Step 2: 보고서(1페이지) + 진술서(2페이지) 채우기
         // =====================================================================
-        console.log('[generateStatementPdf] 진술인 정보 삽입 중');
-        await insertWitnesses(page, witnesses, coords);
+        await fillCombinedDocument(pdfDoc, formData, witnesses, options);
 
         // =====================================================================
-        // Step 9: PDF 생성 완료 (다운로드 + 성공 메시지)
+        // Step 3: PDF 생성 완료 (다운로드 + 성공 메시지)
         // =====================================================================
-        console.log('[generateStatementPdf] PDF 다운로드 시작');
-        await completePdfGeneration(pdfDoc, '위반진술서', '진술서 PDF가 생성되었습니다!');
+        console.log('[generateCombinedPdf] PDF 다운로드 시작');
+        const filename = formData.plateNumber
+            ? `적발서류_${formData.plateNumber.replace(/\s/g, '')}`
+            : '적발서류';
+        await completePdfGeneration(pdfDoc, filename, '보고서 + 진술서 PDF가 생성되었습니다!');
 
-        console.log('[generateStatementPdf] 진술서 PDF 생성 완료');
+        console.log('[generateCombinedPdf] 통합 PDF 생성 완료');
 
     } catch (error) {
-        handlePdfError(error, 'generateStatementPdf');
+        handlePdfError(error, 'generateCombinedPdf');
         throw error;
     }
 }
 
+// ==========================================================================
+// 기능 8: 미리보기용 PDF 채우기
+// ==========================================================================
+
+/**
+ * 미리보기용으로 템플릿을 채운 PDF 문서 생성
+ *
+ * 다운로드용 생성 함수와 같은 좌표/폰트로 채우지만 로딩 표시, 다운로드,
+ * 토스트 없이 문서만 반환합니다. 입력 중 반복 호출되므로 오류도 호출한
+ * 쪽에서 처리합니다.
+ *
+ * @param {File} templateFile - PDF 템플릿 파일
+ * @param {string} docType - 'report' (1페이지) 또는 'statement' (2페이지)
+ * @param {Object} formData - 폼 데이터
+ * @param {Array<Object>} [witnesses=[]] - 진술인 정보 배열 (진술서)
+ * @returns {Promise<{pdfDoc: PDFLib.PDFDocument, pageIndex: number}>} 채운 문서와 채운 페이지 번호 (0부터)
+ * @throws {Error} 템플릿 페이지가 모자라거나 폰트에 없는 문자가 포함된 경우
+ */
+async function buildPreviewPdf(templateFile, docType, formData, witnesses = []) {
+    const pdfDoc = await loadPdfTemplate(templateFile);
+    await attachTemplateProfile(pdfDoc, templateFile);
+
+    if (docType === 'statement') {
+        if (getPageCount(pdfDoc) < 2) {
+            throw new Error('진술서는 템플릿 2페이지에 작성됩니다. 2페이지가 있는 템플릿을 선택하세요.');
+        }
+        await fillStatementPage(getPdfPage(pdfDoc, 1), formData, witnesses);
+        finalizeAcroForm(pdfDoc);
+        return { pdfDoc, pageIndex: 1 };
+    }
+
+    await fillReportPage(getPdfPage(pdfDoc, 0), formData);
+    finalizeAcroForm(pdfDoc);
+    return { pdfDoc, pageIndex: 0 };
+}
+
+// ==========================================================================
+// 기능 9: 일괄 생성용 PDF 채우기
+// ==========================================================================
+
+/**
+ * 사건 한 건의 문서를 채워 반환 (일괄 생성용)
+ *
+ * 다운로드용 생성 함수와 같은 순서로 채우지만 로딩 표시, 다운로드,
+ * 토스트 없이 완성된 문서만 반환합니다. 생성 경고는 getPdfWarnings로 확인합니다.
+ *
+ * @param {File} templateFile - PDF 템플릿 파일
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @param {Object} formData - 사건 폼 데이터
+ * @param {Array<Object>} [witnesses=[]] - 진술인 정보 배열
+ * @param {Object} [options={}] - { photos } (보고서, 통합)
+ * @returns {Promise<PDFLib.PDFDocument>} 양식 필드까지 마무리한 문서
+ */
+async function buildCasePdf(templateFile, docType, formData, witnesses = [], options = {}) {
+    const pdfDoc = await loadPdfTemplate(templateFile);
+    await attachTemplateProfile(pdfDoc, templateFile);
+
+    if (docType === 'combined') {
+        await fillCombinedDocument(pdfDoc, formData, witnesses, options);
+    } else if (docType === 'statement') {
+        await fillStatementDocument(pdfDoc, formData, witnesses);
+    } else {
+        await fillReportDocument(pdfDoc, formData, options);
+    }
+
+    finalizeAcroForm(pdfDoc);
+    return pdfDoc;
+}
+
 // ==========================================================================
 // 날짜/시간 파싱 유틸리티 함수
 // ==========================================================================
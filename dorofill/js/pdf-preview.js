@@ -0,0 +1,307 @@
+/**
+ * DoroFill - PDF Preview
+ * 입력 중 실시간 PDF 미리보기 패널
+ *
+ * 폼을 입력하는 동안 현재 템플릿을 실제로 채운 페이지를 pdf.js로 그려서
+ * 좌표가 어긋난 필드나 칸을 넘치는 주소를 운전자에게 서류를 건네기 전에
+ * 확인할 수 있게 합니다. 입력이 멈춘 뒤(디바운스) 다시 그립니다.
+ *
+ * 의존성:
+ * - app.js (getCurrentPdfTemplate, PDF_TEMPLATE_CONFIG)
+ * - pdf-handler.js (buildPreviewPdf, getPdfWarnings, previewPdf)
+ * - lib/pdf.min.js (페이지 렌더링)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const PDF_PREVIEW_CONFIG = {
+    // 마지막 입력 후 다시 그릴 때까지 대기 시간 (ms)
+    debounceMs: 700,
+    // 패널 열림 상태 (페이지를 다시 열어도 유지)
+    openStateKey: 'dorofill_preview_open',
+    // 렌더링 해상도 상한 (고해상도 화면에서 메모리 사용 제한)
+    maxPixelRatio: 2
+};
+
+// ==========================================================================
+// 상태
+// ==========================================================================
+
+let previewOptions = null;      // { docType, form, getData }
+let previewElements = null;     // 패널 DOM 요소
+let previewTimer = null;
+let previewSequence = 0;        // 늦게 끝난 이전 렌더링 결과를 버리기 위한 순번
+let previewRenderTask = null;
+let previewLastDoc = null;      // 마지막으로 채운 문서 (새 탭에서 보기)
+
+// ==========================================================================
+// 초기화
+// ==========================================================================
+
+/**
+ * 미리보기 패널 초기화
+ * @param {Object} options - 옵션
+ * @param {string} options.docType - 'report' 또는 'statement'
+ * @param {HTMLFormElement} options.form - 입력을 감시할 폼
+ * @param {Function} options.getData - 현재 입력값 반환 () => ({ formData, witnesses })
+ */
+function initializePdfPreview(options) {
+    previewOptions = options;
+    previewElements = createPreviewPane();
+
+    // 입력 변경 → 디바운스 후 다시 그리기
+    options.form.addEventListener('input', () => schedulePdfPreview());
+    options.form.addEventListener('change', () => schedulePdfPreview());
+
+    // 템플릿이 바뀌면 바로 다시 그리기
+    document.addEventListener(PDF_TEMPLATE_CONFIG.changeEvent, () => schedulePdfPreview(0));
+
+    // 패널 너비가 바뀌면 해상도에 맞게 다시 그리기
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => schedulePdfPreview(0), 300);
+    });
+
+    if (localStorage.getItem(PDF_PREVIEW_CONFIG.openStateKey) === 'true') {
+        openPdfPreview();
+    }
+}
+
+/**
+ * 패널과 여는 버튼 생성
+ * @returns {Object} 패널 DOM 요소
+ */
+function createPreviewPane() {
+    const pane = document.createElement('aside');
+    pane.id = 'pdf-preview-pane';
+    pane.className = 'preview-pane';
+    pane.hidden = true;
+    pane.innerHTML = `
+        <div class="preview-pane-header">
+            <span class="text-sm font-semibold text-gray-900 flex-shrink-0">📄 PDF 미리보기</span>
+            <span data-role="status" class="text-xs text-gray-400 flex-1 truncate"></span>
+            <button type="button" data-action="open-tab" class="text-xs px-2 py-1 text-blue-600 hover:bg-blue-50 rounded-lg flex-shrink-0">새 탭에서 보기</button>
+            <button type="button" data-action="close" class="text-gray-400 hover:text-gray-600 p-1 flex-shrink-0">✕</button>
+        </div>
+        <div class="preview-pane-body">
+            <p data-role="message" class="hidden p-4 text-sm text-center text-gray-600"></p>
+            <canvas data-role="canvas"></canvas>
+        </div>
+    `;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.id = 'pdf-preview-toggle';
+    toggle.className = 'preview-toggle';
+    toggle.textContent = '👁 미리보기';
+
+    document.body.appendChild(pane);
+    document.body.appendChild(toggle);
+
+    toggle.addEventListener('click', openPdfPreview);
+    pane.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'close') {
+            closePdfPreview();
+        } else if (button.dataset.action === 'open-tab') {
+            openPreviewInNewTab();
+        }
+    });
+
+    return {
+        pane,
+        status: pane.querySelector('[data-role="status"]'),
+        message: pane.querySelector('[data-role="message"]'),
+        canvas: pane.querySelector('[data-role="canvas"]')
+    };
+}
+
+// ==========================================================================
+// 열기/닫기
+// ==========================================================================
+
+/**
+ * 패널이 열려 있는지 여부
+ * @returns {boolean}
+ */
+function isPdfPreviewOpen() {
+    return !!previewElements && !previewElements.pane.hidden;
+}
+
+/**
+ * 패널 열기 (열면서 바로 그리기)
+ */
+function openPdfPreview() {
+    if (!previewElements) return;
+
+    previewElements.pane.hidden = false;
+    document.body.classList.add('has-preview-pane');
+    localStorage.setItem(PDF_PREVIEW_CONFIG.openStateKey, 'true');
+    schedulePdfPreview(0);
+}
+
+/**
+ * 패널 닫기 (닫혀 있는 동안은 다시 그리지 않음)
+ */
+function closePdfPreview() {
+    if (!previewElements) return;
+
+    clearTimeout(previewTimer);
+    previewSequence++;
+    previewElements.pane.hidden = true;
+    document.body.classList.remove('has-preview-pane');
+    localStorage.setItem(PDF_PREVIEW_CONFIG.openStateKey, 'false');
+}
+
+// ==========================================================================
+// 렌더링
+// ==========================================================================
+
+/**
+ * 다시 그리기 예약 (연속 입력 시 마지막 입력 후 한 번만)
+ * 사건 불러오기 등 코드로 값을 바꾼 뒤에도 호출합니다.
+ * @param {number} [delay] - 대기 시간 (ms, 기본: debounceMs)
+ */
+function schedulePdfPreview(delay = PDF_PREVIEW_CONFIG.debounceMs) {
+    if (!isPdfPreviewOpen()) return;
+
+    clearTimeout(previewTimer);
+    previewElements.pane.classList.add('is-stale');
+    previewTimer = setTimeout(refreshPdfPreview, delay);
+}
+
+/**
+ * 현재 입력값으로 템플릿을 채워 다시 그리기
+ * @returns {Promise<void>}
+ */
+async function refreshPdfPreview() {
+    if (!isPdfPreviewOpen()) return;
+
+    const sequence = ++previewSequence;
+    const templateFile = getCurrentPdfTemplate();
+
+    if (!templateFile) {
+        previewLastDoc = null;
+        showPreviewMessage('PDF 템플릿을 선택하면 미리보기가 표시됩니다.');
+        return;
+    }
+
+    previewElements.status.textContent = '그리는 중...';
+
+    try {
+        const { formData, witnesses } = previewOptions.getData();
+        const { pdfDoc, pageIndex } = await buildPreviewPdf(templateFile, previewOptions.docType, formData, witnesses);
+        const pdfBytes = await pdfDoc.save();
+        if (sequence !== previewSequence) return;
+
+        await renderPreviewPage(pdfBytes, pageIndex + 1, sequence);
+        if (sequence !== previewSequence) return;
+
+        previewLastDoc = pdfDoc;
+        previewElements.message.classList.add('hidden');
+        previewElements.pane.classList.remove('is-stale');
+
+        // 연결 안 된 양식 필드 등 생성 경고는 상태줄에 표시
+        const warnings = getPdfWarnings(pdfDoc);
+        previewElements.status.textContent = warnings.length > 0
+            ? `⚠️ ${warnings.join(' / ')}`
+            : `${new Date().toLocaleTimeString('ko-KR')} 기준`;
+        previewElements.status.title = warnings.join('\n');
+
+    } catch (error) {
+        if (sequence !== previewSequence || error.name === 'RenderingCancelledException') return;
+
+        console.warn('[미리보기] 렌더링 실패:', error);
+        previewLastDoc = null;
+        showPreviewMessage(`⚠️ ${error.message}`, true);
+    }
+}
+
+/**
+ * 채운 PDF의 한 페이지를 패널 너비에 맞춰 그리기
+ * 화면 깜빡임이 없도록 새 캔버스에 다 그린 뒤 교체합니다.
+ * @param {Uint8Array} pdfBytes - 채운 PDF
+ * @param {number} pageNumber - 페이지 번호 (1부터)
+ * @param {number} sequence - 렌더링 순번
+ * @returns {Promise<void>}
+ */
+async function renderPreviewPage(pdfBytes, pageNumber, sequence) {
+    if (previewRenderTask) previewRenderTask.cancel();
+
+    const pdf = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
+    try {
+        const page = await pdf.getPage(pageNumber);
+        if (sequence !== previewSequence) return;
+
+        const baseViewport = page.getViewport({ scale: 1 });
+        const width = previewElements.canvas.parentElement.clientWidth - 16;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, PDF_PREVIEW_CONFIG.maxPixelRatio);
+        const viewport = page.getViewport({ scale: (width / baseViewport.width) * pixelRatio });
+
+        const canvas = document.createElement('canvas');
+        canvas.dataset.role = 'canvas';
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        previewRenderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        await previewRenderTask.promise;
+        previewRenderTask = null;
+        if (sequence !== previewSequence) return;
+
+        previewElements.canvas.replaceWith(canvas);
+        previewElements.canvas = canvas;
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * 캔버스 대신 안내/오류 메시지 표시
+ * @param {string} message - 메시지
+ * @param {boolean} [isError=false] - 오류 여부
+ */
+function showPreviewMessage(message, isError = false) {
+    previewElements.message.textContent = message;
+    previewElements.message.className = `p-4 text-sm text-center ${isError ? 'text-red-600' : 'text-gray-600'}`;
+    previewElements.status.textContent = '';
+    previewElements.pane.classList.remove('is-stale');
+}
+
+/**
+ * 마지막으로 그린 문서를 새 탭에서 열기 (확대해서 확인)
+ */
+async function openPreviewInNewTab() {
+    if (!previewLastDoc) {
+        showToast('표시할 미리보기가 없습니다', 'warning');
+        return;
+    }
+
+    try {
+        await previewPdf(previewLastDoc);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.PdfPreview = {
+    init: initializePdfPreview,
+    open: openPdfPreview,
+    close: closePdfPreview,
+    isOpen: isPdfPreviewOpen,
+    schedule: schedulePdfPreview,
+    refresh: refreshPdfPreview,
+
+    // 설정
+    config: PDF_PREVIEW_CONFIG
+};
+
+console.log('pdf-preview.js 로드 완료');
@@ -0,0 +1,713 @@
+/**
+ * DoroFill - Penalty Schedule
+ * 과태료 부과기준표 + 과태료·납부기한 계산
+ *
+ * 위반 종류(축하중, 총중량, 폭, 높이, 길이, 측정 불응)마다 초과 정도 구간과
+ * 위반 차수(최근 repeatWindowDays일 안의 같은 위반 과태료 처분 횟수 + 1)로
+ * 금액을 찾습니다. 여러 항목을 위반하면 combine 규칙('max' 또는 'sum')으로
+ * 합치고 법정 상한(maxAmount)을 넘지 않게 합니다.
+ *
+ * 기준표는 버전이 붙은 JSON으로 설정 화면에서 불러와 교체할 수 있습니다.
+ * 기본 기준표는 형식을 보여 주는 예시 금액입니다 (sample: true). 관할 기관 기준표를
+ * 불러오기 전까지는 과태료 요약, 산정 내역 인쇄, 설정 화면에 경고를 띄웁니다.
+ * 기준표 형식:
+ * {
+ *   version, basis, sample, repeatWindowDays, dueDays, combine, maxAmount,
+ *   types: {
+ *     axle: { label, metric: 'percent', bands: [{ below: 15, amounts: [1차, 2차, 3차 이상] }, ..., { amounts }] },
+ *     ...
+ *     refusal: { label, metric: 'none', bands: [{ amounts }] }
+ *   }
+ * }
+ * - percent: 위반내역(초과량) ÷ 적용 기준(허가값 포함) × 100
+ * - bands는 below 오름차순, 마지막 구간은 below 없음
+ * - sample: true면 예시 기준표 (실제 기준표로 고칠 때 지움)
+ *
+ * 의존성:
+ * - violation-rules.js (위반 판정, 적용 기준)
+ * - calculator.js (납부기한, 금액 형식)
+ * - app.js (escapeHtml, formatDateInput, showToast)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+/**
+ * 기본 과태료 부과기준표 (예시)
+ * 금액은 형식을 보여 주기 위한 예시입니다 - 설정 화면에서 관할 기관 기준표 JSON으로 교체하세요.
+ */
+const DEFAULT_PENALTY_SCHEDULE = {
+    version: '2026-01',
+    basis: '예시 - 관할 기준표로 교체 필요',
+    sample: true,
+    repeatWindowDays: 365,
+    dueDays: 30,
+    combine: 'max',
+    maxAmount: 5000000,
+    types: {
+        axle: {
+            label: '축하중 초과',
+            metric: 'percent',
+            bands: [
+                { below: 15, amounts: [500000, 700000, 1000000] },
+                { below: 30, amounts: [800000, 1200000, 1600000] },
+                { below: 50, amounts: [1500000, 2000000, 2500000] },
+                { amounts: [2500000, 3000000, 3000000] }
+            ]
+        },
+        gross: {
+            label: '총중량 초과',
+            metric: 'percent',
+            bands: [
+                { below: 15, amounts: [500000, 700000, 1000000] },
+                { below: 30, amounts: [800000, 1200000, 1600000] },
+                { below: 50, amounts: [1500000, 2000000, 2500000] },
+                { amounts: [2500000, 3000000, 3000000] }
+            ]
+        },
+        width: {
+            label: '폭 초과',
+            metric: 'percent',
+            bands: [
+                { below: 10, amounts: [500000, 700000, 1000000] },
+                { amounts: [1000000, 1500000, 2000000] }
+            ]
+        },
+        height: {
+            label: '높이 초과',
+            metric: 'percent',
+            bands: [
+                { below: 10, amounts: [500000, 700000, 1000000] },
+                { amounts: [1000000, 1500000, 2000000] }
+            ]
+        },
+        length: {
+            label: '길이 초과',
+            metric: 'percent',
+            bands: [
+                { below: 10, amounts: [500000, 700000, 1000000] },
+                { amounts: [1000000, 1500000, 2000000] }
+            ]
+        },
+        refusal: {
+            label: '측정 불응',
+            metric: 'none',
+            bands: [
+                { amounts: [5000000, 5000000, 5000000] }
+            ]
+        }
+    }
+};
+
+/** 위반 종류 → 위반 판정 규칙 (violation-rules.js ruleKey) */
+const PENALTY_TYPE_RULES = {
+    axle: ['axle', 'tandem', 'tridem'],
+    gross: ['gross'],
+    width: ['width'],
+    height: ['height'],
+    length: ['length'],
+    refusal: []
+};
+
+const PENALTY_CONFIG = {
+    // 불러온 기준표 (없으면 기본 기준표)
+    storageKey: 'dorofill_penalty_schedule',
+    combineModes: ['max', 'sum'],
+
+    // 적발 보고서 입력칸
+    priorCountFieldId: 'priorOffenceCount',
+    // 사건 대장 조회 결과 { total, types: { axle: 1, ... } } JSON (사건에 함께 저장)
+    priorCountsFieldId: 'priorOffenceCounts',
+    refusalFieldId: 'measurementRefused',
+    // 계산 결과 기록 (사건에 함께 저장)
+    amountFieldId: 'fineAmount',
+    dueDateFieldId: 'fineDueDate',
+    versionFieldId: 'fineScheduleVersion',
+    // 표시
+    summaryId: 'fineSummary',
+    breakdownId: 'fineBreakdown',
+    windowLabelId: 'fineRepeatWindow',
+    printButtonId: 'btn-print-fine',
+    printSheetId: 'finePrintSheet',
+    printingClass: 'printing-fine',
+    sampleWarning: '예시 기준표로 계산한 금액입니다. 관할 기관 기준표를 불러오기 전에는 고지에 쓰지 마세요.'
+};
+
+/** 사건에 저장하는 과태료 필드 */
+const PENALTY_FORM_FIELDS = [
+    PENALTY_CONFIG.priorCountFieldId,
+    PENALTY_CONFIG.priorCountsFieldId,
+    PENALTY_CONFIG.refusalFieldId,
+    PENALTY_CONFIG.amountFieldId,
+    PENALTY_CONFIG.dueDateFieldId,
+    PENALTY_CONFIG.versionFieldId
+];
+
+let cachedPenaltySchedule = null;
+
+// ==========================================================================
+// 기준표 불러오기/검증
+// ==========================================================================
+
+/**
+ * 기준표 형식 검증
+ * @param {Object} schedule - 기준표
+ * @throws {Error} 형식이 잘못된 경우 (한국어 메시지)
+ */
+function validatePenaltySchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        throw new Error('기준표가 JSON 객체가 아닙니다.');
+    }
+    if (typeof schedule.version !== 'string' || !schedule.version.trim()) {
+        throw new Error('기준표 버전(version)이 없습니다.');
+    }
+    ['repeatWindowDays', 'dueDays', 'maxAmount'].forEach(key => {
+        if (!(Number(schedule[key]) > 0)) {
+            throw new Error(`${key} 값은 0보다 큰 숫자여야 합니다.`);
+        }
+    });
+    if (!PENALTY_CONFIG.combineModes.includes(schedule.combine)) {
+        throw new Error(`combine 값은 ${PENALTY_CONFIG.combineModes.join(', ')} 중 하나여야 합니다.`);
+    }
+    if (!schedule.types || typeof schedule.types !== 'object') {
+        throw new Error('위반 종류별 기준(types)이 없습니다.');
+    }
+
+    Object.keys(PENALTY_TYPE_RULES).forEach(type => {
+        const def = schedule.types[type];
+        if (!def) throw new Error(`'${type}' 위반 기준이 없습니다.`);
+        if (!['percent', 'none'].includes(def.metric)) {
+            throw new Error(`'${type}' 기준의 metric은 percent 또는 none이어야 합니다.`);
+        }
+        if (!Array.isArray(def.bands) || def.bands.length === 0) {
+            throw new Error(`'${type}' 기준에 구간(bands)이 없습니다.`);
+        }
+
+        let previous = 0;
+        def.bands.forEach((band, index) => {
+            const isLast = index === def.bands.length - 1;
+            if (!Array.isArray(band.amounts) || band.amounts.length === 0
+                || band.amounts.some(amount => !(Number(amount) >= 0))) {
+                throw new Error(`'${type}' 기준 ${index + 1}번째 구간의 금액(amounts)이 잘못되었습니다.`);
+            }
+            if (isLast) {
+                if (band.below !== undefined && band.below !== null) {
+                    throw new Error(`'${type}' 기준의 마지막 구간에는 below를 쓰지 않습니다.`);
+                }
+            } else if (!(Number(band.below) > previous)) {
+                throw new Error(`'${type}' 기준의 구간 경계(below)는 0보다 크고 오름차순이어야 합니다.`);
+            } else {
+                previous = Number(band.below);
+            }
+        });
+    });
+}
+
+/**
+ * 현재 기준표 (불러온 기준표, 없거나 손상되면 기본 기준표)
+ * @returns {Object}
+ */
+function getPenaltySchedule() {
+    if (cachedPenaltySchedule) return cachedPenaltySchedule;
+
+    cachedPenaltySchedule = DEFAULT_PENALTY_SCHEDULE;
+    const stored = localStorage.getItem(PENALTY_CONFIG.storageKey);
+    if (stored) {
+        try {
+            const schedule = JSON.parse(stored);
+            validatePenaltySchedule(schedule);
+            cachedPenaltySchedule = schedule;
+        } catch (error) {
+            console.warn('[과태료] 저장된 기준표를 쓸 수 없어 기본 기준표를 사용합니다:', error);
+        }
+    }
+    return cachedPenaltySchedule;
+}
+
+/**
+ * 기준표 불러오기 (검증 후 저장)
+ * @param {string|Object} json - 기준표 JSON 문자열 또는 객체
+ * @returns {Object} 저장된 기준표
+ * @throws {Error} JSON 또는 형식 오류
+ */
+function importPenaltySchedule(json) {
+    let schedule = json;
+    if (typeof json === 'string') {
+        try {
+            schedule = JSON.parse(json);
+        } catch (error) {
+            throw new Error('JSON 형식이 아닙니다: ' + error.message);
+        }
+    }
+
+    validatePenaltySchedule(schedule);
+    schedule.importedAt = new Date().toISOString();
+    localStorage.setItem(PENALTY_CONFIG.storageKey, JSON.stringify(schedule));
+    cachedPenaltySchedule = schedule;
+
+    console.log(`[과태료] 기준표 불러옴: ${schedule.version}`);
+    return schedule;
+}
+
+/**
+ * 기본 기준표로 되돌리기
+ */
+function resetPenaltySchedule() {
+    localStorage.removeItem(PENALTY_CONFIG.storageKey);
+    cachedPenaltySchedule = null;
+}
+
+/**
+ * 불러온 기준표 사용 여부
+ * @returns {boolean}
+ */
+function isCustomPenaltySchedule() {
+    return getPenaltySchedule() !== DEFAULT_PENALTY_SCHEDULE;
+}
+
+/**
+ * 예시 기준표 사용 여부 (기본 기준표 또는 sample 표시를 지우지 않고 불러온 기준표)
+ * @param {Object} [schedule] - 기준표 (기본: 현재 기준표)
+ * @returns {boolean}
+ */
+function isSamplePenaltySchedule(schedule = getPenaltySchedule()) {
+    return schedule.sample === true;
+}
+
+/**
+ * 현재 기준표를 JSON 파일 내용으로 (수정해서 다시 불러오기용)
+ * @returns {string}
+ */
+function exportPenaltySchedule() {
+    const { importedAt, ...schedule } = getPenaltySchedule();
+    return JSON.stringify(schedule, null, 2);
+}
+
+// ==========================================================================
+// 구간/차수
+// ==========================================================================
+
+/**
+ * 초과 정도에 해당하는 구간 번호
+ * @param {Object} typeDef - 위반 종류 기준
+ * @param {number} overage - 초과율(%) (metric 'none'이면 무시)
+ * @returns {number} bands 인덱스
+ */
+function findPenaltyBandIndex(typeDef, overage) {
+    const index = typeDef.bands.findIndex(band => band.below !== undefined && band.below !== null && overage < band.below);
+    return index === -1 ? typeDef.bands.length - 1 : index;
+}
+
+/**
+ * 구간 표시 문구 ('15% 미만', '15% 이상 30% 미만', '50% 이상')
+ * @param {Object} typeDef - 위반 종류 기준
+ * @param {number} index - bands 인덱스
+ * @returns {string}
+ */
+function describePenaltyBand(typeDef, index) {
+    if (typeDef.metric === 'none' || typeDef.bands.length === 1) return '-';
+
+    const lower = index > 0 ? typeDef.bands[index - 1].below : null;
+    const upper = typeDef.bands[index].below;
+    if (lower === null) return `${upper}% 미만`;
+    if (upper === undefined || upper === null) return `${lower}% 이상`;
+    return `${lower}% 이상 ${upper}% 미만`;
+}
+
+/**
+ * 위반 차수 표시 ('1차', '2차', '3차 이상')
+ * @param {number} amountIndex - amounts 인덱스
+ * @param {number} amountCount - amounts 길이
+ * @returns {string}
+ */
+function describeRepeatLevel(amountIndex, amountCount) {
+    const level = `${amountIndex + 1}차`;
+    return amountIndex === amountCount - 1 && amountCount > 1 ? `${level} 이상` : level;
+}
+
+/**
+ * 가중 기간 안의 이전 처분 횟수
+ * @param {Array<string|Date>} priorDates - 이전 처분(적발) 일시 목록
+ * @param {string|Date} detectedAt - 이번 적발 일시
+ * @param {Object} [schedule] - 기준표 (기본: 현재 기준표)
+ * @returns {number}
+ */
+function countPriorOffences(priorDates, detectedAt, schedule = getPenaltySchedule()) {
+    const detected = new Date(detectedAt).getTime();
+    if (isNaN(detected)) return 0;
+
+    const windowStart = detected - schedule.repeatWindowDays * 24 * 60 * 60 * 1000;
+    return priorDates.filter(date => {
+        const time = new Date(date).getTime();
+        return time >= windowStart && time < detected;
+    }).length;
+}
+
+/**
+ * 위반 판정 규칙에 해당하는 위반 종류
+ * @param {string} ruleKey - violation-rules.js ruleKey
+ * @returns {string|null} 위반 종류 (axle, gross, ...)
+ */
+function getPenaltyTypeForRule(ruleKey) {
+    return Object.keys(PENALTY_TYPE_RULES).find(type => PENALTY_TYPE_RULES[type].includes(ruleKey)) || null;
+}
+
+/**
+ * 가중 기간 안의 위반 종류별 이전 처분 횟수
+ * @param {Array<Object>} priors - 이전 처분 [{ detectedAt, types: ['axle', ...] }]
+ * @param {string|Date} detectedAt - 이번 적발 일시
+ * @param {Object} [schedule] - 기준표 (기본: 현재 기준표)
+ * @returns {Object} 위반 종류 → 횟수 (모든 종류 포함)
+ */
+function countPriorOffencesByType(priors, detectedAt, schedule = getPenaltySchedule()) {
+    const counts = {};
+    Object.keys(PENALTY_TYPE_RULES).forEach(type => {
+        const dates = priors.filter(prior => prior.types.includes(type)).map(prior => prior.detectedAt);
+        counts[type] = countPriorOffences(dates, detectedAt, schedule);
+    });
+    return counts;
+}
+
+/**
+ * 과태료에 적용할 이전 처분 횟수
+ * 처분 횟수 칸이 사건 대장 조회 결과(total) 그대로면 위반 종류별 횟수를 쓰고,
+ * 직접 고쳤거나 조회 결과가 없으면 그 값을 모든 위반 종류에 씁니다.
+ * @param {Object} formData - 폼 데이터
+ * @returns {number|Object} 횟수 또는 위반 종류별 횟수
+ */
+function resolvePriorOffenceCount(formData) {
+    const value = formData[PENALTY_CONFIG.priorCountFieldId];
+    let lookup = null;
+    try {
+        lookup = JSON.parse(formData[PENALTY_CONFIG.priorCountsFieldId] || 'null');
+    } catch (error) {
+        console.warn('[과태료] 위반 종류별 처분 횟수를 읽을 수 없습니다:', error);
+    }
+
+    if (lookup && lookup.types && String(lookup.total) === String(value)) return lookup.types;
+    return Math.max(0, parseInt(value, 10) || 0);
+}
+
+/**
+ * 이전 처분 횟수 표시 ('2회' 또는 '축하중 초과 1회 · 총중량 초과 2회')
+ * @param {number|Object} priorCount - resolvePriorOffenceCount 결과
+ * @param {Object} [schedule] - 기준표 (기본: 현재 기준표)
+ * @returns {string}
+ */
+function describePriorOffenceCount(priorCount, schedule = getPenaltySchedule()) {
+    if (typeof priorCount !== 'object') return `${priorCount}회`;
+
+    const parts = Object.keys(PENALTY_TYPE_RULES)
+        .filter(type => priorCount[type] > 0)
+        .map(type => `${schedule.types[type].label} ${priorCount[type]}회`);
+    return parts.length > 0 ? parts.join(' · ') : '0회';
+}
+
+// ==========================================================================
+// 과태료 계산
+// ==========================================================================
+
+/**
+ * 위반 종류별 가장 큰 초과 항목 (입력된 위반내역 기준, 직접 수정값 포함)
+ * @param {Object} formData - 폼 데이터
+ * @returns {Object} 위반 종류 → { label, violation, limit, unit, percent }
+ */
+function collectPenaltyViolations(formData) {
+    const results = ViolationRules.evaluate(formData);
+    const permit = ViolationRules.getVehicleConfig(formData).permit;
+    const violations = {};
+
+    Object.values(results).forEach(result => {
+        const violation = parseFloat(formData[result.field]);
+        if (!(violation > 0)) return;
+
+        const type = getPenaltyTypeForRule(result.ruleKey);
+        if (!type) return;
+
+        const { limit } = ViolationRules.getLimit(result.ruleKey, permit);
+        const percent = limit > 0 ? (violation / limit) * 100 : 0;
+        if (!violations[type] || percent > violations[type].percent) {
+            violations[type] = {
+                label: result.label,
+                violation,
+                limit,
+                unit: ViolationRules.rules.rules[result.ruleKey].unit,
+                percent
+            };
+        }
+    });
+
+    if (formData[PENALTY_CONFIG.refusalFieldId]) {
+        violations.refusal = { label: '측정 불응', violation: null, limit: null, unit: '', percent: 0 };
+    }
+    return violations;
+}
+
+/**
+ * 과태료 계산
+ * @param {Object} formData - 폼 데이터 (위반내역, 차량 구성, 측정 불응, 적발 일시)
+ * @param {Object} [options] - 옵션
+ * @param {number|Object} [options.priorCount] - 가중 기간 안의 이전 처분 횟수 (숫자 또는 위반 종류별 객체, 기본: resolvePriorOffenceCount(formData))
+ * @param {Object} [options.schedule] - 기준표 (기본: 현재 기준표)
+ * @returns {Object} { items, total, cappedAt, dueDate, scheduleVersion, basis, sample }
+ *   items: [{ type, typeLabel, label, overage, band, repeatLevel, amount, applied }]
+ */
+function calculatePenalty(formData, options = {}) {
+    const schedule = options.schedule || getPenaltySchedule();
+    const priorCount = options.priorCount !== undefined ? options.priorCount : resolvePriorOffenceCount(formData);
+    const violations = collectPenaltyViolations(formData);
+
+    const items = Object.keys(PENALTY_TYPE_RULES).filter(type => violations[type]).map(type => {
+        const typeDef = schedule.types[type];
+        const violation = violations[type];
+        const prior = typeof priorCount === 'object' ? (priorCount[type] || 0) : priorCount;
+
+        const bandIndex = findPenaltyBandIndex(typeDef, violation.percent);
+        const amounts = typeDef.bands[bandIndex].amounts;
+        const amountIndex = Math.min(prior, amounts.length - 1);
+
+        return {
+            type,
+            typeLabel: typeDef.label,
+            label: violation.label,
+            overage: violation.violation === null
+                ? ''
+                : `${violation.violation.toFixed(2)}${violation.unit} (기준 ${violation.limit.toFixed(1)}${violation.unit}의 ${violation.percent.toFixed(1)}%)`,
+            band: describePenaltyBand(typeDef, bandIndex),
+            repeatLevel: describeRepeatLevel(amountIndex, amounts.length),
+            amount: Number(amounts[amountIndex]),
+            applied: schedule.combine === 'sum'
+        };
+    });
+
+    // 'max': 가장 무거운 한 항목만 부과
+    if (schedule.combine === 'max' && items.length > 0) {
+        items.reduce((max, item) => (item.amount > max.amount ? item : max)).applied = true;
+    }
+
+    const sum = items.filter(item => item.applied).reduce((total, item) => total + item.amount, 0);
+    const total = Math.min(sum, schedule.maxAmount);
+
+    return {
+        items,
+        total,
+        cappedAt: sum > schedule.maxAmount ? schedule.maxAmount : null,
+        dueDate: calculatePenaltyDueDate(formData.reportDatetime, schedule),
+        scheduleVersion: schedule.version,
+        basis: schedule.basis || '',
+        sample: isSamplePenaltySchedule(schedule)
+    };
+}
+
+/**
+ * 납부기한 (적발일 + dueDays)
+ * @param {string} reportDatetime - 적발 일시 (YYYY-MM-DDTHH:MM)
+ * @param {Object} [schedule] - 기준표
+ * @returns {Date|null} 적발 일시가 없으면 null
+ */
+function calculatePenaltyDueDate(reportDatetime, schedule = getPenaltySchedule()) {
+    if (!reportDatetime) return null;
+    const detected = new Date(reportDatetime);
+    if (isNaN(detected.getTime())) return null;
+    return CALCULATOR.calculateDueDate(detected, schedule.dueDays);
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 적발 보고서 과태료 영역 연결
+ * 위반내역 자동 계산(violation-rules.js) 뒤에 실행되도록 문서 단위로 입력을 감시합니다.
+ */
+function bindPenaltyForm() {
+    const windowLabel = document.getElementById(PENALTY_CONFIG.windowLabelId);
+    if (windowLabel) windowLabel.textContent = `최근 ${getPenaltySchedule().repeatWindowDays}일`;
+
+    document.addEventListener('input', () => refreshPenaltyForm());
+    document.addEventListener('change', () => refreshPenaltyForm());
+
+    const printButton = document.getElementById(PENALTY_CONFIG.printButtonId);
+    if (printButton) printButton.addEventListener('click', printPenaltyBreakdown);
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove(PENALTY_CONFIG.printingClass);
+    });
+
+    refreshPenaltyForm();
+}
+
+/**
+ * 현재 입력값으로 과태료 다시 계산해서 표시하고 결과 기록
+ * @returns {Object} 계산 결과
+ */
+function refreshPenaltyForm() {
+    const formData = readPenaltyFormData();
+    const penalty = calculatePenalty(formData);
+
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    };
+    setValue(PENALTY_CONFIG.amountFieldId, penalty.items.length > 0 ? String(penalty.total) : '');
+    setValue(PENALTY_CONFIG.dueDateFieldId, penalty.items.length > 0 && penalty.dueDate ? formatDateInput(penalty.dueDate) : '');
+    setValue(PENALTY_CONFIG.versionFieldId, penalty.items.length > 0 ? penalty.scheduleVersion : '');
+
+    renderPenaltySummary(penalty);
+    return penalty;
+}
+
+/**
+ * 과태료 계산에 필요한 입력값 읽기
+ * @returns {Object} 폼 데이터
+ */
+function readPenaltyFormData() {
+    const formData = ViolationRules.readForm();
+    ['reportDatetime', PENALTY_CONFIG.priorCountFieldId, PENALTY_CONFIG.priorCountsFieldId, PENALTY_CONFIG.refusalFieldId].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) formData[id] = el.value;
+    });
+    return formData;
+}
+
+/**
+ * 과태료 요약과 내역표 표시
+ * @param {Object} penalty - 계산 결과
+ */
+function renderPenaltySummary(penalty) {
+    const summary = document.getElementById(PENALTY_CONFIG.summaryId);
+    const breakdown = document.getElementById(PENALTY_CONFIG.breakdownId);
+    const printButton = document.getElementById(PENALTY_CONFIG.printButtonId);
+
+    if (summary) {
+        const warning = penalty.sample
+            ? `<p class="text-xs font-medium text-red-600 mb-1">⚠️ ${escapeHtml(PENALTY_CONFIG.sampleWarning)}</p>`
+            : '';
+        summary.innerHTML = warning + (penalty.items.length === 0
+            ? '<p class="text-sm text-gray-500">위반 항목이 없어 과태료가 없습니다.</p>'
+            : `
+                <p class="text-lg font-bold text-warning">${CALCULATOR.formatCurrency(penalty.total)}</p>
+                <p class="text-xs text-gray-600">납부기한 ${penalty.dueDate ? escapeHtml(formatDateKorean(penalty.dueDate)) : '(적발 일시 입력 필요)'}
+                    · 기준표 ${escapeHtml(penalty.scheduleVersion)}${penalty.cappedAt ? ` · 상한 ${CALCULATOR.formatCurrency(penalty.cappedAt)} 적용` : ''}</p>
+            `);
+    }
+    if (breakdown) breakdown.innerHTML = renderPenaltyBreakdownTable(penalty);
+    if (printButton) printButton.disabled = penalty.items.length === 0;
+}
+
+/**
+ * 과태료 내역표 HTML
+ * @param {Object} penalty - 계산 결과
+ * @returns {string}
+ */
+function renderPenaltyBreakdownTable(penalty) {
+    if (penalty.items.length === 0) return '';
+
+    return `
+        <table class="fine-table">
+            <thead>
+                <tr><th>위반 항목</th><th>초과</th><th>구간</th><th>차수</th><th>금액</th></tr>
+            </thead>
+            <tbody>
+                ${penalty.items.map(item => `
+                    <tr class="${item.applied ? '' : 'fine-not-applied'}">
+                        <td>${escapeHtml(item.typeLabel)}${item.label !== item.typeLabel ? `<br><span class="fine-sub">${escapeHtml(item.label)}</span>` : ''}</td>
+                        <td>${escapeHtml(item.overage) || '-'}</td>
+                        <td>${escapeHtml(item.band)}</td>
+                        <td>${escapeHtml(item.repeatLevel)}</td>
+                        <td class="fine-amount">${CALCULATOR.formatCurrency(item.amount)}${item.applied ? '' : '<br><span class="fine-sub">미부과</span>'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr><th colspan="4">부과 금액${penalty.cappedAt ? ' (법정 상한 적용)' : ''}</th><th class="fine-amount">${CALCULATOR.formatCurrency(penalty.total)}</th></tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+/**
+ * 과태료 산정 내역 인쇄
+ * 인쇄용 시트만 보이게 한 뒤 브라우저 인쇄 (인쇄가 끝나면 원래 화면)
+ */
+function printPenaltyBreakdown() {
+    const formData = readPenaltyFormData();
+    const penalty = calculatePenalty(formData);
+    if (penalty.items.length === 0) {
+        showToast('과태료를 부과할 위반 항목이 없습니다', 'warning');
+        return;
+    }
+
+    let sheet = document.getElementById(PENALTY_CONFIG.printSheetId);
+    if (!sheet) {
+        sheet = document.createElement('div');
+        sheet.id = PENALTY_CONFIG.printSheetId;
+        sheet.className = 'print-sheet';
+        document.body.appendChild(sheet);
+    }
+
+    const value = id => {
+        const el = document.getElementById(id);
+        return el ? el.value.trim() : '';
+    };
+    const detected = formData.reportDatetime ? new Date(formData.reportDatetime) : null;
+    const rows = [
+        ['적발 일시', detected && !isNaN(detected.getTime()) ? `${formatDateKorean(detected)} ${formatTimeKorean(detected)}` : ''],
+        ['적발 장소', value('reportLocation')],
+        ['차량번호', value('plateNumber')],
+        ['운전자', value('driverName')],
+        ['위반 차수', `${getPenaltySchedule().repeatWindowDays}일 안의 이전 처분 ${describePriorOffenceCount(resolvePriorOffenceCount(formData))}`],
+        ['납부기한', penalty.dueDate ? formatDateKorean(penalty.dueDate) : '']
+    ];
+
+    sheet.innerHTML = `
+        <h1>과태료 산정 내역</h1>
+        ${penalty.sample ? `<p class="fine-warning">${escapeHtml(PENALTY_CONFIG.sampleWarning)}</p>` : ''}
+        <table class="fine-table fine-info">
+            ${rows.map(([label, text]) => `<tr><th>${label}</th><td>${escapeHtml(text) || '-'}</td></tr>`).join('')}
+        </table>
+        ${renderPenaltyBreakdownTable(penalty)}
+        <p class="fine-sub">산정 기준: ${escapeHtml(penalty.basis)} (기준표 ${escapeHtml(penalty.scheduleVersion)})</p>
+        <p class="fine-sub">출력: ${escapeHtml(new Date().toLocaleString('ko-KR'))}</p>
+    `;
+
+    document.body.classList.add(PENALTY_CONFIG.printingClass);
+    window.print();
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.PenaltySchedule = {
+    // 계산
+    calculate: calculatePenalty,
+    calculateDueDate: calculatePenaltyDueDate,
+    countPriorOffences,
+    countPriorOffencesByType,
+    resolvePriorCount: resolvePriorOffenceCount,
+    describePriorCount: describePriorOffenceCount,
+    typeForRule: getPenaltyTypeForRule,
+    describeBand: describePenaltyBand,
+
+    // 기준표
+    get: getPenaltySchedule,
+    import: importPenaltySchedule,
+    export: exportPenaltySchedule,
+    reset: resetPenaltySchedule,
+    validate: validatePenaltySchedule,
+    isCustom: isCustomPenaltySchedule,
+    isSample: isSamplePenaltySchedule,
+
+    // 폼 연동
+    bindForm: bindPenaltyForm,
+    refreshForm: refreshPenaltyForm,
+
+    // 설정
+    defaultSchedule: DEFAULT_PENALTY_SCHEDULE,
+    formFields: PENALTY_FORM_FIELDS,
+    config: PENALTY_CONFIG
+};
+
+console.log('penalty-schedule.js 로드 완료');
@@ -0,0 +1,331 @@
+/**
+ * DoroFill - Repeat Offender
+ * 사건 대장에서 같은 차량·운전자의 이전 위반 조회
+ *
+ * 등록번호(VALIDATOR 차량번호 규칙으로 정규화) 또는 운전자(성명 + 휴대전화)가
+ * 같은 이전 사건을 찾아 날짜·위치·위반 항목을 보여주고, 과태료 가중 기간 안의
+ * 처분 횟수를 과태료 입력칸(이전 처분 횟수)에 넣습니다.
+ * 과태료 차수는 위반 종류별로 셉니다 (축하중 위반 전력은 축하중 위반의 차수만 올림).
+ * 같은 날 같은 차량이 이미 대장에 있으면 중복 입력으로 보고 경고합니다.
+ *
+ * - 처분 횟수는 PDF를 생성했거나 종결한 사건만 셉니다 (작성 중인 건은 목록에만 표시).
+ * - 같은 날 건(중복 의심)은 이전 위반으로 세지 않습니다.
+ * - 개인정보를 파기한 사건은 파기 때 남긴 가명 키(retention-policy.js, 앱 잠금이 켜져 있을 때만)로 비교합니다.
+ *
+ * 의존성:
+ * - case-store.js (사건 목록)
+ * - validator.js (차량번호 정규화)
+ * - violation-rules.js (위반 항목)
+ * - penalty-schedule.js (가중 기간, 처분 횟수 입력칸)
+ * - retention-policy.js (파기한 사건의 가명 키)
+ * - app.js (escapeHtml, showToast)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const REPEAT_OFFENDER_CONFIG = {
+    panelId: 'priorOffencePanel',
+    debounceMs: 400,
+    // 처분 횟수에 넣는 사건 상태
+    countedStatuses: ['generated', 'closed'],
+    // 바뀌면 다시 조회하는 입력칸
+    watchFields: ['plateNumber', 'driverName', 'phoneMobile', 'reportDatetime']
+};
+
+let repeatOffenderTimer = null;
+let repeatOffenderSequence = 0;     // 늦게 끝난 이전 조회 결과를 버리기 위한 순번
+let repeatOffenderWarnedKey = '';   // 같은 중복 경고를 반복해서 띄우지 않음
+
+// ==========================================================================
+// 조회
+// ==========================================================================
+
+/**
+ * 차량 비교 키 (차량번호 형식이 아니면 빈 값)
+ * @param {string} plateNumber - 등록번호
+ * @returns {string}
+ */
+function getVehicleLookupKey(plateNumber) {
+    const normalized = VALIDATOR.normalizeVehicleNumber(plateNumber);
+    return VALIDATOR.isValidVehicleNumber(normalized) ? normalized : '';
+}
+
+/**
+ * 운전자 비교 키 (성명과 휴대전화가 모두 있어야 함)
+ * @param {Object} formData - 폼 데이터
+ * @returns {string}
+ */
+function getDriverLookupKey(formData) {
+    const name = (formData.driverName || '').replace(/\s/g, '');
+    const phone = (formData.phoneMobile || '').replace(/\D/g, '');
+    return name && phone.length >= 10 ? `${name}|${phone}` : '';
+}
+
+/**
+ * 사건 적발 시각 (적발 일시가 없으면 생성 시각)
+ * @param {Object} record - 사건 레코드
+ * @returns {Date}
+ */
+function getCaseDetectedAt(record) {
+    return new Date((record.formData && record.formData.reportDatetime) || record.createdAt);
+}
+
+/**
+ * 사건에 기록된 위반 항목 라벨 (위반내역이 있는 칸 + 측정 불응)
+ * @param {Object} formData - 사건 폼 데이터
+ * @returns {Array<string>}
+ */
+function getRecordedViolationLabels(formData) {
+    const labels = ViolationRules.fields
+        .filter(item => parseFloat(formData[item.field]) > 0)
+        .map(item => item.label);
+    if (formData[PenaltySchedule.config.refusalFieldId]) labels.push('측정 불응');
+    return labels;
+}
+
+/**
+ * 사건에 기록된 과태료 위반 종류 (axle, gross, ..., refusal)
+ * @param {Object} formData - 사건 폼 데이터
+ * @returns {Array<string>}
+ */
+function getRecordedPenaltyTypes(formData) {
+    const types = new Set(ViolationRules.fields
+        .filter(item => parseFloat(formData[item.field]) > 0)
+        .map(item => PenaltySchedule.typeForRule(item.ruleKey))
+        .filter(Boolean));
+    if (formData[PenaltySchedule.config.refusalFieldId]) types.add('refusal');
+    return [...types];
+}
+
+/**
+ * 같은 차량·운전자의 다른 사건 찾기
+ * @param {Object} formData - 현재 폼 데이터
+ * @param {Object} [options] - 옵션
+ * @param {string} [options.excludeId] - 제외할 사건 ID (현재 사건)
+ * @returns {Promise<Object>} { duplicates, priors, count, counts }
+ *   duplicates: 같은 날 같은 차량 사건 [{ record, summary }]
+ *   priors: 이전 위반 사건 [{ record, summary, violations, types, matchedBy, counted, detectedAt }] (최근 순)
+ *   count: 가중 기간 안의 처분 횟수 (사건 수)
+ *   counts: 가중 기간 안의 위반 종류별 처분 횟수 { axle, gross, width, height, length, refusal }
+ */
+async function findRelatedCases(formData, options = {}) {
+    const { excludeId = null } = options;
+    const vehicleKey = getVehicleLookupKey(formData.plateNumber);
+    const driverKey = getDriverLookupKey(formData);
+    const result = { duplicates: [], priors: [], count: 0, counts: PenaltySchedule.countPriorOffencesByType([], new Date()) };
+    if (!vehicleKey && !driverKey) return result;
+
+    const detectedAt = formData.reportDatetime ? new Date(formData.reportDatetime) : new Date();
+    const detectedDay = formatDateInput(detectedAt);
+
+    const records = await CaseStore.list();
+    const matchKeys = (records.some(record => record.matchKeys)
+        && await RetentionPolicy.computeMatchKeys({ ...formData, plateNumber: vehicleKey })) || {};
+
+    records.forEach(record => {
+        if (record.id === excludeId) return;
+
+        const data = record.formData || {};
+        const purgedKeys = record.matchKeys || {};
+        const byVehicle = !!vehicleKey && (getVehicleLookupKey(data.plateNumber) === vehicleKey
+            || (!!purgedKeys.vehicle && purgedKeys.vehicle === matchKeys.vehicle));
+        const byDriver = !!driverKey && (getDriverLookupKey(data) === driverKey
+            || (!!purgedKeys.driver && purgedKeys.driver === matchKeys.driver));
+        if (!byVehicle && !byDriver) return;
+
+        const recordDetectedAt = getCaseDetectedAt(record);
+        const summary = CaseStore.getSummary(record);
+
+        if (byVehicle && formatDateInput(recordDetectedAt) === detectedDay) {
+            result.duplicates.push({ record, summary });
+            return;
+        }
+
+        const violations = getRecordedViolationLabels(data);
+        if (violations.length === 0 || !(recordDetectedAt < detectedAt)) return;
+
+        result.priors.push({
+            record,
+            summary,
+            violations,
+            types: getRecordedPenaltyTypes(data),
+            matchedBy: [byVehicle && '차량번호', byDriver && '운전자'].filter(Boolean).join(' · '),
+            counted: REPEAT_OFFENDER_CONFIG.countedStatuses.includes(record.status),
+            detectedAt: recordDetectedAt
+        });
+    });
+
+    result.priors.sort((a, b) => b.detectedAt - a.detectedAt);
+    const counted = result.priors.filter(prior => prior.counted);
+    result.count = PenaltySchedule.countPriorOffences(counted.map(prior => prior.detectedAt), detectedAt);
+    result.counts = PenaltySchedule.countPriorOffencesByType(counted, detectedAt);
+    return result;
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 적발 보고서에 이전 위반 조회 연결
+ * 사건을 불러온 뒤에는 refreshRepeatOffenderPanel()을 직접 호출하세요.
+ */
+function bindRepeatOffenderForm() {
+    REPEAT_OFFENDER_CONFIG.watchFields.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('input', scheduleRepeatOffenderLookup);
+    });
+    scheduleRepeatOffenderLookup();
+}
+
+function scheduleRepeatOffenderLookup() {
+    clearTimeout(repeatOffenderTimer);
+    repeatOffenderTimer = setTimeout(refreshRepeatOffenderPanel, REPEAT_OFFENDER_CONFIG.debounceMs);
+}
+
+/**
+ * 현재 입력값으로 다시 조회해서 표시하고 처분 횟수 반영
+ * @returns {Promise<Object|null>} 조회 결과 (더 최근 조회가 시작되었으면 null)
+ */
+async function refreshRepeatOffenderPanel() {
+    clearTimeout(repeatOffenderTimer);
+    const sequence = ++repeatOffenderSequence;
+
+    const formData = {};
+    REPEAT_OFFENDER_CONFIG.watchFields.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) formData[id] = el.value;
+    });
+
+    let result;
+    try {
+        result = await findRelatedCases(formData, { excludeId: CaseStore.getCurrentId() });
+    } catch (error) {
+        console.error('[이전 위반] 조회 실패:', error);
+        return null;
+    }
+    if (sequence !== repeatOffenderSequence) return null;
+
+    result.manualCount = applyPriorOffenceCount(result);
+    renderRepeatOffenderPanel(result);
+    warnDuplicateCase(formData, result);
+    return result;
+}
+
+/**
+ * 조회한 처분 횟수를 과태료 입력칸에 반영
+ * 위반 종류별 횟수는 숨은 칸에 기록하고, 처분 횟수 칸에는 사건 수를 넣습니다.
+ * 직접 고친 값(마지막 자동 입력값과 다른 값)은 덮어쓰지 않습니다 - 그 값을 모든 위반 종류에 적용.
+ * 사건을 불러온 직후에는 저장된 값이 조회 결과와 다르면 직접 고친 값으로 봅니다.
+ * @param {Object} result - findRelatedCases 결과
+ * @returns {string|null} 직접 고친 값 (자동 입력했으면 null)
+ */
+function applyPriorOffenceCount(result) {
+    const input = document.getElementById(PenaltySchedule.config.priorCountFieldId);
+    if (!input) return null;
+
+    const { count } = result;
+    const countsInput = document.getElementById(PenaltySchedule.config.priorCountsFieldId);
+    const counts = JSON.stringify({ total: count, types: result.counts });
+    if (countsInput && countsInput.value !== counts) {
+        countsInput.value = counts;
+        countsInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    const expected = input.dataset.autoCount !== undefined ? input.dataset.autoCount : String(count);
+    if (input.value !== '' && input.value !== expected) return input.value;
+
+    input.dataset.autoCount = String(count);
+    if (input.value !== String(count)) {
+        input.value = String(count);
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    return null;
+}
+
+/**
+ * 이전 위반·중복 의심 목록 표시
+ * @param {Object} result - findRelatedCases 결과
+ */
+function renderRepeatOffenderPanel(result) {
+    const panel = document.getElementById(REPEAT_OFFENDER_CONFIG.panelId);
+    if (!panel) return;
+
+    const caseLink = record => `<a href="report.html?case=${encodeURIComponent(record.id)}" class="text-blue-600 hover:underline flex-shrink-0">열기</a>`;
+    const windowDays = PenaltySchedule.get().repeatWindowDays;
+    const parts = [];
+
+    if (result.duplicates.length > 0) {
+        parts.push(`
+            <div class="p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+                <p class="font-medium">⚠️ 같은 날 같은 차량이 사건 대장에 이미 있습니다 - 중복 입력인지 확인하세요</p>
+                ${result.duplicates.map(({ record, summary }) => `
+                    <p class="flex items-center justify-between gap-2 mt-1">
+                        <span class="truncate">${escapeHtml(summary.datetime)} · ${escapeHtml(summary.driverName) || '운전자 미입력'} · ${escapeHtml(summary.location)}</span>
+                        ${caseLink(record)}
+                    </p>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    if (result.priors.length > 0) {
+        parts.push(`
+            <div class="p-3 bg-slate-50 rounded-lg text-xs text-gray-700">
+                <p class="font-medium">📋 이전 위반 ${result.priors.length}건 · 최근 ${windowDays}일 처분 ${result.count}회</p>
+                ${result.count > 0 ? `<p>위반 종류별: ${escapeHtml(PenaltySchedule.describePriorCount(result.counts))}</p>` : ''}
+                ${result.manualCount !== null && result.manualCount !== undefined ? `<p class="text-amber-700">※ 과태료에는 직접 입력한 이전 처분 ${escapeHtml(result.manualCount)}회를 적용 중입니다</p>` : ''}
+                ${result.priors.map(prior => `
+                    <div class="flex items-start justify-between gap-2 mt-2 ${prior.counted ? '' : 'text-gray-400'}">
+                        <div class="min-w-0">
+                            <p>${escapeHtml(prior.summary.datetime)} · ${prior.record.purgedAt ? '(개인정보 파기)' : escapeHtml(prior.summary.plateNumber)}${prior.counted ? '' : ' (작성 중 - 횟수 제외)'}</p>
+                            <p class="truncate">${escapeHtml(prior.summary.location)}</p>
+                            <p>${escapeHtml(prior.violations.join(', '))} <span class="text-gray-400">(${escapeHtml(prior.matchedBy)} 일치)</span></p>
+                        </div>
+                        ${caseLink(prior.record)}
+                    </div>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    panel.innerHTML = parts.join('');
+    panel.hidden = parts.length === 0;
+}
+
+/**
+ * 중복 의심 건을 처음 발견하면 알림 (같은 차량·날짜는 한 번만)
+ * @param {Object} formData - 현재 입력값
+ * @param {Object} result - findRelatedCases 결과
+ */
+function warnDuplicateCase(formData, result) {
+    if (result.duplicates.length === 0) return;
+
+    const key = `${getVehicleLookupKey(formData.plateNumber)}|${(formData.reportDatetime || '').slice(0, 10)}`;
+    if (key === repeatOffenderWarnedKey) return;
+    repeatOffenderWarnedKey = key;
+
+    showToast(`${formData.plateNumber} 차량이 같은 날 이미 적발 대장에 있습니다`, 'warning', 5000);
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.RepeatOffender = {
+    find: findRelatedCases,
+    getVehicleKey: getVehicleLookupKey,
+    getViolationLabels: getRecordedViolationLabels,
+    getPenaltyTypes: getRecordedPenaltyTypes,
+
+    // 폼 연동
+    bindForm: bindRepeatOffenderForm,
+    refresh: refreshRepeatOffenderPanel,
+
+    // 설정
+    config: REPEAT_OFFENDER_CONFIG
+};
+
+console.log('repeat-offender.js 로드 완료');
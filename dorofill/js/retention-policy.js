@@ -0,0 +1,483 @@
+/**
+ * DoroFill - Retention Policy
+ * 개인정보 보관 기간 + 자동 파기 + 파기 기록
+ *
+ * 종결한 사건은 종결 후 closedDays일이 지나면 운전자 인적사항(성명, 주소, 전화번호, 서명),
+ * 차량번호, 운행허가 번호, 진술 내용, GPS 좌표를 지우고 증거 사진을 삭제합니다. 사건 레코드는 남겨
+ * 적발 일시·장소·검문소·차종·측정값·위반내역·과태료를 익명 통계로 쓸 수 있습니다.
+ * 앱 잠금이 켜져 있으면 파기 전에 차량번호와 운전자(성명 + 휴대전화)의 가명 키(HMAC-SHA256)를 사건에 남겨
+ * 보관 기간(기본 90일)이 과태료 가중 기간(기본 365일)보다 짧아도 이전 위반 조회(repeat-offender.js)가 됩니다.
+ * - HMAC 비밀값은 앱 잠금 보호 키로 암호화해 저장합니다 (차량번호는 경우의 수가 적어 평문 솔트로는 되돌릴 수 있음).
+ * - 앱 잠금이 꺼져 있으면 가명 키를 남기지 않고, 잠금을 끄면 비밀값이 지워져 남은 가명 키도 다음 파기 때 지웁니다.
+ * - 비밀값은 기기마다 달라서 다른 기기로 인계한 사건의 가명 키는 그 기기에서 맞지 않습니다.
+ * 작성 중 자동 저장(localStorage)은 마지막 저장 후 draftDays일이 지나면 삭제합니다.
+ *
+ * 파기는 앱을 열 때 하루 한 번 자동으로 하며(설정에서 끌 수 있음), 설정 화면에서 바로 실행할 수도 있습니다.
+ * 파기할 때마다 언제, 어떤 사건의 어떤 항목을 지웠는지, 가명 키를 남겼는지 파기 기록에 남깁니다.
+ * (파기 기록에는 개인정보를 남기지 않음 - 사건 ID, 지운 항목 이름, 사진 장수만)
+ *
+ * 정책 형식 (localStorage): { closedDays, draftDays, autoPurge }
+ *
+ * 의존성:
+ * - db.js (photos 저장소)
+ * - case-store.js (사건 목록/저장)
+ * - app.js (generateId, bytesToBase64, base64ToBytes, getSecureItem, setSecureItem, removeSecureItem, whenStorageUnlocked, downloadBlob, formatDateInput)
+ * - app-lock.js (선택 - 켜져 있을 때만 가명 키를 남김)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const RETENTION_CONFIG = {
+    storageKey: 'dorofill_retention',
+    logStorageKey: 'dorofill_purge_log',
+    lastRunKey: 'dorofill_retention_last_run',
+    // 가명 키 HMAC 비밀값 { id, key } (앱 잠금 보호 키 - LOCK_CONFIG.protectedKeys)
+    matchSecretKey: 'dorofill_match_secret',
+    // 이전 버전의 평문 솔트 (다음 파기 때 삭제)
+    legacyMatchSaltKey: 'dorofill_match_salt',
+    photoStoreName: 'photos',
+
+    defaults: {
+        closedDays: 90,     // 종결 후 개인정보 보관 일수
+        draftDays: 30,      // 작성 중 자동 저장 보관 일수
+        autoPurge: true
+    },
+    dayOptions: [7, 30, 90, 180, 365],
+
+    // 파기할 개인정보 항목
+    // (운행허가 번호는 차량을 특정할 수 있고, GPS 좌표는 적발 위치 문구보다 정밀해서 함께 지움)
+    piiFields: [
+        'driverName', 'driverAddress', 'phoneFixed', 'phoneMobile', 'driverSignature',
+        'plateNumber', 'permitNumber', 'statementBody',
+        'reportLatitude', 'reportLongitude', 'reportLocationAccuracy'
+    ],
+    // 자동 저장 키 (app.js getAutoSaveKey)
+    draftKeys: ['dorofill_report_autosave', 'dorofill_statement_autosave'],
+
+    // 자동 파기 간격
+    runIntervalHours: 24,
+    // 파기 기록 최대 건수 (넘으면 오래된 기록부터 정리 - 정기적으로 내려받아 보관하세요)
+    maxLogEntries: 1000
+};
+
+/** 파기 사유 라벨 */
+const PURGE_REASON_LABELS = {
+    closed: '종결 후 보관 기간 경과',
+    draft: '자동 저장 보관 기간 경과',
+    matchKeys: '쓸 수 없게 된 가명 키 삭제'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==========================================================================
+// 정책
+// ==========================================================================
+
+/**
+ * 보관 정책 (저장된 값이 없으면 기본값)
+ * @returns {Object} { closedDays, draftDays, autoPurge }
+ */
+function getRetentionPolicy() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RETENTION_CONFIG.storageKey));
+        return { ...RETENTION_CONFIG.defaults, ...stored };
+    } catch (error) {
+        console.warn('[보관 정책] 저장된 정책을 읽을 수 없습니다:', error);
+        return { ...RETENTION_CONFIG.defaults };
+    }
+}
+
+/**
+ * 보관 정책 저장
+ * @param {Object} policy - { closedDays, draftDays, autoPurge }
+ * @returns {Object} 저장한 정책
+ * @throws {Error} 보관 일수가 1일 미만인 경우
+ */
+function saveRetentionPolicy(policy) {
+    const saved = { ...getRetentionPolicy(), ...policy };
+    saved.closedDays = Number(saved.closedDays);
+    saved.draftDays = Number(saved.draftDays);
+    saved.autoPurge = !!saved.autoPurge;
+
+    if (!Number.isInteger(saved.closedDays) || saved.closedDays < 1 ||
+        !Number.isInteger(saved.draftDays) || saved.draftDays < 1) {
+        throw new Error('보관 기간은 1일 이상의 정수로 정하세요');
+    }
+
+    localStorage.setItem(RETENTION_CONFIG.storageKey, JSON.stringify(saved));
+    return saved;
+}
+
+// ==========================================================================
+// 파기 대상
+// ==========================================================================
+
+/**
+ * 개인정보가 남아 있는 사건인지
+ * @param {Object} record - 사건 레코드
+ * @returns {boolean}
+ */
+function hasCasePii(record) {
+    return RETENTION_CONFIG.piiFields.some(field => record.formData?.[field]);
+}
+
+/**
+ * 개인정보 파기 예정 시각 (종결하지 않았거나 남은 개인정보가 없으면 null)
+ * 종결 시각이 없는 이전 레코드는 마지막 저장 시각 기준
+ * @param {Object} record - 사건 레코드
+ * @param {Object} [policy] - 보관 정책
+ * @returns {Date|null}
+ */
+function getCasePurgeDate(record, policy = getRetentionPolicy()) {
+    if (record.status !== CaseStore.STATUS.CLOSED || !hasCasePii(record)) return null;
+
+    const closedAt = new Date(record.closedAt || record._savedAt);
+    return new Date(closedAt.getTime() + policy.closedDays * DAY_MS);
+}
+
+// ==========================================================================
+// 가명 키 (파기 후 이전 위반 조회용)
+// ==========================================================================
+
+/**
+ * 가명 키를 남길 수 있는지 (앱 잠금이 켜져 있어 비밀값을 암호화해 둘 수 있을 때만)
+ * @returns {boolean}
+ */
+function canKeepMatchKeys() {
+    return typeof AppLock !== 'undefined' && AppLock.getStatus().enabled;
+}
+
+/**
+ * HMAC 비밀값 (앱 잠금이 켜져 있으면 없을 때 만듦)
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - 없으면 만들지
+ * @returns {Promise<Object|null>} { id, key: CryptoKey } (앱 잠금이 꺼져 있거나 없으면 null)
+ */
+async function getMatchKeySecret(options = {}) {
+    const { create = false } = options;
+    if (!canKeepMatchKeys()) return null;
+    await whenStorageUnlocked();
+
+    let secret = null;
+    try {
+        secret = JSON.parse(getSecureItem(RETENTION_CONFIG.matchSecretKey));
+    } catch (error) {
+        secret = null;
+    }
+    if (!secret?.id || !secret?.key) {
+        if (!create) return null;
+        secret = { id: generateId(), key: bytesToBase64(crypto.getRandomValues(new Uint8Array(32))) };
+        if (!setSecureItem(RETENTION_CONFIG.matchSecretKey, JSON.stringify(secret))) return null;
+    }
+
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(secret.key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return { id: secret.id, key };
+}
+
+/**
+ * HMAC-SHA256
+ * @param {CryptoKey} key - 비밀값
+ * @param {string} value - 정규화한 값
+ * @returns {Promise<string>} 16진수
+ */
+async function hashMatchKey(key, value) {
+    const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 차량번호·운전자 가명 키
+ * 파기할 때와 조회할 때 모두 이 함수로 만들어야 같은 값이 나옵니다.
+ * @param {Object} formData - 폼 데이터 (plateNumber, driverName, phoneMobile)
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - 비밀값이 없으면 만들지 (파기할 때만)
+ * @returns {Promise<Object|null>} { secretId, vehicle, driver } (해당 항목이 없으면 빈 문자열, 남길 수 없으면 null)
+ */
+async function computeCaseMatchKeys(formData, options = {}) {
+    const secret = await getMatchKeySecret(options);
+    if (!secret) return null;
+
+    const plate = (formData.plateNumber || '').replace(/\s/g, '');
+    const name = (formData.driverName || '').replace(/\s/g, '');
+    const phone = (formData.phoneMobile || '').replace(/\D/g, '');
+
+    return {
+        secretId: secret.id,
+        vehicle: plate ? await hashMatchKey(secret.key, `vehicle|${plate}`) : '',
+        driver: name && phone.length >= 10 ? await hashMatchKey(secret.key, `driver|${name}|${phone}`) : ''
+    };
+}
+
+/**
+ * 쓸 수 없게 된 가명 키 지우기
+ * 이전 버전의 솔트 방식 키, 앱 잠금을 꺼 비밀값이 없어진 키, 비밀값이 바뀐 키가 대상입니다.
+ * @param {Array<Object>} records - 사건 레코드
+ * @param {string} trigger - 'auto' 또는 'manual'
+ * @returns {Promise<Array<Object>>} 파기 기록 항목
+ */
+async function purgeStaleMatchKeys(records, trigger) {
+    localStorage.removeItem(RETENTION_CONFIG.legacyMatchSaltKey);
+
+    const secret = await getMatchKeySecret();
+    const entries = [];
+    for (const record of records) {
+        if (!record.matchKeys || (secret && record.matchKeys.secretId === secret.id)) continue;
+
+        delete record.matchKeys;
+        await dbPut(CaseStore.config.storeName, record);
+        entries.push({
+            caseId: record.id,
+            reason: 'matchKeys',
+            trigger,
+            fields: ['matchKeys'],
+            photos: 0,
+            closedAt: record.closedAt || null
+        });
+    }
+    return entries;
+}
+
+// ==========================================================================
+// 파기
+// ==========================================================================
+
+/**
+ * 사건의 개인정보 파기 (항목은 빈 값으로 덮어쓰고 증거 사진 삭제)
+ * 앱 잠금이 켜져 있으면 지우기 전에 이전 위반 조회용 가명 키(matchKeys)를 남깁니다.
+ * 목록 순서가 바뀌지 않도록 _savedAt은 그대로 둡니다.
+ *
+ * @param {Object} record - 사건 레코드
+ * @param {string} reason - PURGE_REASON_LABELS 키
+ * @param {string} trigger - 'auto' 또는 'manual'
+ * @returns {Promise<Object>} 파기 기록 항목
+ */
+async function purgeCasePii(record, reason, trigger) {
+    const fields = RETENTION_CONFIG.piiFields.filter(field => record.formData?.[field]);
+    // 이전 파기에서 차량번호·성명을 이미 지운 사건(파기 항목이 늘어난 경우)은 남긴 가명 키를 그대로 둠
+    // (쓸 수 없게 된 키는 purgeStaleMatchKeys가 먼저 지움)
+    const hasMatchSource = record.formData?.plateNumber || record.formData?.driverName;
+    if (hasMatchSource || !record.matchKeys) {
+        const matchKeys = await computeCaseMatchKeys(record.formData || {}, { create: true });
+        if (matchKeys && (matchKeys.vehicle || matchKeys.driver)) {
+            record.matchKeys = matchKeys;
+        } else {
+            delete record.matchKeys;
+        }
+    }
+    fields.forEach(field => {
+        record.formData[field] = '';
+    });
+    record.purgedAt = new Date().toISOString();
+
+    const photos = await dbGetAllByIndex(RETENTION_CONFIG.photoStoreName, 'caseId', record.id);
+    await Promise.all(photos.map(photo => dbDelete(RETENTION_CONFIG.photoStoreName, photo.id)));
+    await dbPut(CaseStore.config.storeName, record);
+
+    return {
+        caseId: record.id,
+        reason,
+        trigger,
+        fields,
+        photos: photos.length,
+        matchKeys: !!record.matchKeys,
+        closedAt: record.closedAt || null
+    };
+}
+
+/**
+ * 보관 기간이 지난 자동 저장 삭제
+ * @param {Object} policy - 보관 정책
+ * @param {string} trigger - 'auto' 또는 'manual'
+ * @returns {Array<Object>} 파기 기록 항목
+ */
+function purgeExpiredDrafts(policy, trigger) {
+    const entries = [];
+    const limit = Date.now() - policy.draftDays * DAY_MS;
+
+    RETENTION_CONFIG.draftKeys.forEach(key => {
+        let draft = null;
+        try {
+            draft = JSON.parse(getSecureItem(key));
+        } catch (error) {
+            return;
+        }
+        if (!draft || !draft._savedAt || new Date(draft._savedAt).getTime() >= limit) return;
+
+        removeSecureItem(key);
+        entries.push({
+            caseId: null,
+            reason: 'draft',
+            trigger,
+            fields: Object.keys(draft).filter(field => !field.startsWith('_') && draft[field]),
+            photos: 0,
+            draftKey: key
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * 보관 기간이 지난 개인정보 파기
+ * @param {Object} [options]
+ * @param {string} [options.trigger='manual'] - 'auto' 또는 'manual'
+ * @returns {Promise<Object>} { cases: 파기한 사건 수, drafts: 삭제한 자동 저장 수, entries }
+ */
+async function runRetentionPurge(options = {}) {
+    const { trigger = 'manual' } = options;
+    const policy = getRetentionPolicy();
+    const now = Date.now();
+
+    await whenStorageUnlocked();
+
+    const entries = [];
+    const records = await CaseStore.list();
+    entries.push(...(await purgeStaleMatchKeys(records, trigger)));
+    for (const record of records) {
+        const purgeDate = getCasePurgeDate(record, policy);
+        if (!purgeDate || purgeDate.getTime() > now) continue;
+        entries.push(await purgeCasePii(record, 'closed', trigger));
+    }
+    entries.push(...purgeExpiredDrafts(policy, trigger));
+
+    appendPurgeLog(entries);
+    localStorage.setItem(RETENTION_CONFIG.lastRunKey, new Date().toISOString());
+
+    const result = {
+        cases: entries.filter(entry => entry.reason === 'closed').length,
+        drafts: entries.filter(entry => entry.reason === 'draft').length,
+        matchKeys: entries.filter(entry => entry.reason === 'matchKeys').length,
+        entries
+    };
+    if (entries.length > 0) {
+        console.log(`[보관 정책] 개인정보 파기: 사건 ${result.cases}건, 자동 저장 ${result.drafts}건`);
+    }
+    return result;
+}
+
+/**
+ * 앱을 열 때 호출 - 자동 파기가 켜져 있고 마지막 실행 후 하루가 지났으면 파기
+ * @returns {Promise<Object|null>} 실행 결과 (건너뛰면 null)
+ */
+async function runScheduledPurge() {
+    if (!getRetentionPolicy().autoPurge) return null;
+
+    const lastRun = localStorage.getItem(RETENTION_CONFIG.lastRunKey);
+    if (lastRun && Date.now() - new Date(lastRun).getTime() < RETENTION_CONFIG.runIntervalHours * 60 * 60 * 1000) {
+        return null;
+    }
+
+    try {
+        return await runRetentionPurge({ trigger: 'auto' });
+    } catch (error) {
+        console.error('[보관 정책] 자동 파기 실패:', error);
+        return null;
+    }
+}
+
+// ==========================================================================
+// 파기 기록
+// ==========================================================================
+
+/**
+ * 파기 기록 (최근 순)
+ * @returns {Array<Object>} [{ id, at, caseId, reason, trigger, fields, photos, matchKeys, closedAt, draftKey }]
+ */
+function getPurgeLog() {
+    try {
+        const log = JSON.parse(localStorage.getItem(RETENTION_CONFIG.logStorageKey));
+        return Array.isArray(log) ? log : [];
+    } catch (error) {
+        console.warn('[보관 정책] 파기 기록을 읽을 수 없습니다:', error);
+        return [];
+    }
+}
+
+function appendPurgeLog(entries) {
+    if (entries.length === 0) return;
+
+    const at = new Date().toISOString();
+    const log = [
+        ...entries.map(entry => ({ id: generateId(), at, ...entry })),
+        ...getPurgeLog()
+    ].slice(0, RETENTION_CONFIG.maxLogEntries);
+
+    localStorage.setItem(RETENTION_CONFIG.logStorageKey, JSON.stringify(log));
+}
+
+/**
+ * 파기 기록 JSON 내려받기 (정책 포함)
+ */
+function exportPurgeLog() {
+    const data = {
+        type: 'dorofill-purge-log',
+        exportedAt: new Date().toISOString(),
+        policy: getRetentionPolicy(),
+        piiFields: RETENTION_CONFIG.piiFields,
+        entries: getPurgeLog()
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `dorofill-purge-log-${formatDateInput(new Date())}.json`);
+}
+
+// ==========================================================================
+// 현황
+// ==========================================================================
+
+/**
+ * 보관 현황 (설정 화면 표시용)
+ * @returns {Promise<Object>} { policy, total, withPii, closedWithPii, due, purged, pseudonymised, keepsMatchKeys, nextPurgeAt, lastRunAt }
+ */
+async function getRetentionStatus() {
+    const policy = getRetentionPolicy();
+    const records = await CaseStore.list();
+    const now = Date.now();
+
+    const purgeDates = records
+        .map(record => getCasePurgeDate(record, policy))
+        .filter(Boolean);
+    const upcoming = purgeDates.filter(date => date.getTime() > now).sort((a, b) => a - b);
+
+    return {
+        policy,
+        total: records.length,
+        withPii: records.filter(hasCasePii).length,
+        closedWithPii: purgeDates.length,
+        due: purgeDates.length - upcoming.length,
+        purged: records.filter(record => record.purgedAt).length,
+        pseudonymised: records.filter(record => record.matchKeys).length,
+        keepsMatchKeys: canKeepMatchKeys(),
+        nextPurgeAt: upcoming[0] || null,
+        lastRunAt: localStorage.getItem(RETENTION_CONFIG.lastRunKey)
+    };
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.RetentionPolicy = {
+    // 정책
+    get: getRetentionPolicy,
+    save: saveRetentionPolicy,
+
+    // 파기
+    run: runRetentionPurge,
+    runScheduled: runScheduledPurge,
+    getPurgeDate: getCasePurgeDate,
+    hasPii: hasCasePii,
+    computeMatchKeys: computeCaseMatchKeys,
+
+    // 기록/현황
+    getLog: getPurgeLog,
+    exportLog: exportPurgeLog,
+    getStatus: getRetentionStatus,
+
+    // 설정
+    config: RETENTION_CONFIG,
+    REASON_LABELS: PURGE_REASON_LABELS
+};
+
+console.log('retention-policy.js 로드 완료');
@@ -0,0 +1,364 @@
+/**
+ * DoroFill - Signature Pad
+ * 운전자·작성자·진술인 자필 서명 입력
+ *
+ * 서명 칸(data-signature-for="입력칸 ID")을 누르면 서명 패드가 열리고,
+ * 손가락/펜으로 그린 획을 숨은 입력칸에 JSON으로 저장합니다.
+ * 숨은 입력칸은 다른 폼 필드처럼 사건 레코드에 함께 저장되고,
+ * PDF를 만들 때 PNG로 그려서 *Signature 좌표에 넣습니다.
+ *
+ * 저장 형식: {"w":600,"h":200,"strokes":[[x1,y1,x2,y2,...], ...]}
+ * (w×h 좌표계의 정수 좌표, 획마다 점을 평평한 배열로)
+ *
+ * 의존성:
+ * - app.js (escapeHtml, showToast)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const SIGNATURE_CONFIG = {
+    // 저장 좌표계 (서명 칸 비율 3:1)
+    width: 600,
+    height: 200,
+    lineWidth: 5,
+    color: '#111827',
+    // PNG로 그릴 때 서명 둘레 여백 (저장 좌표 단위)
+    padding: 8,
+    // 이보다 짧은 획만 있으면 서명하지 않은 것으로 봄 (점 수)
+    minPoints: 3,
+    fieldSelector: '[data-signature-for]'
+};
+
+// ==========================================================================
+// 서명 데이터
+// ==========================================================================
+
+/**
+ * 저장된 서명 값 해석
+ * @param {string} value - 숨은 입력칸 값 (JSON)
+ * @returns {Object|null} { w, h, strokes } (없거나 잘못된 값이면 null)
+ */
+function parseSignature(value) {
+    if (!value) return null;
+    try {
+        const data = JSON.parse(value);
+        if (!data || !Array.isArray(data.strokes)) return null;
+        const pointCount = data.strokes.reduce((sum, stroke) => sum + stroke.length / 2, 0);
+        return pointCount >= SIGNATURE_CONFIG.minPoints ? data : null;
+    } catch (error) {
+        console.warn('[서명] 저장된 서명을 읽지 못했습니다:', error);
+        return null;
+    }
+}
+
+/**
+ * 서명이 있는지 여부
+ * @param {string} value - 숨은 입력칸 값
+ * @returns {boolean}
+ */
+function hasSignature(value) {
+    return parseSignature(value) !== null;
+}
+
+/**
+ * 획 목록을 저장 값으로 변환
+ * @param {Array<Array<number>>} strokes - [[x1,y1,x2,y2,...], ...]
+ * @returns {string} JSON (획이 없으면 빈 문자열)
+ */
+function serializeSignature(strokes) {
+    const kept = strokes.filter(stroke => stroke.length >= 2);
+    if (kept.length === 0) return '';
+    return JSON.stringify({ w: SIGNATURE_CONFIG.width, h: SIGNATURE_CONFIG.height, strokes: kept });
+}
+
+/**
+ * 캔버스에 획 그리기
+ * @param {CanvasRenderingContext2D} ctx - 그릴 캔버스
+ * @param {Array<Array<number>>} strokes - 획 목록 (저장 좌표)
+ * @param {number} scale - 저장 좌표 → 캔버스 배율
+ * @param {number} [offsetX=0] - 저장 좌표 이동량
+ * @param {number} [offsetY=0] - 저장 좌표 이동량
+ */
+function drawSignatureStrokes(ctx, strokes, scale, offsetX = 0, offsetY = 0) {
+    ctx.strokeStyle = SIGNATURE_CONFIG.color;
+    ctx.fillStyle = SIGNATURE_CONFIG.color;
+    ctx.lineWidth = SIGNATURE_CONFIG.lineWidth * scale;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    strokes.forEach(stroke => {
+        const x = (i) => (stroke[i] - offsetX) * scale;
+        const y = (i) => (stroke[i + 1] - offsetY) * scale;
+
+        // 점 하나 (톡 찍은 획)
+        if (stroke.length === 2) {
+            ctx.beginPath();
+            ctx.arc(x(0), y(0), ctx.lineWidth / 2, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(x(0), y(0));
+        for (let i = 2; i < stroke.length; i += 2) {
+            ctx.lineTo(x(i), y(i));
+        }
+        ctx.stroke();
+    });
+}
+
+/**
+ * 서명을 획이 있는 부분만 잘라 투명 배경 캔버스로 그리기
+ * @param {string} value - 숨은 입력칸 값
+ * @returns {HTMLCanvasElement|null} 서명이 없으면 null
+ */
+function renderSignatureCanvas(value) {
+    const signature = parseSignature(value);
+    if (!signature) return null;
+
+    const xs = [];
+    const ys = [];
+    signature.strokes.forEach(stroke => {
+        for (let i = 0; i < stroke.length; i += 2) {
+            xs.push(stroke[i]);
+            ys.push(stroke[i + 1]);
+        }
+    });
+
+    const margin = SIGNATURE_CONFIG.padding + SIGNATURE_CONFIG.lineWidth;
+    const left = Math.min(...xs) - margin;
+    const top = Math.min(...ys) - margin;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(Math.max(...xs) + margin - left);
+    canvas.height = Math.ceil(Math.max(...ys) + margin - top);
+    drawSignatureStrokes(canvas.getContext('2d'), signature.strokes, 1, left, top);
+    return canvas;
+}
+
+/**
+ * 서명을 PNG 바이트로 변환 (PDF 삽입용)
+ * @param {string} value - 숨은 입력칸 값
+ * @returns {Promise<Uint8Array|null>} 서명이 없으면 null
+ */
+async function renderSignaturePng(value) {
+    const canvas = renderSignatureCanvas(value);
+    if (!canvas) return null;
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('서명 이미지를 만들지 못했습니다.');
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ==========================================================================
+// 서명 패드 (모달)
+// ==========================================================================
+
+/**
+ * 서명 패드 열기
+ * @param {Object} options - 옵션
+ * @param {string} [options.label='서명'] - 패드 제목 (예: '운전자 서명')
+ * @param {string} [options.value=''] - 기존 서명 (이어서 그리기)
+ * @returns {Promise<string|null>} 새 서명 값 (지우고 확인하면 '', 취소하면 null)
+ */
+function openSignaturePad(options = {}) {
+    const { label = '서명', value = '' } = options;
+    const existing = parseSignature(value);
+    const strokes = existing ? existing.strokes.map(stroke => [...stroke]) : [];
+
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.id = 'signature-pad-dialog';
+        dialog.innerHTML = `
+            <div class="fixed inset-0 bg-slate-900/80 backdrop-blur-sm z-[200] flex items-center justify-center p-4">
+                <div class="bg-white rounded-2xl max-w-lg w-full p-4 animate-fade-in">
+                    <div class="flex items-center justify-between mb-3">
+                        <h3 class="font-bold text-gray-900">✍️ ${escapeHtml(label)}</h3>
+                        <button type="button" data-action="cancel" class="text-gray-400 hover:text-gray-600 p-1">✕</button>
+                    </div>
+                    <canvas class="signature-pad-canvas"></canvas>
+                    <p class="text-xs text-gray-500 mt-2">테두리 안에 손가락이나 펜으로 서명하세요</p>
+                    <div class="flex gap-2 mt-4">
+                        <button type="button" data-action="clear" class="flex-1 btn btn-outline">지우기</button>
+                        <button type="button" data-action="cancel" class="flex-1 btn btn-outline">취소</button>
+                        <button type="button" data-action="confirm" class="flex-[2] btn btn-primary">확인</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+
+        const canvas = dialog.querySelector('canvas');
+        const ctx = canvas.getContext('2d');
+        let scale = 1;
+        let current = null;
+
+        // 화면 크기에 맞춰 캔버스 해상도 설정 (저장 좌표는 그대로)
+        function resizeCanvas() {
+            const rect = canvas.getBoundingClientRect();
+            const ratio = window.devicePixelRatio || 1;
+            scale = (rect.width || SIGNATURE_CONFIG.width) / SIGNATURE_CONFIG.width;
+            canvas.width = Math.round(SIGNATURE_CONFIG.width * scale * ratio);
+            canvas.height = Math.round(SIGNATURE_CONFIG.height * scale * ratio);
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            redraw();
+        }
+
+        function redraw() {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            drawSignatureStrokes(ctx, strokes, scale);
+        }
+
+        // 화면 좌표 → 저장 좌표
+        function toPoint(e) {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.round((e.clientX - rect.left) / scale),
+                Math.round((e.clientY - rect.top) / scale)
+            ];
+        }
+
+        canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            canvas.setPointerCapture(e.pointerId);
+            current = toPoint(e);
+            strokes.push(current);
+            redraw();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!current) return;
+            e.preventDefault();
+            const [x, y] = toPoint(e);
+            // 같은 점 반복 저장 방지
+            if (x === current[current.length - 2] && y === current[current.length - 1]) return;
+            current.push(x, y);
+            redraw();
+        });
+
+        const endStroke = () => { current = null; };
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+
+        function close(result) {
+            window.removeEventListener('resize', resizeCanvas);
+            dialog.remove();
+            resolve(result);
+        }
+
+        dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                close(null);
+            } else if (action === 'clear') {
+                strokes.length = 0;
+                redraw();
+            } else if (action === 'confirm') {
+                const result = serializeSignature(strokes);
+                if (result && !hasSignature(result)) {
+                    showToast('서명이 너무 짧습니다. 다시 서명해주세요', 'warning');
+                    return;
+                }
+                close(result);
+            }
+        });
+
+        window.addEventListener('resize', resizeCanvas);
+        resizeCanvas();
+    });
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 서명 칸 버튼 연결 (동적으로 추가한 진술인 카드는 카드를 넣은 뒤 다시 호출)
+ * 서명 칸: <div data-signature-for="driverSignature" data-signature-label="운전자 서명"></div>
+ * 저장 칸: <input type="hidden" id="driverSignature">
+ * @param {ParentNode} [root=document] - 찾을 범위
+ */
+function bindSignatureFields(root = document) {
+    root.querySelectorAll(SIGNATURE_CONFIG.fieldSelector).forEach(field => {
+        if (field.dataset.signatureBound) return;
+        field.dataset.signatureBound = 'true';
+
+        field.addEventListener('click', async (e) => {
+            const action = e.target.closest('[data-signature-action]')?.dataset.signatureAction;
+            const input = document.getElementById(field.dataset.signatureFor);
+            if (!action || !input) return;
+
+            const value = action === 'clear'
+                ? ''
+                : await openSignaturePad({ label: field.dataset.signatureLabel, value: input.value });
+            if (value === null) return;
+
+            setSignatureValue(input, value);
+            renderSignatureField(field);
+        });
+
+        renderSignatureField(field);
+    });
+}
+
+/**
+ * 저장된 값으로 서명 칸 다시 그리기 (사건을 불러온 뒤 호출)
+ * @param {ParentNode} [root=document] - 찾을 범위
+ */
+function refreshSignatureFields(root = document) {
+    root.querySelectorAll(SIGNATURE_CONFIG.fieldSelector).forEach(renderSignatureField);
+}
+
+/**
+ * 서명 칸 하나 그리기 (미리보기 + 서명/지우기 버튼)
+ * @param {HTMLElement} field - 서명 칸
+ */
+function renderSignatureField(field) {
+    const input = document.getElementById(field.dataset.signatureFor);
+    const canvas = input ? renderSignatureCanvas(input.value) : null;
+
+    field.innerHTML = `
+        <div class="signature-field ${canvas ? 'is-signed' : ''}">
+            <button type="button" data-signature-action="sign" class="signature-field-preview" aria-label="${escapeHtml(field.dataset.signatureLabel || '서명')}">
+                ${canvas
+                    ? `<img src="${canvas.toDataURL('image/png')}" alt="서명">`
+                    : '<span>✍️ 눌러서 서명</span>'}
+            </button>
+            ${canvas ? '<button type="button" data-signature-action="clear" class="text-xs text-gray-400 hover:text-red-500 p-1">지우기</button>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * 숨은 입력칸에 서명 값 쓰기 (미리보기·자동 저장이 알 수 있게 이벤트 발생)
+ * @param {HTMLInputElement} input - 숨은 입력칸
+ * @param {string} value - 서명 값
+ */
+function setSignatureValue(input, value) {
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.SignaturePad = {
+    // 서명 데이터
+    parse: parseSignature,
+    has: hasSignature,
+    toPng: renderSignaturePng,
+
+    // 입력
+    open: openSignaturePad,
+    bindFields: bindSignatureFields,
+    refreshFields: refreshSignatureFields,
+
+    // 설정
+    config: SIGNATURE_CONFIG
+};
+
+console.log('signature-pad.js 로드 완료');
@@ -0,0 +1,274 @@
+/**
+ * DoroFill - Template Profiles
+ * 템플릿별 좌표 프로필 (IndexedDB)
+ *
+ * 양식 버전(2024년판, 2026년판 등)마다 칸 위치가 다르므로 좌표는
+ * 템플릿 파일 내용의 해시에 묶어서 저장합니다. PDF를 채울 때는
+ * 실제로 채우는 템플릿의 해시로 프로필을 찾고, 프로필이 없으면
+ * pdf-coordinates.js의 기본 좌표를 사용합니다.
+ *
+ * 프로필 레코드:
+ * {
+ *   hash,              // 템플릿 SHA-256 해시 (키)
+ *   name,              // 프로필 이름 (기본값: 템플릿 파일명)
+ *   source,            // 'manual' | 'ai' | 'picker'
+ *   pages: { page1: { fieldKey: { x, y, size } }, page2: {...} },
+ *   defaultFontSize,   // size가 없는 필드에 쓸 글자 크기
+ *   fieldMap: { page1: { fieldKey: 'AcroForm 필드 이름' }, page2: {...} },
+ *                      // 양식 필드가 있는 템플릿의 연결표 ('' = 연결 안 함)
+ *   flattenForm,       // 양식 필드를 채운 뒤 평탄화할지 (기본 true)
+ *   createdAt, _savedAt
+ * }
+ *
+ * 의존성:
+ * - db.js (IndexedDB 헬퍼)
+ * - template-store.js (템플릿 해시 계산)
+ * - pdf-coordinates.js (기본 좌표)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const TEMPLATE_PROFILE_CONFIG = {
+    storeName: 'profiles',
+    defaultFontSize: 10,
+    // 템플릿 구분 없이 저장되던 이전 AI 좌표 (템플릿에 묶은 뒤 삭제)
+    legacyStorageKey: 'dorofill_ai_coordinates'
+};
+
+/** 좌표 출처 */
+const PROFILE_SOURCES = {
+    MANUAL: 'manual',
+    AI: 'ai',
+    PICKER: 'picker'
+};
+
+/** 좌표 출처 표시 라벨 */
+const PROFILE_SOURCE_LABELS = {
+    manual: '직접 입력',
+    ai: 'AI 분석',
+    picker: '좌표 편집기'
+};
+
+// ==========================================================================
+// 레코드 저장/조회
+// ==========================================================================
+
+/**
+ * 프로필 조회
+ * @param {string} hash - 템플릿 해시
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplateProfile(hash) {
+    if (!hash) return null;
+    return (await dbGet(TEMPLATE_PROFILE_CONFIG.storeName, hash)) || null;
+}
+
+/**
+ * 프로필 저장 (같은 템플릿의 기존 좌표는 새 좌표로 교체)
+ * pages, fieldMap, flattenForm을 생략하면 기존 값을 유지합니다.
+ * @param {string} hash - 템플릿 해시
+ * @param {Object} profile - { name, source, pages, defaultFontSize, fieldMap, flattenForm }
+ * @returns {Promise<Object>} 저장된 프로필
+ */
+async function saveTemplateProfile(hash, profile) {
+    if (!hash) throw new Error('템플릿 해시가 없습니다.');
+    if (!Object.values(PROFILE_SOURCES).includes(profile.source)) {
+        throw new Error(`알 수 없는 좌표 출처입니다: ${profile.source}`);
+    }
+
+    const existing = await getTemplateProfile(hash);
+    const now = new Date().toISOString();
+    const record = {
+        hash,
+        name: profile.name || (existing && existing.name) || '이름 없는 템플릿',
+        source: profile.source,
+        pages: copyProfilePages(profile.pages || (existing && existing.pages)),
+        defaultFontSize: profile.defaultFontSize
+            || (existing && existing.defaultFontSize)
+            || TEMPLATE_PROFILE_CONFIG.defaultFontSize,
+        fieldMap: copyProfilePages(profile.fieldMap || (existing && existing.fieldMap)),
+        flattenForm: profile.flattenForm !== undefined
+            ? profile.flattenForm
+            : !(existing && existing.flattenForm === false),
+        createdAt: (existing && existing.createdAt) || profile.createdAt || now,
+        _savedAt: now
+    };
+
+    await dbPut(TEMPLATE_PROFILE_CONFIG.storeName, record);
+    console.log(`[프로필] 저장: ${record.name} (${PROFILE_SOURCE_LABELS[record.source]}, ${countProfileFields(record)}개 필드)`);
+    return record;
+}
+
+/**
+ * 페이지별 객체 복사 ({ page1, page2 })
+ * @param {Object} [pages] - 페이지별 객체
+ * @returns {Object}
+ */
+function copyProfilePages(pages) {
+    return {
+        page1: { ...(pages && pages.page1) },
+        page2: { ...(pages && pages.page2) }
+    };
+}
+
+/**
+ * 프로필 목록 (최근 저장 순)
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTemplateProfiles() {
+    const records = await dbGetAll(TEMPLATE_PROFILE_CONFIG.storeName);
+    return records.sort((a, b) => (b._savedAt || '').localeCompare(a._savedAt || ''));
+}
+
+/**
+ * 프로필 이름 변경
+ * @param {string} hash - 템플릿 해시
+ * @param {string} name - 새 이름
+ * @returns {Promise<Object>}
+ */
+async function renameTemplateProfile(hash, name) {
+    const record = await getTemplateProfile(hash);
+    if (!record) throw new Error('프로필을 찾을 수 없습니다.');
+
+    record.name = name.trim() || record.name;
+    record._savedAt = new Date().toISOString();
+    await dbPut(TEMPLATE_PROFILE_CONFIG.storeName, record);
+    return record;
+}
+
+/**
+ * 프로필 삭제 (이 템플릿은 다시 기본 좌표를 사용)
+ * @param {string} hash - 템플릿 해시
+ * @returns {Promise<void>}
+ */
+function deleteTemplateProfile(hash) {
+    return dbDelete(TEMPLATE_PROFILE_CONFIG.storeName, hash);
+}
+
+/**
+ * 프로필에 저장된 필드 수
+ * @param {Object} profile - 프로필 레코드
+ * @returns {number}
+ */
+function countProfileFields(profile) {
+    return Object.values(profile.pages || {})
+        .reduce((sum, fields) => sum + Object.keys(fields || {}).length, 0);
+}
+
+// ==========================================================================
+// 템플릿 파일 기준 조회/저장
+// ==========================================================================
+
+/**
+ * 템플릿 파일에 해당하는 프로필 조회
+ * 프로필이 없고 이전 버전의 AI 좌표가 같은 파일명으로 저장되어 있으면
+ * 이 템플릿의 프로필로 옮깁니다.
+ * @param {File} file - PDF 템플릿 파일
+ * @returns {Promise<Object|null>}
+ */
+async function getProfileForFile(file) {
+    if (!file) return null;
+
+    const hash = await TemplateStore.hash(await file.arrayBuffer());
+    return (await getTemplateProfile(hash)) || migrateLegacyCoordinates(hash, file.name);
+}
+
+/**
+ * 템플릿 파일의 프로필 저장
+ * @param {File} file - PDF 템플릿 파일
+ * @param {Object} profile - { name, source, pages, defaultFontSize }
+ * @returns {Promise<Object>} 저장된 프로필
+ */
+async function saveProfileForFile(file, profile) {
+    const hash = await TemplateStore.hash(await file.arrayBuffer());
+    const existing = await getTemplateProfile(hash);
+
+    // 이름을 바꿔 둔 프로필은 그 이름을 유지
+    return saveTemplateProfile(hash, {
+        name: existing ? existing.name : file.name.replace(/\.pdf$/i, ''),
+        ...profile
+    });
+}
+
+/**
+ * 프로필의 페이지 좌표 (기본 좌표 위에 프로필 좌표를 덮어씀)
+ * 프로필에 없는 필드는 기본 좌표, size가 없는 필드는 프로필 기본 글자 크기를 사용합니다.
+ * @param {Object} profile - 프로필 레코드
+ * @param {string} pageKey - 'page1' 또는 'page2'
+ * @returns {Object} 필드별 { x, y, size, width?, height? }
+ */
+function resolveProfilePage(profile, pageKey) {
+    const base = (typeof PDF_COORDINATES !== 'undefined' && PDF_COORDINATES[pageKey]) || {};
+    const fields = (profile.pages && profile.pages[pageKey]) || {};
+    const fontSize = profile.defaultFontSize || TEMPLATE_PROFILE_CONFIG.defaultFontSize;
+
+    const resolved = { ...base };
+    Object.entries(fields).forEach(([fieldKey, coord]) => {
+        resolved[fieldKey] = {
+            ...coord,
+            size: coord.size || (base[fieldKey] && base[fieldKey].size) || fontSize
+        };
+    });
+    return resolved;
+}
+
+// ==========================================================================
+// 이전 데이터 이전
+// ==========================================================================
+
+/**
+ * 템플릿 구분 없이 저장된 이전 AI 좌표를 템플릿 프로필로 이전
+ * 분석 당시 파일명과 같은 파일일 때만 이전합니다 (다른 양식에 잘못 적용 방지).
+ * @param {string} hash - 템플릿 해시
+ * @param {string} fileName - 템플릿 파일명
+ * @returns {Promise<Object|null>} 이전된 프로필
+ */
+async function migrateLegacyCoordinates(hash, fileName) {
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(TEMPLATE_PROFILE_CONFIG.legacyStorageKey));
+    } catch (error) {
+        console.warn('[프로필] 이전 AI 좌표 읽기 실패:', error);
+    }
+
+    if (!legacy || legacy.filename !== fileName) return null;
+
+    const profile = await saveTemplateProfile(hash, {
+        name: fileName.replace(/\.pdf$/i, ''),
+        source: PROFILE_SOURCES.AI,
+        pages: { page1: legacy.page1, page2: legacy.page2 },
+        createdAt: legacy.analyzedAt
+    });
+
+    localStorage.removeItem(TEMPLATE_PROFILE_CONFIG.legacyStorageKey);
+    console.log(`[프로필] 이전 AI 좌표를 ${fileName} 템플릿 프로필로 이전했습니다.`);
+    return profile;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.TemplateProfiles = {
+    // 레코드
+    get: getTemplateProfile,
+    save: saveTemplateProfile,
+    list: listTemplateProfiles,
+    rename: renameTemplateProfile,
+    remove: deleteTemplateProfile,
+    countFields: countProfileFields,
+
+    // 템플릿 파일 기준
+    getForFile: getProfileForFile,
+    saveForFile: saveProfileForFile,
+    resolvePage: resolveProfilePage,
+
+    // 설정
+    config: TEMPLATE_PROFILE_CONFIG,
+    SOURCES: PROFILE_SOURCES,
+    SOURCE_LABELS: PROFILE_SOURCE_LABELS
+};
+
+console.log('template-profiles.js 로드 완료');
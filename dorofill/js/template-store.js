@@ -0,0 +1,329 @@
+/**
+ * DoroFill - Template Store
+ * PDF 템플릿 보관함 (IndexedDB)
+ *
+ * 한 번 선택한 PDF 양식을 기기에 보관해 두고, 문서 종류별 기본 템플릿을
+ * 지정해 두면 PDF 생성 시 파일을 다시 고르지 않아도 됩니다.
+ * 템플릿은 파일 내용의 SHA-256 해시로 식별하므로 같은 파일을 여러 번
+ * 올려도 한 번만 저장됩니다.
+ *
+ * 의존성:
+ * - db.js (IndexedDB 헬퍼)
+ * - lib/pdf-lib.min.js (페이지 수/크기 읽기)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const TEMPLATE_STORE_CONFIG = {
+    storeName: 'templates',
+    // 문서 종류별 기본 템플릿 해시 ({ report: hash, ... })
+    defaultsKey: 'dorofill_default_templates'
+};
+
+/**
+ * 문서 종류 (minPages: 해당 문서를 만들 때 필요한 최소 페이지 수)
+ * 보고서는 1페이지, 진술서는 2페이지에 작성됩니다.
+ */
+const TEMPLATE_DOC_TYPES = {
+    report: { label: '적발 보고서', minPages: 1 },
+    statement: { label: '위반 진술서', minPages: 2 },
+    combined: { label: '보고서 + 진술서 통합', minPages: 2 }
+};
+
+/** 자주 쓰는 용지 크기 (pt, 세로 기준) */
+const TEMPLATE_PAPER_SIZES = [
+    { name: 'A4', width: 595, height: 842 },
+    { name: 'B4', width: 729, height: 1032 },
+    { name: 'A3', width: 842, height: 1191 },
+    { name: 'Letter', width: 612, height: 792 }
+];
+
+// ==========================================================================
+// 템플릿 정보 읽기
+// ==========================================================================
+
+/**
+ * 파일 내용의 SHA-256 해시 (16진수 문자열)
+ * @param {ArrayBuffer} buffer - 파일 내용
+ * @returns {Promise<string>}
+ */
+async function hashTemplateBytes(buffer) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('이 환경에서는 템플릿 해시를 계산할 수 없습니다. (HTTPS 필요)');
+    }
+
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * PDF의 페이지 수와 페이지별 크기 읽기
+ * @param {ArrayBuffer} buffer - PDF 파일 내용
+ * @returns {Promise<Array<{width: number, height: number}>>} 페이지별 크기 (pt)
+ */
+async function readTemplatePageSizes(buffer) {
+    if (typeof PDFLib === 'undefined') {
+        throw new Error('pdf-lib 라이브러리가 로드되지 않았습니다.');
+    }
+
+    const pdfDoc = await PDFLib.PDFDocument.load(buffer, { ignoreEncryption: true });
+    return pdfDoc.getPages().map(page => {
+        const { width, height } = page.getSize();
+        return { width: Math.round(width), height: Math.round(height) };
+    });
+}
+
+/**
+ * 페이지 크기를 사람이 읽을 수 있는 문자열로 변환
+ * @param {{width: number, height: number}} size - 페이지 크기 (pt)
+ * @returns {string} 예: 'A4 세로', '600×900pt'
+ */
+function describePageSize(size) {
+    const isLandscape = size.width > size.height;
+    const short = Math.min(size.width, size.height);
+    const long = Math.max(size.width, size.height);
+
+    // 2pt 이내 오차는 같은 용지로 봄
+    const paper = TEMPLATE_PAPER_SIZES.find(p =>
+        Math.abs(p.width - short) <= 2 && Math.abs(p.height - long) <= 2
+    );
+
+    if (paper) {
+        return `${paper.name} ${isLandscape ? '가로' : '세로'}`;
+    }
+    return `${size.width}×${size.height}pt`;
+}
+
+// ==========================================================================
+// 레코드 저장/조회
+// ==========================================================================
+
+/**
+ * PDF 파일을 보관함에 추가
+ * 이미 같은 내용의 템플릿이 있으면 새로 저장하지 않고 기존 레코드를 반환합니다.
+ * 기본 템플릿이 없는 문서 종류는 이 템플릿을 기본으로 지정합니다.
+ *
+ * @param {File} file - PDF 파일
+ * @param {string} [name] - 표시 이름 (기본값: 파일명)
+ * @returns {Promise<Object>} 템플릿 레코드
+ */
+async function addTemplate(file, name) {
+    if (!file) {
+        throw new Error('파일이 선택되지 않았습니다.');
+    }
+    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
+        throw new Error('PDF 파일만 보관할 수 있습니다.');
+    }
+
+    const data = await file.arrayBuffer();
+    const hash = await hashTemplateBytes(data);
+
+    const existing = await dbGet(TEMPLATE_STORE_CONFIG.storeName, hash);
+    if (existing) {
+        assignMissingDefaults(existing);
+        return existing;
+    }
+
+    const pageSizes = await readTemplatePageSizes(data);
+    const now = new Date().toISOString();
+    const record = {
+        hash,
+        name: (name || file.name.replace(/\.pdf$/i, '')).trim(),
+        fileName: file.name,
+        size: file.size,
+        pageCount: pageSizes.length,
+        pageSizes,
+        data,
+        createdAt: now,
+        _savedAt: now
+    };
+
+    await dbPut(TEMPLATE_STORE_CONFIG.storeName, record);
+    assignMissingDefaults(record);
+
+    console.log(`[템플릿 보관함] 추가: ${record.name} (${record.pageCount}페이지, ${hash.slice(0, 8)})`);
+    return record;
+}
+
+/**
+ * 템플릿 조회
+ * @param {string} hash - 템플릿 해시
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplate(hash) {
+    if (!hash) return null;
+    return (await dbGet(TEMPLATE_STORE_CONFIG.storeName, hash)) || null;
+}
+
+/**
+ * 보관된 템플릿 목록 (최근 저장 순)
+ * PDF 내용(data)은 목록에 포함하지 않습니다.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTemplates() {
+    const records = await dbGetAll(TEMPLATE_STORE_CONFIG.storeName);
+    return records
+        .map(({ data, ...info }) => info)
+        .sort((a, b) => (b._savedAt || '').localeCompare(a._savedAt || ''));
+}
+
+/**
+ * 템플릿 이름 변경
+ * @param {string} hash - 템플릿 해시
+ * @param {string} name - 새 이름
+ * @returns {Promise<Object>} 변경된 레코드
+ */
+async function renameTemplate(hash, name) {
+    const record = await getTemplate(hash);
+    if (!record) throw new Error('템플릿을 찾을 수 없습니다.');
+
+    record.name = name.trim() || record.name;
+    record._savedAt = new Date().toISOString();
+    await dbPut(TEMPLATE_STORE_CONFIG.storeName, record);
+    return record;
+}
+
+/**
+ * 템플릿 삭제 (기본 템플릿 지정도 함께 해제)
+ * @param {string} hash - 템플릿 해시
+ * @returns {Promise<void>}
+ */
+async function deleteTemplate(hash) {
+    await dbDelete(TEMPLATE_STORE_CONFIG.storeName, hash);
+
+    const defaults = getDefaultTemplateMap();
+    Object.keys(defaults).forEach(docType => {
+        if (defaults[docType] === hash) delete defaults[docType];
+    });
+    saveDefaultTemplateMap(defaults);
+}
+
+/**
+ * 템플릿 레코드를 File 객체로 변환
+ * PDF 생성 함수들은 파일 선택 결과와 같은 File을 받습니다.
+ * @param {Object} record - 템플릿 레코드
+ * @returns {File}
+ */
+function templateToFile(record) {
+    return new File([record.data], record.fileName || `${record.name}.pdf`, { type: 'application/pdf' });
+}
+
+// ==========================================================================
+// 기본 템플릿 (문서 종류별)
+// ==========================================================================
+
+/**
+ * 문서 종류별 기본 템플릿 해시 읽기
+ * @returns {Object} { report: hash, statement: hash, combined: hash }
+ */
+function getDefaultTemplateMap() {
+    try {
+        return JSON.parse(localStorage.getItem(TEMPLATE_STORE_CONFIG.defaultsKey)) || {};
+    } catch (error) {
+        console.warn('[템플릿 보관함] 기본 템플릿 정보 읽기 실패:', error);
+        return {};
+    }
+}
+
+/**
+ * 문서 종류별 기본 템플릿 해시 저장
+ * @param {Object} defaults - { docType: hash }
+ */
+function saveDefaultTemplateMap(defaults) {
+    try {
+        localStorage.setItem(TEMPLATE_STORE_CONFIG.defaultsKey, JSON.stringify(defaults));
+    } catch (error) {
+        console.warn('[템플릿 보관함] 기본 템플릿 정보 저장 실패:', error);
+    }
+}
+
+/**
+ * 기본 템플릿 지정 (hash가 null이면 해제)
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @param {string|null} hash - 템플릿 해시
+ */
+function setDefaultTemplate(docType, hash) {
+    if (!TEMPLATE_DOC_TYPES[docType]) {
+        throw new Error(`알 수 없는 문서 종류입니다: ${docType}`);
+    }
+
+    const defaults = getDefaultTemplateMap();
+    if (hash) {
+        defaults[docType] = hash;
+    } else {
+        delete defaults[docType];
+    }
+    saveDefaultTemplateMap(defaults);
+}
+
+/**
+ * 기본 템플릿이 아직 없는 문서 종류에 이 템플릿을 지정
+ * 페이지 수가 모자라는 문서 종류는 건너뜁니다.
+ * @param {Object} record - 템플릿 레코드
+ */
+function assignMissingDefaults(record) {
+    const defaults = getDefaultTemplateMap();
+    let changed = false;
+
+    Object.entries(TEMPLATE_DOC_TYPES).forEach(([docType, def]) => {
+        if (!defaults[docType] && record.pageCount >= def.minPages) {
+            defaults[docType] = record.hash;
+            changed = true;
+        }
+    });
+
+    if (changed) saveDefaultTemplateMap(defaults);
+}
+
+/**
+ * 문서 종류의 기본 템플릿 레코드
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @returns {Promise<Object|null>}
+ */
+async function getDefaultTemplate(docType) {
+    return getTemplate(getDefaultTemplateMap()[docType]);
+}
+
+/**
+ * 문서 종류의 기본 템플릿을 File로 가져오기
+ * @param {string} docType - 'report', 'statement', 'combined'
+ * @returns {Promise<File|null>}
+ */
+async function getDefaultTemplateFile(docType) {
+    const record = await getDefaultTemplate(docType);
+    return record ? templateToFile(record) : null;
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.TemplateStore = {
+    // 레코드
+    add: addTemplate,
+    get: getTemplate,
+    list: listTemplates,
+    rename: renameTemplate,
+    remove: deleteTemplate,
+    toFile: templateToFile,
+
+    // 기본 템플릿
+    getDefaults: getDefaultTemplateMap,
+    setDefault: setDefaultTemplate,
+    getDefault: getDefaultTemplate,
+    getDefaultFile: getDefaultTemplateFile,
+
+    // 기타
+    hash: hashTemplateBytes,
+    describePageSize,
+
+    // 설정
+    config: TEMPLATE_STORE_CONFIG,
+    DOC_TYPES: TEMPLATE_DOC_TYPES
+};
+
+console.log('template-store.js 로드 완료');
@@ -1,6 +1,9 @@
 /**
  * DoroFill - Validator
  * 폼 유효성 검사 및 위반 체크 로직
+ *
+ * 의존성:
+ * - violation-rules.js (위반 판정값, 차량 구성)
  */
 
 const VALIDATOR = {
@@ -23,6 +26,16 @@ const VALIDATOR = {
         return value !== null && value !== undefined && value.toString().trim() !== '';
     },
 
+    /**
+     * 차량번호 정규화 (공백 제거 - 형식 검사와 같은 기준)
+     * 사건 대장에서 같은 차량을 찾을 때 비교 키로 사용
+     * @param {string} vehicleNumber - 차량번호
+     * @returns {string} 정규화된 차량번호
+     */
+    normalizeVehicleNumber(vehicleNumber) {
+        return (vehicleNumber || '').replace(/\s/g, '');
+    },
+
     /**
      * 차량번호 형식 검사 (한국)
      * @param {string} vehicleNumber - 차량번호
@@ -35,7 +48,7 @@ const VALIDATOR = {
             /^\d{2,3}[가-힣]\d{4}$/,          // 12가1234, 123가1234
             /^[가-힣]{2}\d{2}[가-힣]\d{4}$/   // 서울12가1234
         ];
-        return patterns.some(p => p.test(vehicleNumber.replace(/\s/g, '')));
+        return patterns.some(p => p.test(this.normalizeVehicleNumber(vehicleNumber)));
     },
 
     /**
@@ -163,10 +176,11 @@ const VALIDATOR = {
 
     // ===== 중량 위반 체크 관련 =====
 
-    // 중량 제한 상수
+    // 단축·허가 없음 기준 중량 위반 판정값 (제한 기준 + 측정 오차, violation-rules.js)
+    // 연축·운행허가 차량은 getAxleLimit / getTotalLimit 사용
     WEIGHT_LIMITS: {
-        AXLE: 11.00,    // 축하중 제한 (톤)
-        TOTAL: 44.00    // 총중량 제한 (톤)
+        AXLE: getViolationThreshold('axle'),    // 축하중 (톤)
+        TOTAL: getViolationThreshold('gross')   // 총중량 (톤)
     },
 
     /**
@@ -180,6 +194,36 @@ const VALIDATOR = {
         return !isNaN(num) && num > limit;
     },
 
+    /**
+     * 축이 속한 축군의 판정값과 측정값 (연축이면 축군 합계, 운행허가 반영)
+     * @param {number} axleNumber - 축 번호 (1부터)
+     * @param {Object} [formData] - 폼 데이터 (기본: 현재 폼)
+     * @returns {Object} { axles, ruleKey, measured, threshold }
+     */
+    getAxleLimit(axleNumber, formData = ViolationRules.readForm()) {
+        return ViolationRules.getAxleGroup(formData, axleNumber);
+    },
+
+    /**
+     * 축하중 위반 여부 (축군 기준)
+     * @param {number} axleNumber - 축 번호 (1부터)
+     * @param {Object} [formData] - 폼 데이터 (기본: 현재 폼)
+     * @returns {boolean} 위반 여부
+     */
+    isAxleViolation(axleNumber, formData = ViolationRules.readForm()) {
+        const group = this.getAxleLimit(axleNumber, formData);
+        return this.isViolation(group.measured, group.threshold);
+    },
+
+    /**
+     * 총중량 판정값 (운행허가 반영)
+     * @param {Object} [formData] - 폼 데이터 (기본: 현재 폼)
+     * @returns {number}
+     */
+    getTotalLimit(formData = ViolationRules.readForm()) {
+        return getViolationThreshold('gross', ViolationRules.getVehicleConfig(formData).permit);
+    },
+
     /**
      * 시각적 강조 적용
      * @param {HTMLElement} inputElement - 대상 input 요소
@@ -248,49 +292,52 @@ const VALIDATOR = {
 
     /**
      * 모든 중량 필드에 자동 적용
-     * 페이지 로드 시 모든 중량 필드에 위반 체크 바인딩
+     * 페이지 로드 시 측정결과 중량 필드에 위반 체크 바인딩
+     * (위반내역 행은 초과량이라 판정값과 비교하지 않음 - violation-rules.js에서 계산)
      * @param {Object} options - 옵션 설정
      * @param {string} [options.axleMeasuredPrefix] - 측정결과 축하중 ID 접두사 (기본값: 'axle')
      * @param {string} [options.axleMeasuredSuffix] - 측정결과 축하중 ID 접미사 (기본값: 'Measured')
-     * @param {string} [options.axleViolationPrefix] - 위반내역 축하중 ID 접두사 (기본값: 'axle')
-     * @param {string} [options.axleViolationSuffix] - 위반내역 축하중 ID 접미사 (기본값: 'Violation')
      * @param {number} [options.axleCount] - 축 개수 (기본값: 8)
      */
     bindViolationChecks(options = {}) {
         const {
             axleMeasuredPrefix = 'axle',
             axleMeasuredSuffix = 'Measured',
-            axleViolationPrefix = 'axle',
-            axleViolationSuffix = 'Violation',
             axleCount = 8
         } = options;
 
         const self = this;
 
-        // 축하중 input 이벤트 핸들러
-        const handleAxleInput = (e) => {
-            self.checkViolation(e.target, e.target.value, self.WEIGHT_LIMITS.AXLE);
+        const axleInputs = [];
+        for (let i = 1; i <= axleCount; i++) {
+            axleInputs.push(document.getElementById(`${axleMeasuredPrefix}${i}${axleMeasuredSuffix}`));
+        }
+
+        // 축하중 input 이벤트 핸들러 (연축은 같은 축군 칸이 함께 바뀌므로 모든 축 다시 체크)
+        const handleAxleInput = () => {
+            const formData = ViolationRules.readForm();
+            axleInputs.forEach((input, index) => {
+                if (!input) return;
+                const group = self.getAxleLimit(index + 1, formData);
+                self.checkViolation(input, input.value ? group.measured : '', group.threshold);
+            });
         };
 
         // 1~8축 하중 (측정결과)
-        for (let i = 1; i <= axleCount; i++) {
-            const input = document.getElementById(`${axleMeasuredPrefix}${i}${axleMeasuredSuffix}`);
+        axleInputs.forEach(input => {
             if (input) {
                 input.addEventListener('input', handleAxleInput);
             }
-        }
+        });
 
-        // 1~8축 하중 (위반내역)
-        for (let i = 1; i <= axleCount; i++) {
-            const input = document.getElementById(`${axleViolationPrefix}${i}${axleViolationSuffix}`);
-            if (input) {
-                input.addEventListener('input', handleAxleInput);
-            }
-        }
+        // 축 구성, 축간거리, 운행허가가 바뀌면 기준이 달라짐
+        ViolationRules.configFields.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', handleAxleInput);
+        });
 
         // 총중량 Observer 설정 (프로그래밍 방식 값 변경 감지용)
         this.setupTotalWeightObserver('totalWeightMeasured');
-        this.setupTotalWeightObserver('totalWeightViolation');
     },
 
     /**
@@ -306,7 +353,7 @@ const VALIDATOR = {
 
         // input 이벤트 핸들러 (수동 입력용)
         const handleInput = () => {
-            self.checkViolation(totalWeightInput, totalWeightInput.value, self.WEIGHT_LIMITS.TOTAL);
+            self.checkViolation(totalWeightInput, totalWeightInput.value, self.getTotalLimit());
         };
 
         totalWeightInput.addEventListener('input', handleInput);
@@ -321,7 +368,7 @@ const VALIDATOR = {
             set: function (newValue) {
                 originalSet.call(this, newValue);
                 // 값 설정 후 위반 체크 실행
-                self.checkViolation(totalWeightInput, newValue, self.WEIGHT_LIMITS.TOTAL);
+                self.checkViolation(totalWeightInput, newValue, self.getTotalLimit());
             },
             configurable: true
         });
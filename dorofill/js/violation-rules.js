@@ -0,0 +1,697 @@
+/**
+ * DoroFill - Violation Rules
+ * 운행제한 위반내역 자동 계산
+ *
+ * 측정값에서 제한 기준을 빼서 위반내역(초과량)을 구합니다.
+ * 측정 오차 허용 범위 안이면 위반이 아니고, 허용 범위를 넘으면
+ * 기준 대비 초과량 전체를 위반내역으로 적습니다.
+ * 단속원이 위반내역을 직접 고치면 수정 사유와 함께 사건에 기록합니다.
+ *
+ * 차량 구성: 축 구성(예: 1-2-3)으로 묶인 연축은 축군 합계를 축군 기준과 비교하고,
+ * 운행허가를 받은 차량은 허가값을 기준으로 판정합니다.
+ *
+ * 의존성:
+ * - app.js (escapeHtml)
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+/**
+ * 운행제한 기준
+ * 기준이 바뀌면 version을 올리세요 (수정 기록에 함께 저장됩니다).
+ */
+const VIOLATION_RULES = {
+    version: '2026-02',
+    basis: '도로법 시행령 제79조',
+    rules: {
+        axle: { label: '축하중', unit: '톤', limit: 10.0, tolerance: 1.0 },     // 측정 오차 10%
+        tandem: { label: '2축 연축', unit: '톤', limit: 18.0, tolerance: 1.8 },
+        tridem: { label: '3축 연축', unit: '톤', limit: 24.0, tolerance: 2.4 },
+        gross: { label: '총중량', unit: '톤', limit: 40.0, tolerance: 4.0 },    // 측정 오차 10%
+        width: { label: '폭', unit: 'm', limit: 2.5, tolerance: 0 },
+        height: { label: '높이', unit: 'm', limit: 4.0, tolerance: 0 },
+        length: { label: '길이', unit: 'm', limit: 16.7, tolerance: 0 }
+    },
+    // 연축 축군 (축 수 → 규칙). 축간거리를 입력했고 범위를 벗어나면 단축으로 계산
+    axleGroups: {
+        2: { ruleKey: 'tandem', typeLabel: '탠덤', minSpacing: 1.0, maxSpacing: 1.8 },
+        3: { ruleKey: 'tridem', typeLabel: '트리덤', minSpacing: 1.0, maxSpacing: 1.8 }
+    }
+};
+
+/** 차량 구성·운행허가 입력 필드 (HTML 요소 ID 기준) */
+const VEHICLE_CONFIG_FIELDS = [
+    'axleCount', 'axleLayout',
+    ...Array.from({ length: 7 }, (_, index) => `axleSpacing${index + 1}`),
+    'permitNumber', 'permitAxle', 'permitGross', 'permitWidth', 'permitHeight', 'permitLength'
+];
+
+/** 운행허가 허가값 필드 (규칙 → 필드 ID) */
+const PERMIT_FIELDS = {
+    axle: 'permitAxle',
+    gross: 'permitGross',
+    width: 'permitWidth',
+    height: 'permitHeight',
+    length: 'permitLength'
+};
+
+const VIOLATION_FORM_CONFIG = {
+    // 수정 기록을 담는 hidden input (사건 formData에 JSON으로 저장)
+    overridesFieldId: 'violationOverrides',
+    overrideListId: 'violationOverrideList',
+    guideId: 'violationGuide',
+    configSummaryId: 'vehicleConfigSummary',
+    // 불러온 값이 현재 계산값과 다를 때 자동으로 남기는 사유
+    restoredReason: '저장된 값 유지 (현재 기준 계산값과 다름)'
+};
+
+/**
+ * 위반내역 필드 목록 (HTML 요소 ID 기준)
+ * gross는 측정 필드 대신 1~8축 합계를 사용합니다.
+ */
+const VIOLATION_FIELDS = [
+    { field: 'widthViolation', measuredField: 'widthMeasured', ruleKey: 'width', label: '폭' },
+    { field: 'heightViolation', measuredField: 'heightMeasured', ruleKey: 'height', label: '높이' },
+    { field: 'lengthViolation', measuredField: 'lengthMeasured', ruleKey: 'length', label: '길이' },
+    ...Array.from({ length: 8 }, (_, index) => ({
+        field: `axle${index + 1}Violation`,
+        measuredField: `axle${index + 1}Measured`,
+        ruleKey: 'axle',
+        label: `${index + 1}축 하중`
+    })),
+    { field: 'totalWeightViolation', measuredField: 'totalWeightMeasured', ruleKey: 'gross', label: '총중량' }
+];
+
+// ==========================================================================
+// 계산
+// ==========================================================================
+
+/**
+ * 적용 기준 (운행허가 허가값이 있으면 허가값)
+ * @param {string} ruleKey - VIOLATION_RULES.rules 키
+ * @param {Object} [permit] - 허가값 (규칙 → 값, getVehicleConfig 참고)
+ * @returns {{limit: number, tolerance: number, permitted: boolean}}
+ */
+function getRuleLimit(ruleKey, permit = {}) {
+    const rule = VIOLATION_RULES.rules[ruleKey];
+    const permitted = permit[ruleKey] > 0;
+    return { limit: permitted ? permit[ruleKey] : rule.limit, tolerance: rule.tolerance, permitted };
+}
+
+/**
+ * 위반 판정값 (제한 기준 + 측정 오차)
+ * @param {string} ruleKey - VIOLATION_RULES.rules 키
+ * @param {Object} [permit] - 허가값
+ * @returns {number}
+ */
+function getViolationThreshold(ruleKey, permit = {}) {
+    const { limit, tolerance } = getRuleLimit(ruleKey, permit);
+    return limit + tolerance;
+}
+
+/**
+ * 위반내역 계산 (측정값 - 제한 기준, 판정값 이하이면 0)
+ * @param {string} ruleKey - VIOLATION_RULES.rules 키
+ * @param {number} measured - 측정값
+ * @param {Object} [permit] - 허가값
+ * @returns {number} 초과량 (소수점 2자리)
+ */
+function computeViolationAmount(ruleKey, measured, permit = {}) {
+    if (!VIOLATION_RULES.rules[ruleKey] || isNaN(measured) || measured <= getViolationThreshold(ruleKey, permit)) return 0;
+    return Math.round((measured - getRuleLimit(ruleKey, permit).limit) * 100) / 100;
+}
+
+/**
+ * 총중량 측정값 (1~8축 합계)
+ * @param {Object} formData - 폼 데이터
+ * @returns {number}
+ */
+function getGrossMeasured(formData) {
+    let total = 0;
+    for (let i = 1; i <= 8; i++) {
+        total += parseFloat(formData[`axle${i}Measured`]) || 0;
+    }
+    return Math.round(total * 100) / 100;
+}
+
+// ==========================================================================
+// 차량 구성 (축 수, 연축, 축간거리, 운행허가)
+// ==========================================================================
+
+/**
+ * 폼 데이터에서 차량 구성 읽기
+ * 축 수를 비워 두면 측정값이 있는 마지막 축까지로 봅니다.
+ *
+ * @param {Object} formData - 폼 데이터
+ * @returns {Object} { axleCount, layout, groups, errors, permitNumber, permit }
+ */
+function getVehicleConfig(formData) {
+    let measuredCount = 0;
+    for (let i = 1; i <= 8; i++) {
+        if (parseFloat(formData[`axle${i}Measured`]) > 0) measuredCount = i;
+    }
+
+    const axleCount = parseInt(formData.axleCount, 10) || measuredCount;
+    const spacing = Array.from({ length: 7 }, (_, index) => parseFloat(formData[`axleSpacing${index + 1}`]));
+    const layout = (formData.axleLayout || '').trim();
+    const { groups, errors } = buildAxleGroups(layout, axleCount, spacing);
+
+    const permit = {};
+    Object.entries(PERMIT_FIELDS).forEach(([ruleKey, field]) => {
+        const value = parseFloat(formData[field]);
+        if (value > 0) permit[ruleKey] = value;
+    });
+    // 축하중 허가값은 연축이면 축 수만큼
+    if (permit.axle) {
+        permit.tandem = permit.axle * 2;
+        permit.tridem = permit.axle * 3;
+    }
+
+    return {
+        axleCount,
+        layout,
+        groups,
+        errors,
+        permitNumber: (formData.permitNumber || '').trim(),
+        permit
+    };
+}
+
+/**
+ * 축 구성 문자열(앞에서부터 축군별 축 수, 예: '1-2-3')을 축군 목록으로 변환
+ * 구성을 비워 두거나 잘못 입력하면 모두 단축으로 계산합니다.
+ *
+ * @param {string} layout - 축 구성
+ * @param {number} axleCount - 축 수
+ * @param {Array<number>} spacing - 축간거리 (m, [0]은 1-2축 사이)
+ * @returns {{groups: Array<Object>, errors: Array<string>}} 축군 { axles, ruleKey, spacing }
+ */
+function buildAxleGroups(layout, axleCount, spacing) {
+    const singles = (count) => Array.from({ length: count }, (_, index) => ({ axles: [index + 1], ruleKey: 'axle', spacing: [] }));
+    const errors = [];
+
+    if (!layout) return { groups: singles(axleCount), errors };
+
+    const sizes = layout.split(/[^0-9]+/).filter(Boolean).map(Number);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+
+    if (sizes.some(size => size < 1 || (size > 1 && !VIOLATION_RULES.axleGroups[size]))) {
+        errors.push(`축 구성 "${layout}": 축군은 1~3축만 지원합니다`);
+        return { groups: singles(axleCount), errors };
+    }
+    if (total > 8 || (axleCount && total !== axleCount)) {
+        errors.push(`축 구성 "${layout}"의 축 수(${total})가 차량 축 수(${axleCount})와 다릅니다`);
+        return { groups: singles(axleCount), errors };
+    }
+
+    const groups = [];
+    let next = 1;
+    sizes.forEach(size => {
+        const axles = Array.from({ length: size }, (_, index) => next + index);
+        const groupSpacing = axles.slice(0, -1).map(axle => spacing[axle - 1]);
+        const groupRule = VIOLATION_RULES.axleGroups[size];
+        next += size;
+
+        if (!groupRule) {
+            groups.push({ axles, ruleKey: 'axle', spacing: [] });
+            return;
+        }
+
+        // 입력한 축간거리가 연축 범위를 벗어나면 단축으로 계산
+        const outOfRange = groupSpacing.find(value => !isNaN(value) && (value < groupRule.minSpacing || value > groupRule.maxSpacing));
+        if (outOfRange !== undefined) {
+            errors.push(`${axles[0]}~${axles[axles.length - 1]}축 축간거리 ${outOfRange}m는 연축 범위(${groupRule.minSpacing}~${groupRule.maxSpacing}m)가 아니어서 단축으로 계산합니다`);
+            axles.forEach(axle => groups.push({ axles: [axle], ruleKey: 'axle', spacing: [] }));
+            return;
+        }
+
+        groups.push({ axles, ruleKey: groupRule.ruleKey, spacing: groupSpacing });
+    });
+
+    return { groups, errors };
+}
+
+/**
+ * 축이 속한 축군과 판정값
+ * @param {Object} formData - 폼 데이터
+ * @param {number} axleNumber - 축 번호 (1부터)
+ * @returns {Object} { axles, ruleKey, measured(축군 합계), threshold }
+ */
+function getAxleGroup(formData, axleNumber) {
+    const vehicle = getVehicleConfig(formData);
+    const group = vehicle.groups.find(item => item.axles.includes(axleNumber))
+        || { axles: [axleNumber], ruleKey: 'axle', spacing: [] };
+    const measured = group.axles.reduce((sum, axle) => sum + (parseFloat(formData[`axle${axle}Measured`]) || 0), 0);
+
+    return {
+        ...group,
+        measured: Math.round(measured * 100) / 100,
+        threshold: getViolationThreshold(group.ruleKey, vehicle.permit)
+    };
+}
+
+/**
+ * 축군 표시 이름 ('3축', '2~3축 탠덤')
+ * @param {Object} group - 축군
+ * @returns {string}
+ */
+function getAxleGroupLabel(group) {
+    const first = group.axles[0];
+    const last = group.axles[group.axles.length - 1];
+    if (group.axles.length === 1) return `${first}축`;
+
+    const groupRule = VIOLATION_RULES.axleGroups[group.axles.length];
+    return `${first}~${last}축 ${groupRule.typeLabel}`;
+}
+
+/**
+ * 보고서에 적을 차량 구성 문구 (연축이 없으면 빈 값)
+ * @param {Object} formData - 폼 데이터
+ * @returns {string}
+ */
+function describeVehicleConfig(formData) {
+    const vehicle = getVehicleConfig(formData);
+    if (!vehicle.groups.some(group => group.axles.length > 1)) return '';
+
+    const parts = vehicle.groups.map(group => {
+        const spacing = group.spacing.filter(value => !isNaN(value));
+        return spacing.length > 0
+            ? `${getAxleGroupLabel(group)}(축간 ${spacing.map(value => `${value}m`).join('·')})`
+            : getAxleGroupLabel(group);
+    });
+    return `축 구성 ${vehicle.groups.map(group => group.axles.length).join('-')}: ${parts.join(', ')}`;
+}
+
+/**
+ * 보고서에 적을 운행허가 문구 (허가가 없으면 빈 값)
+ * @param {Object} formData - 폼 데이터
+ * @returns {string}
+ */
+function describePermit(formData) {
+    const vehicle = getVehicleConfig(formData);
+    const values = Object.keys(PERMIT_FIELDS)
+        .filter(ruleKey => vehicle.permit[ruleKey])
+        .map(ruleKey => {
+            const rule = VIOLATION_RULES.rules[ruleKey];
+            return `${rule.label} ${vehicle.permit[ruleKey].toFixed(rule.unit === 'm' ? 2 : 1)}${rule.unit}`;
+        });
+
+    if (!vehicle.permitNumber && values.length === 0) return '';
+    return `운행허가 ${vehicle.permitNumber || '(번호 미입력)'}${values.length > 0 ? ` - 허가 ${values.join(' · ')}` : ''}`;
+}
+
+// ==========================================================================
+// 위반내역
+// ==========================================================================
+
+/**
+ * 모든 위반내역 계산
+ * 연축은 축군 합계의 위반내역을 축군 첫 번째 축 칸에 적습니다.
+ *
+ * @param {Object} formData - 폼 데이터 (측정값, 차량 구성)
+ * @returns {Object} 위반내역 필드 ID → { field, ruleKey, label, measured, amount, violated }
+ */
+function evaluateViolations(formData) {
+    const vehicle = getVehicleConfig(formData);
+    const results = {};
+
+    VIOLATION_FIELDS.forEach(item => {
+        const measured = item.ruleKey === 'gross'
+            ? getGrossMeasured(formData)
+            : parseFloat(formData[item.measuredField]);
+        const amount = item.ruleKey === 'axle' ? 0 : computeViolationAmount(item.ruleKey, measured, vehicle.permit);
+
+        results[item.field] = {
+            ...item,
+            measured: isNaN(measured) ? null : measured,
+            amount,
+            violated: amount > 0
+        };
+    });
+
+    // 축하중: 축군 단위로 판정
+    vehicle.groups.forEach(group => {
+        const first = results[`axle${group.axles[0]}Violation`];
+        if (!first) return;
+
+        const measured = group.axles.reduce((sum, axle) => sum + (parseFloat(formData[`axle${axle}Measured`]) || 0), 0);
+        const amount = computeViolationAmount(group.ruleKey, Math.round(measured * 100) / 100, vehicle.permit);
+
+        first.ruleKey = group.ruleKey;
+        first.amount = amount;
+        if (group.axles.length > 1) first.label = `${getAxleGroupLabel(group)} 하중`;
+
+        group.axles.forEach(axle => {
+            const result = results[`axle${axle}Violation`];
+            if (result) result.violated = amount > 0;
+        });
+    });
+
+    return results;
+}
+
+/**
+ * 위반내역 입력값 형식 (위반 없으면 빈 값)
+ * @param {string|number} value - 값
+ * @returns {string} '1.50' 또는 ''
+ */
+function formatViolationValue(value) {
+    const num = parseFloat(value);
+    return !isNaN(num) && num > 0 ? num.toFixed(2) : '';
+}
+
+/**
+ * 위반 기준 안내 문구
+ * @returns {string}
+ */
+function describeViolationRules() {
+    const parts = Object.values(VIOLATION_RULES.rules).map(rule => {
+        const tolerance = rule.tolerance > 0 ? ` (오차 ${rule.tolerance.toFixed(1)}${rule.unit} 허용)` : '';
+        return `${rule.label} ${rule.limit.toFixed(1)}${rule.unit}${tolerance}`;
+    });
+    return `${VIOLATION_RULES.basis}: ${parts.join(' · ')}`;
+}
+
+// ==========================================================================
+// 수정 기록
+// ==========================================================================
+
+/**
+ * 수정 기록 JSON 읽기
+ * @param {string} json - formData.violationOverrides
+ * @returns {Object} 필드 ID → { value, computed, reason, rulesVersion, at }
+ */
+function parseViolationOverrides(json) {
+    if (!json) return {};
+    try {
+        const overrides = JSON.parse(json);
+        return overrides && typeof overrides === 'object' ? overrides : {};
+    } catch (error) {
+        console.warn('[위반내역] 수정 기록을 읽을 수 없습니다:', error);
+        return {};
+    }
+}
+
+/**
+ * 사유 없이 수정한 위반내역 (PDF 생성 전 확인용)
+ * @param {Object} formData - 폼 데이터
+ * @returns {Array<string>} 필드 라벨 목록
+ */
+function getOverridesMissingReason(formData) {
+    const overrides = parseViolationOverrides(formData.violationOverrides);
+    return VIOLATION_FIELDS
+        .filter(item => overrides[item.field] && !(overrides[item.field].reason || '').trim())
+        .map(item => item.label);
+}
+
+// ==========================================================================
+// 폼 연동
+// ==========================================================================
+
+/**
+ * 현재 폼의 측정값/위반내역 읽기
+ * @returns {Object} 폼 데이터
+ */
+function readViolationFormData() {
+    const formData = {};
+    const ids = [
+        ...VIOLATION_FIELDS.flatMap(({ field, measuredField }) => [field, measuredField]),
+        ...VEHICLE_CONFIG_FIELDS
+    ];
+    ids.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) formData[id] = el.value;
+    });
+    return formData;
+}
+
+function readFormOverrides() {
+    const input = document.getElementById(VIOLATION_FORM_CONFIG.overridesFieldId);
+    return parseViolationOverrides(input ? input.value : '');
+}
+
+function writeFormOverrides(overrides) {
+    const input = document.getElementById(VIOLATION_FORM_CONFIG.overridesFieldId);
+    if (input) {
+        input.value = Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : '';
+    }
+}
+
+/**
+ * 측정값·위반내역 입력칸에 자동 계산 연결
+ * 페이지 로드 시 한 번 호출합니다.
+ */
+function bindViolationForm() {
+    const guide = document.getElementById(VIOLATION_FORM_CONFIG.guideId);
+    if (guide) guide.textContent = describeViolationRules();
+
+    VIOLATION_FIELDS.forEach(({ field, measuredField }) => {
+        const measuredInput = document.getElementById(measuredField);
+        const violationInput = document.getElementById(field);
+
+        if (measuredInput && !measuredInput.readOnly) {
+            measuredInput.addEventListener('input', () => refreshViolationForm());
+        }
+        if (violationInput) {
+            violationInput.addEventListener('input', handleViolationInput);
+        }
+    });
+
+    // 축 수, 축 구성, 축간거리, 허가값이 바뀌면 기준이 달라짐
+    VEHICLE_CONFIG_FIELDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('input', () => refreshViolationForm());
+    });
+
+    const list = document.getElementById(VIOLATION_FORM_CONFIG.overrideListId);
+    if (list) {
+        list.addEventListener('input', handleOverrideReasonInput);
+        list.addEventListener('click', handleOverrideListClick);
+    }
+
+    refreshViolationForm();
+}
+
+/**
+ * 측정값으로 위반내역 다시 계산 (직접 수정한 칸은 그대로 두고 계산값만 갱신)
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.keepRestored=false] - 사건을 불러온 직후: 계산값과 다른 저장값은 수정 기록으로 남김
+ */
+function refreshViolationForm(options = {}) {
+    const { keepRestored = false } = options;
+    const formData = readViolationFormData();
+    const results = evaluateViolations(formData);
+    const overrides = readFormOverrides();
+    let hasViolation = false;
+
+    Object.values(results).forEach(result => {
+        const input = document.getElementById(result.field);
+        const measuredInput = document.getElementById(result.measuredField);
+        if (!input) return;
+
+        const computed = formatViolationValue(result.amount);
+        const current = formatViolationValue(input.value);
+
+        if (result.ruleKey === 'gross' && measuredInput) {
+            measuredInput.value = result.measured ? result.measured.toFixed(2) : '0.00';
+        }
+
+        if (overrides[result.field]) {
+            overrides[result.field].computed = computed;
+            overrides[result.field].value = current;
+            if (current === computed) delete overrides[result.field];
+        } else if (keepRestored && current && current !== computed) {
+            overrides[result.field] = createOverrideRecord(current, computed, VIOLATION_FORM_CONFIG.restoredReason);
+        } else {
+            input.value = computed;
+        }
+
+        input.classList.toggle('ring-2', !!overrides[result.field]);
+        input.classList.toggle('ring-amber-400', !!overrides[result.field]);
+
+        // 총중량 칸은 원래 굵은 글씨라 색만 바꿈
+        if (measuredInput) {
+            const classes = measuredInput.readOnly ? ['text-red-600'] : ['font-bold', 'text-red-600', 'bg-red-50'];
+            classes.forEach(cls => measuredInput.classList.toggle(cls, result.violated));
+        }
+        if (result.violated || formatViolationValue(input.value)) hasViolation = true;
+    });
+
+    writeFormOverrides(overrides);
+    renderOverrideList(overrides, results);
+    renderVehicleConfigSummary(formData);
+    updateViolationIndicators(hasViolation, results);
+}
+
+/**
+ * 차량 구성·운행허가 적용 내용 표시 (구성 오류 포함)
+ * @param {Object} formData - 폼 데이터
+ */
+function renderVehicleConfigSummary(formData) {
+    const summary = document.getElementById(VIOLATION_FORM_CONFIG.configSummaryId);
+    if (!summary) return;
+
+    const lines = [describeVehicleConfig(formData), describePermit(formData)].filter(Boolean);
+    const errors = getVehicleConfig(formData).errors;
+
+    summary.innerHTML = [
+        ...lines.map(line => `<p>✅ ${escapeHtml(line)}</p>`),
+        ...errors.map(error => `<p class="text-warning">⚠️ ${escapeHtml(error)}</p>`)
+    ].join('') || '<p>모든 축을 단축 기준으로 판정합니다.</p>';
+}
+
+function createOverrideRecord(value, computed, reason = '') {
+    return {
+        value,
+        computed,
+        reason,
+        rulesVersion: VIOLATION_RULES.version,
+        at: new Date().toISOString()
+    };
+}
+
+/**
+ * 위반내역을 직접 고치면 수정 기록 추가 (계산값과 같아지면 기록 삭제)
+ * 불러오기 후 재계산용으로 코드에서 보낸 이벤트는 무시합니다.
+ * @param {Event} e - input 이벤트
+ */
+function handleViolationInput(e) {
+    if (!e.isTrusted) return;
+
+    const field = e.target.id;
+    const overrides = readFormOverrides();
+    const computed = formatViolationValue(evaluateViolations(readViolationFormData())[field].amount);
+    const value = formatViolationValue(e.target.value);
+
+    if (value === computed) {
+        delete overrides[field];
+    } else if (overrides[field]) {
+        overrides[field].value = value;
+        overrides[field].at = new Date().toISOString();
+    } else {
+        overrides[field] = createOverrideRecord(value, computed);
+    }
+
+    writeFormOverrides(overrides);
+    refreshViolationForm();
+}
+
+function handleOverrideReasonInput(e) {
+    const input = e.target.closest('input[data-reason]');
+    if (!input) return;
+
+    const overrides = readFormOverrides();
+    const override = overrides[input.dataset.reason];
+    if (!override) return;
+
+    override.reason = input.value;
+    writeFormOverrides(overrides);
+    input.classList.toggle('border-red-300', !input.value.trim());
+}
+
+function handleOverrideListClick(e) {
+    const button = e.target.closest('button[data-reset]');
+    if (!button) return;
+
+    // 자동 계산값으로 되돌리기
+    const overrides = readFormOverrides();
+    delete overrides[button.dataset.reset];
+    writeFormOverrides(overrides);
+    refreshViolationForm();
+
+    // 되돌린 값도 미리보기/자동 저장에 반영
+    const input = document.getElementById(button.dataset.reset);
+    if (input) input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * 직접 수정한 위반내역과 사유 입력칸 표시
+ * 사유 입력 중에는 다시 그리지 않도록 수정 목록이 바뀔 때만 그립니다.
+ * @param {Object} overrides - 수정 기록
+ * @param {Object} [results] - 위반내역 계산 결과 (연축 라벨)
+ */
+function renderOverrideList(overrides, results = {}) {
+    const list = document.getElementById(VIOLATION_FORM_CONFIG.overrideListId);
+    if (!list) return;
+
+    const items = VIOLATION_FIELDS.filter(item => overrides[item.field]);
+    const signature = items.map(item => `${item.field}:${overrides[item.field].value}:${overrides[item.field].computed}:${(results[item.field] || item).label}`).join('|');
+    if (list.dataset.signature === signature) return;
+    list.dataset.signature = signature;
+
+    list.classList.toggle('hidden', items.length === 0);
+    list.innerHTML = items.length === 0 ? '' : `
+        <p class="text-xs font-medium text-amber-800">✏️ 직접 수정한 위반내역 - 수정 사유를 입력하세요</p>
+        ${items.map(item => {
+            const override = overrides[item.field];
+            const reason = override.reason || '';
+            return `
+                <div class="pt-2">
+                    <div class="flex items-center justify-between gap-2 text-xs text-gray-700">
+                        <span>${escapeHtml((results[item.field] || item).label)}: 계산 ${escapeHtml(override.computed || '위반 없음')} → 입력 ${escapeHtml(override.value || '빈 값')}</span>
+                        <button type="button" data-reset="${item.field}" class="text-blue-600 hover:underline flex-shrink-0">자동값으로</button>
+                    </div>
+                    <input type="text" data-reason="${item.field}" value="${escapeHtml(reason)}"
+                        class="form-input w-full mt-1 text-sm ${reason.trim() ? '' : 'border-red-300'}"
+                        placeholder="수정 사유 (예: 축중기 재측정값 적용)">
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+/**
+ * 총중량 경고 아이콘과 위반 요약 표시
+ * @param {boolean} hasViolation - 위반 항목 존재 여부
+ * @param {Object} results - 위반내역 계산 결과
+ */
+function updateViolationIndicators(hasViolation, results) {
+    const totalViolation = document.getElementById('totalWeightViolation');
+    const toggle = (id, show) => {
+        const el = document.getElementById(id);
+        if (el) el.classList.toggle('hidden', !show);
+    };
+
+    toggle('totalMeasuredWarning', results.totalWeightViolation.violated);
+    toggle('totalViolationWarning', !!totalViolation && !!formatViolationValue(totalViolation.value));
+    toggle('violationSummary', hasViolation);
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.ViolationRules = {
+    // 계산
+    evaluate: evaluateViolations,
+    computeAmount: computeViolationAmount,
+    getThreshold: getViolationThreshold,
+    getLimit: getRuleLimit,
+    formatValue: formatViolationValue,
+    describe: describeViolationRules,
+
+    // 차량 구성
+    getVehicleConfig,
+    getAxleGroup,
+    describeVehicleConfig,
+    describePermit,
+
+    // 수정 기록
+    parseOverrides: parseViolationOverrides,
+    getMissingReasons: getOverridesMissingReason,
+
+    // 폼 연동
+    bindForm: bindViolationForm,
+    refreshForm: refreshViolationForm,
+    readForm: readViolationFormData,
+
+    // 설정
+    rules: VIOLATION_RULES,
+    fields: VIOLATION_FIELDS,
+    configFields: VEHICLE_CONFIG_FIELDS,
+    config: VIOLATION_FORM_CONFIG
+};
+
+console.log('violation-rules.js 로드 완료');
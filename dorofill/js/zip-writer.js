@@ -0,0 +1,152 @@
+/**
+ * DoroFill - Zip Writer
+ * 브라우저에서 ZIP 파일 만들기 (압축 없이 저장)
+ *
+ * XLSX(엑셀)는 XML 파일을 묶은 ZIP이라 적발 대장 엑셀 파일을 만들 때 쓰고,
+ * 일괄 PDF 생성에서 사건별 PDF를 묶을 때도 씁니다.
+ * PDF·JPEG처럼 이미 압축된 파일이 대부분이라 압축(deflate)은 하지 않습니다.
+ * 파일 이름은 UTF-8로 기록합니다 (한글 파일명).
+ *
+ * 의존성: 없음
+ */
+
+// ==========================================================================
+// CRC-32
+// ==========================================================================
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (crcTable) return crcTable;
+
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 (ZIP 항목 검사값)
+ * @param {Uint8Array} bytes - 내용
+ * @returns {number}
+ */
+function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ==========================================================================
+// ZIP 만들기
+// ==========================================================================
+
+/**
+ * 날짜를 MS-DOS 날짜/시각으로 (ZIP 항목 수정 시각)
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * 파일 내용을 바이트로 (문자열은 UTF-8)
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function toZipBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    return new Uint8Array(data);
+}
+
+/**
+ * ZIP 파일 만들기
+ * @param {Array<Object>} files - [{ name: '폴더/파일명', data: string|ArrayBuffer|Uint8Array }]
+ * @param {Object} [options]
+ * @param {string} [options.type='application/zip'] - Blob MIME 형식
+ * @param {Date} [options.date] - 항목 수정 시각 (기본: 지금)
+ * @returns {Blob}
+ */
+function createZipBlob(files, options = {}) {
+    const { type = 'application/zip', date = new Date() } = options;
+    const dos = toDosDateTime(date);
+    const encoder = new TextEncoder();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = toZipBytes(file.data);
+        const crc = crc32(data);
+
+        // 로컬 파일 헤더
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);           // 필요 버전 2.0
+        local.setUint16(6, 0x0800, true);       // 파일명 UTF-8
+        local.setUint16(8, 0, true);            // 저장 (압축 없음)
+        local.setUint16(10, dos.time, true);
+        local.setUint16(12, dos.date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+
+        // 중앙 디렉터리 항목
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dos.time, true);
+        entry.setUint16(14, dos.date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // 중앙 디렉터리 끝
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type });
+}
+
+// ==========================================================================
+// Export
+// ==========================================================================
+
+window.ZipWriter = {
+    create: createZipBlob,
+    crc32
+};
+
+console.log('zip-writer.js 로드 완료');
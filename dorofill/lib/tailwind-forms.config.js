@@ -0,0 +1,31 @@
+/**
+ * TailwindCSS 빌드 설정 - lib/tailwind-forms.css
+ * (report, statement 화면 - primary 색이 한 단계 진하고 success/warning 색이 있음)
+ */
+
+const base = require('./tailwind.config.js');
+
+module.exports = {
+    ...base,
+    theme: {
+        extend: {
+            ...base.theme.extend,
+            colors: {
+                primary: {
+                    50: '#eff6ff',
+                    100: '#dbeafe',
+                    200: '#bfdbfe',
+                    300: '#93c5fd',
+                    400: '#60a5fa',
+                    500: '#2563eb',
+                    600: '#1d4ed8',
+                    700: '#1e40af',
+                    800: '#1e3a8a',
+                    900: '#1e3a8a',
+                },
+                success: '#10b981',
+                warning: '#ef4444',
+            }
+        }
+    }
+};
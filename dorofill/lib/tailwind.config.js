@@ -0,0 +1,38 @@
+/**
+ * TailwindCSS 빌드 설정 - lib/tailwind.css
+ * (index, settings, cases, coordinate-editor 화면)
+ *
+ * 페이지나 스크립트에 새 클래스를 쓰면 다시 빌드하세요 (lib/README.md).
+ */
+
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+module.exports = {
+    content: [
+        path.join(root, '*.html'),
+        path.join(root, 'js/**/*.js')
+    ],
+    theme: {
+        extend: {
+            fontFamily: {
+                'sans': ['Pretendard', 'system-ui', '-apple-system', 'sans-serif'],
+            },
+            colors: {
+                primary: {
+                    50: '#eff6ff',
+                    100: '#dbeafe',
+                    200: '#bfdbfe',
+                    300: '#93c5fd',
+                    400: '#60a5fa',
+                    500: '#3b82f6',
+                    600: '#2563eb',
+                    700: '#1d4ed8',
+                    800: '#1e40af',
+                    900: '#1e3a8a',
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,154 @@
+/**
+ * DoroFill - Service Worker
+ * 오프라인 동작을 위한 페이지/스크립트/라이브러리/폰트 캐시
+ *
+ * 캐시 이름은 APP_CONFIG.version을 따릅니다.
+ * app.js가 'sw.js?v=<버전>'으로 등록하므로 버전을 올리면 새 워커가 설치되고,
+ * 사용자가 업데이트를 승인하면 이전 버전 캐시를 삭제합니다.
+ *
+ * 배포하는 파일(페이지, 스크립트, 스타일, 이 파일 등)을 바꾸는 커밋은 반드시
+ * APP_CONFIG.version(js/app.js)을 올리세요. 버전이 같으면 새 워커가 지금 쓰는
+ * 캐시에 그대로 설치되어 업데이트 승인 전부터 이전 파일과 새 파일이 섞이고,
+ * 이전 캐시 정리도 실행되지 않습니다.
+ *
+ * 파일을 추가하면 PRECACHE_URLS에도 추가하세요.
+ */
+
+// ==========================================================================
+// 설정 상수
+// ==========================================================================
+
+const SW_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+
+const CACHE_PREFIX = 'dorofill-';
+const PRECACHE_NAME = `${CACHE_PREFIX}v${SW_VERSION}`;
+
+/** 설치 시 미리 캐시할 앱 파일 (같은 출처 - 외부 CDN·웹폰트는 쓰지 않음) */
+const PRECACHE_URLS = [
+    // 페이지
+    'index.html',
+    'report.html',
+    'statement.html',
+    'settings.html',
+    'cases.html',
+    'coordinate-editor.html',
+    'manifest.webmanifest',
+
+    // 스타일
+    'css/styles.css',
+
+    // 스크립트
+    'js/app.js',
+    'js/db.js',
+    'js/app-lock.js',
+    'js/case-store.js',
+    'js/retention-policy.js',
+    'js/case-transfer.js',
+    'js/zip-writer.js',
+    'js/case-ledger.js',
+    'js/batch-pdf.js',
+    'js/template-store.js',
+    'js/template-profiles.js',
+    'js/violation-rules.js',
+    'js/validator.js',
+    'js/calculator.js',
+    'js/penalty-schedule.js',
+    'js/repeat-offender.js',
+    'js/checkpoint-locations.js',
+    'js/officer-presets.js',
+    'js/signature-pad.js',
+    'js/evidence-photos.js',
+    'js/pdf-handler.js',
+    'js/pdf-coordinates.js',
+    'js/pdf-generator.js',
+    'js/pdf-preview.js',
+    'js/gemini-analyzer.js',
+
+    // 외부 라이브러리 사본 (TailwindCSS는 lib/에서 빌드한 CSS)
+    'lib/tailwind.css',
+    'lib/tailwind-forms.css',
+    'lib/pdf-lib.min.js',
+    'lib/fontkit.umd.min.js',
+    'lib/pdf.min.js',
+    'lib/pdf.worker.min.js',
+
+    // 폰트, 아이콘
+    'assets/fonts/Pretendard-Regular.subset.woff',
+    'assets/fonts/Pretendard-Bold.subset.woff',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png'
+];
+
+
+// ==========================================================================
+// 설치 / 활성화
+// ==========================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        // 새로 받기 (HTTP 캐시에 남은 이전 파일 방지)
+        await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+
+        console.log(`[SW] 설치 완료: ${PRECACHE_NAME}`);
+        // 자동으로 활성화하지 않음 - 페이지에서 사용자가 업데이트를 승인하면 SKIP_WAITING
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // 이전 버전 캐시와 예전 외부 리소스 캐시(dorofill-runtime) 삭제
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+        console.log(`[SW] 활성화: ${PRECACHE_NAME}`);
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ==========================================================================
+// 요청 처리
+// ==========================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // Gemini API 등 GET 이외 요청은 그대로 통과
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * 앱 파일: 캐시 우선, 없으면 네트워크
+ * report.html?case=ID 처럼 쿼리가 붙은 페이지도 같은 캐시 항목을 사용
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: PRECACHE_NAME, ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // 오프라인에서 캐시에 없는 페이지로 이동하면 메인 화면으로
+        if (request.mode === 'navigate') {
+            const fallback = await caches.match('index.html', { cacheName: PRECACHE_NAME });
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}